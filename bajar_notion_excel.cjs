@@ -0,0 +1,387 @@
+/************************************************************
+ * IMPORTS
+ ************************************************************/
+const { Client } = require("@notionhq/client");
+const xlsx = require("xlsx");
+const path = require("path");
+const readline = require("readline");
+const { parseCliArgs, ensureInteractive } = require("./lib/cli_args.cjs");
+const { wrapNotionClient, parseRequestFlags } = require("./lib/notion_request.cjs");
+const { parseDateFlags, formatInTimeZone, toExcelSerial } = require("./lib/date_values.cjs");
+const { readPropertyValue } = require("./lib/property_values.cjs");
+const {
+  parseFilterFlag,
+  parseSortFlags,
+  databaseTitle,
+  schemaProperties,
+  defaultExportPath,
+} = require("./lib/notion_export.cjs");
+const { queryAllPages } = require("./lib/notion_pages.cjs");
+
+/************************************************************
+ * VARIABLES Y CONFIGURACIÓN DE COLORES ANSI
+ ************************************************************/
+let notionAuth = process.env.NOTION_API_KEY || ""; // Si no está definida, se pedirá al usuario
+const rl = readline.createInterface({
+  input: process.stdin,
+  output: process.stdout
+});
+
+// Columnas que se agregan después de las propiedades
+const PAGE_ID_COLUMN = "ID de página";
+const PAGE_URL_COLUMN = "URL de página";
+
+// Sufijo de la columna con el fin de los rangos de fechas
+const END_COLUMN_SUFFIX = " (fin)";
+
+// Separador por defecto de los valores de multi_select, people, relation y files
+const DEFAULT_LIST_SEPARATOR = ", ";
+
+// Máximo de caracteres de una celda de Excel y de un nombre de hoja
+const MAX_CELL_LENGTH = 32767;
+const MAX_SHEET_NAME_LENGTH = 31;
+
+// Formato de las celdas de fecha
+const DATE_FORMAT = "yyyy-mm-dd";
+const DATE_TIME_FORMAT = "yyyy-mm-dd hh:mm:ss";
+
+// Flags aceptados para ejecutar el script sin preguntas (cron, scripts de shell)
+const CLI_SPEC = {
+  db: { type: "string" },
+  out: { type: "string" },
+  sheet: { type: "string" },
+  filter: { type: "string" },
+  sort: { type: "string", multiple: true },
+  "list-separator": { type: "string" },
+  "time-zone": { type: "string" },
+  "max-retries": { type: "string" },
+  "retry-budget": { type: "string" },
+  rate: { type: "string" },
+  help: { type: "boolean" },
+};
+
+const USAGE = `Uso: node bajar_notion_excel.cjs [opciones]
+
+  --db <id>                   ID de la base de datos de Notion a exportar.
+  --out <archivo>             Archivo .xlsx de salida (por defecto exportacion_<base>_<fecha>.xlsx).
+  --sheet <nombre>            Nombre de la hoja (por defecto, el título de la base de datos).
+  --filter <json|archivo>     Filtro de la API de Notion, en JSON o en un archivo .json.
+  --sort <Propiedad[:desc]>   Ordena las filas por una propiedad (repetible; created_time y
+                              last_edited_time ordenan por fecha de creación o edición).
+  --list-separator <texto>    Separador de multi_select, people, relation y files (por defecto ", ").
+  --time-zone <zona>          Zona horaria IANA en la que se escriben las fechas con hora (por defecto
+                              la de cada fecha en Notion o, si no tiene, UTC).
+  --max-retries <n>           Reintentos por request ante 429/5xx/errores de red (por defecto 5).
+  --retry-budget <n>          Máximo de reintentos en toda la ejecución (por defecto sin límite).
+  --rate <req/s>              Promedio máximo de requests por segundo a Notion (por defecto 3).
+  --help                      Muestra esta ayuda.
+
+Se escribe una columna por propiedad, en el orden del esquema, más el ID y la URL de cada página.
+Los números, fechas y checkbox quedan como celdas de número, fecha y booleano de Excel.
+La API Key se toma de la variable de entorno NOTION_API_KEY.`;
+
+// Códigos ANSI para colorear la terminal
+const ANSI_COLORS = {
+  reset: "\x1b[0m",
+  bright: "\x1b[1m",
+  fgGreen: "\x1b[32m",
+  fgCyan: "\x1b[36m",
+  fgYellow: "\x1b[33m",
+  fgRed: "\x1b[31m",
+  fgMagenta: "\x1b[35m",
+};
+
+/**
+ * colorText: Envuelve un texto en el color dado, devolviendo la versión coloreada.
+ */
+function colorText(text, colorCode) {
+  return `${colorCode}${text}${ANSI_COLORS.reset}`;
+}
+
+// Funciones de log con color
+function logInfo(msg) {
+  console.log(colorText(msg, ANSI_COLORS.fgCyan));
+}
+function logSuccess(msg) {
+  console.log(colorText(msg, ANSI_COLORS.fgGreen));
+}
+function logWarn(msg) {
+  console.log(colorText(msg, ANSI_COLORS.fgYellow));
+}
+function logError(msg) {
+  console.log(colorText(msg, ANSI_COLORS.fgRed));
+}
+function logBright(msg) {
+  console.log(colorText(msg, ANSI_COLORS.bright));
+}
+
+/************************************************************
+ * FUNCIONES AUXILIARES DE INTERFAZ (readline, preguntas, etc.)
+ ************************************************************/
+/**
+ * askQuestion: Promesa para usar readline.question.
+ * @param {string} query - Mensaje que se muestra al usuario.
+ * @returns {Promise<string>} - Respuesta ingresada.
+ */
+function askQuestion(query) {
+  return new Promise((resolve) => {
+    rl.question(colorText(query, ANSI_COLORS.fgMagenta), (answer) => {
+      resolve(answer);
+    });
+  });
+}
+
+/**
+ * askRequired: Devuelve el valor pasado por flag o, si no existe, lo pregunta por consola.
+ * Sin TTY falla con un error claro en lugar de quedar esperando una respuesta.
+ * @param {string|undefined} flagValue - Valor recibido por línea de comandos.
+ * @param {string} flagLabel - Nombre del flag, para el mensaje de error.
+ * @param {string} query - Pregunta a mostrar en modo interactivo.
+ * @returns {Promise<string>} - Valor final.
+ */
+async function askRequired(flagValue, flagLabel, query) {
+  if (flagValue !== undefined) {
+    return flagValue;
+  }
+  ensureInteractive(flagLabel);
+  return askQuestion(query);
+}
+
+/************************************************************
+ * FUNCIONES AUXILIARES PARA NOTION
+ ************************************************************/
+
+/**
+ * initializeNotionClient: Inicializa el cliente de Notion, envuelto en la capa de requests
+ * (límite de velocidad, Retry-After y backoff exponencial ante 429, 5xx y errores de red).
+ * @param {Object} [requestOptions] - Reintentos y velocidad (ver lib/notion_request.cjs).
+ * @returns {Promise<Client>} - Instancia autenticada.
+ */
+async function initializeNotionClient(requestOptions = {}) {
+  if (!notionAuth) {
+    notionAuth = await askRequired(
+      undefined,
+      "NOTION_API_KEY (variable de entorno)",
+      "Ingrese su Notion API Key (secret_xxx): "
+    );
+  }
+  logInfo("Cliente de Notion inicializado.\n");
+  return wrapNotionClient(new Client({ auth: notionAuth }), {
+    ...requestOptions,
+    onRetry: ({ error, attempt, delayMs, maxRetries }) => {
+      logWarn(
+        `Notion respondió ${error.status || error.code}. Reintento ${attempt}/${maxRetries} en ${(delayMs / 1000).toFixed(1)}s...`
+      );
+    },
+  });
+}
+
+/************************************************************
+ * FUNCIONES PARA CONVERTIR PROPIEDADES EN CELDAS DE EXCEL
+ ************************************************************/
+
+/**
+ * dateCell: Celda de fecha de Excel para el inicio o fin de una fecha de Notion. Las fechas sin
+ * hora quedan como día; las horas se escriben como hora de reloj de la zona de --time-zone, de la
+ * fecha o, si no hay ninguna, UTC (Excel no guarda zonas horarias).
+ * @param {string} text - Inicio o fin de la fecha, tal como lo devuelve Notion.
+ * @param {string|null} dateTimeZone - Zona horaria de la fecha en Notion.
+ * @param {Object} exportOptions - { timeZone }.
+ * @returns {Object|null} - Celda { t: "n", v: serial, z: formato }.
+ */
+function dateCell(text, dateTimeZone, exportOptions) {
+  if (!text) return null;
+  let wallClock = text;
+  if (text.length > 10) {
+    const hasOffset = /(Z|[+-]\d{2}:?\d{2})$/i.test(text);
+    wallClock = hasOffset
+      ? formatInTimeZone(new Date(text), exportOptions.timeZone || dateTimeZone || "UTC")
+      : text.slice(0, 19);
+  }
+  const serial = toExcelSerial(wallClock);
+  if (serial === null) return { t: "s", v: text };
+  return { t: "n", v: serial, z: wallClock.length > 10 ? DATE_TIME_FORMAT : DATE_FORMAT };
+}
+
+/**
+ * textCell: Celda de texto (vacía si no hay texto).
+ */
+function textCell(text) {
+  return text === "" ? null : { t: "s", v: text };
+}
+
+/**
+ * propertyCell: Convierte el valor de una propiedad de una página en una celda de Excel.
+ *   - number: número. checkbox: booleano.
+ *   - date, created_time, last_edited_time: fecha (con el formato de día o de día y hora).
+ *   - multi_select, people, relation, files: los valores unidos por el separador de listas.
+ *   - formula y rollup: según el tipo de su resultado.
+ *   - El resto, su texto (ver lib/property_values.cjs).
+ * @param {Object} property - Propiedad de la página.
+ * @param {string} type - Tipo de la propiedad.
+ * @param {Object} exportOptions - { listSeparator, timeZone }.
+ * @returns {Object|null} - Celda de Excel, o null si está vacía.
+ */
+function propertyCell(property, type, exportOptions) {
+  const content = property?.[type];
+  if (content === undefined || content === null) return null;
+  const join = (values) => textCell(values.filter((value) => value !== "").join(exportOptions.listSeparator));
+
+  switch (type) {
+    case "number":
+      return { t: "n", v: content };
+    case "checkbox":
+    case "boolean":
+      return { t: "b", v: content };
+    case "date":
+      return dateCell(content.start, content.time_zone || null, exportOptions);
+    case "created_time":
+    case "last_edited_time":
+      return dateCell(content, null, exportOptions);
+    case "multi_select":
+      return join(content.map((option) => option.name));
+    case "people":
+      return join(content.map((person) => person.name ?? person.person?.email ?? person.id));
+    case "relation":
+      return join(content.map((page) => page.id));
+    case "files":
+      return join(content.map((file) => file.external?.url ?? file.file?.url ?? file.name));
+    case "formula":
+      return propertyCell(content, content.type, exportOptions);
+    case "rollup":
+      if (content.type === "array") {
+        return join(content.array.map((item) => readPropertyValue(item).text));
+      }
+      return propertyCell(content, content.type, exportOptions);
+    default:
+      return textCell(readPropertyValue(property, type).text);
+  }
+}
+
+/**
+ * buildColumns: Columnas de la hoja: una por propiedad en el orden del esquema (las fechas con
+ * algún rango llevan además una columna con el fin), y al final el ID y la URL de la página.
+ * @param {Array<{name: string, type: string}>} properties - Propiedades en el orden del esquema.
+ * @param {Object[]} pages - Páginas exportadas.
+ * @returns {Array<Object>} - { header, property, type, end? } o { header, pageField } (ID y URL).
+ */
+function buildColumns(properties, pages) {
+  const columns = [];
+  for (const { name, type } of properties) {
+    columns.push({ header: name, property: name, type });
+    if (type === "date" && pages.some((page) => page.properties[name]?.date?.end)) {
+      columns.push({ header: `${name}${END_COLUMN_SUFFIX}`, property: name, type, end: true });
+    }
+  }
+  columns.push({ header: PAGE_ID_COLUMN, pageField: "id" }, { header: PAGE_URL_COLUMN, pageField: "url" });
+  return columns;
+}
+
+/**
+ * buildSheet: Arma la hoja de Excel con una fila por página.
+ * Los textos de más de 32.767 caracteres (el máximo de una celda) se cortan.
+ * @param {Array<Object>} columns - Resultado de buildColumns.
+ * @param {Object[]} pages - Páginas exportadas.
+ * @param {Object} exportOptions - { listSeparator, timeZone }.
+ * @returns {{sheet: Object, truncated: number}} - truncated: cantidad de celdas cortadas.
+ */
+function buildSheet(columns, pages, exportOptions) {
+  const sheet = {};
+  let truncated = 0;
+  const setCell = (row, column, cell) => {
+    if (!cell) return;
+    if (cell.t === "s" && cell.v.length > MAX_CELL_LENGTH) {
+      cell.v = cell.v.slice(0, MAX_CELL_LENGTH);
+      truncated++;
+    }
+    sheet[xlsx.utils.encode_cell({ r: row, c: column })] = cell;
+  };
+
+  columns.forEach((column, index) => setCell(0, index, { t: "s", v: column.header }));
+  pages.forEach((page, pageIndex) => {
+    columns.forEach((column, index) => {
+      let cell;
+      if (column.pageField) {
+        cell = textCell(page[column.pageField] || "");
+      } else if (column.end) {
+        const date = page.properties[column.property]?.date;
+        cell = date ? dateCell(date.end, date.time_zone || null, exportOptions) : null;
+      } else {
+        cell = propertyCell(page.properties[column.property], column.type, exportOptions);
+      }
+      setCell(pageIndex + 1, index, cell);
+    });
+  });
+
+  sheet["!ref"] = xlsx.utils.encode_range({ s: { r: 0, c: 0 }, e: { r: pages.length, c: columns.length - 1 } });
+  return { sheet, truncated };
+}
+
+/**
+ * sheetNameFor: Nombre de hoja válido para Excel (sin []:*?/\ y de hasta 31 caracteres).
+ */
+function sheetNameFor(name) {
+  return name.replace(/[[\]:*?/\\]/g, " ").trim().slice(0, MAX_SHEET_NAME_LENGTH) || "Notion";
+}
+
+/************************************************************
+ * FUNCIÓN PRINCIPAL
+ ************************************************************/
+async function main() {
+  try {
+    // 0. Leer flags de línea de comandos
+    const options = parseCliArgs(process.argv.slice(2), CLI_SPEC);
+    if (options.help) {
+      console.log(USAGE);
+      rl.close();
+      return;
+    }
+    const requestOptions = parseRequestFlags(options);
+    const { timeZone } = parseDateFlags(options);
+    const filter = parseFilterFlag(options.filter);
+    const exportOptions = { listSeparator: options.listSeparator ?? DEFAULT_LIST_SEPARATOR, timeZone };
+
+    // 1. Inicializar cliente Notion
+    const notion = await initializeNotionClient(requestOptions);
+
+    // 2. Solicitar ID de la base de datos y leer su esquema
+    const databaseId = await askRequired(options.db, "--db", "\nID de la base de datos de Notion a exportar: ");
+    const database = await notion.databases.retrieve({ database_id: databaseId.trim() });
+    const title = databaseTitle(database);
+    const properties = schemaProperties(database);
+    const sorts = parseSortFlags(options.sort, database.properties);
+    logBright(`\nExportando "${title || databaseId}" (${properties.length} propiedades)...`);
+
+    // 3. Traer las páginas (con el filtro y el orden indicados, y los valores largos completos)
+    const pages = await queryAllPages(notion, database.id || databaseId.trim(), {
+      filter,
+      sorts,
+      completeValues: true,
+      onProgress: (count) => logInfo(`Páginas leídas: ${count}`),
+    });
+    if (pages.length === 0) {
+      logWarn("La base de datos no tiene páginas (o ninguna cumple el filtro). Se exporta solo el encabezado.");
+    }
+
+    // 4. Armar la hoja y guardar el libro
+    const columns = buildColumns(properties, pages);
+    const { sheet, truncated } = buildSheet(columns, pages, exportOptions);
+    if (truncated > 0) {
+      logWarn(`${truncated} celdas superaban los ${MAX_CELL_LENGTH} caracteres que admite Excel y se cortaron.`);
+    }
+    const workbook = xlsx.utils.book_new();
+    xlsx.utils.book_append_sheet(workbook, sheet, sheetNameFor(options.sheet ?? title));
+    const outputPath = options.out ? path.resolve(options.out) : defaultExportPath(title, ".xlsx");
+    xlsx.writeFile(workbook, outputPath);
+
+    logSuccess(`\nSe exportaron ${pages.length} páginas a ${outputPath}`);
+    rl.close();
+  } catch (error) {
+    logError("\nError general en la ejecución: " + error);
+    process.exitCode = 1;
+    rl.close();
+  }
+}
+
+// Ejecutar
+main();
@@ -0,0 +1,397 @@
+/************************************************************
+ * IMPORTS
+ ************************************************************/
+const { Client } = require("@notionhq/client");
+const { MongoClient } = require("mongodb");
+const readline = require("readline");
+const { parseCliArgs, parseIntFlag, ensureInteractive } = require("./lib/cli_args.cjs");
+const { wrapNotionClient, parseRequestFlags } = require("./lib/notion_request.cjs");
+const { readPropertyValue } = require("./lib/property_values.cjs");
+const { parseFilterFlag, databaseTitle, schemaProperties } = require("./lib/notion_export.cjs");
+const { queryAllPages } = require("./lib/notion_pages.cjs");
+
+/************************************************************
+ * VARIABLES GLOBALES Y CONFIGURACIÓN
+ ************************************************************/
+
+let notionAuth = process.env.NOTION_API_KEY; // Si no existe, se preguntará en consola.
+const rl = readline.createInterface({
+  input: process.stdin,
+  output: process.stdout
+});
+const DEFAULT_MONGO_URI = "mongodb://localhost:27017";
+
+// Documentos que se escriben en Mongo por cada bulkWrite.
+const DEFAULT_BATCH_SIZE = 500;
+
+// Campo de cada documento con los metadatos de la página de Notion.
+const METADATA_FIELD = "_notion";
+
+// Sufijo del campo con el fin de los rangos de fechas.
+const END_FIELD_SUFFIX = " (fin)";
+
+// Tipos de propiedad que se guardan como arreglo (vacío si no tienen valores).
+const ARRAY_TYPES = ["multi_select", "relation", "people", "files"];
+
+// ID de la propiedad title en cualquier base de datos: al listar solo los IDs de las páginas se pide
+// solo esa propiedad.
+const TITLE_PROPERTY_ID = "title";
+
+// Flags aceptados para ejecutar el script sin preguntas (cron, scripts de shell).
+const CLI_SPEC = {
+  db: { type: "string" },
+  "mongo-uri": { type: "string" },
+  "mongo-db": { type: "string" },
+  collection: { type: "string" },
+  filter: { type: "string" },
+  "batch-size": { type: "string" },
+  "max-retries": { type: "string" },
+  "retry-budget": { type: "string" },
+  rate: { type: "string" },
+  full: { type: "boolean" },
+  help: { type: "boolean" },
+};
+
+const USAGE = `Uso: node bajar_notion_mongo.cjs [opciones]
+
+  --db <id>                  ID de la base de datos de Notion a exportar.
+  --mongo-uri <uri>          URI de MongoDB (por defecto ${DEFAULT_MONGO_URI}).
+  --mongo-db <nombre>        Base de datos de Mongo donde se escribe.
+  --collection <nombre>      Colección de Mongo donde se escribe (se crea si no existe).
+  --filter <json|archivo>    Filtro de la API de Notion, en JSON o en un archivo .json.
+  --batch-size <n>           Documentos por cada escritura en Mongo (por defecto ${DEFAULT_BATCH_SIZE}).
+  --max-retries <n>          Reintentos por request ante 429/5xx/errores de red (por defecto 5).
+  --retry-budget <n>         Máximo de reintentos en toda la ejecución (por defecto sin límite).
+  --rate <req/s>             Promedio máximo de requests por segundo a Notion (por defecto 3).
+  --full                     Baja todas las páginas, no solo las editadas desde la última exportación.
+  --help                     Muestra esta ayuda.
+
+Cada página se guarda con _id = ID de la página (si ya existe, se reemplaza), un campo por
+propiedad con su tipo (Date, número, booleano, arreglos) y sus metadatos en "${METADATA_FIELD}".
+Desde la segunda exportación se bajan solo las páginas editadas, y se borran los documentos de
+las páginas borradas o archivadas en Notion (o que ya no cumplen --filter).
+La API Key se toma de la variable de entorno NOTION_API_KEY.`;
+
+const ANSI_COLORS = {
+  reset: "\x1b[0m",
+  bright: "\x1b[1m",
+  fgRed: "\x1b[31m",
+  fgGreen: "\x1b[32m",
+  fgYellow: "\x1b[33m",
+  fgMagenta: "\x1b[35m",
+  fgCyan: "\x1b[36m",
+};
+
+function colorText(text, colorCode) {
+  return `${colorCode}${text}${ANSI_COLORS.reset}`;
+}
+
+// Funciones rápidas para logs con color:
+function logInfo(msg) {
+  console.log(colorText(msg, ANSI_COLORS.fgCyan));
+}
+function logSuccess(msg) {
+  console.log(colorText(msg, ANSI_COLORS.fgGreen));
+}
+function logWarn(msg) {
+  console.log(colorText(msg, ANSI_COLORS.fgYellow));
+}
+function logError(msg) {
+  console.log(colorText(msg, ANSI_COLORS.fgRed));
+}
+function logBright(msg) {
+  console.log(colorText(msg, ANSI_COLORS.bright));
+}
+
+/************************************************************
+ * FUNCIONES AUXILIARES
+ ************************************************************/
+/**
+ * askQuestion: Envoltorio de readline.question para usar Promesas.
+ * @param {string} query - Mensaje que se muestra al usuario.
+ * @returns {Promise<string>} - Respuesta ingresada por el usuario.
+ */
+function askQuestion(query) {
+  return new Promise((resolve) => rl.question(colorText(query, ANSI_COLORS.fgMagenta), resolve));
+}
+
+/**
+ * askRequired: Devuelve el valor recibido por flag o, si falta, lo pregunta por consola.
+ * Sin TTY lanza un error claro en vez de quedar esperando en readline.
+ * @param {string|undefined} flagValue - Valor recibido por línea de comandos.
+ * @param {string} flagLabel - Nombre del flag, usado en el mensaje de error.
+ * @param {string} query - Pregunta para el modo interactivo.
+ * @returns {Promise<string>} - Valor final.
+ */
+async function askRequired(flagValue, flagLabel, query) {
+  if (flagValue !== undefined) {
+    return flagValue;
+  }
+  ensureInteractive(flagLabel);
+  return askQuestion(query);
+}
+
+/**
+ * initializeNotionClient: Inicializa el cliente de Notion con la clave de autenticación.
+ * Las requests pasan por la capa de requests (límite de velocidad, Retry-After, backoff con jitter).
+ * @param {Object} [requestOptions] - Reintentos y velocidad (ver lib/notion_request.cjs).
+ * @returns {Promise<Client>} - Instancia de Notion ya autenticada.
+ */
+async function initializeNotionClient(requestOptions = {}) {
+  if (!notionAuth) {
+    notionAuth = await askRequired(
+      undefined,
+      "NOTION_API_KEY (variable de entorno)",
+      "Ingrese su Notion API Key (secret_xxx): "
+    );
+  }
+  logInfo("Cliente de Notion inicializado correctamente.\n");
+  return wrapNotionClient(new Client({ auth: notionAuth }), {
+    ...requestOptions,
+    onRetry: ({ error, attempt, delayMs, maxRetries }) => {
+      logWarn(`Notion respondió ${error.status || error.code}. Reintento ${attempt}/${maxRetries} en ${(delayMs / 1000).toFixed(1)}s...`);
+    }
+  });
+}
+
+/**
+ * connectToMongoDB: Conecta al servidor de MongoDB (local por defecto).
+ * @param {string} [uri] - URI de conexión.
+ * @returns {Promise<MongoClient>} - Conexión abierta de MongoClient.
+ */
+async function connectToMongoDB(uri = DEFAULT_MONGO_URI) {
+  const client = new MongoClient(uri);
+  await client.connect();
+  logSuccess("Conectado a MongoDB exitosamente.\n");
+  return client;
+}
+
+/************************************************************
+ * CONVERSIÓN DE PÁGINAS DE NOTION A DOCUMENTOS DE MONGO
+ ************************************************************/
+
+/**
+ * fieldNameFor: Nombre de campo de Mongo para una propiedad. Los puntos y un "$" inicial se
+ * reemplazan por "_", porque Mongo los interpreta como rutas y operadores.
+ * @param {string} name - Nombre de la propiedad en Notion.
+ * @returns {string}
+ */
+function fieldNameFor(name) {
+  return name.replace(/\./g, "_").replace(/^\$/, "_");
+}
+
+/**
+ * toBsonValue: Convierte el valor leído con readPropertyValue en un valor para Mongo: las fechas
+ * ({ start, end, timeZone }) quedan como el Date de su inicio, también dentro de arreglos
+ * (resultados de rollup); el resto se guarda tal cual (string, number, boolean, arreglos, objetos).
+ * @param {any} value - Valor de readPropertyValue.
+ * @returns {any}
+ */
+function toBsonValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(toBsonValue);
+  }
+  if (value && typeof value === "object" && value.start instanceof Date) {
+    return value.start;
+  }
+  return value;
+}
+
+/**
+ * pageToDocument: Documento de Mongo de una página de Notion.
+ *   - _id: ID de la página, para que cada exportación reemplace el documento de la anterior.
+ *   - Un campo por propiedad (en el orden del esquema): number => número, checkbox => booleano,
+ *     date, created_time y last_edited_time => Date, multi_select y relation => arreglos de nombres
+ *     e IDs, people => arreglo de { id, name, email }, files => arreglo de { name, url }, formula y
+ *     rollup según su resultado, y el resto como texto. Los valores vacíos quedan en null (los
+ *     arreglos, vacíos).
+ *   - Las fechas con fin agregan el campo "<Propiedad> (fin)".
+ *   - _notion: { databaseId, url, createdTime, lastEditedTime, archived, exportedAt }.
+ * @param {Object} page - Página devuelta por databases.query.
+ * @param {Array<{name: string, type: string}>} properties - Propiedades en el orden del esquema.
+ * @param {string} databaseId - ID de la base de datos exportada.
+ * @param {Date} exportedAt - Momento de la exportación.
+ * @returns {Object}
+ */
+function pageToDocument(page, properties, databaseId, exportedAt) {
+  const document = { _id: page.id };
+  for (const { name, type } of properties) {
+    const property = page.properties[name];
+    const { value } = readPropertyValue(property, type);
+    document[fieldNameFor(name)] = ARRAY_TYPES.includes(type) ? value ?? [] : toBsonValue(value);
+    if (type === "date" && value?.end) {
+      document[fieldNameFor(`${name}${END_FIELD_SUFFIX}`)] = value.end;
+    }
+  }
+  document[METADATA_FIELD] = {
+    databaseId,
+    url: page.url || null,
+    createdTime: page.created_time ? new Date(page.created_time) : null,
+    lastEditedTime: page.last_edited_time ? new Date(page.last_edited_time) : null,
+    archived: Boolean(page.archived),
+    exportedAt
+  };
+  return document;
+}
+
+/**
+ * upsertDocuments: Guarda los documentos en la colección reemplazando por _id (o insertándolos si
+ * no existen), en tandas de batchSize con bulkWrite.
+ * @param {Collection} collection - Colección de destino.
+ * @param {Object[]} documents - Documentos creados con pageToDocument.
+ * @param {number} batchSize - Documentos por bulkWrite.
+ * @returns {Promise<{inserted: number, updated: number}>}
+ */
+async function upsertDocuments(collection, documents, batchSize) {
+  const totals = { inserted: 0, updated: 0 };
+  for (let start = 0; start < documents.length; start += batchSize) {
+    const batch = documents.slice(start, start + batchSize);
+    const result = await collection.bulkWrite(
+      batch.map((document) => ({
+        replaceOne: { filter: { _id: document._id }, replacement: document, upsert: true }
+      })),
+      { ordered: false }
+    );
+    totals.inserted += result.upsertedCount;
+    totals.updated += result.matchedCount;
+    logInfo(`Documentos guardados: ${Math.min(start + batchSize, documents.length)}/${documents.length}`);
+  }
+  return totals;
+}
+
+/**
+ * lastExportedEdit: Última edición (last_edited_time) entre los documentos ya exportados de la base de datos.
+ * @param {Collection} collection - Colección de destino.
+ * @param {string} databaseId - ID de la base de datos exportada.
+ * @returns {Promise<Date|null>} - null si todavía no se exportó ninguna página.
+ */
+async function lastExportedEdit(collection, databaseId) {
+  const [latest] = await collection
+    .find({ [`${METADATA_FIELD}.databaseId`]: databaseId })
+    .sort({ [`${METADATA_FIELD}.lastEditedTime`]: -1 })
+    .limit(1)
+    .project({ [METADATA_FIELD]: 1 })
+    .toArray();
+  return latest?.[METADATA_FIELD]?.lastEditedTime || null;
+}
+
+/**
+ * editedSinceFilter: Agrega al filtro de --filter la condición "editada desde since". Notion guarda
+ * last_edited_time redondeado al minuto, así que se usa on_or_after: las páginas editadas en ese
+ * mismo minuto se vuelven a bajar (y se reemplazan sin cambios).
+ * @param {Object|undefined} filter - Filtro de la API de Notion.
+ * @param {Date} since - Última edición ya exportada.
+ * @returns {Object}
+ */
+function editedSinceFilter(filter, since) {
+  const edited = { timestamp: "last_edited_time", last_edited_time: { on_or_after: since.toISOString() } };
+  if (!filter) return edited;
+  return { and: [...(filter.and || [filter]), edited] };
+}
+
+/**
+ * removeMissingDocuments: Borra los documentos de la base de datos cuya página no está en currentIds
+ * (páginas borradas o archivadas en Notion, o que ya no cumplen el filtro).
+ * @param {Collection} collection - Colección de destino.
+ * @param {string} databaseId - ID de la base de datos exportada.
+ * @param {Set<string>} currentIds - IDs de las páginas que hay ahora en la base de datos.
+ * @param {number} batchSize - Documentos por deleteMany.
+ * @returns {Promise<number>} - Cantidad de documentos borrados.
+ */
+async function removeMissingDocuments(collection, databaseId, currentIds, batchSize) {
+  const missing = [];
+  const cursor = collection.find({ [`${METADATA_FIELD}.databaseId`]: databaseId }).project({ _id: 1 });
+  for await (const { _id } of cursor) {
+    if (!currentIds.has(_id)) missing.push(_id);
+  }
+  let removed = 0;
+  for (let start = 0; start < missing.length; start += batchSize) {
+    const result = await collection.deleteMany({ _id: { $in: missing.slice(start, start + batchSize) } });
+    removed += result.deletedCount;
+  }
+  return removed;
+}
+
+/************************************************************
+ * FUNCIÓN PRINCIPAL
+ ************************************************************/
+async function main() {
+  let mongoClient;
+  try {
+    // 0. Leer flags de línea de comandos
+    const options = parseCliArgs(process.argv.slice(2), CLI_SPEC);
+    if (options.help) {
+      console.log(USAGE);
+      rl.close();
+      return;
+    }
+    const requestOptions = parseRequestFlags(options);
+    const filter = parseFilterFlag(options.filter);
+    const batchSize = options.batchSize !== undefined ? parseIntFlag(options.batchSize, "--batch-size", 1) : DEFAULT_BATCH_SIZE;
+
+    // 1. Inicializar cliente Notion y leer el esquema de la base de datos
+    const notion = await initializeNotionClient(requestOptions);
+    const databaseId = (await askRequired(options.db, "--db", "\nID de la base de datos de Notion a exportar: ")).trim();
+    const database = await notion.databases.retrieve({ database_id: databaseId });
+    const title = databaseTitle(database);
+    const properties = schemaProperties(database);
+    const renamed = properties.filter(({ name }) => fieldNameFor(name) !== name);
+    for (const { name } of renamed) {
+      logWarn(`La propiedad "${name}" se guarda como "${fieldNameFor(name)}" (Mongo no admite "." ni "$" inicial en los campos).`);
+    }
+
+    // 2. Conectar a MongoDB y elegir la colección de destino
+    const mongoDbName = await askRequired(options.mongoDb, "--mongo-db", "\nBase de datos de Mongo donde guardar las páginas: ");
+    const collectionName = await askRequired(options.collection, "--collection", "Colección de Mongo donde guardar las páginas: ");
+    mongoClient = await connectToMongoDB(options.mongoUri);
+    const collection = mongoClient.db(mongoDbName.trim()).collection(collectionName.trim());
+
+    // 3. Traer las páginas de Notion (con los valores largos completos): si la base de datos ya se
+    // exportó, solo las editadas desde la última edición guardada (salvo --full)
+    logBright(`\nExportando "${title || databaseId}" (${properties.length} propiedades) a ${mongoDbName}.${collectionName}...`);
+    const exportedDatabaseId = database.id || databaseId;
+    const since = options.full ? null : await lastExportedEdit(collection, exportedDatabaseId);
+    if (since) {
+      logInfo(`Se bajan solo las páginas editadas desde ${since.toISOString()} (usa --full para bajarlas todas).`);
+    }
+    const pages = await queryAllPages(notion, exportedDatabaseId, {
+      filter: since ? editedSinceFilter(filter, since) : filter,
+      completeValues: true,
+      onProgress: (count) => logInfo(`Páginas leídas: ${count}`),
+    });
+
+    // 4. Convertir y guardar (reemplazando los documentos de exportaciones anteriores)
+    const exportedAt = new Date();
+    const documents = pages.map((page) => pageToDocument(page, properties, exportedDatabaseId, exportedAt));
+    const { inserted, updated } = await upsertDocuments(collection, documents, batchSize);
+    await collection.createIndex({ [`${METADATA_FIELD}.lastEditedTime`]: 1 });
+    await collection.createIndex({ [`${METADATA_FIELD}.databaseId`]: 1 });
+
+    // 5. Borrar los documentos de las páginas que ya no están (borradas, archivadas o fuera de --filter).
+    // En una exportación incremental hay que listar todas las páginas, pidiendo solo su título.
+    const currentPages = since
+      ? await queryAllPages(notion, exportedDatabaseId, {
+          filter,
+          filterProperties: [TITLE_PROPERTY_ID],
+          keepProperties: [],
+          onProgress: (count) => logInfo(`Páginas listadas: ${count}`),
+        })
+      : pages;
+    const removed = await removeMissingDocuments(collection, exportedDatabaseId, new Set(currentPages.map((page) => page.id)), batchSize);
+
+    logSuccess(
+      `\nSe exportaron ${pages.length} páginas: ${inserted} documentos nuevos y ${updated} actualizados. ` +
+        `Se borraron ${removed} documentos de páginas que ya no están en la base de datos.`
+    );
+    rl.close();
+    await mongoClient.close();
+  } catch (error) {
+    logError("\nError general en la ejecución: " + error);
+    process.exitCode = 1;
+    rl.close();
+    if (mongoClient) await mongoClient.close();
+  }
+}
+
+// Iniciar el proceso
+main();
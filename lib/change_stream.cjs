@@ -0,0 +1,141 @@
+/************************************************************
+ * CHANGE STREAMS DE MONGO: TANDAS DE EVENTOS Y ESPERAS
+ ************************************************************/
+const { parseIntFlag } = require("./cli_args.cjs");
+const { sleep } = require("./notion_request.cjs");
+
+const DEFAULT_BATCH_SIZE = 50; // Eventos como máximo por tanda
+const DEFAULT_BATCH_WAIT_MS = 1000; // Cuánto se esperan más eventos después del primero de una tanda
+const POLL_INTERVAL_MS = 100; // Cada cuánto se revisa si llegaron eventos mientras se arma una tanda
+
+// Espera entre intentos de una tanda cuando Notion sigue limitando o fallando tras los reintentos
+const BACKOFF_BASE_MS = 2000;
+const BACKOFF_MAX_MS = 60000;
+
+// Eventos que terminan el change stream: la colección ya no existe como tal
+const TERMINAL_OPERATIONS = ["drop", "rename", "dropDatabase", "invalidate"];
+
+// Eventos que traen el documento completo (un update posterior en la misma tanda no les quita eso)
+const FULL_DOCUMENT_OPERATIONS = ["insert", "replace"];
+
+/**
+ * parseWatchFlags: Valida --batch-size y --batch-wait del modo --watch.
+ * @param {Object} options - Flags de línea de comandos ya parseados.
+ * @returns {{batchSize: number, batchWaitMs: number}}
+ */
+function parseWatchFlags(options) {
+  return {
+    batchSize: options.batchSize !== undefined ? parseIntFlag(options.batchSize, "--batch-size", 1) : DEFAULT_BATCH_SIZE,
+    batchWaitMs: options.batchWait !== undefined ? parseIntFlag(options.batchWait, "--batch-wait") : DEFAULT_BATCH_WAIT_MS,
+  };
+}
+
+/**
+ * readBatch: Espera el próximo evento del change stream y junta los que lleguen en los
+ * siguientes batchWaitMs, hasta batchSize. Así una ráfaga de escrituras en Mongo se procesa
+ * junta en lugar de evento por evento.
+ * @param {ChangeStream} changeStream - Change stream abierto.
+ * @param {{batchSize: number, batchWaitMs: number}} options - Tamaño y espera de la tanda.
+ * @returns {Promise<Array<Object>>} - Eventos en el orden en que ocurrieron (vacío si el stream se cerró).
+ */
+async function readBatch(changeStream, { batchSize, batchWaitMs }) {
+  const first = await changeStream.next();
+  if (!first) return [];
+
+  const events = [first];
+  const deadline = Date.now() + batchWaitMs;
+  while (events.length < batchSize && !changeStream.closed) {
+    const event = await changeStream.tryNext();
+    if (event) {
+      events.push(event);
+      continue;
+    }
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) break;
+    await sleep(Math.min(POLL_INTERVAL_MS, remaining));
+  }
+  return events;
+}
+
+/**
+ * mergeEvent: Combina el evento anterior de un documento en la tanda con el siguiente, sin perder
+ * qué cambió: un update después de un insert o replace sigue contando como insert o replace (con
+ * el documento más reciente), y dos updates juntan sus campos modificados y eliminados. Cualquier
+ * otro evento (delete, replace, insert) reemplaza al anterior.
+ * @param {Object|undefined} previous - Evento acumulado del documento.
+ * @param {Object} event - Evento siguiente.
+ * @returns {Object}
+ */
+function mergeEvent(previous, event) {
+  if (!previous || event.operationType !== "update") return event;
+  if (FULL_DOCUMENT_OPERATIONS.includes(previous.operationType)) {
+    return { ...event, operationType: previous.operationType, updateDescription: undefined };
+  }
+  if (previous.operationType !== "update") return event;
+  // Sin updateDescription no se sabe qué campos cambiaron: el resultado tampoco la lleva
+  if (!previous.updateDescription || !event.updateDescription) {
+    return { ...event, updateDescription: undefined };
+  }
+  const before = previous.updateDescription;
+  const after = event.updateDescription;
+  return {
+    ...event,
+    updateDescription: {
+      ...after,
+      updatedFields: { ...before.updatedFields, ...after.updatedFields },
+      removedFields: [...new Set([...(before.removedFields || []), ...(after.removedFields || [])])],
+    },
+  };
+}
+
+/**
+ * coalesceEvents: Deja un solo evento por documento con su estado final: si un documento se
+ * insertó y luego se modificó, queda un insert con el documento más reciente; si se modificó
+ * varias veces, un update con todos los campos que cambiaron (ver mergeEvent); si se borró, el
+ * borrado. Los eventos que terminan el stream (drop, rename...) se devuelven aparte.
+ * @param {Array<Object>} events - Eventos de la tanda.
+ * @returns {{changes: Array<Object>, terminal: Object|null}} - changes: eventos por documento.
+ */
+function coalesceEvents(events) {
+  const byDocument = new Map();
+  let terminal = null;
+  for (const event of events) {
+    if (TERMINAL_OPERATIONS.includes(event.operationType)) {
+      terminal = terminal || event;
+      continue;
+    }
+    if (!event.documentKey) continue;
+    const key = String(event.documentKey._id);
+    const merged = mergeEvent(byDocument.get(key), event);
+    byDocument.delete(key);
+    byDocument.set(key, merged);
+  }
+  return { changes: [...byDocument.values()], terminal };
+}
+
+/**
+ * backoffDelayMs: Espera antes de reintentar una tanda que falló por límites de Notion o errores
+ * temporales (exponencial, con tope).
+ * @param {number} attempt - Intento fallido (desde 0).
+ * @returns {number}
+ */
+function backoffDelayMs(attempt) {
+  return Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt);
+}
+
+/**
+ * isReplicaSetError: Indica si Mongo rechazó el change stream porque el servidor no es un replica set.
+ * @param {Error} error - Error del driver de Mongo.
+ * @returns {boolean}
+ */
+function isReplicaSetError(error) {
+  return error?.code === 40573 || /replica set/i.test(error?.message || "");
+}
+
+module.exports = {
+  parseWatchFlags,
+  readBatch,
+  coalesceEvents,
+  backoffDelayMs,
+  isReplicaSetError,
+};
@@ -0,0 +1,251 @@
+/************************************************************
+ * CHECKPOINTS Y REANUDACIÓN DE IMPORTACIONES (compartido por ambos scripts)
+ ************************************************************/
+const fs = require("fs");
+const path = require("path");
+const { StringDecoder } = require("string_decoder");
+const { timestampedPath } = require("./report_files.cjs");
+
+/**
+ * defaultJournalPath: Ruta por defecto del journal, dentro de ./checkpoints.
+ * @param {string} source - Origen de los datos ("excel" o "mongo").
+ * @returns {string} - Ruta al .jsonl.
+ */
+function defaultJournalPath(source) {
+  return timestampedPath(source, ".jsonl", "checkpoints");
+}
+
+const READ_CHUNK_SIZE = 1024 * 1024; // Bytes que se leen del journal por vez
+
+/**
+ * emptySummary: Contadores iniciales del resumen de una importación.
+ */
+function emptySummary() {
+  return { created: 0, updated: 0, skipped: 0, failed: 0, pending: 0 };
+}
+
+/**
+ * emptyCounts: Contadores de un journal sin retainKeys (planned: filas del plan a crear o actualizar).
+ */
+function emptyCounts() {
+  return { ...emptySummary(), planned: 0 };
+}
+
+/**
+ * countPlan: Suma las filas de un plan a los contadores.
+ */
+function countPlan(counts, planRows) {
+  for (const row of planRows) {
+    if (row.action === "skip") counts.skipped++;
+    else counts.planned++;
+  }
+}
+
+/**
+ * readLines: Recorre las líneas de un archivo de a READ_CHUNK_SIZE bytes, sin leerlo entero.
+ * @param {string} filePath - Ruta del archivo.
+ * @returns {Generator<string>}
+ */
+function* readLines(filePath) {
+  const fd = fs.openSync(filePath, "r");
+  const decoder = new StringDecoder("utf8");
+  const buffer = Buffer.alloc(READ_CHUNK_SIZE);
+  let pending = "";
+  try {
+    let bytesRead;
+    while ((bytesRead = fs.readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+      const lines = (pending + decoder.write(buffer.subarray(0, bytesRead))).split("\n");
+      pending = lines.pop();
+      yield* lines;
+    }
+    yield pending + decoder.end();
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * readJournal: Lee un journal existente, línea por línea.
+ * En los journals de importaciones en streaming (meta.stream), plan y results guardan solo lo
+ * registrado después de la última tanda completa (la línea "progress"): lo anterior ya no hace
+ * falta para reanudar y queda solo en counts, así la memoria no crece con la cantidad de filas.
+ * @param {string} filePath - Ruta al .jsonl.
+ * @returns {{meta: Object, plan: Array<Object>|null, results: Map<string, Object>, finished: boolean,
+ *   progress: Object|null, counts: Object}}
+ *   plan: [{ key, action: "create"|"update"|"skip", recordId? }] (las importaciones en streaming lo
+ *   escriben por tandas, en varias líneas); results: key => { status, pageId }; progress: la última
+ *   posición de una importación en streaming ({ read, lastId? }); counts: filas de todo el journal
+ *   por resultado y filas planificadas (planned).
+ */
+function readJournal(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`No existe el journal "${filePath}".`);
+  }
+
+  let meta = null;
+  let plan = null;
+  let finished = false;
+  let progress = null;
+  const results = new Map();
+  const counts = emptyCounts();
+
+  for (const line of readLines(filePath)) {
+    if (!line.trim()) continue;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      // Última línea cortada por un corte abrupto del proceso: se ignora
+      continue;
+    }
+    if (record.type === "meta") {
+      meta = record;
+    } else if (record.type === "plan") {
+      plan = [...(plan || []), ...record.rows];
+      countPlan(counts, record.rows);
+    } else if (record.type === "row") {
+      results.set(record.key, { status: record.status, pageId: record.pageId });
+      if (counts[record.status] !== undefined) counts[record.status]++;
+    } else if (record.type === "progress") {
+      const { type, ...position } = record;
+      progress = position;
+      if (meta?.stream) {
+        plan = [];
+        results.clear();
+      }
+    } else if (record.type === "done") {
+      finished = true;
+    }
+  }
+
+  if (!meta) {
+    throw new Error(`"${filePath}" no es un journal válido (falta la línea "meta").`);
+  }
+  return { meta, plan, results, finished, progress, counts };
+}
+
+/**
+ * createJournal: Abre (o continúa) un journal de checkpoints en formato JSON Lines.
+ * Cada escritura es sincrónica, así lo registrado sobrevive a un corte del proceso.
+ * Con retainKeys: false (importaciones en streaming) no se guardan en memoria el plan ni los
+ * resultados de cada fila, solo sus cantidades: la memoria no crece con la cantidad de filas.
+ * @param {string} filePath - Ruta del journal.
+ * @param {Object} [meta] - Datos de la importación (solo al crear uno nuevo).
+ * @param {{retainKeys?: boolean}} [options] - retainKeys: true por defecto.
+ * @returns {Object} - { path, writePlan, record, writeProgress, markDone, flush, close, summary }.
+ */
+function createJournal(filePath, meta, options = {}) {
+  const retainKeys = options.retainKeys !== false;
+  const isNew = !fs.existsSync(filePath);
+  const previous = isNew ? null : readJournal(filePath);
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const fd = fs.openSync(filePath, "a");
+  const write = (record) => fs.writeSync(fd, JSON.stringify(record) + "\n");
+
+  let plan = retainKeys && previous ? previous.plan : null;
+  const results = retainKeys && previous ? previous.results : new Map();
+  // Cantidades para el resumen sin retainKeys
+  const counts = previous ? { ...previous.counts } : emptyCounts();
+  if (!retainKeys && previous) {
+    // Las filas de la tanda cortada que no llegaron a procesarse se vuelven a planificar al reanudar
+    for (const row of previous.plan || []) {
+      if (row.action !== "skip" && !previous.results.has(row.key)) counts.planned--;
+    }
+  }
+
+  if (isNew) {
+    write({ type: "meta", ...meta, startedAt: new Date().toISOString() });
+  }
+
+  return {
+    path: filePath,
+
+    // Guarda la clasificación de filas (crear/actualizar/omitir) para no repetirla al reanudar
+    writePlan(planRows) {
+      if (retainKeys) plan = [...(plan || []), ...planRows];
+      else countPlan(counts, planRows);
+      write({ type: "plan", rows: planRows });
+    },
+
+    // Registra el resultado de una fila procesada
+    record(key, status, pageId) {
+      if (retainKeys) results.set(key, { status, pageId: pageId || null });
+      else if (counts[status] !== undefined) counts[status]++;
+      write({ type: "row", key, status, pageId: pageId || null });
+    },
+
+    // Registra hasta dónde se leyó una importación en streaming (todas las filas anteriores ya se procesaron)
+    writeProgress(position) {
+      write({ type: "progress", ...position });
+    },
+
+    markDone() {
+      write({ type: "done", finishedAt: new Date().toISOString() });
+    },
+
+    flush() {
+      fs.fsyncSync(fd);
+    },
+
+    close() {
+      fs.fsyncSync(fd);
+      fs.closeSync(fd);
+    },
+
+    // Cuenta filas creadas, actualizadas, omitidas, fallidas y pendientes según el plan
+    summary() {
+      if (!retainKeys) {
+        const { planned, ...summary } = counts;
+        summary.pending = Math.max(0, planned - summary.created - summary.updated - summary.failed);
+        return summary;
+      }
+      const summary = emptySummary();
+      for (const { status } of results.values()) {
+        if (summary[status] !== undefined) summary[status]++;
+      }
+      for (const row of plan || []) {
+        if (row.action === "skip") summary.skipped++;
+        else if (!results.has(row.key)) summary.pending++;
+      }
+      return summary;
+    },
+  };
+}
+
+/**
+ * watchInterrupts: Atiende Ctrl+C (SIGINT) durante la exportación. La primera señal pide
+ * detener el proceso de forma ordenada; la segunda sale inmediatamente.
+ * Se escucha también en readline porque, con TTY, Ctrl+C llega como tecla y no como señal.
+ * @param {readline.Interface} rl - Interfaz de readline del script.
+ * @param {Function} onInterrupt - Se llama con la primera señal.
+ * @returns {{isInterrupted: Function, dispose: Function}}
+ */
+function watchInterrupts(rl, onInterrupt) {
+  let interrupted = false;
+  const handler = () => {
+    if (interrupted) {
+      process.exit(130);
+    }
+    interrupted = true;
+    onInterrupt();
+  };
+
+  process.on("SIGINT", handler);
+  rl.on("SIGINT", handler);
+
+  return {
+    isInterrupted: () => interrupted,
+    dispose() {
+      process.removeListener("SIGINT", handler);
+      rl.removeListener("SIGINT", handler);
+    },
+  };
+}
+
+module.exports = {
+  defaultJournalPath,
+  readJournal,
+  createJournal,
+  watchInterrupts,
+};
@@ -0,0 +1,179 @@
+/************************************************************
+ * PARSEO DE FLAGS DE LÍNEA DE COMANDOS (compartido por ambos scripts)
+ ************************************************************/
+
+/**
+ * toCamelCase: Convierte "dedupe-fields" en "dedupeFields".
+ * @param {string} flagName - Nombre del flag sin los guiones iniciales.
+ * @returns {string} - Nombre en camelCase.
+ */
+function toCamelCase(flagName) {
+  return flagName.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+/**
+ * parseCliArgs: Lee los flags de la línea de comandos según una especificación.
+ * Acepta "--flag valor" y "--flag=valor". Los flags "boolean" no llevan valor y los
+ * marcados como "multiple" pueden repetirse (se devuelven como arreglo).
+ * @param {string[]} argv - Argumentos a procesar (normalmente process.argv.slice(2)).
+ * @param {Object} spec - { "nombre-flag": { type: "string"|"boolean", multiple?: boolean } }.
+ * @returns {Object} - Opciones en camelCase; los flags no pasados quedan como undefined.
+ */
+function parseCliArgs(argv, spec) {
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) {
+      throw new Error(`Argumento no reconocido: "${arg}". Usa --help para ver las opciones.`);
+    }
+
+    const eqIndex = arg.indexOf("=");
+    const flagName = eqIndex === -1 ? arg.slice(2) : arg.slice(2, eqIndex);
+    const definition = spec[flagName];
+    if (!definition) {
+      throw new Error(`Flag desconocido: "--${flagName}". Usa --help para ver las opciones.`);
+    }
+
+    const key = toCamelCase(flagName);
+    if (definition.type === "boolean") {
+      options[key] = true;
+      continue;
+    }
+
+    let value;
+    if (eqIndex !== -1) {
+      value = arg.slice(eqIndex + 1);
+    } else {
+      value = argv[i + 1];
+      if (value === undefined || value.startsWith("--")) {
+        throw new Error(`El flag "--${flagName}" requiere un valor.`);
+      }
+      i++;
+    }
+
+    if (definition.multiple) {
+      options[key] = (options[key] || []).concat(value);
+    } else {
+      options[key] = value;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * parseMapFlags: Convierte los valores de --map ("Header=Nombre:tipo") en un mapeo
+ * { header: { name?, type? } }. El nombre y el tipo son opcionales por separado:
+ * "Precio=:number" solo cambia el tipo y "Precio=Importe" solo el nombre.
+ * @param {string[]} mapValues - Valores recibidos en los flags --map.
+ * @param {string[]} validTypes - Tipos de propiedad de Notion aceptados.
+ * @returns {Object} - Mapeo de overrides por header.
+ */
+function parseMapFlags(mapValues, validTypes) {
+  const overrides = {};
+
+  for (const raw of mapValues || []) {
+    const eqIndex = raw.indexOf("=");
+    if (eqIndex <= 0) {
+      throw new Error(`Valor inválido para --map: "${raw}". Formato esperado: Header=Nombre:tipo`);
+    }
+    const header = raw.slice(0, eqIndex).trim();
+    const target = raw.slice(eqIndex + 1);
+    const colonIndex = target.lastIndexOf(":");
+
+    const name = (colonIndex === -1 ? target : target.slice(0, colonIndex)).trim();
+    const type = colonIndex === -1 ? "" : target.slice(colonIndex + 1).trim();
+
+    if (type && !validTypes.includes(type)) {
+      throw new Error(`Tipo "${type}" inválido en --map "${raw}". Tipos válidos: ${validTypes.join(", ")}`);
+    }
+
+    overrides[header] = {};
+    if (name) overrides[header].name = name;
+    if (type) overrides[header].type = type;
+  }
+
+  return overrides;
+}
+
+/**
+ * parseListFlag: Separa un valor "a, b, c" en ["a", "b", "c"], descartando vacíos.
+ * @param {string} value - Valor del flag.
+ * @returns {string[]} - Lista de elementos.
+ */
+function parseListFlag(value) {
+  return String(value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter((item) => item);
+}
+
+/**
+ * parseIntFlag: Valida que el valor de un flag sea un entero mayor o igual a un mínimo.
+ * @param {string} value - Valor del flag.
+ * @param {string} flagLabel - Nombre del flag, para el mensaje de error.
+ * @param {number} [min] - Valor mínimo aceptado (0 por defecto).
+ * @returns {number} - Valor convertido a número.
+ */
+function parseIntFlag(value, flagLabel, min = 0) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min) {
+    throw new Error(`Valor inválido para ${flagLabel}: "${value}". Debe ser un entero >= ${min}.`);
+  }
+  return number;
+}
+
+/**
+ * validateChoice: Verifica que el valor recibido por flag sea una de las opciones disponibles.
+ * @param {string} value - Valor del flag.
+ * @param {string[]} choices - Opciones válidas (hojas, encabezados, etc.).
+ * @param {string} flagLabel - Nombre del flag, para el mensaje de error.
+ * @returns {string} - El mismo valor, si es válido.
+ */
+function validateChoice(value, choices, flagLabel) {
+  if (!choices.includes(value)) {
+    throw new Error(`Valor inválido para ${flagLabel}: "${value}". Opciones: ${choices.join(", ")}`);
+  }
+  return value;
+}
+
+/**
+ * isInteractive: Indica si hay una terminal para hacer preguntas (stdin es TTY).
+ * @returns {boolean}
+ */
+function isInteractive() {
+  return Boolean(process.stdin.isTTY);
+}
+
+/**
+ * ensureInteractive: Lanza un error claro si falta un valor requerido y no hay TTY,
+ * para que el proceso termine en lugar de quedar esperando en readline.
+ * @param {string} flagLabel - Flag o variable que debería haberse pasado (p.ej. "--db").
+ */
+function ensureInteractive(flagLabel) {
+  if (!isInteractive()) {
+    throw new Error(
+      `Falta el valor requerido ${flagLabel} y no hay una terminal interactiva para preguntarlo.`
+    );
+  }
+}
+
+// Valores de --on-duplicate y su equivalente en las opciones numéricas del menú
+const DUPLICATE_OPTION_FLAGS = {
+  skip: "1",
+  update: "2",
+  none: "3",
+  upsert: "4",
+};
+
+module.exports = {
+  parseCliArgs,
+  parseMapFlags,
+  parseListFlag,
+  parseIntFlag,
+  validateChoice,
+  isInteractive,
+  ensureInteractive,
+  DUPLICATE_OPTION_FLAGS,
+};
@@ -0,0 +1,320 @@
+/************************************************************
+ * CONVERSIÓN DE FECHAS PARA NOTION (compartido por ambos scripts)
+ ************************************************************/
+const { parseListFlag } = require("./cli_args.cjs");
+
+// Excel cuenta los días desde el 30/12/1899 (con el 29/02/1900 ficticio del serial 60)
+const EXCEL_EPOCH_MS = Date.UTC(1899, 11, 30);
+const MAX_EXCEL_SERIAL = 2958466; // 01/01/10000
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ISO_PATTERN =
+  /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i;
+const DAY_FIRST_PATTERN = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4}|\d{2})(?:[ T,]+(\d{1,2}):(\d{2})(?::(\d{2}))?)?$/;
+const MONTH_NAME_PATTERN = /\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\b.*\b\d{4}\b/i;
+
+const pad = (number, length = 2) => String(number).padStart(length, "0");
+
+/**
+ * isValidTimeZone: Indica si el nombre es una zona horaria IANA conocida (p.ej. "America/Bogota").
+ * @param {string} timeZone - Nombre de la zona.
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * parseDateFlags: Valida --date-range (repetible, "Inicio,Fin") y --time-zone.
+ * @param {Object} options - Flags de línea de comandos ya parseados.
+ * @returns {{dateRanges: Object, timeZone?: string}} - dateRanges: { columnaInicio: columnaFin }.
+ */
+function parseDateFlags(options) {
+  const dateRanges = {};
+  for (const raw of options.dateRange || []) {
+    const columns = parseListFlag(raw);
+    if (columns.length !== 2) {
+      throw new Error(`Valor inválido para --date-range: "${raw}". Formato esperado: Inicio,Fin`);
+    }
+    dateRanges[columns[0]] = columns[1];
+  }
+
+  if (options.timeZone !== undefined && !isValidTimeZone(options.timeZone)) {
+    throw new Error(`Zona horaria inválida para --time-zone: "${options.timeZone}". Usa un nombre IANA, p.ej. America/Bogota.`);
+  }
+  return { dateRanges, timeZone: options.timeZone };
+}
+
+/**
+ * buildParts: Valida los componentes de una fecha y los devuelve normalizados, o null si la
+ * fecha no existe (p.ej. 31/02).
+ */
+function buildParts(year, month, day, hour, minute, second, offset) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  if (hour === undefined) {
+    return { date: `${pad(year, 4)}-${pad(month)}-${pad(day)}`, time: null, offset: null };
+  }
+  if (hour > 23 || minute > 59 || second > 59) {
+    return null;
+  }
+  return {
+    date: `${pad(year, 4)}-${pad(month)}-${pad(day)}`,
+    time: `${pad(hour)}:${pad(minute)}:${pad(second)}`,
+    offset: offset ? offset.toUpperCase().replace(/^([+-]\d{2})(\d{2})$/, "$1:$2") : null,
+  };
+}
+
+/**
+ * fromInstant: Representa un instante (Date) como fecha. A medianoche UTC se toma como fecha
+ * sin hora, que es como suelen guardarse los días sueltos en Mongo.
+ */
+function fromInstant(date) {
+  if (Number.isNaN(date.getTime())) {
+    return null;
+  }
+  const isMidnight =
+    date.getUTCHours() === 0 && date.getUTCMinutes() === 0 && date.getUTCSeconds() === 0 && date.getUTCMilliseconds() === 0;
+  if (isMidnight) {
+    return { date: date.toISOString().slice(0, 10), time: null, offset: null };
+  }
+  return { date: date.toISOString().slice(0, 10), time: date.toISOString().slice(11, 19), offset: "Z", instant: date };
+}
+
+/**
+ * fromExcelSerial: Convierte un serial de fecha de Excel (p.ej. 45123 o 45123.5 con hora).
+ * La hora de un serial es la del reloj de quien cargó la planilla, sin zona horaria.
+ */
+function fromExcelSerial(serial) {
+  if (!(serial > 0 && serial < MAX_EXCEL_SERIAL)) {
+    return null;
+  }
+  const days = serial < 60 ? serial + 1 : serial; // Corrige el 29/02/1900 que Excel cuenta y no existió
+  const date = new Date(EXCEL_EPOCH_MS + Math.round(days * DAY_MS / 1000) * 1000);
+  const hasTime = serial % 1 !== 0;
+  return buildParts(
+    date.getUTCFullYear(),
+    date.getUTCMonth() + 1,
+    date.getUTCDate(),
+    hasTime ? date.getUTCHours() : undefined,
+    date.getUTCMinutes(),
+    date.getUTCSeconds()
+  );
+}
+
+/**
+ * toExcelSerial: Serial de fecha de Excel de una hora de reloj ("YYYY-MM-DD" o "YYYY-MM-DDTHH:mm:ss"),
+ * el inverso de fromExcelSerial. Devuelve null si el texto no es una fecha.
+ * @param {string} wallClock - Fecha, con o sin hora, sin offset.
+ * @returns {number|null}
+ */
+function toExcelSerial(wallClock) {
+  const match = ISO_PATTERN.exec(wallClock || "");
+  if (!match) {
+    return null;
+  }
+  const [year, month, day, hour = 0, minute = 0, second = 0] = match
+    .slice(1, 7)
+    .map((part) => (part === undefined ? part : Number(part)));
+  const days = (Date.UTC(year, month - 1, day, hour, minute, second) - EXCEL_EPOCH_MS) / DAY_MS;
+  return days < 61 ? days - 1 : days; // Excel cuenta el 29/02/1900, que no existió
+}
+
+/**
+ * parseDateValue: Interpreta un valor de la fuente como fecha.
+ * Acepta objetos Date (Mongo), seriales de Excel (números), ISO 8601 ("2025-01-30",
+ * "2025-01-30T10:00:00-03:00"), día/mes/año ("30/01/2025", "30-01-25 10:00") y textos que
+ * entienda Date.parse con el nombre del mes ("Tue Oct 14 2025 10:00:00 GMT-0300").
+ * @param {any} value - Valor a interpretar.
+ * @returns {{date: string, time: string|null, offset: string|null, instant?: Date}|null} - null si no es una fecha.
+ */
+function parseDateValue(value) {
+  if (value instanceof Date) {
+    return fromInstant(value);
+  }
+  if (typeof value === "number") {
+    return fromExcelSerial(value);
+  }
+  if (typeof value !== "string") {
+    return null;
+  }
+
+  const text = value.trim();
+  let match = text.match(ISO_PATTERN);
+  if (match) {
+    const [, year, month, day, hour, minute, second = "0", offset] = match;
+    const parts = buildParts(+year, +month, +day, hour && +hour, minute && +minute, +second, offset);
+    if (parts && parts.offset) {
+      parts.instant = new Date(`${parts.date}T${parts.time}${parts.offset}`);
+    }
+    return parts;
+  }
+
+  match = text.match(DAY_FIRST_PATTERN);
+  if (match) {
+    const [, day, month, rawYear, hour, minute, second = "0"] = match;
+    const year = rawYear.length === 2 ? 2000 + Number(rawYear) - (Number(rawYear) >= 70 ? 100 : 0) : Number(rawYear);
+    return buildParts(year, +month, +day, hour && +hour, minute && +minute, +second);
+  }
+
+  if (MONTH_NAME_PATTERN.test(text)) {
+    const parsed = Date.parse(text);
+    if (!Number.isNaN(parsed)) {
+      return fromInstant(new Date(parsed));
+    }
+  }
+  return null;
+}
+
+/**
+ * formatInTimeZone: Hora de reloj ("YYYY-MM-DDTHH:mm:ss") de un instante en una zona horaria.
+ */
+function formatInTimeZone(date, timeZone) {
+  const parts = {};
+  const formatter = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+    hourCycle: "h23",
+  });
+  for (const { type, value } of formatter.formatToParts(date)) {
+    parts[type] = value;
+  }
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}`;
+}
+
+/**
+ * parseNotionDate: Instante (Date) de un inicio o fin de fecha de Notion. Las horas de reloj
+ * con time_zone se interpretan en esa zona; sin zona ni offset, como UTC (igual que al enviarlas).
+ * @param {string} text - Inicio o fin de la fecha ("2025-01-30", "2025-01-30T10:00:00.000-03:00"...).
+ * @param {string} [timeZone] - time_zone de la fecha, si tiene.
+ * @returns {Date|null} - null si el texto no es una fecha ISO.
+ */
+function parseNotionDate(text, timeZone) {
+  const match = String(text ?? "").match(ISO_PATTERN);
+  if (!match) {
+    return null;
+  }
+  const [, year, month, day, hour = "0", minute = "0", second = "0", offset] = match;
+  if (offset) {
+    return new Date(text);
+  }
+  const wallClock = Date.UTC(+year, month - 1, +day, +hour, +minute, +second);
+  if (!timeZone || match[4] === undefined) {
+    return new Date(wallClock);
+  }
+  // Diferencia entre la hora de reloj de la zona y UTC en ese momento
+  const zoneOffset = Date.parse(`${formatInTimeZone(new Date(wallClock), timeZone)}Z`) - wallClock;
+  return new Date(wallClock - zoneOffset);
+}
+
+/**
+ * toNotionDateString: Texto que se envía a Notion como inicio o fin de una fecha.
+ * Con zona horaria, las fechas con hora se envían como hora de reloj de esa zona (Notion exige
+ * que no lleven offset cuando se indica time_zone); sin ella, las horas sin offset se toman como UTC.
+ */
+function toNotionDateString(parts, timeZone) {
+  if (!parts.time) {
+    return parts.date;
+  }
+  if (timeZone) {
+    return parts.instant ? formatInTimeZone(parts.instant, timeZone) : `${parts.date}T${parts.time}`;
+  }
+  return `${parts.date}T${parts.time}${parts.offset || ""}`;
+}
+
+/**
+ * buildDatePayload: Construye la propiedad date de Notion a partir de uno o dos valores.
+ * @param {any} startValue - Valor de la columna de inicio.
+ * @param {any} [endValue] - Valor de la columna de fin (rango), si existe.
+ * @param {Object} [options] - { timeZone, label } (label: nombre de la propiedad, para los errores).
+ * @returns {{date: Object|null}} - date null si no hay valor de inicio.
+ * @throws {Error} - Si algún valor no es una fecha reconocible.
+ */
+function buildDatePayload(startValue, endValue, { timeZone, label = "fecha" } = {}) {
+  const isEmpty = (value) => value === undefined || value === null || String(value).trim() === "";
+  if (isEmpty(startValue)) {
+    return { date: null };
+  }
+
+  const toString = (value) => {
+    const parts = parseDateValue(value);
+    if (!parts) {
+      throw new Error(`"${value}" no es una fecha válida para "${label}".`);
+    }
+    return { text: toNotionDateString(parts, timeZone), hasTime: Boolean(parts.time) };
+  };
+
+  const start = toString(startValue);
+  const end = isEmpty(endValue) ? null : toString(endValue);
+
+  const date = { start: start.text };
+  if (end) {
+    date.end = end.text;
+  }
+  if (timeZone && (start.hasTime || end?.hasTime)) {
+    date.time_zone = timeZone;
+  }
+  return { date };
+}
+
+/**
+ * applyDateOptions: Completa el mapeo de las propiedades de fecha con los rangos y la zona horaria.
+ * En un rango, la columna de fin se guarda como `endField` de la propiedad de inicio y deja de
+ * importarse como propiedad propia. Los rangos y zonas que ya trae el mapeo de un perfil se conservan.
+ * Un rango del perfil cuyas columnas ya no están en la hoja se descarta (y se devuelve para
+ * avisarlo); uno pedido con --date-range que no existe es un error.
+ * @param {Object} selectedProperties - Mapeo { header: { name, type } } (se modifica).
+ * @param {Object} params - { dateRanges: { inicio: fin }, timeZone, titleField, savedProperties }.
+ * @returns {Array<{startField: string, endField: string, missing: string}>} - Rangos del perfil descartados.
+ */
+function applyDateOptions(selectedProperties, { dateRanges = {}, timeZone, titleField, savedProperties = {} }) {
+  const ranges = {};
+  for (const [header, saved] of Object.entries(savedProperties)) {
+    if (saved?.endField) ranges[header] = saved.endField;
+  }
+  Object.assign(ranges, dateRanges);
+
+  const skippedRanges = [];
+  for (const [startField, endField] of Object.entries(ranges)) {
+    const missing = [startField, endField].find((field) => !selectedProperties[field] || field === titleField);
+    if (missing && dateRanges[startField] === undefined) {
+      skippedRanges.push({ startField, endField, missing });
+      continue;
+    }
+    if (missing) {
+      throw new Error(`El rango de fechas "${startField},${endField}" usa "${missing}", que no es una columna importable.`);
+    }
+    selectedProperties[startField] = { ...selectedProperties[startField], type: "date", endField };
+    delete selectedProperties[endField];
+  }
+
+  for (const [header, mapping] of Object.entries(selectedProperties)) {
+    const zone = timeZone ?? savedProperties[header]?.timeZone;
+    if (mapping.type === "date" && zone) {
+      mapping.timeZone = zone;
+    }
+  }
+  return skippedRanges;
+}
+
+module.exports = {
+  parseDateFlags,
+  parseDateValue,
+  formatInTimeZone,
+  parseNotionDate,
+  toExcelSerial,
+  buildDatePayload,
+  applyDateOptions,
+};
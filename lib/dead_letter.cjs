@@ -0,0 +1,134 @@
+/************************************************************
+ * ARCHIVO DE FALLIDOS (DEAD-LETTER) (compartido por ambos scripts)
+ ************************************************************/
+const fs = require("fs");
+const path = require("path");
+const { timestampedPath } = require("./report_files.cjs");
+
+// Máximo de caracteres que admite una celda de Excel
+const MAX_XLSX_CELL_LENGTH = 32767;
+
+/**
+ * defaultDeadLetterPath: Ruta por defecto del archivo de fallidos, en la carpeta actual.
+ * @param {string} source - Origen de los datos ("excel" o "mongo").
+ * @returns {string} - Ruta al .jsonl (p.ej. fallidos_excel_2025-01-30T10-00-00.jsonl).
+ */
+function defaultDeadLetterPath(source) {
+  return timestampedPath(`fallidos_${source}`, ".jsonl");
+}
+
+/**
+ * serializeError: Extrae del error de Notion los datos útiles para diagnosticar el fallo.
+ * @param {Error} error - Error lanzado por el cliente de Notion.
+ * @returns {{code: string|null, status: number|null, message: string}}
+ */
+function serializeError(error) {
+  return {
+    code: (error && error.code) || null,
+    status: (error && error.status) || null,
+    message: error && error.message ? error.message : String(error),
+  };
+}
+
+/**
+ * payloadOrError: Construye el payload de una fila para dejarlo registrado (en fallidos o en el
+ * plan de una simulación). Si la fila tiene un valor que no se puede convertir, devuelve
+ * { error } en lugar de interrumpir el proceso.
+ * @param {Function} build - Función que construye el payload.
+ * @returns {Object} - Payload o { error }.
+ */
+function payloadOrError(build) {
+  try {
+    return build();
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+/**
+ * writeDeadLetters: Escribe las filas que fallaron definitivamente en un archivo JSON Lines.
+ * La primera línea ("meta") guarda el mapeo usado, para poder reintentar con el mismo mapeo;
+ * cada línea siguiente es una fila con su payload de Notion y el error recibido.
+ * Con `xlsx` también se genera un .xlsx con las filas originales, fácil de revisar y corregir
+ * (los textos de más de 32767 caracteres se cortan en el .xlsx, no en el .jsonl).
+ * @param {string} filePath - Ruta del .jsonl a generar.
+ * @param {Object} meta - { source, databaseId, selectedProperties, newProperties }.
+ * @param {Array<Object>} failures - { rowNumber, operation, recordId?, updateOnlyNewProperties?,
+ *   changes?, entry, payload, error } (changes: propiedades que cambiaban, con upsert).
+ * @param {Object} [options] - { xlsx: boolean }.
+ * @returns {{jsonlPath: string, xlsxPath: string|null}}
+ */
+function writeDeadLetters(filePath, meta, failures, options = {}) {
+  const lines = [JSON.stringify({ type: "meta", ...meta, createdAt: new Date().toISOString() })];
+  for (const failure of failures) {
+    lines.push(
+      JSON.stringify({
+        type: "row",
+        rowNumber: failure.rowNumber,
+        operation: failure.operation,
+        recordId: failure.recordId || null,
+        updateOnlyNewProperties: failure.updateOnlyNewProperties || false,
+        ...(failure.changes ? { changes: failure.changes } : {}),
+        entry: failure.entry,
+        payload: failure.payload,
+        error: serializeError(failure.error),
+      })
+    );
+  }
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, lines.join("\n") + "\n");
+
+  let xlsxPath = null;
+  if (options.xlsx) {
+    const xlsx = require("xlsx");
+    // Los textos que no entran en una celda se cortan en el .xlsx; el .jsonl los conserva completos
+    const fitCell = (value) =>
+      typeof value === "string" && value.length > MAX_XLSX_CELL_LENGTH ? value.slice(0, MAX_XLSX_CELL_LENGTH) : value;
+    const sheetRows = failures.map((failure) => {
+      const row = {
+        _fila: failure.rowNumber,
+        _operacion: failure.operation,
+        _error: serializeError(failure.error).message,
+      };
+      for (const [header, value] of Object.entries(failure.entry)) {
+        row[header] = fitCell(value);
+      }
+      return row;
+    });
+    const workbook = xlsx.utils.book_new();
+    xlsx.utils.book_append_sheet(workbook, xlsx.utils.json_to_sheet(sheetRows), "Fallidos");
+    xlsxPath = filePath.replace(/\.jsonl$/i, "") + ".xlsx";
+    xlsx.writeFile(workbook, xlsxPath);
+  }
+
+  return { jsonlPath: filePath, xlsxPath };
+}
+
+/**
+ * readDeadLetters: Lee un archivo de fallidos generado por writeDeadLetters.
+ * @param {string} filePath - Ruta al .jsonl.
+ * @returns {{meta: Object, failures: Array<Object>}}
+ */
+function readDeadLetters(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`No existe el archivo de fallidos "${filePath}".`);
+  }
+  const records = fs
+    .readFileSync(filePath, "utf8")
+    .split("\n")
+    .filter((line) => line.trim())
+    .map((line) => JSON.parse(line));
+
+  const meta = records.find((record) => record.type === "meta");
+  if (!meta || !meta.selectedProperties) {
+    throw new Error(`"${filePath}" no es un archivo de fallidos válido (falta la línea "meta").`);
+  }
+  return { meta, failures: records.filter((record) => record.type === "row") };
+}
+
+module.exports = {
+  defaultDeadLetterPath,
+  payloadOrError,
+  writeDeadLetters,
+  readDeadLetters,
+};
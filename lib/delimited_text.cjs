@@ -0,0 +1,271 @@
+/************************************************************
+ * LECTURA DE ARCHIVOS CSV / TSV / TXT (usado por el importador de Excel)
+ ************************************************************/
+const fs = require("fs");
+const path = require("path");
+
+// Extensiones que se leen como texto delimitado en lugar de como libro de Excel
+const DELIMITED_EXTENSIONS = [".csv", ".tsv", ".txt"];
+
+// Delimitadores que se prueban al detectar el formato, en orden de preferencia ante empates
+const CANDIDATE_DELIMITERS = [",", ";", "\t", "|"];
+
+// Codificaciones aceptadas por --encoding (etiquetas de TextDecoder)
+const ENCODING_ALIASES = {
+  auto: "auto",
+  utf8: "utf-8",
+  "utf-8": "utf-8",
+  latin1: "windows-1252",
+  "latin-1": "windows-1252",
+  "iso-8859-1": "windows-1252",
+  "windows-1252": "windows-1252",
+  cp1252: "windows-1252",
+};
+
+// Líneas que se analizan para detectar delimitador y comillas
+const SAMPLE_LINES = 20;
+
+/**
+ * isDelimitedFile: Indica si la ruta corresponde a un archivo de texto delimitado.
+ * @param {string} filePath - Ruta del archivo.
+ * @returns {boolean}
+ */
+function isDelimitedFile(filePath) {
+  return DELIMITED_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+/**
+ * parseDelimitedFlags: Valida --delimiter, --quote y --encoding.
+ * @param {Object} options - Flags de línea de comandos ya parseados.
+ * @returns {{delimiter?: string, quote?: string, encoding?: string}} - Solo los valores forzados.
+ */
+function parseDelimitedFlags(options) {
+  const readOptions = {};
+  if (options.delimiter !== undefined) {
+    const delimiter = ["tab", "\\t"].includes(options.delimiter.toLowerCase()) ? "\t" : options.delimiter;
+    if (delimiter.length !== 1) {
+      throw new Error(`Valor inválido para --delimiter: "${options.delimiter}". Usa un solo carácter o "tab".`);
+    }
+    readOptions.delimiter = delimiter;
+  }
+  if (options.quote !== undefined) {
+    if (options.quote.length !== 1) {
+      throw new Error(`Valor inválido para --quote: "${options.quote}". Usa un solo carácter.`);
+    }
+    readOptions.quote = options.quote;
+  }
+  if (options.encoding !== undefined) {
+    const encoding = ENCODING_ALIASES[options.encoding.toLowerCase()];
+    if (!encoding) {
+      throw new Error(
+        `Valor inválido para --encoding: "${options.encoding}". Usa ${Object.keys(ENCODING_ALIASES).join(", ")}.`
+      );
+    }
+    readOptions.encoding = encoding;
+  }
+  return readOptions;
+}
+
+/**
+ * decodeText: Convierte el contenido del archivo en texto.
+ * En modo "auto" se respeta el BOM (UTF-8 o UTF-16); sin BOM se intenta UTF-8 y, si hay
+ * bytes inválidos, se asume Latin-1 (Windows-1252), habitual en exportaciones en español.
+ * @param {Buffer} buffer - Contenido del archivo.
+ * @param {string} [encoding] - Codificación forzada o "auto".
+ * @returns {{text: string, encoding: string}}
+ */
+function decodeText(buffer, encoding = "auto") {
+  if (encoding !== "auto") {
+    const text = new TextDecoder(encoding).decode(buffer);
+    return { text: text.replace(/^\uFEFF/, ""), encoding };
+  }
+
+  if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+    return { text: new TextDecoder("utf-8").decode(buffer.subarray(3)), encoding: "utf-8 (BOM)" };
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+    return { text: new TextDecoder("utf-16le").decode(buffer.subarray(2)), encoding: "utf-16le (BOM)" };
+  }
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+    return { text: new TextDecoder("utf-16be").decode(buffer.subarray(2)), encoding: "utf-16be (BOM)" };
+  }
+  try {
+    return { text: new TextDecoder("utf-8", { fatal: true }).decode(buffer), encoding: "utf-8" };
+  } catch (error) {
+    return { text: new TextDecoder("windows-1252").decode(buffer), encoding: "windows-1252" };
+  }
+}
+
+/**
+ * detectQuote: Detecta el carácter de comillas mirando qué caracter abre y cierra campos.
+ * @param {string} sample - Primeras líneas del archivo.
+ * @returns {string} - '"' (por defecto) o "'".
+ */
+function detectQuote(sample) {
+  const countQuoted = (quote) => {
+    const q = quote === "'" ? "'" : '"';
+    const pattern = new RegExp(`(^|[,;\\t|])${q}[^${q}\\n]*${q}(?=[,;\\t|]|\\r?$)`, "gm");
+    return (sample.match(pattern) || []).length;
+  };
+  return countQuoted("'") > countQuoted('"') ? "'" : '"';
+}
+
+/**
+ * detectDelimiter: Elige el delimitador que aparece la misma cantidad de veces (y al menos una)
+ * en más líneas de la muestra; se ignoran los caracteres entre comillas.
+ * @param {string} sample - Primeras líneas del archivo.
+ * @param {string} quote - Carácter de comillas.
+ * @param {string} [fallback] - Delimitador si no se detecta ninguno.
+ * @returns {string}
+ */
+function detectDelimiter(sample, quote, fallback = ",") {
+  const lines = sample.split(/\r?\n/).filter((line) => line.trim() !== "");
+  let best = fallback;
+  let bestScore = 0;
+
+  for (const delimiter of CANDIDATE_DELIMITERS) {
+    const counts = lines.map((line) => {
+      let count = 0;
+      let inQuotes = false;
+      for (const char of line) {
+        if (char === quote) inQuotes = !inQuotes;
+        else if (char === delimiter && !inQuotes) count++;
+      }
+      return count;
+    });
+    if (counts.length === 0 || counts[0] === 0) continue;
+
+    // Líneas que coinciden con la cantidad de la fila de encabezados, ponderadas por esa cantidad
+    const consistent = counts.filter((count) => count === counts[0]).length;
+    const score = consistent * 1000 + counts[0];
+    if (score > bestScore) {
+      best = delimiter;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/**
+ * parseRecords: Separa el texto en registros y campos respetando comillas (RFC 4180):
+ * campos entre comillas pueden contener delimitadores y saltos de línea, y una comilla
+ * doble dentro de ellos representa una comilla literal.
+ * @param {string} text - Contenido del archivo.
+ * @param {string} delimiter - Delimitador de campos.
+ * @param {string} quote - Carácter de comillas.
+ * @returns {Array<{fields: string[], line: number}>} - line: línea (base 0) donde empieza el registro.
+ */
+function parseRecords(text, delimiter, quote) {
+  const records = [];
+  let fields = [];
+  let field = "";
+  let inQuotes = false;
+  let line = 0;
+  let recordLine = 0;
+
+  const endRecord = () => {
+    fields.push(field);
+    records.push({ fields, line: recordLine });
+    fields = [];
+    field = "";
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === quote && text[i + 1] === quote) {
+        field += quote;
+        i++;
+      } else if (char === quote) {
+        inQuotes = false;
+      } else {
+        if (char === "\n") line++;
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === quote && field === "") {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      fields.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || fields.length > 0) {
+    endRecord();
+  }
+  return records;
+}
+
+/**
+ * uniqueHeaders: Nombra los encabezados como lo hace xlsx: vacíos como "__EMPTY" y
+ * repetidos con sufijo "_1", "_2"...
+ * @param {string[]} rawHeaders - Primera fila del archivo.
+ * @returns {string[]}
+ */
+function uniqueHeaders(rawHeaders) {
+  const seen = {};
+  return rawHeaders.map((raw) => {
+    const base = raw === "" ? "__EMPTY" : raw;
+    if (seen[base] === undefined) {
+      seen[base] = 0;
+      return base;
+    }
+    seen[base]++;
+    return `${base}_${seen[base]}`;
+  });
+}
+
+/**
+ * readDelimitedFile: Lee un CSV/TSV/TXT y devuelve encabezados y filas con la misma forma que
+ * xlsx.utils.sheet_to_json: un objeto por fila, sin las celdas vacías, ignorando filas en blanco
+ * y con __rowNum__ (no enumerable, base 0) para conservar el número de línea del archivo.
+ * @param {string} filePath - Ruta del archivo.
+ * @param {Object} [readOptions] - { delimiter, quote, encoding } forzados por flag.
+ * @returns {{headers: string[], rows: Object[], format: {delimiter: string, quote: string, encoding: string}}}
+ */
+function readDelimitedFile(filePath, readOptions = {}) {
+  const { text, encoding } = decodeText(fs.readFileSync(filePath), readOptions.encoding);
+  const sample = text.split(/\r?\n/, SAMPLE_LINES).join("\n");
+  const quote = readOptions.quote || detectQuote(sample);
+  const defaultDelimiter = path.extname(filePath).toLowerCase() === ".tsv" ? "\t" : ",";
+  const delimiter = readOptions.delimiter || detectDelimiter(sample, quote, defaultDelimiter);
+
+  const records = parseRecords(text, delimiter, quote).filter(
+    ({ fields }) => fields.some((value) => value.trim() !== "")
+  );
+  if (records.length === 0) {
+    return { headers: [], rows: [], format: { delimiter, quote, encoding } };
+  }
+
+  const headers = uniqueHeaders(records[0].fields);
+  const rows = records.slice(1).map(({ fields, line }) => {
+    const row = {};
+    headers.forEach((header, index) => {
+      const value = fields[index];
+      if (value !== undefined && value !== "") {
+        row[header] = value;
+      }
+    });
+    Object.defineProperty(row, "__rowNum__", { value: line, enumerable: false });
+    return row;
+  });
+
+  return { headers, rows, format: { delimiter, quote, encoding } };
+}
+
+module.exports = {
+  DELIMITED_EXTENSIONS,
+  isDelimitedFile,
+  parseDelimitedFlags,
+  readDelimitedFile,
+};
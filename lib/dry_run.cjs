@@ -0,0 +1,269 @@
+/************************************************************
+ * SIMULACIÓN (DRY-RUN) DE IMPORTACIONES (compartido por ambos scripts)
+ ************************************************************/
+const fs = require("fs");
+const path = require("path");
+const { timestampedPath } = require("./report_files.cjs");
+const { ownNamespace } = require("./notion_request.cjs");
+
+// Métodos del cliente de Notion que escriben y que en una simulación no se ejecutan
+const WRITE_METHODS = [
+  ["pages", "create"],
+  ["pages", "update"],
+  ["databases", "create"],
+  ["databases", "update"],
+  ["blocks.children", "append"],
+];
+
+// Filas que se listan por acción en la tabla de consola (el plan JSON las incluye todas)
+const MAX_TABLE_ROWS = 20;
+
+// Largo máximo de un valor en las tablas de consola
+const MAX_CELL_LENGTH = 60;
+
+/**
+ * defaultPlanPath: Ruta por defecto del plan JSON, en la carpeta actual.
+ * @param {string} source - Origen de los datos ("excel" o "mongo").
+ * @returns {string} - Ruta al .json (p.ej. plan_excel_2025-01-30T10-00-00.json).
+ */
+function defaultPlanPath(source) {
+  return timestampedPath(`plan_${source}`, ".json");
+}
+
+/**
+ * createDryRunClient: Devuelve un cliente de Notion que deja pasar las lecturas y, en lugar
+ * de ejecutar las escrituras, las registra en `client.dryRunWrites` y responde con datos ficticios.
+ * Las bases de datos "creadas" durante la simulación se responden localmente (vacías y con
+ * el esquema pedido), porque no existen en Notion.
+ * @param {Client} notion - Cliente de Notion (normalmente ya envuelto con wrapNotionClient).
+ * @returns {Client} - Cliente de solo lectura.
+ */
+function createDryRunClient(notion) {
+  const client = Object.create(notion);
+  const simulatedDatabases = new Map();
+  client.dryRunWrites = [];
+
+  for (const [namespace, method] of WRITE_METHODS) {
+    ownNamespace(client, notion, namespace).target[method] = async (args) => {
+      client.dryRunWrites.push({ method: `${namespace}.${method}`, args });
+      const id = args.page_id || args.database_id || args.block_id || `dry-run-${client.dryRunWrites.length}`;
+      if (namespace === "databases" && method === "create") {
+        const properties = {};
+        for (const [name, definition] of Object.entries(args.properties)) {
+          properties[name] = { type: Object.keys(definition)[0], ...definition };
+        }
+        simulatedDatabases.set(id, { id, properties });
+      }
+      return { id };
+    };
+  }
+
+  client.databases.retrieve = async (args) =>
+    simulatedDatabases.get(args.database_id) || notion.databases.retrieve(args);
+  client.databases.query = async (args) =>
+    simulatedDatabases.has(args.database_id)
+      ? { results: [], has_more: false, next_cursor: null }
+      : notion.databases.query(args);
+
+  return client;
+}
+
+/**
+ * summarizePropertyChanges: Deduce qué propiedades se crearían o cambiarían de tipo a partir
+ * de las llamadas a databases.create/update que registró el cliente de simulación.
+ * @param {Array<Object>} writes - client.dryRunWrites.
+ * @param {Object} currentProperties - Propiedades actuales de la base de datos en Notion.
+ * @param {Object} selectedProperties - Mapeo { header: { name, type } }.
+ * @returns {{create: Array<Object>, changeType: Array<Object>}}
+ */
+function summarizePropertyChanges(writes, currentProperties, selectedProperties) {
+  const headerByName = {};
+  for (const [header, { name }] of Object.entries(selectedProperties)) {
+    headerByName[name] = header;
+  }
+
+  const changes = { create: [], changeType: [] };
+  for (const write of writes) {
+    if (write.method !== "databases.update" && write.method !== "databases.create") continue;
+    for (const [name, definition] of Object.entries(write.args.properties || {})) {
+      const type = Object.keys(definition)[0];
+      const header = headerByName[name] || name;
+      if (write.method === "databases.create" || !currentProperties[name]) {
+        changes.create.push({ header, name, type });
+      } else {
+        changes.changeType.push({ header, name, from: currentProperties[name].type, to: type });
+      }
+    }
+  }
+  return changes;
+}
+
+/**
+ * buildDryRunPlan: Arma el plan de importación en un formato apto para JSON.
+ * @param {Object} params - { source, databaseId, selectedProperties, propertyChanges,
+ *   classification: { toUpdate, toCreate, skipped, conflicts, review }, describeRow, samples, valueIssues }.
+ *   conflicts: filas que apuntan a más de una página existente (con `conflict`: páginas por campo).
+ *   review: filas parecidas a una página existente (con `review`: página candidata y parecido).
+ *   Las filas a actualizar con upsert llevan `changes` (propiedad, valor actual y valor nuevo).
+ *   valueIssues: valores que no se podrían convertir ({ rowNumber, description, header, value, message }).
+ * @returns {Object} - Plan de importación.
+ */
+function buildDryRunPlan({
+  source,
+  databaseId,
+  selectedProperties,
+  propertyChanges,
+  classification,
+  describeRow,
+  samples,
+  valueIssues = [],
+}) {
+  const toPlanRow = (row) => ({
+    rowNumber: row.rowNumber,
+    key: row.key,
+    description: describeRow(row),
+    ...(row.recordId ? { recordId: row.recordId } : {}),
+    ...(row.conflict ? { conflict: row.conflict } : {}),
+    ...(row.review ? { review: row.review } : {}),
+    ...(row.changes ? { changes: row.changes } : {}),
+  });
+  const conflicts = classification.conflicts || [];
+  const review = classification.review || [];
+
+  return {
+    source,
+    databaseId,
+    generatedAt: new Date().toISOString(),
+    selectedProperties,
+    properties: propertyChanges,
+    totals: {
+      create: classification.toCreate.length,
+      update: classification.toUpdate.length,
+      skip: classification.skipped.length,
+      conflict: conflicts.length,
+      review: review.length,
+    },
+    rows: {
+      create: classification.toCreate.map(toPlanRow),
+      update: classification.toUpdate.map(toPlanRow),
+      skip: classification.skipped.map(toPlanRow),
+      conflict: conflicts.map(toPlanRow),
+      review: review.map(toPlanRow),
+    },
+    valueIssues,
+    samples,
+  };
+}
+
+/**
+ * formatTable: Da formato de tabla de texto (columnas alineadas) a una lista de filas.
+ * @param {string[]} columns - Títulos de las columnas.
+ * @param {Array<Array<any>>} rows - Valores de cada fila.
+ * @returns {string}
+ */
+function formatTable(columns, rows) {
+  const cells = [columns, ...rows].map((row) => row.map((value) => String(value ?? "")));
+  const widths = columns.map((_, i) => Math.max(...cells.map((row) => row[i].length)));
+  const line = (row) => row.map((value, i) => value.padEnd(widths[i])).join("  ").trimEnd();
+  return [line(cells[0]), widths.map((w) => "-".repeat(w)).join("  "), ...cells.slice(1).map(line)].join("\n");
+}
+
+/**
+ * shorten: Corta un valor largo para mostrarlo en una tabla.
+ */
+function shorten(value) {
+  const text = String(value ?? "");
+  return text.length > MAX_CELL_LENGTH ? `${text.slice(0, MAX_CELL_LENGTH)}…` : text;
+}
+
+/**
+ * printDryRunPlan: Muestra el plan en consola como tablas legibles.
+ * @param {Object} plan - Plan creado con buildDryRunPlan.
+ * @param {Function} [print] - Función de salida (console.log por defecto).
+ */
+function printDryRunPlan(plan, print = console.log) {
+  print("\nPropiedades en Notion:");
+  const propertyRows = [
+    ...plan.properties.create.map((p) => ["crear", p.header, p.name, p.type]),
+    ...plan.properties.changeType.map((p) => ["cambiar tipo", p.header, p.name, `${p.from} -> ${p.to}`]),
+  ];
+  print(propertyRows.length > 0 ? formatTable(["Acción", "Columna", "Propiedad", "Tipo"], propertyRows) : "(sin cambios)");
+
+  print("\nFilas:");
+  const labels = { create: "crear", update: "actualizar", skip: "omitir", conflict: "conflicto", review: "revisar" };
+  const rowLines = [];
+  for (const action of ["create", "update", "skip", "conflict", "review"]) {
+    const rows = plan.rows[action];
+    for (const row of rows.slice(0, MAX_TABLE_ROWS)) {
+      let pages = row.recordId || "";
+      if (row.conflict) pages = [...new Set(row.conflict.flatMap((match) => match.recordIds))].join(", ");
+      if (row.review) pages = `${row.review.recordId} (${Math.round(row.review.similarity * 100)}%)`;
+      rowLines.push([labels[action], row.description, pages]);
+    }
+    if (rows.length > MAX_TABLE_ROWS) {
+      rowLines.push([labels[action], `... y ${rows.length - MAX_TABLE_ROWS} más`, ""]);
+    }
+  }
+  print(rowLines.length > 0 ? formatTable(["Acción", "Fila", "Página existente"], rowLines) : "(sin filas)");
+
+  print(
+    `\nTotal: ${plan.totals.create} a crear, ${plan.totals.update} a actualizar, ${plan.totals.skip} a omitir` +
+      (plan.totals.conflict > 0 ? `, ${plan.totals.conflict} en conflicto (no se importan)` : "") +
+      (plan.totals.review > 0 ? `, ${plan.totals.review} a revisar (no se importan)` : "") +
+      "."
+  );
+
+  const changeRows = plan.rows.update.flatMap((row) =>
+    (row.changes || []).map((change) => [
+      row.description,
+      change.property,
+      shorten(change.before),
+      shorten(change.after),
+    ])
+  );
+  if (changeRows.length > 0) {
+    print(`\nValores que cambiarían en páginas existentes: ${changeRows.length}`);
+    const shown = changeRows.slice(0, MAX_TABLE_ROWS);
+    if (changeRows.length > MAX_TABLE_ROWS) {
+      shown.push([`... y ${changeRows.length - MAX_TABLE_ROWS} más`, "", "", ""]);
+    }
+    print(formatTable(["Fila", "Propiedad", "Valor actual", "Valor nuevo"], shown));
+  }
+
+  if (plan.valueIssues.length > 0) {
+    print(`\nValores que no se pueden enviar a Notion: ${plan.valueIssues.length}`);
+    const issueRows = plan.valueIssues
+      .slice(0, MAX_TABLE_ROWS)
+      .map((issue) => [issue.description, issue.header, String(issue.value), issue.message]);
+    if (plan.valueIssues.length > MAX_TABLE_ROWS) {
+      issueRows.push([`... y ${plan.valueIssues.length - MAX_TABLE_ROWS} más`, "", "", ""]);
+    }
+    print(formatTable(["Fila", "Columna", "Valor", "Motivo"], issueRows));
+  }
+
+  for (const sample of plan.samples) {
+    print(`\nPayload de ejemplo (${sample.operation}, ${sample.description}):`);
+    print(JSON.stringify(sample.payload, null, 2));
+  }
+}
+
+/**
+ * writeDryRunPlan: Guarda el plan en un archivo JSON.
+ * @param {string} filePath - Ruta del .json.
+ * @param {Object} plan - Plan creado con buildDryRunPlan.
+ * @returns {string} - Ruta del archivo guardado.
+ */
+function writeDryRunPlan(filePath, plan) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(plan, null, 2) + "\n");
+  return filePath;
+}
+
+module.exports = {
+  defaultPlanPath,
+  createDryRunClient,
+  summarizePropertyChanges,
+  buildDryRunPlan,
+  printDryRunPlan,
+  writeDryRunPlan,
+};
@@ -0,0 +1,513 @@
+/************************************************************
+ * DETECCIÓN DE DUPLICADOS POR CLAVE (compartido por ambos scripts)
+ ************************************************************/
+const { parseListFlag } = require("./cli_args.cjs");
+const { timestampedPath, writeCsv, appendCsv } = require("./report_files.cjs");
+
+// "all": los campos forman una clave compuesta y todos deben coincidir con la misma página.
+// "any": basta con que coincida uno de los campos.
+const DEDUPE_MODES = ["all", "any"];
+const DEFAULT_DEDUPE_MODE = "all";
+
+/**
+ * canonicalUrl: Forma canónica de una URL para comparar: sin protocolo, sin "www.", sin puerto
+ * por defecto, sin fragmento y sin barra final; el dominio en minúsculas (la ruta se respeta).
+ */
+function canonicalUrl(text) {
+  const withoutScheme = text.trim().replace(/^[a-z][a-z0-9+.-]*:\/\//i, "");
+  const [, host, rest] = withoutScheme.match(/^([^/?#]*)(.*)$/);
+  const canonicalHost = host.toLowerCase().replace(/^www\./, "").replace(/:(80|443)$/, "");
+  const canonicalRest = rest.replace(/#.*$/, "").replace(/\/+(?=\?|$)/, "");
+  return canonicalHost + canonicalRest;
+}
+
+// Normalizadores de claves: se aplican en orden al valor de la fuente y al de Notion
+const NORMALIZERS = {
+  exact: (text) => text,
+  text: (text) => text.trim().replace(/\s+/g, " ").toLowerCase(),
+  accents: (text) => text.normalize("NFD").replace(/\p{M}/gu, "").normalize("NFC"),
+  phone: (text) => text.replace(/\D/g, ""),
+  url: canonicalUrl,
+  email: (text) => text.trim().toLowerCase(),
+};
+
+// Búsqueda aproximada: una fila solo se compara con las páginas con que comparte un bloque (una
+// palabra, o las primeras o últimas letras del valor), y con MAX_FUZZY_CANDIDATES como mucho
+const BLOCK_AFFIX_LENGTH = 3;
+const MAX_BLOCK_SIZE = 2000; // Los bloques más grandes (palabras muy comunes) no sirven para elegir candidatos
+const MAX_FUZZY_CANDIDATES = 200;
+
+// Búsqueda de candidatos por tanda (--stream): condiciones de filtro por consulta a Notion
+const MAX_FILTER_CONDITIONS = 100;
+const TEXT_FILTER_TYPES = ["title", "rich_text", "email", "url", "phone_number"];
+// Preferencia al elegir el campo de los filtros con mode "all": primero los más selectivos
+const CANDIDATE_KINDS = ["equals", "number", "host", "word"];
+
+// Normalizador por defecto según el tipo de la propiedad en Notion (los demás tipos se comparan tal cual)
+const DEFAULT_NORMALIZERS_BY_TYPE = {
+  email: ["email"],
+  url: ["url"],
+  phone_number: ["phone"],
+};
+
+/**
+ * parseNormalizerList: Valida una lista de normalizadores "text+accents".
+ */
+function parseNormalizerList(value, raw) {
+  const names = value.split("+").map((name) => name.trim()).filter(Boolean);
+  const invalid = names.find((name) => !NORMALIZERS[name]);
+  if (names.length === 0 || invalid) {
+    throw new Error(
+      `Valor inválido para --dedupe-normalize: "${raw}". Normalizadores válidos: ${Object.keys(NORMALIZERS).join(", ")}.`
+    );
+  }
+  return names;
+}
+
+/**
+ * parseDedupeFlags: Valida --dedupe-mode, --dedupe-normalize y --dedupe-fuzzy.
+ * --dedupe-normalize se puede repetir: "Campo=text+accents" para un campo o "text" para todos.
+ * @param {Object} options - Flags de línea de comandos ya parseados.
+ * @returns {{mode?: string, normalizers?: Object, fuzzyThreshold?: number}} - Solo lo indicado.
+ *   normalizers: { campo: ["text", "accents"] } ("*" para todos los campos).
+ */
+function parseDedupeFlags(options) {
+  const rules = {};
+  if (options.dedupeMode !== undefined) {
+    if (!DEDUPE_MODES.includes(options.dedupeMode)) {
+      throw new Error(`Valor inválido para --dedupe-mode: "${options.dedupeMode}". Usa all o any.`);
+    }
+    rules.mode = options.dedupeMode;
+  }
+  if (options.dedupeNormalize !== undefined) {
+    rules.normalizers = {};
+    for (const raw of options.dedupeNormalize) {
+      const eqIndex = raw.indexOf("=");
+      const field = eqIndex === -1 ? "*" : raw.slice(0, eqIndex).trim();
+      rules.normalizers[field || "*"] = parseNormalizerList(raw.slice(eqIndex + 1), raw);
+    }
+  }
+  if (options.dedupeFuzzy !== undefined) {
+    const threshold = Number(options.dedupeFuzzy);
+    if (!(threshold > 0 && threshold < 1)) {
+      throw new Error(`Valor inválido para --dedupe-fuzzy: "${options.dedupeFuzzy}". Usa un número entre 0 y 1 (p.ej. 0.85).`);
+    }
+    rules.fuzzyThreshold = threshold;
+  }
+  return rules;
+}
+
+/**
+ * resolveNormalizers: Normalizadores de cada campo de duplicados: los configurados para el campo,
+ * los configurados para todos ("*") o, sin configuración, los del tipo de la propiedad en Notion.
+ * @param {string[]} fields - Campos que identifican un duplicado.
+ * @param {Object} [configured] - normalizers de parseDedupeFlags (o del perfil).
+ * @param {Object} [propertyTypes] - { campo: tipo en Notion }.
+ * @returns {Object} - { campo: ["text", ...] } ([] compara el valor tal cual).
+ */
+function resolveNormalizers(fields, configured = {}, propertyTypes = {}) {
+  const resolved = {};
+  for (const field of fields) {
+    resolved[field] = configured[field] ?? configured["*"] ?? DEFAULT_NORMALIZERS_BY_TYPE[propertyTypes[field]] ?? [];
+  }
+  return resolved;
+}
+
+/**
+ * describeNormalizers: Texto de los normalizadores en uso para los logs ("Email=email, Nombre=text+accents").
+ * @param {Object} normalizers - Resultado de resolveNormalizers.
+ * @returns {string} - "" si ningún campo se normaliza.
+ */
+function describeNormalizers(normalizers) {
+  return Object.entries(normalizers)
+    .filter(([, names]) => names.length > 0)
+    .map(([field, names]) => `${field}=${names.join("+")}`)
+    .join(", ");
+}
+
+/**
+ * keyValue: Texto con que se compara un valor de la fuente o de Notion, o null si está vacío
+ * (también si queda vacío al normalizarlo, p.ej. un teléfono sin dígitos).
+ */
+function keyValue(value, normalizers = []) {
+  if (value === undefined || value === null) return null;
+  const text = normalizers.reduce((current, name) => NORMALIZERS[name](current), String(value));
+  return text === "" ? null : text;
+}
+
+/**
+ * similarity: Parecido entre dos textos, de 0 a 1 (1 - distancia de Levenshtein / largo del mayor).
+ */
+function similarity(a, b) {
+  if (a === b) return 1;
+  const longest = Math.max(a.length, b.length);
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return 1 - previous[b.length] / longest;
+}
+
+/**
+ * blockKeys: Bloques de un valor para la búsqueda aproximada: sus palabras y sus primeras y
+ * últimas letras (sin mayúsculas, acentos ni signos). Dos valores parecidos casi siempre
+ * comparten alguno: un error de tipeo cambia una palabra, pero no el resto ni los dos extremos.
+ */
+function blockKeys(value) {
+  const text = NORMALIZERS.accents(NORMALIZERS.text(value));
+  const compact = text.replace(/[^\p{L}\p{N}]+/gu, "");
+  const keys = new Set();
+  if (compact) {
+    keys.add(`^${compact.slice(0, BLOCK_AFFIX_LENGTH)}`);
+    keys.add(`$${compact.slice(-BLOCK_AFFIX_LENGTH)}`);
+  }
+  for (const word of text.split(/[^\p{L}\p{N}]+/u)) {
+    if (word.length > 1) keys.add(`=${word}`);
+  }
+  return [...keys];
+}
+
+/**
+ * buildBlocks: Agrupa las páginas del índice por los bloques de cada campo.
+ * @returns {Array<Map<string, number[]>>} - Por campo: bloque -> posiciones en index.records.
+ */
+function buildBlocks(index) {
+  return index.fields.map((field, fieldIndex) => {
+    const blocks = new Map();
+    index.records.forEach((record, position) => {
+      if (record.values[fieldIndex] === null) return;
+      for (const key of blockKeys(record.values[fieldIndex])) {
+        if (!blocks.has(key)) blocks.set(key, []);
+        blocks.get(key).push(position);
+      }
+    });
+    return blocks;
+  });
+}
+
+/**
+ * fuzzyCandidates: Páginas que vale la pena comparar con una fila: las que comparten bloques con
+ * ella, primero las que comparten más, hasta MAX_FUZZY_CANDIDATES. Con mode "all" alcanza con
+ * los bloques de un campo (todos deben parecerse), y se usa el que deja menos candidatos; con
+ * "any" se suman los de todos los campos.
+ * @returns {Array<Object>} - Elementos de index.records.
+ */
+function fuzzyCandidates(values, index, mode) {
+  // Los bloques se arman la primera vez que se necesitan
+  index.blocks = index.blocks || buildBlocks(index);
+
+  // Por campo, cuántos bloques comparte cada página (null si el campo no sirve para elegir)
+  const sharedByField = values.map((value, fieldIndex) => {
+    if (value === null) return null;
+    let usable = false;
+    const shared = new Map();
+    for (const key of blockKeys(value)) {
+      const positions = index.blocks[fieldIndex].get(key) || [];
+      if (positions.length > MAX_BLOCK_SIZE) continue;
+      usable = true;
+      positions.forEach((position) => shared.set(position, (shared.get(position) || 0) + 1));
+    }
+    return usable ? shared : null;
+  });
+
+  const usableFields = sharedByField.filter(Boolean);
+  if (usableFields.length === 0) {
+    return [];
+  }
+  let shared;
+  if (mode === "all") {
+    shared = usableFields.reduce((smallest, current) => (current.size < smallest.size ? current : smallest));
+  } else {
+    shared = new Map();
+    for (const fieldShared of usableFields) {
+      fieldShared.forEach((count, position) => shared.set(position, (shared.get(position) || 0) + count));
+    }
+  }
+  return [...shared.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_FUZZY_CANDIDATES)
+    .map(([position]) => index.records[position]);
+}
+
+/**
+ * addToIndex: Agrega el ID de una página a la lista de páginas de un valor.
+ */
+function addToIndex(map, value, recordId) {
+  if (!map.has(value)) map.set(value, new Set());
+  map.get(value).add(recordId);
+}
+
+/**
+ * buildDuplicateIndex: Indexa las páginas existentes por cada campo y por la clave compuesta,
+ * con los valores ya normalizados. Un mismo valor puede apuntar a varias páginas (duplicados
+ * que ya existen en Notion).
+ * @param {Array<Object>} records - Páginas de la base de datos.
+ * @param {string[]} fields - Campos que identifican un duplicado.
+ * @param {Function} readValue - (record, field) => valor de la página para ese campo ("" si no tiene).
+ * @param {Object} [normalizers] - Resultado de resolveNormalizers.
+ * @returns {{fields: string[], normalizers: Object, byField: Object, byKey: Map, records: Array<Object>}}
+ *   records: { id, values } de cada página, para la búsqueda aproximada.
+ */
+function buildDuplicateIndex(records, fields, readValue, normalizers = {}) {
+  const byField = {};
+  for (const field of fields) {
+    byField[field] = new Map();
+  }
+  const byKey = new Map();
+  const indexed = [];
+
+  for (const record of records) {
+    const values = fields.map((field) => keyValue(readValue(record, field), normalizers[field]));
+    values.forEach((value, index) => {
+      if (value !== null) addToIndex(byField[fields[index]], value, record.id);
+    });
+    // Las páginas con algún campo de la clave vacío no pueden coincidir con la clave completa
+    if (values.every((value) => value !== null)) {
+      addToIndex(byKey, JSON.stringify(values), record.id);
+    }
+    indexed.push({ id: record.id, values });
+  }
+  return { fields, normalizers, byField, byKey, records: indexed };
+}
+
+/**
+ * entryValues: Valores normalizados de los campos de duplicados de una fila.
+ */
+function entryValues(entry, index) {
+  return index.fields.map((field) => keyValue(entry[field], index.normalizers[field]));
+}
+
+/**
+ * findDuplicate: Busca la página existente que corresponde a una fila.
+ * Con mode "all" los valores de todos los campos deben coincidir con los de una misma página
+ * (una fila con algún campo vacío se considera nueva); con "any" basta con uno.
+ * Si la fila apunta a más de una página (campos que coinciden con páginas distintas, o una clave
+ * repetida en Notion) es un conflicto: no se elige ninguna.
+ * @param {Object} entry - Fila o documento.
+ * @param {Object} index - Resultado de buildDuplicateIndex.
+ * @param {string} [mode] - "all" o "any".
+ * @returns {{status: "new"}|{status: "duplicate", recordId: string}|{status: "conflict", matches: Array<Object>}}
+ *   matches: [{ fields, value, recordIds }] con las páginas que encontró cada campo (o la clave).
+ */
+function findDuplicate(entry, index, mode = DEFAULT_DEDUPE_MODE) {
+  const matches = [];
+  if (mode === "all") {
+    const values = entryValues(entry, index);
+    const recordIds = values.includes(null) ? null : index.byKey.get(JSON.stringify(values));
+    if (recordIds) {
+      matches.push({ fields: index.fields, value: values.join(" | "), recordIds: [...recordIds] });
+    }
+  } else {
+    for (const field of index.fields) {
+      const value = keyValue(entry[field], index.normalizers[field]);
+      const recordIds = value === null ? null : index.byField[field].get(value);
+      if (recordIds) {
+        matches.push({ fields: [field], value, recordIds: [...recordIds] });
+      }
+    }
+  }
+
+  const allIds = new Set(matches.flatMap((match) => match.recordIds));
+  if (allIds.size === 0) {
+    return { status: "new" };
+  }
+  if (allIds.size === 1) {
+    return { status: "duplicate", recordId: [...allIds][0] };
+  }
+  return { status: "conflict", matches };
+}
+
+/**
+ * findNearDuplicate: Busca la página más parecida a una fila nueva (sin coincidencia exacta).
+ * Con mode "all" cuenta el campo menos parecido (todos deben parecerse); con "any", el más parecido.
+ * Solo se comparan las páginas que comparten un bloque con la fila (fuzzyCandidates), y no los
+ * valores cuyo largo difiere demasiado.
+ * @param {Object} entry - Fila o documento.
+ * @param {Object} index - Resultado de buildDuplicateIndex.
+ * @param {string} mode - "all" o "any".
+ * @param {number} threshold - Parecido mínimo (entre 0 y 1).
+ * @returns {{recordId: string, similarity: number, value: string, candidateValue: string}|null}
+ */
+function findNearDuplicate(entry, index, mode, threshold) {
+  const values = entryValues(entry, index);
+  if (mode === "all" ? values.includes(null) : values.every((value) => value === null)) {
+    return null;
+  }
+
+  const compare = (a, b) => {
+    if (a === null || b === null) return 0;
+    if (1 - Math.abs(a.length - b.length) / Math.max(a.length, b.length) < threshold) return 0;
+    return similarity(a, b);
+  };
+
+  let best = null;
+  for (const record of fuzzyCandidates(values, index, mode)) {
+    const scores = values.map((value, i) => compare(value, record.values[i]));
+    const score = mode === "all" ? Math.min(...scores) : Math.max(...scores);
+    if (score >= threshold && (!best || score > best.similarity)) {
+      best = {
+        recordId: record.id,
+        similarity: score,
+        value: values.map((value) => value ?? "").join(" | "),
+        candidateValue: record.values.map((value) => value ?? "").join(" | "),
+      };
+    }
+  }
+  return best;
+}
+
+/**
+ * candidateKind: Cómo se buscan en Notion las páginas que pueden coincidir con un valor, según el
+ * tipo de la propiedad y sus normalizadores: "equals" (valor tal cual, en texto, select o status),
+ * "number", "word" (la palabra más larga, si solo se normalizan espacios y mayúsculas: los filtros
+ * de texto de Notion no distinguen mayúsculas) o "host" (el dominio de una URL).
+ * @returns {string|null} - null si los filtros de Notion no alcanzan (acentos, teléfonos, otros tipos).
+ */
+function candidateKind(type, normalizers = []) {
+  const names = normalizers.filter((name) => name !== "exact");
+  if (names.length === 0) {
+    if (type === "number") return "number";
+    return [...TEXT_FILTER_TYPES, "select", "status"].includes(type) ? "equals" : null;
+  }
+  if (!TEXT_FILTER_TYPES.includes(type)) return null;
+  if (names.every((name) => name === "text" || name === "email")) return "word";
+  if (names.length === 1 && names[0] === "url") return "host";
+  return null;
+}
+
+/**
+ * candidateFields: Campos con que se arman los filtros de candidatos. Con mode "all" alcanza con
+ * uno (todos deben coincidir) y se usa el más selectivo; con "any" se necesitan todos.
+ * @param {Array<{field: string, property: string, type: string}>} fields - Campos de duplicados con
+ *   su propiedad en Notion y el tipo de esta.
+ * @param {Object} normalizers - Resultado de resolveNormalizers.
+ * @param {string} [mode] - "all" o "any".
+ * @returns {Array<Object>|null} - Los campos con su `kind`; null si no se puede filtrar.
+ */
+function candidateFields(fields, normalizers, mode = DEFAULT_DEDUPE_MODE) {
+  const withKind = fields.map((field) => ({ ...field, kind: candidateKind(field.type, normalizers[field.field]) }));
+  if (mode === "any") {
+    return withKind.every((field) => field.kind) ? withKind : null;
+  }
+  const usable = withKind.filter((field) => field.kind);
+  if (usable.length === 0) return null;
+  usable.sort((a, b) => CANDIDATE_KINDS.indexOf(a.kind) - CANDIDATE_KINDS.indexOf(b.kind));
+  return [usable[0]];
+}
+
+/**
+ * candidateCondition: Condición de filtro de Notion para un valor (null si el valor está vacío).
+ * Puede traer páginas de más: la coincidencia se vuelve a comprobar con el índice.
+ */
+function candidateCondition({ field, property, type, kind }, normalizers, value) {
+  const text = keyValue(value, normalizers[field]);
+  if (text === null) return null;
+  switch (kind) {
+    case "number": {
+      const number = Number(text);
+      return Number.isFinite(number) ? { property, number: { equals: number } } : null;
+    }
+    case "word": {
+      const word = text.split(" ").reduce((longest, current) => (current.length > longest.length ? current : longest));
+      return { property, [type]: { contains: word } };
+    }
+    case "host": {
+      const host = text.match(/^[^/?#:]*/)[0];
+      return host ? { property, [type]: { contains: host } } : null;
+    }
+    default:
+      return { property, [type]: { equals: text } };
+  }
+}
+
+/**
+ * candidateFilters: Filtros de Notion que traen las páginas que pueden ser duplicados de alguna
+ * fila de la tanda (las condiciones de sus valores, unidas con "or", de a MAX_FILTER_CONDITIONS).
+ * @param {Array<Object>} entries - Filas o documentos (valores de duplicateKeyEntry).
+ * @param {Array<Object>} fields - Resultado de candidateFields.
+ * @param {Object} normalizers - Resultado de resolveNormalizers.
+ * @returns {Array<Object>} - [] si ninguna fila tiene valores.
+ */
+function candidateFilters(entries, fields, normalizers) {
+  const conditions = new Map();
+  for (const entry of entries) {
+    for (const field of fields) {
+      const condition = candidateCondition(field, normalizers, entry[field.field]);
+      if (condition) conditions.set(JSON.stringify(condition), condition);
+    }
+  }
+  const all = [...conditions.values()];
+  const filters = [];
+  for (let start = 0; start < all.length; start += MAX_FILTER_CONDITIONS) {
+    filters.push({ or: all.slice(start, start + MAX_FILTER_CONDITIONS) });
+  }
+  return filters;
+}
+
+/**
+ * describeConflict: Texto del conflicto para los logs (qué campos apuntan a qué páginas).
+ * @param {Array<Object>} matches - matches de findDuplicate.
+ * @returns {string}
+ */
+function describeConflict(matches) {
+  return matches
+    .map(({ fields, value, recordIds }) => `${fields.join(" + ")} = "${value}" -> ${recordIds.join(", ")}`)
+    .join("; ");
+}
+
+/**
+ * defaultReviewPath: Ruta por defecto de la lista de posibles duplicados, en la carpeta actual.
+ * @param {string} source - Origen de los datos ("excel" o "mongo").
+ * @returns {string} - Ruta al .csv.
+ */
+function defaultReviewPath(source) {
+  return timestampedPath(`revisar_duplicados_${source}`, ".csv");
+}
+
+const REVIEW_HEADER = ["fila", "valor", "pagina_candidata", "valor_candidato", "similitud"];
+
+/**
+ * reviewCells: Celdas de una fila de la lista de posibles duplicados.
+ */
+function reviewCells({ rowNumber, review }) {
+  return [rowNumber, review.value, review.recordId, review.candidateValue, review.similarity.toFixed(2)];
+}
+
+/**
+ * writeReviewList: Guarda las filas parecidas a una página existente en un CSV para revisarlas.
+ * @param {string} filePath - Ruta del .csv.
+ * @param {Array<Object>} rows - Filas con `review` (resultado de findNearDuplicate) y `rowNumber`.
+ * @returns {string} - Ruta del archivo guardado.
+ */
+function writeReviewList(filePath, rows) {
+  return writeCsv(filePath, REVIEW_HEADER, rows.map(reviewCells));
+}
+
+/**
+ * appendReviewList: Como writeReviewList, pero agrega las filas al final del archivo (lo crea con
+ * los encabezados si no existe), para guardar la lista de a tandas.
+ */
+function appendReviewList(filePath, rows) {
+  return appendCsv(filePath, REVIEW_HEADER, rows.map(reviewCells));
+}
+
+module.exports = {
+  DEFAULT_DEDUPE_MODE,
+  parseDedupeFlags,
+  resolveNormalizers,
+  describeNormalizers,
+  buildDuplicateIndex,
+  findDuplicate,
+  findNearDuplicate,
+  candidateFields,
+  candidateFilters,
+  describeConflict,
+  defaultReviewPath,
+  writeReviewList,
+  appendReviewList,
+};
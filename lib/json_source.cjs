@@ -0,0 +1,252 @@
+/************************************************************
+ * LECTURA DE ARCHIVOS JSON / NDJSON (usado por el importador de Excel)
+ ************************************************************/
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const { parseIntFlag } = require("./cli_args.cjs");
+
+// Extensiones que se leen como JSON (arreglo de objetos) o NDJSON (un objeto por línea)
+const JSON_EXTENSIONS = [".json", ".ndjson", ".jsonl"];
+
+// Bytes que se leen del principio del archivo para distinguir JSON de NDJSON
+const DETECT_BYTES = 64 * 1024;
+
+const DEFAULT_HEADER_SAMPLE = 1000; // Objetos de un NDJSON que se leen para detectar campos y tipos
+const DEFAULT_BUFFER_SIZE = 500; // Objetos de un NDJSON en memoria por tanda al exportar
+
+/**
+ * isJsonFile: Indica si la ruta corresponde a un archivo JSON o NDJSON.
+ * @param {string} filePath - Ruta del archivo.
+ * @returns {boolean}
+ */
+function isJsonFile(filePath) {
+  return JSON_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+/**
+ * detectJsonFormat: Decide si el archivo es un JSON (arreglo u objeto) o NDJSON.
+ * .ndjson y .jsonl son siempre NDJSON; un .json se trata como NDJSON solo si sus dos primeras
+ * líneas ya son objetos completos.
+ * @param {string} filePath - Ruta del archivo.
+ * @returns {"json"|"ndjson"}
+ */
+function detectJsonFormat(filePath) {
+  if ([".ndjson", ".jsonl"].includes(path.extname(filePath).toLowerCase())) {
+    return "ndjson";
+  }
+
+  const fd = fs.openSync(filePath, "r");
+  const buffer = Buffer.alloc(DETECT_BYTES);
+  const bytesRead = fs.readSync(fd, buffer, 0, DETECT_BYTES, 0);
+  fs.closeSync(fd);
+
+  const head = buffer.toString("utf8", 0, bytesRead).replace(/^\uFEFF/, "").trimStart();
+  if (head.startsWith("[")) {
+    return "json";
+  }
+  // Un JSON minificado ({ "data": [...] }) también ocupa una sola línea: hacen falta dos objetos
+  const [firstLine, secondLine] = head.split(/\r?\n/).filter((line) => line.trim() !== "");
+  if (secondLine === undefined) {
+    return "json";
+  }
+  try {
+    const isObject = (line) => {
+      const value = JSON.parse(line);
+      return value !== null && typeof value === "object" && !Array.isArray(value);
+    };
+    return isObject(firstLine) && isObject(secondLine) ? "ndjson" : "json";
+  } catch (error) {
+    return "json";
+  }
+}
+
+/**
+ * normalizeJsonValue: Adapta un valor JSON al flujo de importación, que trabaja con texto:
+ * los objetos anidados y los arreglos con objetos se guardan como JSON; los arreglos de
+ * valores simples se dejan como arreglo (al pasarlos a texto quedan "a,b", útil para multi_select).
+ * @param {any} value - Valor leído del archivo.
+ * @returns {any}
+ */
+function normalizeJsonValue(value) {
+  if (Array.isArray(value)) {
+    return value.every((item) => item === null || typeof item !== "object") ? value : JSON.stringify(value);
+  }
+  if (value !== null && typeof value === "object") {
+    return JSON.stringify(value);
+  }
+  return value;
+}
+
+/**
+ * isNdjsonFile: Indica si el archivo es un NDJSON (se importa en tandas, sin cargarlo completo).
+ * @param {string} filePath - Ruta del archivo.
+ * @returns {boolean}
+ */
+function isNdjsonFile(filePath) {
+  return isJsonFile(filePath) && detectJsonFormat(filePath) === "ndjson";
+}
+
+/**
+ * parseNdjsonFlags: Valida --header-sample y --buffer-size (muestra para detectar campos y
+ * tamaño de las tandas de un NDJSON).
+ * @param {Object} options - Flags de línea de comandos ya parseados.
+ * @returns {{headerSample: number, bufferSize: number}}
+ */
+function parseNdjsonFlags(options) {
+  return {
+    headerSample: options.headerSample !== undefined
+      ? parseIntFlag(options.headerSample, "--header-sample", 1)
+      : DEFAULT_HEADER_SAMPLE,
+    bufferSize: options.bufferSize !== undefined ? parseIntFlag(options.bufferSize, "--buffer-size", 1) : DEFAULT_BUFFER_SIZE,
+  };
+}
+
+/**
+ * iterateJsonRecords: Recorre los objetos del archivo uno por uno.
+ * Un NDJSON se lee como stream, línea por línea, sin cargar el archivo completo.
+ * Un JSON puede ser un arreglo de objetos o un objeto con un arreglo de objetos
+ * (p.ej. { "data": [...] }, habitual en respuestas de APIs).
+ * @param {string} filePath - Ruta del archivo.
+ * @param {{startLine?: number}} [options] - startLine: en un NDJSON, las líneas anteriores (base 0)
+ *   se saltean sin interpretarlas (al reanudar).
+ * @returns {AsyncGenerator<{record: Object, rowNum: number}>} - rowNum: línea (NDJSON) o
+ *   posición en el arreglo (JSON), en base 0.
+ */
+async function* iterateJsonRecords(filePath, { startLine = 0 } = {}) {
+  if (detectJsonFormat(filePath) === "ndjson") {
+    const input = fs.createReadStream(filePath, { encoding: "utf8" });
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    let lineIndex = 0;
+    try {
+      for await (const rawLine of lines) {
+        const line = lineIndex === 0 ? rawLine.replace(/^\uFEFF/, "") : rawLine;
+        if (lineIndex >= startLine && line.trim() !== "") {
+          let record;
+          try {
+            record = JSON.parse(line);
+          } catch (error) {
+            throw new Error(`La línea ${lineIndex + 1} de "${filePath}" no es JSON válido: ${error.message}`);
+          }
+          if (record !== null && typeof record === "object" && !Array.isArray(record)) {
+            yield { record, rowNum: lineIndex };
+          }
+        }
+        lineIndex++;
+      }
+    } finally {
+      // También si quien recorre deja de pedir objetos (p.ej. al leer solo una muestra)
+      lines.close();
+      input.destroy();
+    }
+    return;
+  }
+
+  const parsed = JSON.parse(fs.readFileSync(filePath, "utf8").replace(/^\uFEFF/, ""));
+  let records = parsed;
+  if (!Array.isArray(parsed)) {
+    records = Object.values(parsed || {}).find((value) => Array.isArray(value));
+    if (!records) {
+      throw new Error(`"${filePath}" no contiene un arreglo de objetos.`);
+    }
+  }
+  for (let index = 0; index < records.length; index++) {
+    const record = records[index];
+    if (record !== null && typeof record === "object" && !Array.isArray(record)) {
+      yield { record, rowNum: index };
+    }
+  }
+}
+
+/**
+ * toSheetRow: Convierte un objeto del archivo a la forma de una fila de Excel: sin los campos
+ * nulos y con __rowNum__ (no enumerable, base 0) para rastrear cada fila.
+ */
+function toSheetRow(record, rowNum) {
+  const row = {};
+  for (const [key, value] of Object.entries(record)) {
+    if (value !== null && value !== undefined) {
+      row[key] = normalizeJsonValue(value);
+    }
+  }
+  Object.defineProperty(row, "__rowNum__", { value: rowNum, enumerable: false });
+  return row;
+}
+
+/**
+ * jsonHeaders: Todos los campos encontrados en las filas (unión de las keys de todos los
+ * objetos, igual que readMongoDBHeaders).
+ * @param {Object[]} rows - Filas leídas del archivo.
+ * @returns {string[]} - Lista de encabezados.
+ */
+function jsonHeaders(rows) {
+  const headersSet = new Set();
+  for (const row of rows) {
+    Object.keys(row).forEach((key) => headersSet.add(key));
+  }
+  return Array.from(headersSet);
+}
+
+/**
+ * readJsonData: Lee todos los objetos del archivo con la misma forma que las filas de Excel (toSheetRow).
+ * @param {string} filePath - Ruta del archivo.
+ * @returns {Promise<Object[]>}
+ */
+async function readJsonData(filePath) {
+  const rows = [];
+  for await (const { record, rowNum } of iterateJsonRecords(filePath)) {
+    rows.push(toSheetRow(record, rowNum));
+  }
+  return rows;
+}
+
+/**
+ * readJsonSample: Lee los primeros `size` objetos de un NDJSON, para detectar sus campos y tipos
+ * sin recorrer el archivo completo.
+ * @param {string} filePath - Ruta del archivo.
+ * @param {number} size - Objetos de la muestra.
+ * @returns {Promise<{headers: string[], data: Object[]}>}
+ */
+async function readJsonSample(filePath, size) {
+  const data = [];
+  for await (const { record, rowNum } of iterateJsonRecords(filePath)) {
+    data.push(toSheetRow(record, rowNum));
+    if (data.length >= size) break;
+  }
+  return { headers: jsonHeaders(data), data };
+}
+
+/**
+ * readJsonChunks: Recorre un NDJSON en tandas de hasta `size` filas (toSheetRow). La tanda
+ * siguiente no se lee hasta que se termina de procesar la anterior.
+ * @param {string} filePath - Ruta del archivo.
+ * @param {number} size - Filas por tanda.
+ * @param {{startLine?: number}} [options] - Ver iterateJsonRecords.
+ * @returns {AsyncGenerator<{rows: Object[], nextLine: number}>} - nextLine: línea (base 0) desde
+ *   la que sigue el archivo después de la tanda.
+ */
+async function* readJsonChunks(filePath, size, options = {}) {
+  let rows = [];
+  for await (const { record, rowNum } of iterateJsonRecords(filePath, options)) {
+    rows.push(toSheetRow(record, rowNum));
+    if (rows.length >= size) {
+      yield { rows, nextLine: rowNum + 1 };
+      rows = [];
+    }
+  }
+  if (rows.length > 0) {
+    yield { rows, nextLine: rows[rows.length - 1].__rowNum__ + 1 };
+  }
+}
+
+module.exports = {
+  JSON_EXTENSIONS,
+  isJsonFile,
+  isNdjsonFile,
+  parseNdjsonFlags,
+  iterateJsonRecords,
+  jsonHeaders,
+  readJsonData,
+  readJsonSample,
+  readJsonChunks,
+};
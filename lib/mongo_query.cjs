@@ -0,0 +1,275 @@
+/************************************************************
+ * CONSULTA DE ORIGEN EN MONGO: FILTRO, PROYECCIÓN, ORDEN, PIPELINE Y LECTURA EN TANDAS
+ ************************************************************/
+const fs = require("fs");
+const { BSON } = require("mongodb");
+const { parseIntFlag } = require("./cli_args.cjs");
+
+const { EJSON } = BSON;
+
+const DEFAULT_HEADER_SAMPLE = 1000; // Documentos que se leen para detectar campos y tipos con --stream
+const DEFAULT_BUFFER_SIZE = 500; // Documentos en memoria por tanda con --stream
+
+/**
+ * readJsonFlag: Lee el JSON de un flag, escrito en el flag o en un archivo .json. Se interpreta
+ * como Extended JSON de Mongo, así se pueden escribir fechas ({"$date": "2024-01-01T00:00:00Z"})
+ * y ObjectId ({"$oid": "65a0..."}) en los filtros.
+ * @param {string} value - Valor del flag.
+ * @param {string} flagLabel - Nombre del flag, para los mensajes de error.
+ * @returns {Object|Array}
+ */
+function readJsonFlag(value, flagLabel) {
+  const isInline = /^[[{]/.test(value.trim());
+  let text = value;
+  if (!isInline) {
+    if (!fs.existsSync(value)) {
+      throw new Error(`Valor inválido para ${flagLabel}: "${value}" no es un JSON ni un archivo existente.`);
+    }
+    text = fs.readFileSync(value, "utf8");
+  }
+  try {
+    return EJSON.parse(text, { relaxed: true });
+  } catch (error) {
+    throw new Error(`El valor de ${flagLabel} no es un JSON válido: ${error.message}`);
+  }
+}
+
+/**
+ * readJsonObject: Como readJsonFlag, pero exige un objeto (filtro, proyección u orden).
+ */
+function readJsonObject(value, flagLabel) {
+  const parsed = readJsonFlag(value, flagLabel);
+  if (parsed === null || typeof parsed !== "object" || Array.isArray(parsed)) {
+    throw new Error(`${flagLabel} debe ser un objeto JSON (p.ej. {"campo": 1}).`);
+  }
+  return parsed;
+}
+
+/**
+ * parseMongoQueryFlags: Lee --query, --projection, --sort, --limit y --pipeline, que eligen qué
+ * documentos de la colección se importan. El pipeline reemplaza a los demás: sus etapas $match,
+ * $project, $sort y $limit hacen lo mismo.
+ * @param {Object} options - Flags de línea de comandos ya parseados.
+ * @returns {Object} - { filter?, projection?, sort?, limit?, pipeline? } (vacío si no se indicó nada).
+ */
+function parseMongoQueryFlags(options) {
+  const query = {};
+  if (options.query !== undefined) query.filter = readJsonObject(options.query, "--query");
+  if (options.projection !== undefined) query.projection = readJsonObject(options.projection, "--projection");
+  if (options.sort !== undefined) query.sort = readJsonObject(options.sort, "--sort");
+  if (options.limit !== undefined) query.limit = parseIntFlag(options.limit, "--limit", 1);
+
+  if (options.pipeline !== undefined) {
+    if (Object.keys(query).length > 0) {
+      throw new Error(
+        "--pipeline no se puede combinar con --query, --projection, --sort ni --limit " +
+        "(agrega esas etapas al pipeline: $match, $project, $sort, $limit)."
+      );
+    }
+    const pipeline = readJsonFlag(options.pipeline, "--pipeline");
+    if (!Array.isArray(pipeline) || pipeline.some((stage) => stage === null || typeof stage !== "object")) {
+      throw new Error('--pipeline debe ser un arreglo JSON de etapas (p.ej. [{"$match": {...}}, {"$lookup": {...}}]).');
+    }
+    query.pipeline = pipeline;
+  }
+  return query;
+}
+
+/**
+ * parseStreamFlags: Valida --header-sample y --buffer-size del modo --stream.
+ * @param {Object} options - Flags de línea de comandos ya parseados.
+ * @returns {{headerSample: number, bufferSize: number}}
+ */
+function parseStreamFlags(options) {
+  return {
+    headerSample: options.headerSample !== undefined
+      ? parseIntFlag(options.headerSample, "--header-sample", 1)
+      : DEFAULT_HEADER_SAMPLE,
+    bufferSize: options.bufferSize !== undefined ? parseIntFlag(options.bufferSize, "--buffer-size", 1) : DEFAULT_BUFFER_SIZE,
+  };
+}
+
+/**
+ * openMongoCursor: Abre el cursor de la consulta: find con filtro, proyección, orden, salto y límite,
+ * o aggregate con el pipeline. Los documentos se traen del servidor de a batchSize.
+ * @param {Collection} collection - Colección de Mongo.
+ * @param {Object} [query] - Resultado de parseMongoQueryFlags.
+ * @param {number} [batchSize] - Documentos por lote del driver.
+ * @returns {AbstractCursor}
+ */
+function openMongoCursor(collection, query = {}, batchSize) {
+  let cursor;
+  if (query.pipeline) {
+    cursor = collection.aggregate(query.pipeline);
+  } else {
+    cursor = collection.find(query.filter || {});
+    if (query.projection) cursor = cursor.project(query.projection);
+    if (query.sort) cursor = cursor.sort(query.sort);
+    if (query.skip) cursor = cursor.skip(query.skip);
+    if (query.limit) cursor = cursor.limit(query.limit);
+  }
+  return batchSize ? cursor.batchSize(batchSize) : cursor;
+}
+
+/**
+ * sampleQuery: La misma consulta, limitada a los primeros `size` documentos.
+ * @param {Object} query - Resultado de parseMongoQueryFlags.
+ * @param {number} size - Documentos de la muestra.
+ * @returns {Object}
+ */
+function sampleQuery(query, size) {
+  if (query.pipeline) {
+    return { pipeline: [...query.pipeline, { $limit: size }] };
+  }
+  return { ...query, limit: query.limit ? Math.min(query.limit, size) : size };
+}
+
+/**
+ * stableStreamQuery: La consulta de --stream con un orden fijo, para poder retomarla donde quedó:
+ * por _id si no se indicó --sort y, si se indicó, con _id para desempatar. Un pipeline debe traer
+ * su propia etapa $sort.
+ * @param {Object} query - Resultado de parseMongoQueryFlags.
+ * @returns {Object}
+ */
+function stableStreamQuery(query) {
+  if (query.pipeline) {
+    if (!query.pipeline.some((stage) => "$sort" in stage)) {
+      throw new Error(
+        '--stream con --pipeline necesita una etapa $sort que deje los documentos en un orden fijo ' +
+        '(p.ej. {"$sort": {"_id": 1}}): al reanudar se retoma desde la posición en que quedó.'
+      );
+    }
+    return query;
+  }
+  return { ...query, sort: { ...query.sort, _id: query.sort?._id ?? 1 } };
+}
+
+/**
+ * streamPosition: Posición de --stream después de una tanda, para guardarla en el journal.
+ * @param {number} read - Documentos leídos hasta el final de la tanda.
+ * @param {any} [lastId] - _id del último documento de la tanda (si tiene).
+ * @returns {{read: number, lastId?: any}} - lastId como Extended JSON canónico.
+ */
+function streamPosition(read, lastId) {
+  return lastId === undefined
+    ? { read }
+    : { read, lastId: EJSON.serialize({ value: lastId }, { relaxed: false }).value };
+}
+
+/**
+ * resumeQuery: La consulta de --stream desde una posición guardada con streamPosition: con orden
+ * solo por _id, los documentos posteriores al último leído; si no, saltea los ya leídos.
+ * @param {Object} query - Consulta de la importación (resultado de stableStreamQuery).
+ * @param {Object} [position] - Resultado de streamPosition (sin posición, la consulta completa).
+ * @returns {Object|null} - null si con el límite de la consulta ya no quedan documentos.
+ */
+function resumeQuery(query, position) {
+  if (!position || position.read === 0) return query;
+  if (query.pipeline) {
+    return { pipeline: [...query.pipeline, { $skip: position.read }] };
+  }
+  let limit;
+  if (query.limit) {
+    limit = query.limit - position.read;
+    if (limit <= 0) return null;
+  }
+  const sortKeys = Object.keys(query.sort || {});
+  if (position.lastId !== undefined && sortKeys.length === 1 && sortKeys[0] === "_id") {
+    const lastId = EJSON.deserialize({ value: position.lastId }, { relaxed: false }).value;
+    const after = { _id: { [query.sort._id === -1 ? "$lt" : "$gt"]: lastId } };
+    return { ...query, filter: query.filter ? { $and: [query.filter, after] } : after, limit };
+  }
+  return { ...query, skip: position.read, limit };
+}
+
+/**
+ * readInChunks: Recorre un cursor en tandas de hasta `size` documentos. La tanda siguiente no se
+ * lee hasta que se termina de procesar la anterior, así en memoria nunca hay más de una.
+ * @param {AsyncIterable<Object>} cursor - Cursor de Mongo.
+ * @param {number} size - Documentos por tanda.
+ * @returns {AsyncGenerator<Array<Object>>}
+ */
+async function* readInChunks(cursor, size) {
+  let chunk = [];
+  for await (const doc of cursor) {
+    chunk.push(doc);
+    if (chunk.length >= size) {
+      yield chunk;
+      chunk = [];
+    }
+  }
+  if (chunk.length > 0) {
+    yield chunk;
+  }
+}
+
+/**
+ * hasMongoQuery: Indica si se eligió una consulta (si no, se importa la colección completa).
+ */
+function hasMongoQuery(query) {
+  return Object.keys(query || {}).length > 0;
+}
+
+/**
+ * projectionKeeps: Indica si una proyección de find conserva un campo. Una proyección de
+ * inclusión ({a: 1}) solo conserva los campos indicados (y _id, salvo {_id: 0}); una de
+ * exclusión ({a: 0}) conserva todo lo demás.
+ * @param {Object} [projection] - Proyección de --projection.
+ * @param {string} field - Campo a revisar.
+ * @returns {boolean}
+ */
+function projectionKeeps(projection, field) {
+  if (!projection) return true;
+  if (field in projection) return Boolean(projection[field]);
+  if (field === "_id") return true;
+  const isInclusion = Object.entries(projection).some(([key, value]) => key !== "_id" && Boolean(value));
+  return !isInclusion;
+}
+
+/**
+ * describeMongoQuery: Texto de la consulta para los logs.
+ * @param {Object} query - Resultado de parseMongoQueryFlags.
+ * @returns {string}
+ */
+function describeMongoQuery(query) {
+  if (query.pipeline) {
+    return `pipeline de ${query.pipeline.length} etapas (${query.pipeline.map((stage) => Object.keys(stage)[0]).join(", ")})`;
+  }
+  const labels = { filter: "filtro", projection: "proyección", sort: "orden" };
+  const parts = Object.entries(labels)
+    .filter(([key]) => query[key])
+    .map(([key, label]) => `${label} ${EJSON.stringify(query[key], { relaxed: true })}`);
+  if (query.limit) parts.push(`límite ${query.limit}`);
+  return parts.join(", ");
+}
+
+/**
+ * serializeMongoQuery: Convierte la consulta a JSON para guardarla en el journal (las fechas y
+ * ObjectId se conservan como Extended JSON).
+ */
+function serializeMongoQuery(query) {
+  return hasMongoQuery(query) ? EJSON.serialize(query, { relaxed: true }) : undefined;
+}
+
+/**
+ * deserializeMongoQuery: Recupera una consulta guardada con serializeMongoQuery.
+ */
+function deserializeMongoQuery(saved) {
+  return saved ? EJSON.deserialize(saved, { relaxed: true }) : {};
+}
+
+module.exports = {
+  parseMongoQueryFlags,
+  parseStreamFlags,
+  openMongoCursor,
+  sampleQuery,
+  stableStreamQuery,
+  streamPosition,
+  resumeQuery,
+  readInChunks,
+  hasMongoQuery,
+  projectionKeeps,
+  describeMongoQuery,
+  serializeMongoQuery,
+  deserializeMongoQuery,
+};
@@ -0,0 +1,106 @@
+/************************************************************
+ * EXPORTACIÓN DE BASES DE DATOS DE NOTION (compartido por los scripts de exportación)
+ ************************************************************/
+const fs = require("fs");
+const { timestampedPath } = require("./report_files.cjs");
+
+// Ordenamientos por fecha de creación o edición, que no son propiedades de la base de datos
+const TIMESTAMP_SORTS = ["created_time", "last_edited_time"];
+
+// Tipos de propiedad que no tienen valor y no se exportan
+const SKIPPED_TYPES = ["button"];
+
+/**
+ * parseFilterFlag: Lee --filter, un filtro de la API de Notion en JSON, escrito en el flag o en
+ * un archivo .json (p.ej. {"property": "Estado", "select": {"equals": "Activo"}}).
+ * @param {string} [value] - Valor del flag.
+ * @returns {Object|undefined} - Filtro para databases.query, o undefined si no se indicó.
+ */
+function parseFilterFlag(value) {
+  if (value === undefined) return undefined;
+  const isInline = value.trim().startsWith("{");
+  let text = value;
+  if (!isInline) {
+    if (!fs.existsSync(value)) {
+      throw new Error(`Valor inválido para --filter: "${value}" no es un JSON ni un archivo existente.`);
+    }
+    text = fs.readFileSync(value, "utf8");
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`El filtro de --filter no es un JSON válido: ${error.message}`);
+  }
+}
+
+/**
+ * parseSortFlags: Convierte --sort (repetible, "Propiedad" o "Propiedad:desc") en el `sorts` de
+ * databases.query. created_time y last_edited_time ordenan por la fecha de creación o edición de
+ * la página, salvo que exista una propiedad con ese nombre.
+ * @param {string[]} [values] - Valores del flag.
+ * @param {Object} properties - Propiedades de la base de datos (databases.retrieve).
+ * @returns {Array<Object>|undefined}
+ */
+function parseSortFlags(values, properties) {
+  if (!values || values.length === 0) return undefined;
+  return values.map((raw) => {
+    const separator = raw.lastIndexOf(":");
+    const suffix = separator === -1 ? "" : raw.slice(separator + 1).trim().toLowerCase();
+    const hasDirection = ["asc", "desc"].includes(suffix);
+    const name = (hasDirection ? raw.slice(0, separator) : raw).trim();
+    const direction = suffix === "desc" ? "descending" : "ascending";
+    if (properties[name]) {
+      return { property: name, direction };
+    }
+    if (TIMESTAMP_SORTS.includes(name)) {
+      return { timestamp: name, direction };
+    }
+    throw new Error(`Valor inválido para --sort: la propiedad "${name}" no existe en la base de datos.`);
+  });
+}
+
+/**
+ * databaseTitle: Título de una base de datos de Notion en texto plano.
+ * @param {Object} database - Respuesta de databases.retrieve.
+ * @returns {string}
+ */
+function databaseTitle(database) {
+  return (database.title || []).map((item) => item.plain_text ?? item.text?.content ?? "").join("");
+}
+
+/**
+ * schemaProperties: Propiedades de la base de datos en el orden de su esquema, sin las que no
+ * tienen valor (botones).
+ * @param {Object} database - Respuesta de databases.retrieve.
+ * @returns {Array<{name: string, type: string}>}
+ */
+function schemaProperties(database) {
+  return Object.entries(database.properties)
+    .filter(([, property]) => !SKIPPED_TYPES.includes(property.type))
+    .map(([name, property]) => ({ name, type: property.type }));
+}
+
+/**
+ * defaultExportPath: Ruta por defecto del archivo exportado, en la carpeta actual.
+ * @param {string} title - Título de la base de datos.
+ * @param {string} extension - Extensión del archivo (p.ej. ".xlsx").
+ * @returns {string} - p.ej. exportacion_clientes_2025-01-30T10-00-00.xlsx.
+ */
+function defaultExportPath(title, extension) {
+  const slug =
+    title
+      .normalize("NFD")
+      .replace(/\p{M}/gu, "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "_")
+      .replace(/^_+|_+$/g, "") || "notion";
+  return timestampedPath(`exportacion_${slug}`, extension);
+}
+
+module.exports = {
+  parseFilterFlag,
+  parseSortFlags,
+  databaseTitle,
+  schemaProperties,
+  defaultExportPath,
+};
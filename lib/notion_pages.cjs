@@ -0,0 +1,125 @@
+/************************************************************
+ * LECTURA DE PÁGINAS DE NOTION: PAGINACIÓN Y VALORES COMPLETOS (compartido por todos los scripts)
+ ************************************************************/
+
+const PAGE_SIZE = 100; // Cantidad de páginas (o elementos de una propiedad) que se piden por request a Notion
+
+// databases.query devuelve como mucho 25 elementos de estas propiedades en cada página;
+// el valor completo se pide con pages.properties.retrieve
+const TRUNCATED_TYPES = ["title", "rich_text", "relation", "people"];
+const MAX_INLINE_ITEMS = 25;
+
+/**
+ * isTruncated: Indica si el valor de una propiedad puede haber llegado cortado en databases.query.
+ * Las relaciones lo indican con has_more; en los demás tipos, 25 elementos pueden ser más.
+ */
+function isTruncated(property) {
+  if (!property || !TRUNCATED_TYPES.includes(property.type)) return false;
+  return property.has_more === true || (property[property.type] || []).length >= MAX_INLINE_ITEMS;
+}
+
+/**
+ * retrievePropertyValue: Pide el valor completo de una propiedad de una página, paginando.
+ * @param {Client} notion - Cliente de Notion.
+ * @param {string} pageId - ID de la página.
+ * @param {Object} property - Propiedad tal como llegó en la página ({ id, type, ... }).
+ * @returns {Promise<Object>} - La propiedad con todos sus elementos.
+ */
+async function retrievePropertyValue(notion, pageId, property) {
+  const items = [];
+  let startCursor;
+  do {
+    const response = await notion.pages.properties.retrieve({
+      page_id: pageId,
+      property_id: property.id,
+      page_size: PAGE_SIZE,
+      start_cursor: startCursor,
+    });
+    items.push(...(response.results || [response]).map((item) => item[property.type]));
+    startCursor = response.has_more ? response.next_cursor : undefined;
+  } while (startCursor);
+  return { ...property, [property.type]: items, has_more: false };
+}
+
+/**
+ * completePageValues: Reemplaza las propiedades de una página que pueden haber llegado cortadas
+ * (títulos y textos con muchos fragmentos, relaciones y personas) por su valor completo.
+ * @param {Client} notion - Cliente de Notion.
+ * @param {Object} page - Página de databases.query (se modifica).
+ * @returns {Promise<Object>} - La misma página.
+ */
+async function completePageValues(notion, page) {
+  for (const [name, property] of Object.entries(page.properties)) {
+    if (isTruncated(property)) {
+      page.properties[name] = await retrievePropertyValue(notion, page.id, property);
+    }
+  }
+  return page;
+}
+
+/**
+ * iterateDatabasePages: Recorre las páginas de una base de datos de a una request por vez, con
+ * filtro y orden opcionales, sin juntarlas en memoria.
+ * @param {Client} notion - Cliente de Notion.
+ * @param {string} databaseId - ID de la base de datos.
+ * @param {Object} [options] - { filter, sorts, completeValues, filterProperties }. Con completeValues,
+ *   las propiedades cortadas por la API se completan (completePageValues); con filterProperties
+ *   (IDs de propiedad), las páginas traen solo esas propiedades.
+ * @returns {AsyncGenerator<Object[]>} - Las páginas de cada request.
+ */
+async function* iterateDatabasePages(notion, databaseId, { filter, sorts, completeValues = false, filterProperties } = {}) {
+  let startCursor;
+  do {
+    const response = await notion.databases.query({
+      database_id: databaseId,
+      page_size: PAGE_SIZE,
+      start_cursor: startCursor,
+      ...(filter ? { filter } : {}),
+      ...(sorts ? { sorts } : {}),
+      ...(filterProperties ? { filter_properties: filterProperties } : {}),
+    });
+    if (completeValues) {
+      for (const page of response.results) {
+        await completePageValues(notion, page);
+      }
+    }
+    yield response.results;
+    startCursor = response.has_more ? response.next_cursor : undefined;
+  } while (startCursor);
+}
+
+/**
+ * queryAllPages: Trae todas las páginas de una base de datos, paginando.
+ * @param {Client} notion - Cliente de Notion.
+ * @param {string} databaseId - ID de la base de datos.
+ * @param {Object} [options] - { filter, sorts, completeValues, filterProperties } (ver iterateDatabasePages) y:
+ *   keepProperties: de cada página se guardan solo su id y esas propiedades (para no tener en
+ *   memoria la base de datos completa); onProgress(cantidad): se llama tras cada request.
+ * @returns {Promise<Object[]>} - Páginas de la base de datos.
+ */
+async function queryAllPages(notion, databaseId, { keepProperties, onProgress = () => {}, ...query } = {}) {
+  const pages = [];
+  for await (const results of iterateDatabasePages(notion, databaseId, query)) {
+    for (const page of results) {
+      pages.push(
+        keepProperties
+          ? {
+              id: page.id,
+              properties: Object.fromEntries(
+                keepProperties.filter((name) => page.properties[name]).map((name) => [name, page.properties[name]])
+              ),
+            }
+          : page
+      );
+    }
+    onProgress(pages.length);
+  }
+  return pages;
+}
+
+module.exports = {
+  PAGE_SIZE,
+  completePageValues,
+  iterateDatabasePages,
+  queryAllPages,
+};
@@ -0,0 +1,243 @@
+/************************************************************
+ * CAPA DE REQUESTS A NOTION CON REINTENTOS (compartida por ambos scripts)
+ ************************************************************/
+const { parseIntFlag } = require("./cli_args.cjs");
+
+// Valores por defecto del presupuesto de reintentos
+const DEFAULT_RETRY_OPTIONS = {
+  maxRetries: 5, // Reintentos por request
+  retryBudget: Infinity, // Reintentos totales permitidos en toda la ejecución
+  baseDelayMs: 500, // Espera base del backoff exponencial
+  maxDelayMs: 30000, // Espera máxima entre intentos
+  requestsPerSecond: 3, // Promedio de requests por segundo que admite Notion por integración
+};
+
+// Errores de red de Node que vale la pena reintentar
+const NETWORK_ERROR_CODES = [
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "EPIPE",
+  "EAI_AGAIN",
+  "ENOTFOUND",
+  "notionhq_client_request_timeout",
+];
+
+// Métodos del cliente de Notion que pasan por la capa de reintentos
+const WRAPPED_METHODS = [
+  ["pages", "create"],
+  ["pages", "update"],
+  ["pages.properties", "retrieve"],
+  ["databases", "query"],
+  ["databases", "retrieve"],
+  ["databases", "update"],
+  ["databases", "create"],
+  ["blocks.children", "append"],
+];
+
+/**
+ * sleep: Espera la cantidad de milisegundos indicada.
+ * @param {number} ms - Milisegundos.
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * createRateLimiter: Limitador que espacia las requests para no superar un promedio
+ * de requestsPerSecond, compartido por todos los workers que usan el mismo cliente.
+ * @param {number} requestsPerSecond - Requests por segundo (0 o Infinity = sin límite).
+ * @returns {{acquire: Function, pauseFor: Function}}
+ */
+function createRateLimiter(requestsPerSecond) {
+  const intervalMs = requestsPerSecond > 0 && isFinite(requestsPerSecond) ? 1000 / requestsPerSecond : 0;
+  let nextSlot = 0;
+
+  return {
+    // Reserva el próximo turno libre y espera hasta que llegue
+    async acquire() {
+      const now = Date.now();
+      const slot = Math.max(now, nextSlot);
+      nextSlot = slot + intervalMs;
+      if (slot > now) {
+        await sleep(slot - now);
+      }
+    },
+    // Frena a todos los workers (p.ej. tras un 429 con Retry-After)
+    pauseFor(ms) {
+      nextSlot = Math.max(nextSlot, Date.now() + ms);
+    },
+  };
+}
+
+/**
+ * isRetryableError: Decide si un error de Notion merece un reintento.
+ * Se reintentan 429 (rate limit), 409 (conflicto transitorio), 5xx y errores de red.
+ * Los 400 de validación y demás 4xx nunca se reintentan: fallarían igual.
+ * @param {Error} error - Error lanzado por el cliente de Notion.
+ * @returns {boolean}
+ */
+function isRetryableError(error) {
+  if (!error) return false;
+  const status = error.status;
+  if (typeof status === "number") {
+    return status === 429 || status === 409 || status >= 500;
+  }
+  return NETWORK_ERROR_CODES.includes(error.code);
+}
+
+/**
+ * getRetryAfterMs: Lee el header Retry-After de la respuesta (segundos o fecha HTTP).
+ * @param {Error} error - Error con los headers de la respuesta.
+ * @returns {number|null} - Milisegundos a esperar, o null si no viene el header.
+ */
+function getRetryAfterMs(error) {
+  const headers = error && error.headers;
+  if (!headers) return null;
+
+  const raw = typeof headers.get === "function" ? headers.get("retry-after") : headers["retry-after"];
+  if (raw === null || raw === undefined || raw === "") return null;
+
+  const seconds = Number(raw);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(raw);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * computeDelayMs: Calcula la espera antes del próximo intento.
+ * Si Notion envía Retry-After se respeta (con un pequeño jitter); si no, se usa
+ * backoff exponencial con "full jitter" acotado por maxDelayMs.
+ * @param {Error} error - Error del intento fallido.
+ * @param {number} attempt - Número de reintento (1, 2, ...).
+ * @param {Object} options - Opciones de reintento.
+ * @returns {number} - Milisegundos a esperar.
+ */
+function computeDelayMs(error, attempt, options) {
+  const retryAfterMs = getRetryAfterMs(error);
+  if (retryAfterMs !== null) {
+    return retryAfterMs + Math.floor(Math.random() * options.baseDelayMs);
+  }
+  const exponential = Math.min(options.maxDelayMs, options.baseDelayMs * 2 ** (attempt - 1));
+  return Math.floor(Math.random() * exponential);
+}
+
+/**
+ * withRetry: Ejecuta una request a Notion reintentando los errores transitorios.
+ * Cada intento espera su turno en el limitador de velocidad (si se pasa uno).
+ * @param {Function} requestFn - Función que hace la request y devuelve una promesa.
+ * @param {Object} options - { maxRetries, baseDelayMs, maxDelayMs, onRetry }.
+ * @param {{remaining: number}} budget - Presupuesto de reintentos compartido por la ejecución.
+ * @param {Object} [limiter] - Limitador creado con createRateLimiter.
+ * @returns {Promise<any>} - Respuesta de Notion.
+ */
+async function withRetry(requestFn, options, budget, limiter) {
+  let attempt = 0;
+
+  while (true) {
+    try {
+      if (limiter) {
+        await limiter.acquire();
+      }
+      return await requestFn();
+    } catch (error) {
+      attempt++;
+      if (!isRetryableError(error) || attempt > options.maxRetries || budget.remaining <= 0) {
+        throw error;
+      }
+      budget.remaining--;
+
+      const delayMs = computeDelayMs(error, attempt, options);
+      if (limiter && error.status === 429) {
+        limiter.pauseFor(delayMs);
+      }
+      if (options.onRetry) {
+        options.onRetry({ error, attempt, delayMs, maxRetries: options.maxRetries });
+      }
+      await sleep(delayMs);
+    }
+  }
+}
+
+/**
+ * ownNamespace: Devuelve la copia propia de `target` para un namespace del cliente (admite
+ * namespaces anidados como "blocks.children"), creándola a partir de `source` si todavía no existe.
+ * @param {Object} target - Cliente derivado (creado con Object.create(source)).
+ * @param {Object} source - Cliente original.
+ * @param {string} namespace - Namespace, p.ej. "pages" o "blocks.children".
+ * @returns {{target: Object, source: Object}} - El namespace en el cliente derivado y en el original.
+ */
+function ownNamespace(target, source, namespace) {
+  for (const key of namespace.split(".")) {
+    source = source[key];
+    // La copia de un namespace comparte con el original las referencias a sus namespaces hijos:
+    // también hay que copiar esos, para no envolver los métodos del cliente original.
+    if (!Object.prototype.hasOwnProperty.call(target, key) || target[key] === source) {
+      target[key] = { ...source };
+    }
+    target = target[key];
+  }
+  return { target, source };
+}
+
+/**
+ * wrapNotionClient: Devuelve un cliente de Notion cuyos métodos de lectura/escritura
+ * (pages.create/update, databases.query/retrieve/update/create, blocks.children.append) reintentan con backoff y
+ * respetan un límite de requests por segundo común a todas las llamadas concurrentes.
+ * El resto de métodos se delegan sin cambios al cliente original.
+ * @param {Client} notion - Cliente de @notionhq/client.
+ * @param {Object} [retryOptions] - Ver DEFAULT_RETRY_OPTIONS; admite además onRetry(info).
+ * @returns {Client} - Cliente envuelto.
+ */
+function wrapNotionClient(notion, retryOptions = {}) {
+  const options = { ...DEFAULT_RETRY_OPTIONS, ...retryOptions };
+  const budget = { remaining: options.retryBudget };
+  const limiter = createRateLimiter(options.requestsPerSecond);
+  const wrapped = Object.create(notion);
+
+  // Copias propias de cada namespace para no modificar el cliente original
+  for (const [namespace, method] of WRAPPED_METHODS) {
+    const { target, source } = ownNamespace(wrapped, notion, namespace);
+    const original = source[method];
+    target[method] = (args) => withRetry(() => original(args), options, budget, limiter);
+  }
+
+  return wrapped;
+}
+
+/**
+ * parseRequestFlags: Convierte --max-retries, --retry-budget y --rate en opciones para wrapNotionClient.
+ * @param {Object} options - Flags de línea de comandos ya parseados.
+ * @returns {Object} - Opciones para wrapNotionClient.
+ */
+function parseRequestFlags(options) {
+  const requestOptions = {};
+  if (options.maxRetries !== undefined) {
+    requestOptions.maxRetries = parseIntFlag(options.maxRetries, "--max-retries");
+  }
+  if (options.retryBudget !== undefined) {
+    requestOptions.retryBudget = parseIntFlag(options.retryBudget, "--retry-budget");
+  }
+  if (options.rate !== undefined) {
+    const rate = Number(options.rate);
+    if (isNaN(rate) || rate <= 0) {
+      throw new Error(`Valor inválido para --rate: "${options.rate}". Debe ser un número mayor a 0.`);
+    }
+    requestOptions.requestsPerSecond = rate;
+  }
+  return requestOptions;
+}
+
+module.exports = {
+  DEFAULT_RETRY_OPTIONS,
+  sleep,
+  isRetryableError,
+  createRateLimiter,
+  withRetry,
+  ownNamespace,
+  wrapNotionClient,
+  parseRequestFlags,
+};
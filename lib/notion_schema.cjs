@@ -0,0 +1,118 @@
+/************************************************************
+ * CREACIÓN DE BASES DE DATOS EN NOTION (compartido por ambos scripts)
+ ************************************************************/
+
+// Máximo de opciones que se precargan en una propiedad select/multi_select
+const MAX_SELECT_OPTIONS = 100;
+
+// Tipos que Notion no crea sin configuración: la expresión de la fórmula, la base de datos
+// relacionada o la relación y propiedad que resume el rollup
+const CONFIG_REQUIRED_TYPES = ["formula", "relation", "rollup"];
+
+/**
+ * selectOptionNames: Nombres de opción de un valor de select/multi_select. Se usa tanto al
+ * importar cada valor como al precargar las opciones de una base de datos nueva, así ambos
+ * separan igual: en multi_select, por comas (o los elementos de un arreglo), sin espacios
+ * alrededor, sin vacíos ni repetidos.
+ * @param {any} value - Valor de la fuente.
+ * @param {string} type - "select" o "multi_select".
+ * @returns {string[]}
+ * @throws {Error} - Si un valor de select tiene comas: Notion no las admite en el nombre de una opción.
+ */
+function selectOptionNames(value, type) {
+  if (type === "multi_select") {
+    const parts = Array.isArray(value) ? value.map((item) => String(item ?? "")) : String(value).split(",");
+    return [...new Set(parts.map((part) => part.trim()).filter(Boolean))];
+  }
+  const name = String(value).trim();
+  if (name.includes(",")) {
+    throw new Error(`"${name}" tiene comas, que Notion no admite en una opción de select (usa multi_select para listas).`);
+  }
+  return name ? [name] : [];
+}
+
+/**
+ * collectSelectOptions: Junta los valores distintos de una columna como opciones de
+ * select/multi_select, separados con selectOptionNames. Los valores de select con comas no se
+ * pueden importar, así que tampoco se precargan.
+ * @param {Array<any>} values - Valores de la columna.
+ * @param {string} type - "select" o "multi_select".
+ * @returns {{options: Array<{name: string}>, truncated: boolean}}
+ */
+function collectSelectOptions(values, type) {
+  const names = new Set();
+  for (const value of values) {
+    if (value === undefined || value === null) continue;
+    try {
+      selectOptionNames(value, type).forEach((name) => names.add(name));
+    } catch (error) {
+      // Queda en el reporte de valores no convertidos al importar la fila
+    }
+  }
+  const options = Array.from(names).map((name) => ({ name }));
+  return {
+    options: options.slice(0, MAX_SELECT_OPTIONS),
+    truncated: options.length > MAX_SELECT_OPTIONS,
+  };
+}
+
+/**
+ * buildDatabaseSchema: Arma las propiedades de databases.create a partir del mapeo elegido.
+ * Las select/multi_select llevan como opciones los valores distintos de la fuente.
+ * @param {Object} selectedProperties - Mapeo { header: { name, type } }.
+ * @param {Array<Object>} data - Filas o documentos a importar.
+ * @returns {{properties: Object, truncated: string[]}} - truncated: propiedades con más
+ *   opciones que MAX_SELECT_OPTIONS (solo se precargan las primeras).
+ * @throws {Error} - Si el mapeo tiene propiedades formula, relation o rollup.
+ */
+function buildDatabaseSchema(selectedProperties, data) {
+  const needsConfig = Object.values(selectedProperties).filter(({ type }) => CONFIG_REQUIRED_TYPES.includes(type));
+  if (needsConfig.length > 0) {
+    throw new Error(
+      `No se puede crear la base de datos con ${needsConfig.map(({ name, type }) => `"${name}" (${type})`).join(", ")}: ` +
+        "Notion necesita la configuración de esos tipos (expresión, base de datos relacionada...). " +
+        "Mapéalas con otro tipo (--map) y cámbialas después en Notion."
+    );
+  }
+
+  const properties = {};
+  const truncated = [];
+
+  for (const [header, { name, type }] of Object.entries(selectedProperties)) {
+    if (type === "select" || type === "multi_select") {
+      const { options, truncated: isTruncated } = collectSelectOptions(
+        data.map((entry) => entry[header]),
+        type
+      );
+      properties[name] = { [type]: { options } };
+      if (isTruncated) truncated.push(name);
+    } else {
+      properties[name] = { [type]: {} };
+    }
+  }
+  return { properties, truncated };
+}
+
+/**
+ * createDatabase: Crea una base de datos nueva dentro de una página de Notion con el
+ * esquema completo del mapeo.
+ * @param {Client} notion - Cliente de Notion.
+ * @param {Object} params - { parentPageId, title, selectedProperties, data }.
+ * @returns {Promise<{response: Object, truncated: string[]}>} - Respuesta de databases.create.
+ */
+async function createDatabase(notion, { parentPageId, title, selectedProperties, data }) {
+  const { properties, truncated } = buildDatabaseSchema(selectedProperties, data);
+  const response = await notion.databases.create({
+    parent: { type: "page_id", page_id: parentPageId },
+    title: [{ type: "text", text: { content: title } }],
+    properties,
+  });
+  return { response, truncated };
+}
+
+module.exports = {
+  MAX_SELECT_OPTIONS,
+  selectOptionNames,
+  buildDatabaseSchema,
+  createDatabase,
+};
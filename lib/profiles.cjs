@@ -0,0 +1,139 @@
+/************************************************************
+ * PERFILES DE MAPEO GUARDADOS (compartido por ambos scripts)
+ ************************************************************/
+const fs = require("fs");
+const path = require("path");
+const { DUPLICATE_OPTION_FLAGS } = require("./cli_args.cjs");
+
+// Carpeta donde se guardan los perfiles (uno por archivo JSON)
+const PROFILES_DIR = path.join(__dirname, "..", "perfiles");
+
+// Proporción mínima de encabezados en común para considerar que un perfil coincide
+const MIN_HEADER_MATCH = 0.5;
+
+/**
+ * profilePath: Resuelve la ruta de un perfil a partir de su nombre o de una ruta a un .json.
+ * @param {string} nameOrPath - Nombre del perfil ("clientes") o ruta ("./perfiles/clientes.json").
+ * @returns {string} - Ruta absoluta al archivo del perfil.
+ */
+function profilePath(nameOrPath) {
+  if (nameOrPath.endsWith(".json") || nameOrPath.includes(path.sep)) {
+    return path.resolve(nameOrPath);
+  }
+  const safeName = nameOrPath.trim().replace(/[^\w.-]+/g, "_");
+  return path.join(PROFILES_DIR, `${safeName}.json`);
+}
+
+/**
+ * diffHeaders: Compara los encabezados guardados en un perfil con los de la fuente actual.
+ * @param {string[]} profileHeaders - Encabezados registrados en el perfil.
+ * @param {string[]} headers - Encabezados leídos de la fuente.
+ * @returns {{added: string[], missing: string[]}} - Columnas nuevas y columnas que ya no están.
+ */
+function diffHeaders(profileHeaders, headers) {
+  return {
+    added: headers.filter((h) => !profileHeaders.includes(h)),
+    missing: profileHeaders.filter((h) => !headers.includes(h)),
+  };
+}
+
+/**
+ * loadProfile: Lee un perfil desde disco y calcula la deriva respecto de los encabezados actuales.
+ * @param {string} nameOrPath - Nombre o ruta del perfil.
+ * @param {string[]} headers - Encabezados leídos de la fuente.
+ * @returns {{profile: Object, path: string, drift: {added: string[], missing: string[]}}}
+ */
+function loadProfile(nameOrPath, headers) {
+  const filePath = profilePath(nameOrPath);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`No existe el perfil "${nameOrPath}" (${filePath}).`);
+  }
+  const profile = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  return { profile, path: filePath, drift: diffHeaders(profile.headers || [], headers) };
+}
+
+/**
+ * listProfiles: Lee todos los perfiles válidos de la carpeta de perfiles.
+ * Los archivos que no se pueden parsear se ignoran.
+ * @returns {Array<{profile: Object, path: string}>}
+ */
+function listProfiles() {
+  if (!fs.existsSync(PROFILES_DIR)) {
+    return [];
+  }
+  const profiles = [];
+  for (const file of fs.readdirSync(PROFILES_DIR)) {
+    if (!file.endsWith(".json")) continue;
+    const filePath = path.join(PROFILES_DIR, file);
+    try {
+      profiles.push({ profile: JSON.parse(fs.readFileSync(filePath, "utf8")), path: filePath });
+    } catch (error) {
+      // Perfil corrupto o editado a mano: no debe impedir la importación
+    }
+  }
+  return profiles;
+}
+
+/**
+ * findMatchingProfile: Busca el perfil guardado cuyos encabezados más se parecen a los actuales.
+ * Solo se consideran perfiles del mismo origen ("excel" o "mongo") que compartan al menos
+ * la mitad de las columnas (sobre el total de columnas de ambos).
+ * @param {string[]} headers - Encabezados leídos de la fuente.
+ * @param {string} source - Origen de los datos.
+ * @returns {{profile: Object, path: string, drift: {added: string[], missing: string[]}}|null}
+ */
+function findMatchingProfile(headers, source) {
+  let best = null;
+  let bestScore = 0;
+
+  for (const candidate of listProfiles()) {
+    if (candidate.profile.source !== source || !Array.isArray(candidate.profile.headers)) continue;
+
+    const profileHeaders = candidate.profile.headers;
+    const common = headers.filter((h) => profileHeaders.includes(h)).length;
+    const union = new Set([...headers, ...profileHeaders]).size;
+    const score = union > 0 ? common / union : 0;
+
+    if (score >= MIN_HEADER_MATCH && score > bestScore) {
+      best = candidate;
+      bestScore = score;
+    }
+  }
+
+  if (!best) {
+    return null;
+  }
+  return { ...best, drift: diffHeaders(best.profile.headers, headers) };
+}
+
+/**
+ * saveProfile: Guarda la configuración de una sesión como perfil reutilizable.
+ * @param {string} name - Nombre del perfil.
+ * @param {Object} session - { source, headers, databaseId, titleField, properties,
+ *   duplicateCheckFields, duplicateOption, ...extras propios de cada script }.
+ * @returns {string} - Ruta del archivo guardado.
+ */
+function saveProfile(name, session) {
+  const { duplicateOption, ...rest } = session;
+  const onDuplicate = Object.keys(DUPLICATE_OPTION_FLAGS).find(
+    (flag) => DUPLICATE_OPTION_FLAGS[flag] === duplicateOption
+  );
+  const profile = {
+    name: name.trim(),
+    ...rest,
+    onDuplicate,
+    savedAt: new Date().toISOString(),
+  };
+
+  const filePath = profilePath(name);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(profile, null, 2) + "\n");
+  return filePath;
+}
+
+module.exports = {
+  PROFILES_DIR,
+  loadProfile,
+  findMatchingProfile,
+  saveProfile,
+};
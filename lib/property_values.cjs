@@ -0,0 +1,159 @@
+/************************************************************
+ * LECTURA DE VALORES DE PROPIEDADES DE NOTION (compartido por ambos scripts)
+ ************************************************************/
+const { formatInTimeZone } = require("./date_values.cjs");
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const OFFSET_PATTERN = /(Z|[+-]\d{2}:?\d{2})$/i;
+
+/**
+ * plainText: Texto de un arreglo de objetos de texto, tanto de una página leída de Notion
+ * (plain_text) como de un payload armado por el script (text.content).
+ */
+function plainText(richText) {
+  return (richText || []).map((item) => item.plain_text ?? item.text?.content ?? "").join("");
+}
+
+/**
+ * canonicalDate: Forma comparable del inicio o fin de una fecha. Las fechas sin hora quedan
+ * como "YYYY-MM-DD"; con zona horaria, las horas se expresan como hora de reloj de esa zona
+ * ("YYYY-MM-DDTHH:mm:ss") y, sin ella, como instante UTC ("YYYY-MM-DDTHH:mm:ssZ"); las horas
+ * sin offset se toman como UTC, igual que al enviarlas.
+ */
+function canonicalDate(text, timeZone) {
+  if (!text) return null;
+  if (DATE_ONLY_PATTERN.test(text)) return text;
+  const hasOffset = OFFSET_PATTERN.test(text);
+  if (timeZone && !hasOffset) {
+    return `${text.slice(0, 16)}:${text.slice(17, 19) || "00"}`;
+  }
+  const instant = new Date(hasOffset ? text : `${text}Z`);
+  if (Number.isNaN(instant.getTime())) return text;
+  return timeZone ? formatInTimeZone(instant, timeZone) : `${instant.toISOString().slice(0, 19)}Z`;
+}
+
+/**
+ * toDate: Date de un inicio o fin de fecha de Notion (las horas sin offset se toman como UTC).
+ */
+function toDate(text) {
+  if (!text) return null;
+  const withOffset = DATE_ONLY_PATTERN.test(text) || OFFSET_PATTERN.test(text) ? text : `${text}Z`;
+  return new Date(withOffset);
+}
+
+/**
+ * readUser: Usuario de Notion (people, created_by, last_edited_by) como { id, name, email }.
+ */
+function readUser(user) {
+  return { id: user.id, name: user.name ?? null, email: user.person?.email ?? null };
+}
+
+/**
+ * readPropertyValue: Lee una propiedad de Notion (de una página o de un payload) como valor de
+ * JavaScript y como texto canónico, el que se usa para comparar valores y detectar duplicados.
+ * Los valores vacíos devuelven { value: null, text: "" }.
+ *   - title, rich_text, url, email, phone_number, select, status: string.
+ *   - number: number. checkbox: boolean ("true" / "false").
+ *   - multi_select: string[] (el texto los ordena, para que el orden no cuente como cambio).
+ *   - date: { start: Date, end: Date|null, timeZone: string|null } (texto "inicio → fin zona").
+ *   - created_time, last_edited_time: Date (texto "YYYY-MM-DDTHH:mm:ssZ").
+ *   - files: [{ name, url }]. relation: string[] (IDs de páginas).
+ *   - people: [{ id, name, email }]; created_by, last_edited_by: { id, name, email } (texto: nombre,
+ *     email o ID).
+ *   - formula: el valor de su resultado (string, number, boolean o date).
+ *   - rollup: number, date o, con resultado "array", la lista de valores de cada elemento.
+ *   - unique_id: string ("PREFIJO-12", o "12" sin prefijo). verification: su estado.
+ *   - button y los tipos desconocidos: vacío.
+ * @param {Object} property - Propiedad de la página ({ type, [type]: ... }) o del payload ({ [type]: ... }).
+ * @param {string} [type] - Tipo de la propiedad (por defecto, property.type o la clave del payload).
+ * @returns {{value: any, text: string}}
+ */
+function readPropertyValue(property, type = property?.type ?? Object.keys(property || {})[0]) {
+  const empty = { value: null, text: "" };
+  const content = property?.[type];
+  if (content === undefined || content === null) return empty;
+
+  switch (type) {
+    case "title":
+    case "rich_text": {
+      const text = plainText(content);
+      return text === "" ? empty : { value: text, text };
+    }
+    case "url":
+    case "email":
+    case "phone_number":
+    case "string":
+      return content === "" ? empty : { value: content, text: content };
+    case "number":
+      return { value: content, text: String(content) };
+    case "checkbox":
+    case "boolean":
+      return { value: content, text: content ? "true" : "false" };
+    case "select":
+    case "status":
+      return content.name ? { value: content.name, text: content.name } : empty;
+    case "multi_select": {
+      const names = content.map((option) => option.name).filter(Boolean);
+      return names.length === 0 ? empty : { value: names, text: [...names].sort().join(", ") };
+    }
+    case "date": {
+      const timeZone = content.time_zone || null;
+      const start = canonicalDate(content.start, timeZone);
+      if (!start) return empty;
+      const end = canonicalDate(content.end, timeZone);
+      return {
+        value: { start: toDate(content.start), end: toDate(content.end), timeZone },
+        text: [start, end && `→ ${end}`, timeZone].filter(Boolean).join(" "),
+      };
+    }
+    case "files": {
+      const files = content.map((file) => ({ name: file.name, url: file.external?.url ?? file.file?.url ?? null }));
+      return files.length === 0 ? empty : { value: files, text: files.map((file) => file.url ?? file.name).join(", ") };
+    }
+    case "created_time":
+    case "last_edited_time": {
+      const instant = new Date(content);
+      return Number.isNaN(instant.getTime())
+        ? empty
+        : { value: instant, text: `${instant.toISOString().slice(0, 19)}Z` };
+    }
+    case "people": {
+      const people = content.map(readUser);
+      const names = people.map((person) => person.name ?? person.email ?? person.id);
+      return people.length === 0 ? empty : { value: people, text: names.sort().join(", ") };
+    }
+    case "created_by":
+    case "last_edited_by": {
+      const user = readUser(content);
+      return { value: user, text: user.name ?? user.email ?? user.id };
+    }
+    case "relation": {
+      const ids = content.map((page) => page.id);
+      return ids.length === 0 ? empty : { value: ids, text: [...ids].sort().join(", ") };
+    }
+    case "formula":
+      return readPropertyValue(content, content.type);
+    case "rollup": {
+      if (content.type !== "array") {
+        return readPropertyValue(content, content.type);
+      }
+      const items = content.array.map((item) => readPropertyValue(item)).filter((item) => item.value !== null);
+      return items.length === 0
+        ? empty
+        : { value: items.map((item) => item.value), text: items.map((item) => item.text).join(", ") };
+    }
+    case "unique_id": {
+      if (content.number === null || content.number === undefined) return empty;
+      const text = content.prefix ? `${content.prefix}-${content.number}` : String(content.number);
+      return { value: text, text };
+    }
+    case "verification":
+      return content.state ? { value: content.state, text: content.state } : empty;
+    default:
+      return empty;
+  }
+}
+
+module.exports = {
+  readPropertyValue,
+};
@@ -0,0 +1,64 @@
+/************************************************************
+ * ARCHIVOS DE REPORTE: RUTAS CON FECHA Y CSV (compartido por todos los scripts)
+ ************************************************************/
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * timestampedPath: Ruta de un archivo con la fecha y hora actual en el nombre, para que cada
+ * ejecución escriba el suyo.
+ * @param {string} prefix - Inicio del nombre (p.ej. "fallidos_excel").
+ * @param {string} extension - Extensión con el punto (p.ej. ".csv").
+ * @param {string} [dir] - Carpeta (por defecto la actual).
+ * @returns {string} - p.ej. fallidos_excel_2025-01-30T10-00-00.csv.
+ */
+function timestampedPath(prefix, extension, dir = ".") {
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-").slice(0, 19);
+  return path.resolve(dir, `${prefix}_${stamp}${extension}`);
+}
+
+/**
+ * csvCell: Escapa un valor para una celda de CSV (entre comillas si tiene comas, comillas o saltos de línea).
+ * @param {any} value - Valor de la celda (null/undefined quedan vacíos).
+ * @returns {string}
+ */
+function csvCell(value) {
+  const text = String(value ?? "");
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * writeCsv: Guarda un CSV con encabezados y una línea por fila.
+ * @param {string} filePath - Ruta del .csv.
+ * @param {string[]} header - Nombres de las columnas.
+ * @param {Array<Array<any>>} rows - Valores de cada fila, en el orden de las columnas.
+ * @returns {string} - Ruta del archivo guardado.
+ */
+function writeCsv(filePath, header, rows) {
+  const lines = [header, ...rows].map((row) => row.map(csvCell).join(","));
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, lines.join("\n") + "\n");
+  return filePath;
+}
+
+/**
+ * appendCsv: Agrega filas al final de un CSV. Si el archivo no existe, lo crea con los encabezados.
+ * @param {string} filePath - Ruta del .csv.
+ * @param {string[]} header - Nombres de las columnas.
+ * @param {Array<Array<any>>} rows - Valores de cada fila, en el orden de las columnas.
+ * @returns {string} - Ruta del archivo.
+ */
+function appendCsv(filePath, header, rows) {
+  const isNew = !fs.existsSync(filePath);
+  const lines = [...(isNew ? [header] : []), ...rows].map((row) => row.map(csvCell).join(","));
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.appendFileSync(filePath, lines.join("\n") + "\n");
+  return filePath;
+}
+
+module.exports = {
+  timestampedPath,
+  csvCell,
+  writeCsv,
+  appendCsv,
+};
@@ -0,0 +1,138 @@
+/************************************************************
+ * TEXTOS LARGOS EN PROPIEDADES title Y rich_text (compartido por ambos scripts)
+ ************************************************************/
+
+// Límites de Notion: caracteres por objeto de texto y objetos de texto por propiedad o bloque
+const MAX_TEXT_LENGTH = 2000;
+const MAX_RICH_TEXT_ITEMS = 100;
+const MAX_PROPERTY_LENGTH = MAX_TEXT_LENGTH * MAX_RICH_TEXT_ITEMS;
+
+// Qué hacer con el texto que no entra en la propiedad
+const TEXT_OVERFLOW_POLICIES = ["truncate", "body", "fail"];
+const DEFAULT_TEXT_OVERFLOW = "truncate";
+
+const TRUNCATED_MARKER = " […texto truncado]";
+const CONTINUED_MARKER = " […continúa en el cuerpo de la página]";
+
+/**
+ * parseTextOverflowFlag: Valida --text-overflow.
+ * @param {Object} options - Flags de línea de comandos ya parseados.
+ * @returns {string|undefined} - "truncate", "body", "fail" o undefined si no se indicó.
+ */
+function parseTextOverflowFlag(options) {
+  if (options.textOverflow !== undefined && !TEXT_OVERFLOW_POLICIES.includes(options.textOverflow)) {
+    throw new Error(
+      `Valor inválido para --text-overflow: "${options.textOverflow}". Usa ${TEXT_OVERFLOW_POLICIES.join(", ")}.`
+    );
+  }
+  return options.textOverflow;
+}
+
+/**
+ * applyTextOptions: Guarda en el mapeo de las propiedades title y rich_text qué hacer con los
+ * textos demasiado largos, así viaja con el mapeo al journal, al archivo de fallidos y al perfil.
+ * Sin flag se conserva lo que ya traía el mapeo de un perfil.
+ * @param {Object} selectedProperties - Mapeo { header: { name, type } } (se modifica).
+ * @param {string} [textOverflow] - Resultado de parseTextOverflowFlag.
+ * @param {Object} [savedProperties] - Mapeo guardado en el perfil.
+ * @returns {Object} - El mismo mapeo.
+ */
+function applyTextOptions(selectedProperties, textOverflow, savedProperties = {}) {
+  for (const [header, mapping] of Object.entries(selectedProperties)) {
+    if (mapping.type !== "title" && mapping.type !== "rich_text") continue;
+    const overflow = textOverflow ?? savedProperties[header]?.textOverflow;
+    if (overflow) mapping.textOverflow = overflow;
+  }
+  return selectedProperties;
+}
+
+/**
+ * cutAt: Posición de corte que no parte un emoji u otro carácter de dos unidades UTF-16.
+ */
+function cutAt(text, position) {
+  const code = text.charCodeAt(position - 1);
+  return code >= 0xd800 && code <= 0xdbff ? position - 1 : position;
+}
+
+/**
+ * splitText: Parte un texto en trozos de hasta MAX_TEXT_LENGTH caracteres.
+ * @param {string} text - Texto a partir.
+ * @returns {string[]}
+ */
+function splitText(text) {
+  const chunks = [];
+  let start = 0;
+  while (start < text.length) {
+    const end = start + MAX_TEXT_LENGTH >= text.length ? text.length : cutAt(text, start + MAX_TEXT_LENGTH);
+    chunks.push(text.slice(start, end));
+    start = end;
+  }
+  return chunks;
+}
+
+/**
+ * toRichText: Arreglo de objetos de texto de Notion (un objeto por trozo).
+ * @param {string[]} chunks - Trozos de hasta MAX_TEXT_LENGTH caracteres.
+ * @returns {Array<Object>}
+ */
+function toRichText(chunks) {
+  return chunks.map((content) => ({ text: { content } }));
+}
+
+/**
+ * overflowBlocks: Bloques de párrafo con la continuación de un texto, precedidos por el nombre
+ * de la propiedad para que se entienda de dónde viene.
+ */
+function overflowBlocks(label, text) {
+  const paragraph = (richText) => ({ object: "block", type: "paragraph", paragraph: { rich_text: richText } });
+  const blocks = [paragraph([{ text: { content: `${label} (continuación):` }, annotations: { bold: true } }])];
+  const chunks = splitText(text);
+  for (let index = 0; index < chunks.length; index += MAX_RICH_TEXT_ITEMS) {
+    blocks.push(paragraph(toRichText(chunks.slice(index, index + MAX_RICH_TEXT_ITEMS))));
+  }
+  return blocks;
+}
+
+/**
+ * buildTextProperty: Construye una propiedad title o rich_text repartiendo el texto en objetos
+ * de hasta 2000 caracteres. Lo que supera el máximo de la propiedad (100 objetos) se trata según
+ * textOverflow: "truncate" lo corta y agrega una marca, "body" lo devuelve como bloques de párrafo
+ * para el cuerpo de la página y "fail" lanza un error que hace fallar la fila.
+ * @param {string} type - "title" o "rich_text".
+ * @param {string} text - Valor completo.
+ * @param {Object} [options] - { textOverflow, label } (label: nombre de la propiedad).
+ * @returns {{property: Object, children: Array<Object>}} - children: bloques para el cuerpo (solo con "body").
+ * @throws {Error} - Con textOverflow "fail", si el texto no entra en la propiedad (error.failsRow = true).
+ */
+function buildTextProperty(type, text, { textOverflow = DEFAULT_TEXT_OVERFLOW, label = type } = {}) {
+  const chunks = text === "" ? [""] : splitText(text);
+  if (chunks.length <= MAX_RICH_TEXT_ITEMS) {
+    return { property: { [type]: toRichText(chunks) }, children: [] };
+  }
+
+  if (textOverflow === "fail") {
+    const error = new Error(
+      `"${label}" tiene ${text.length} caracteres y Notion admite hasta ${MAX_PROPERTY_LENGTH} por propiedad.`
+    );
+    error.failsRow = true;
+    throw error;
+  }
+
+  // El último trozo que entra deja lugar para la marca
+  const marker = textOverflow === "body" ? CONTINUED_MARKER : TRUNCATED_MARKER;
+  const kept = chunks.slice(0, MAX_RICH_TEXT_ITEMS);
+  const last = kept.pop();
+  const end = cutAt(last, MAX_TEXT_LENGTH - marker.length);
+  kept.push(last.slice(0, end) + marker);
+  const rest = last.slice(end) + chunks.slice(MAX_RICH_TEXT_ITEMS).join("");
+  return {
+    property: { [type]: toRichText(kept) },
+    children: textOverflow === "body" ? overflowBlocks(label, rest) : [],
+  };
+}
+
+module.exports = {
+  parseTextOverflowFlag,
+  applyTextOptions,
+  buildTextProperty,
+};
@@ -0,0 +1,185 @@
+/************************************************************
+ * SINCRONIZACIÓN ENTRE MONGO Y NOTION: VÍNCULOS, HASHES Y CONFLICTOS
+ ************************************************************/
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { timestampedPath, writeCsv } = require("./report_files.cjs");
+
+// Tipos de propiedad que se sincronizan en ambos sentidos (el resto solo va de Mongo a Notion
+// o los calcula Notion)
+const SYNC_TYPES = [
+  "title",
+  "rich_text",
+  "number",
+  "select",
+  "multi_select",
+  "status",
+  "date",
+  "checkbox",
+  "url",
+  "email",
+  "phone_number",
+];
+
+// Qué lado gana cuando un registro cambió en Mongo y en Notion desde la última sincronización
+const CONFLICT_POLICIES = ["mongo", "notion", "newest", "manual"];
+const DEFAULT_CONFLICT_POLICY = "manual";
+
+/**
+ * parseSyncFlags: Valida --on-conflict y --updated-at-field.
+ * "newest" necesita el campo de fecha de actualización de Mongo para comparar con el
+ * last_edited_time de Notion.
+ * @param {Object} options - Flags de línea de comandos ya parseados.
+ * @returns {{conflictPolicy: string, updatedAtField?: string}}
+ */
+function parseSyncFlags(options) {
+  const conflictPolicy = options.onConflict ?? DEFAULT_CONFLICT_POLICY;
+  if (!CONFLICT_POLICIES.includes(conflictPolicy)) {
+    throw new Error(`Valor inválido para --on-conflict: "${conflictPolicy}". Usa ${CONFLICT_POLICIES.join(", ")}.`);
+  }
+  if (conflictPolicy === "newest" && !options.updatedAtField) {
+    throw new Error("--on-conflict newest necesita --updated-at-field (campo de Mongo con la fecha de actualización).");
+  }
+  return { conflictPolicy, updatedAtField: options.updatedAtField };
+}
+
+/**
+ * defaultSyncStatePath: Ruta por defecto del archivo de estado de una colección.
+ * @param {string} mongoDb - Base de datos de Mongo.
+ * @param {string} collection - Colección.
+ * @returns {string} - p.ej. sincronizacion/mongo_crm_clientes.json.
+ */
+function defaultSyncStatePath(mongoDb, collection) {
+  const safe = (name) => name.replace(/[^\w.-]+/g, "_");
+  return path.resolve("sincronizacion", `mongo_${safe(mongoDb)}_${safe(collection)}.json`);
+}
+
+/**
+ * readSyncState: Lee el estado de sincronización de una colección, o uno vacío si todavía no existe.
+ * Lo comparten --sync, --incremental y --watch: todos usan el mismo mapa _id -> página.
+ * @param {string} filePath - Ruta del archivo de estado.
+ * @returns {Object} - { databaseId, mongoDb, collection, fields, links: { _id: vínculo }, lastSyncAt, incremental }.
+ *   Cada vínculo: { pageId, hashes, mongoUpdatedAt, notionEditedTime, syncedAt } (hashes: { campo: hash } de
+ *   la última sincronización), solo { pageId } si lo creó una importación incremental,
+ *   { pageId, pendingInsert } mientras se crea en Mongo el documento de una página nueva de Notion
+ *   o, si el documento o la página se borraron, { pageId, removedAt, removedFrom }.
+ *   incremental: { field, lastValue, importedAt }, la marca de la última importación incremental.
+ *   watch: { resumeToken, updatedAt }, el último evento del change stream procesado con --watch.
+ */
+function readSyncState(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return { links: {} };
+  }
+  const state = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  return { ...state, links: state.links || {} };
+}
+
+/**
+ * writeSyncState: Guarda el estado de sincronización. Se escribe en un archivo temporal y se
+ * renombra, para no dejar un estado a medio escribir si el proceso se corta.
+ * @param {string} filePath - Ruta del archivo de estado.
+ * @param {Object} state - Estado a guardar.
+ * @returns {string} - Ruta del archivo guardado.
+ */
+function writeSyncState(filePath, state) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(state, null, 2) + "\n");
+  fs.renameSync(tempPath, filePath);
+  return filePath;
+}
+
+/**
+ * fieldHashes: Hash del texto canónico de cada campo sincronizado de un registro: es la base con la
+ * que la próxima sincronización decide, campo por campo, qué lado cambió. El mismo contenido da el
+ * mismo hash tanto leído de Mongo como de Notion. Se guardan 16 caracteres por campo, que alcanzan
+ * para detectar cambios y dejan el estado más chico.
+ * @param {Object} snapshot - { campo: texto canónico }.
+ * @param {string[]} fields - Campos sincronizados.
+ * @returns {Object} - { campo: hash }.
+ */
+function fieldHashes(snapshot, fields) {
+  return Object.fromEntries(
+    fields.map((field) => [field, crypto.createHash("sha1").update(String(snapshot[field] ?? "")).digest("hex").slice(0, 16)])
+  );
+}
+
+/**
+ * decideSync: Decide qué hacer con cada campo de un registro vinculado comparando el valor de cada
+ * lado con el de la última sincronización (base): lo que cambió solo en Mongo va a Notion y lo que
+ * cambió solo en Notion va a Mongo, aunque sean campos distintos del mismo registro. Si un campo
+ * cambió en los dos lados con valores distintos, decide la política de conflictos. Sin base para un
+ * campo (primer vínculo, campo nuevo) y con valores distintos, los dos lados cuentan como cambiados.
+ * @param {Object} params - { base, mongoValues, notionValues, fields, conflictPolicy, mongoUpdatedAt, notionEditedTime }.
+ *   base: hashes del vínculo ({ campo: hash }), o null en el primer vínculo; mongoUpdatedAt / notionEditedTime: Date, para "newest" (gana Mongo si empatan).
+ * @returns {{toNotion: string[], toMongo: string[], conflicts: string[], hashes: Object, relink: boolean}} -
+ *   Campos a copiar en cada sentido y campos en conflicto (quedan para el reporte manual). hashes: la
+ *   nueva base una vez copiados los campos (los campos en conflicto conservan la anterior); relink: la
+ *   base cambió aunque no haya que copiar nada (ambos lados ya coinciden).
+ */
+function decideSync({ base, mongoValues, notionValues, fields, conflictPolicy, mongoUpdatedAt, notionEditedTime }) {
+  const mongoHashes = fieldHashes(mongoValues, fields);
+  const notionHashes = fieldHashes(notionValues, fields);
+  const decision = { toNotion: [], toMongo: [], conflicts: [], hashes: {}, relink: false };
+  const newestSide = (notionEditedTime?.getTime() ?? 0) > (mongoUpdatedAt?.getTime() ?? 0) ? "toMongo" : "toNotion";
+  const winners = { mongo: "toNotion", notion: "toMongo", newest: newestSide };
+
+  for (const field of fields) {
+    const baseHash = base?.[field];
+    if (mongoHashes[field] === notionHashes[field]) {
+      decision.hashes[field] = mongoHashes[field];
+      if (baseHash !== mongoHashes[field]) decision.relink = true;
+      continue;
+    }
+    const mongoChanged = mongoHashes[field] !== baseHash;
+    const notionChanged = notionHashes[field] !== baseHash;
+    const side = !notionChanged ? "toNotion" : !mongoChanged ? "toMongo" : winners[conflictPolicy] || "conflicts";
+    decision[side].push(field);
+    if (side === "toNotion") decision.hashes[field] = mongoHashes[field];
+    else if (side === "toMongo") decision.hashes[field] = notionHashes[field];
+    else if (baseHash !== undefined) decision.hashes[field] = baseHash;
+  }
+  return decision;
+}
+
+/**
+ * defaultConflictReportPath: Ruta por defecto del reporte de conflictos, en la carpeta actual.
+ * @returns {string}
+ */
+function defaultConflictReportPath() {
+  return timestampedPath("conflictos_mongo", ".csv");
+}
+
+/**
+ * writeConflictReport: Guarda los conflictos en un CSV (una línea por campo que difiere).
+ * @param {string} filePath - Ruta del .csv.
+ * @param {Array<Object>} conflicts - { mongoId, pageId, field, property, mongoValue, notionValue }.
+ * @returns {string} - Ruta del archivo guardado.
+ */
+function writeConflictReport(filePath, conflicts) {
+  return writeCsv(
+    filePath,
+    ["documento", "pagina", "campo", "propiedad", "valor_mongo", "valor_notion"],
+    conflicts.map((conflict) => [
+      conflict.mongoId,
+      conflict.pageId,
+      conflict.field,
+      conflict.property,
+      conflict.mongoValue,
+      conflict.notionValue,
+    ])
+  );
+}
+
+module.exports = {
+  SYNC_TYPES,
+  parseSyncFlags,
+  defaultSyncStatePath,
+  readSyncState,
+  writeSyncState,
+  fieldHashes,
+  decideSync,
+  defaultConflictReportPath,
+  writeConflictReport,
+};
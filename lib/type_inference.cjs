@@ -0,0 +1,200 @@
+/************************************************************
+ * INFERENCIA DE TIPOS DE PROPIEDAD (compartido por ambos scripts)
+ ************************************************************/
+const { parseDateValue } = require("./date_values.cjs");
+const { coerceNumber, DEFAULT_TRUTHY, DEFAULT_FALSY } = require("./value_coercion.cjs");
+
+// Valores que se analizan por columna (repartidos a lo largo de los datos)
+const SAMPLE_SIZE = 1000;
+
+// Confianza mínima para proponer un tipo distinto de rich_text
+const MIN_CONFIDENCE = 0.9;
+
+// Máximo de valores distintos para proponer select
+const MAX_SELECT_DISTINCT = 25;
+
+// Longitud máxima de un valor (o de cada elemento de una lista) para considerarlo una opción
+const MAX_OPTION_LENGTH = 50;
+
+const NUMBER_PATTERN = /^[-+]?\d+(\.\d+)?$/;
+
+// Valores de checkbox; "1" y "0" solos se proponen como number
+const CHECKBOX_WORDS = [...DEFAULT_TRUTHY, ...DEFAULT_FALSY].filter((word) => !["1", "0"].includes(word));
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const URL_PATTERN = /^(https?:\/\/|www\.)[^\s]+$/i;
+const PHONE_PATTERN = /^\+?[\d\s().-]+$/;
+
+// Orden de preferencia ante empates de confianza
+const CANDIDATE_TYPES = ["checkbox", "number", "date", "email", "url", "phone_number", "multi_select", "select"];
+
+/**
+ * sampleValues: Toma hasta SAMPLE_SIZE valores no vacíos de una columna, repartidos entre
+ * todas las filas para que una columna que cambia a mitad del archivo se note.
+ * @param {Array<Object>} data - Filas o documentos.
+ * @param {string} header - Columna a muestrear.
+ * @returns {Array<any>}
+ */
+function sampleValues(data, header) {
+  const step = Math.max(1, Math.ceil(data.length / SAMPLE_SIZE));
+  const values = [];
+  for (let index = 0; index < data.length; index += step) {
+    const value = data[index][header];
+    if (value === undefined || value === null) continue;
+    if (typeof value === "string" && value.trim() === "") continue;
+    values.push(value);
+  }
+  return values;
+}
+
+/**
+ * listItems: Devuelve los elementos de un valor tipo lista (arreglo o texto separado por comas),
+ * o null si el valor no es una lista.
+ */
+function listItems(value) {
+  if (Array.isArray(value)) {
+    return value.filter((item) => item !== null && item !== undefined).map((item) => String(item).trim());
+  }
+  if (typeof value === "string" && value.includes(",")) {
+    return value.split(",").map((item) => item.trim()).filter(Boolean);
+  }
+  return null;
+}
+
+/**
+ * looksLikePhone: Indica si un texto numérico tiene forma de teléfono ("+54 11 4444-5555").
+ */
+function looksLikePhone(text) {
+  return /^\+|\d[\s()-]+\d/.test(text) && text.replace(/\D/g, "").length >= 7;
+}
+
+/**
+ * isNumber: Indica si el valor se puede importar como número (con las reglas de coerceNumber).
+ * Un valor ambiguo como "1.234" es un número cualquiera sea su separador decimal.
+ */
+function isNumber(value, text) {
+  if (typeof value === "number") return Number.isFinite(value);
+  if (looksLikePhone(text)) return false;
+  try {
+    return coerceNumber(text, undefined, ".") !== null;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * matchesType: Indica si un valor suelto encaja con un tipo "de formato"
+ * (checkbox, number, date, email, url o phone_number).
+ * Con serialDates (columna de Excel con formato de fecha), los números son seriales de fecha.
+ */
+function matchesType(type, value, serialDates = false) {
+  // Objetos (ObjectId, subdocumentos, arreglos) no se consideran valores sueltos, salvo las fechas
+  if (value instanceof Date) return type === "date";
+  if (typeof value === "object") return false;
+  const text = String(value).trim();
+  switch (type) {
+    case "checkbox":
+      return typeof value === "boolean" || CHECKBOX_WORDS.includes(text.toLowerCase());
+    case "number":
+      return !(serialDates && typeof value === "number") && isNumber(value, text);
+    case "date":
+      // Fuera de una columna con formato de fecha, los números se proponen como number
+      if (typeof value === "number") return serialDates && parseDateValue(value) !== null;
+      return typeof value === "string" && parseDateValue(text) !== null;
+    case "email":
+      return EMAIL_PATTERN.test(text);
+    case "url":
+      return URL_PATTERN.test(text);
+    case "phone_number":
+      // Los números sin separadores quedan como number; un teléfono lleva "+", espacios o guiones
+      return typeof value === "string" && PHONE_PATTERN.test(text) && !NUMBER_PATTERN.test(text) && looksLikePhone(text);
+    default:
+      return false;
+  }
+}
+
+/**
+ * optionConfidence: Confianza de que una columna sea select o multi_select: proporción de
+ * valores (o elementos de lista) que se repiten en otras filas. Devuelve 0 si la columna no
+ * tiene forma de opciones (valores largos, demasiados distintos o, en multi_select, sin listas).
+ */
+function optionConfidence(type, values) {
+  const items = [];
+  let lists = 0;
+  for (const value of values) {
+    if (typeof value === "boolean" || typeof value === "number") return 0;
+    const parts = listItems(value);
+    if (type === "select" && parts) return 0;
+    if (parts) lists++;
+    items.push(...(parts || [String(value).trim()]));
+  }
+  if (items.length < 4 || items.some((item) => item.length > MAX_OPTION_LENGTH)) return 0;
+  if (type === "multi_select" && lists === 0) return 0;
+
+  const counts = new Map();
+  items.forEach((item) => counts.set(item, (counts.get(item) || 0) + 1));
+  if (type === "select" && counts.size > Math.min(MAX_SELECT_DISTINCT, items.length / 2)) return 0;
+
+  const repeated = items.filter((item) => counts.get(item) > 1).length;
+  return repeated / items.length;
+}
+
+/**
+ * inferColumnType: Propone el tipo de Notion de una columna a partir de sus valores.
+ * @param {Array<any>} values - Valores no vacíos de la columna.
+ * @param {boolean} [serialDates] - Los números de la columna son seriales de fecha de Excel.
+ * @returns {{type: string, confidence: number}} - confidence entre 0 y 1: proporción de valores
+ *   que encajan con el tipo (en rich_text, la de los que no encajan con ningún otro).
+ */
+function inferColumnType(values, serialDates = false) {
+  if (values.length === 0) {
+    return { type: "rich_text", confidence: 0 };
+  }
+
+  let best = { type: "rich_text", confidence: 0 };
+  for (const type of CANDIDATE_TYPES) {
+    const confidence =
+      type === "select" || type === "multi_select"
+        ? optionConfidence(type, values)
+        : values.filter((value) => matchesType(type, value, serialDates)).length / values.length;
+    if (confidence > best.confidence) {
+      best = { type, confidence };
+    }
+  }
+
+  if (best.confidence < MIN_CONFIDENCE) {
+    return { type: "rich_text", confidence: 1 - best.confidence };
+  }
+  return best;
+}
+
+/**
+ * inferColumnTypes: Propone un tipo para cada columna.
+ * @param {string[]} headers - Columnas a analizar.
+ * @param {Array<Object>} data - Filas o documentos.
+ * @param {string[]} [dateColumns] - Columnas de Excel con formato de fecha, cuyas celdas llegan
+ *   como seriales (números).
+ * @returns {Object} - { header: { type, confidence } }.
+ */
+function inferColumnTypes(headers, data, dateColumns = []) {
+  const inferred = {};
+  for (const header of headers) {
+    inferred[header] = inferColumnType(sampleValues(data, header), dateColumns.includes(header));
+  }
+  return inferred;
+}
+
+/**
+ * formatConfidence: Confianza como porcentaje entero (p.ej. "97%").
+ * @param {number} confidence - Valor entre 0 y 1.
+ * @returns {string}
+ */
+function formatConfidence(confidence) {
+  return `${Math.round(confidence * 100)}%`;
+}
+
+module.exports = {
+  inferColumnType,
+  inferColumnTypes,
+  formatConfidence,
+};
@@ -0,0 +1,71 @@
+/************************************************************
+ * ACTUALIZACIÓN DE VALORES QUE CAMBIARON (UPSERT) (compartido por ambos scripts)
+ ************************************************************/
+const { readPropertyValue } = require("./property_values.cjs");
+const { timestampedPath, writeCsv } = require("./report_files.cjs");
+
+// Largo máximo de cada valor al mostrar un cambio en consola (el CSV los guarda completos)
+const MAX_LOGGED_VALUE_LENGTH = 60;
+
+/**
+ * diffProperties: Compara las propiedades que se enviarían a una página con las que tiene hoy.
+ * Solo se comparan las propiedades presentes en `properties` (las columnas de la fila, sin los
+ * valores que no se pudieron convertir); dos valores son iguales si coincide su texto canónico.
+ * @param {Object} properties - Propiedades armadas para la página ({ nombre: payload }).
+ * @param {Object} page - Página existente en Notion (con `properties`).
+ * @param {Object} selectedProperties - Mapeo { header: { name, type } }.
+ * @returns {Array<Object>} - { header, property, before, after } por cada propiedad que cambió.
+ */
+function diffProperties(properties, page, selectedProperties) {
+  const changes = [];
+  for (const [header, { name }] of Object.entries(selectedProperties)) {
+    if (!properties[name]) continue;
+    const before = readPropertyValue(page.properties[name]).text;
+    const after = readPropertyValue(properties[name]).text;
+    if (before !== after) {
+      changes.push({ header, property: name, before, after });
+    }
+  }
+  return changes;
+}
+
+/**
+ * describeChange: Texto de un cambio para los logs ('Precio: "10" -> "12"').
+ * @param {Object} change - { property, before, after }.
+ * @returns {string}
+ */
+function describeChange({ property, before, after }) {
+  const shorten = (text) =>
+    text.length > MAX_LOGGED_VALUE_LENGTH ? `${text.slice(0, MAX_LOGGED_VALUE_LENGTH)}…` : text;
+  return `${property}: "${shorten(before)}" -> "${shorten(after)}"`;
+}
+
+/**
+ * defaultChangeLogPath: Ruta por defecto del registro de cambios, en la carpeta actual.
+ * @param {string} source - Origen de los datos ("excel" o "mongo").
+ * @returns {string} - Ruta al .csv.
+ */
+function defaultChangeLogPath(source) {
+  return timestampedPath(`cambios_${source}`, ".csv");
+}
+
+/**
+ * writeChangeLog: Guarda los cambios aplicados a páginas existentes en un CSV (una línea por propiedad).
+ * @param {string} filePath - Ruta del .csv.
+ * @param {Array<Object>} changes - { rowNumber, recordId, header, property, before, after }.
+ * @returns {string} - Ruta del archivo guardado.
+ */
+function writeChangeLog(filePath, changes) {
+  return writeCsv(
+    filePath,
+    ["fila", "pagina", "columna", "propiedad", "valor_anterior", "valor_nuevo"],
+    changes.map((change) => [change.rowNumber, change.recordId, change.header, change.property, change.before, change.after])
+  );
+}
+
+module.exports = {
+  diffProperties,
+  describeChange,
+  defaultChangeLogPath,
+  writeChangeLog,
+};
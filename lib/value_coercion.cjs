@@ -0,0 +1,276 @@
+/************************************************************
+ * CONVERSIÓN DE NÚMEROS Y CHECKBOX SEGÚN LA CONFIGURACIÓN REGIONAL (compartido por ambos scripts)
+ ************************************************************/
+const { parseListFlag } = require("./cli_args.cjs");
+const { timestampedPath, writeCsv } = require("./report_files.cjs");
+
+// Valores de checkbox reconocidos (se comparan en minúsculas y sin espacios alrededor)
+const DEFAULT_TRUTHY = ["true", "verdadero", "sí", "si", "s", "x", "1", "yes", "y", "✓", "✔"];
+const DEFAULT_FALSY = ["false", "falso", "no", "n", "0"];
+
+const PLAIN_NUMBER_PATTERN = /^[-+]?(\d+(\.\d*)?|\.\d+)$/;
+
+// Números con separadores y sin otros caracteres (después de quitar moneda, porcentaje y espacios)
+const SEPARATED_NUMBER_PATTERN = /^[-+]?\d*[.,][\d.,]*$/;
+
+/**
+ * parseCoercionFlags: Valida --decimal, --thousands, --locale y --truthy.
+ * @param {Object} options - Flags de línea de comandos ya parseados.
+ * @returns {{numberFormat?: {decimal: string, thousands: string}, locale?: string, truthy?: string[]}} - Solo lo configurado.
+ */
+function parseCoercionFlags(options) {
+  const rules = {};
+  if (options.decimal !== undefined || options.thousands !== undefined) {
+    const decimal = options.decimal ?? (options.thousands === "." ? "," : ".");
+    if (![",", "."].includes(decimal)) {
+      throw new Error(`Valor inválido para --decimal: "${options.decimal}". Usa "," o ".".`);
+    }
+    const thousands = options.thousands ?? (decimal === "," ? "." : ",");
+    if (thousands.length !== 1 || thousands === decimal) {
+      throw new Error(`Valor inválido para --thousands: "${options.thousands}". Usa un solo carácter distinto del decimal.`);
+    }
+    rules.numberFormat = { decimal, thousands };
+  }
+  if (options.locale !== undefined) {
+    try {
+      [rules.locale] = Intl.getCanonicalLocales(options.locale);
+    } catch (error) {
+      throw new Error(`Valor inválido para --locale: "${options.locale}". Usa un código como "es-AR" o "en-US".`);
+    }
+  }
+  if (options.truthy !== undefined) {
+    rules.truthy = parseListFlag(options.truthy).map((value) => value.toLowerCase());
+  }
+  return rules;
+}
+
+/**
+ * applyCoercionOptions: Guarda en el mapeo de las propiedades number y checkbox las reglas
+ * configuradas, así viajan con el mapeo al journal, al archivo de fallidos y al perfil.
+ * Sin flags se conservan las reglas que ya traía el mapeo de un perfil. Si tampoco hay separadores
+ * en el perfil, se guarda en `columnDecimal` el separador decimal que indican los valores de la
+ * columna o, si ninguno lo indica, el de la configuración regional (--locale o la del sistema),
+ * para resolver los que por sí solos son ambiguos ("1.234").
+ * @param {Object} selectedProperties - Mapeo { header: { name, type } } (se modifica).
+ * @param {Object} rules - Resultado de parseCoercionFlags.
+ * @param {Object} [savedProperties] - Mapeo guardado en el perfil.
+ * @param {Object[]} [data] - Filas de la fuente (o una muestra).
+ * @returns {Object} - El mismo mapeo.
+ */
+function applyCoercionOptions(selectedProperties, rules, savedProperties = {}, data = []) {
+  for (const [header, mapping] of Object.entries(selectedProperties)) {
+    const saved = savedProperties[header] || {};
+    if (mapping.type === "number") {
+      const numberFormat = rules.numberFormat ?? saved.numberFormat;
+      delete mapping.columnDecimal;
+      if (numberFormat) {
+        mapping.numberFormat = numberFormat;
+      } else {
+        const columnDecimal = detectColumnDecimal(
+          data.map((row) => row[header]),
+          localeDecimal(rules.locale),
+        );
+        if (columnDecimal) mapping.columnDecimal = columnDecimal;
+      }
+    } else if (mapping.type === "checkbox") {
+      const truthy = rules.truthy ?? saved.truthy;
+      if (truthy) mapping.truthy = truthy;
+    }
+  }
+  return selectedProperties;
+}
+
+/**
+ * separatorsFor: Separadores de miles y decimal a partir del decimal.
+ */
+function separatorsFor(decimal) {
+  return { decimal, thousands: decimal === "," ? "." : "," };
+}
+
+/**
+ * localeDecimal: Separador decimal de una configuración regional ("es-AR" => ",", "en-US" => ".").
+ * @param {string} [locale] - Código de la configuración regional; sin él, la del sistema (LANG).
+ * @returns {string} - "," o ".".
+ */
+function localeDecimal(locale) {
+  const parts = new Intl.NumberFormat(locale).formatToParts(1.5);
+  return parts.find((part) => part.type === "decimal")?.value === "," ? "," : ".";
+}
+
+/**
+ * detectSeparators: Deduce los separadores de un número cuando no están configurados.
+ * Con punto y coma, el último es el decimal ("1.234,56" y "1,234.56"); un separador repetido
+ * es de miles ("1.234.567"), y uno solo es el decimal si no lo siguen exactamente tres dígitos
+ * ("3.5", "12,75") o si la parte entera no puede agruparse en miles ("0.250", "1234.567").
+ * @returns {{decimal: string, thousands: string}|null} - null si el valor es ambiguo: un solo
+ *   separador seguido de tres dígitos ("1.234" puede ser 1234 o 1,234).
+ */
+function detectSeparators(text) {
+  const lastDot = text.lastIndexOf(".");
+  const lastComma = text.lastIndexOf(",");
+  if (lastDot !== -1 && lastComma !== -1) {
+    return lastDot > lastComma ? { decimal: ".", thousands: "," } : { decimal: ",", thousands: "." };
+  }
+
+  const separator = lastDot !== -1 ? "." : lastComma !== -1 ? "," : null;
+  if (!separator) {
+    return { decimal: ".", thousands: "," };
+  }
+  const other = separator === "." ? "," : ".";
+  const [integerPart, ...rest] = text.replace(/^[-+]/, "").split(separator);
+  if (rest.length > 1) {
+    return separatorsFor(other);
+  }
+  if (rest[0].length === 3 && /^[1-9]\d{0,2}$/.test(integerPart)) {
+    return null;
+  }
+  return separatorsFor(separator);
+}
+
+/**
+ * cleanNumberText: Quita de un valor los espacios, símbolos y códigos de moneda, los paréntesis
+ * de negativo y el signo de porcentaje, y deja solo el número con sus separadores.
+ * @returns {{original: string, text: string, negative: boolean, isPercent: boolean}}
+ */
+function cleanNumberText(value) {
+  const original = String(value ?? "").trim();
+  let text = original.replace(/[\s\u00a0\u202f']/g, "");
+  let negative = false;
+  if (/^\(.*\)$/.test(text)) {
+    negative = true;
+    text = text.slice(1, -1);
+  }
+  const isPercent = text.includes("%");
+  text = text
+    .replace(/%/g, "")
+    .replace(/\p{Sc}/gu, "")
+    .replace(/^[-+]?[A-Za-z]{1,3}\.?(?=[-+]?[\d.,])/, (prefix) => (prefix.startsWith("-") ? "-" : ""))
+    .replace(/(?<=[\d.,])[A-Za-z]{1,3}\.?$/, "");
+  return { original, text, negative, isPercent };
+}
+
+/**
+ * detectColumnDecimal: Separador decimal que indican los valores de una columna que no son
+ * ambiguos ("3.141" no dice nada, pero "2.5" o "1,234.56" en la misma columna sí).
+ * @param {any[]} values - Valores de la columna.
+ * @param {string} [defaultDecimal] - Separador a usar si ningún valor lo indica.
+ * @returns {string|null} - "." o ","; defaultDecimal (o null) si ningún valor lo indica; null si
+ *   los valores se contradicen.
+ */
+function detectColumnDecimal(values, defaultDecimal) {
+  const found = new Set();
+  for (const value of values) {
+    if (typeof value !== "string") continue;
+    const { text } = cleanNumberText(value);
+    if (!SEPARATED_NUMBER_PATTERN.test(text)) continue;
+    const separators = detectSeparators(text);
+    if (separators) found.add(separators.decimal);
+  }
+  if (found.size === 0) {
+    return defaultDecimal ?? null;
+  }
+  return found.size === 1 ? [...found][0] : null;
+}
+
+/**
+ * coerceNumber: Convierte un valor de la fuente en número para Notion.
+ * Quita símbolos y códigos de moneda ("$ 2.500", "1.234,56 €", "USD 10"), acepta negativos
+ * entre paréntesis ("(1.200)") y convierte los porcentajes en fracción ("15%" => 0.15).
+ * @param {any} value - Valor a convertir.
+ * @param {{decimal: string, thousands: string}} [numberFormat] - Separadores; sin ellos se detectan.
+ * @param {string} [columnDecimal] - Decimal detectado en la columna, para los valores ambiguos.
+ * @returns {number|null} - null si el valor está vacío.
+ * @throws {Error} - Si el valor no es un número, o si es ambiguo y no hay con qué resolverlo.
+ */
+function coerceNumber(value, numberFormat, columnDecimal) {
+  if (typeof value === "number") {
+    if (!Number.isFinite(value)) {
+      throw new Error(`"${value}" no es un número válido.`);
+    }
+    return value;
+  }
+
+  const { original, text, negative, isPercent } = cleanNumberText(value);
+  if (text === "") {
+    return null;
+  }
+
+  const separators =
+    numberFormat || detectSeparators(text) || (columnDecimal ? separatorsFor(columnDecimal) : null);
+  if (!separators) {
+    throw new Error(
+      `"${original}" es ambiguo (¿miles o decimales?). Indica el separador decimal con --decimal "," o --decimal ".".`
+    );
+  }
+  const { decimal, thousands } = separators;
+  const [integerPart, ...decimals] = text.split(decimal);
+  const groupingPattern = new RegExp(`^[-+]?\\d{1,3}(\\${thousands}\\d{3})+$`);
+  if (decimals.length > 1 || (integerPart.includes(thousands) && !groupingPattern.test(integerPart))) {
+    throw new Error(`"${original}" no es un número válido.`);
+  }
+
+  const normalized = [integerPart.split(thousands).join(""), ...decimals].join(".");
+  if (!PLAIN_NUMBER_PATTERN.test(normalized)) {
+    throw new Error(`"${original}" no es un número válido.`);
+  }
+
+  let number = Number(normalized);
+  if (negative) number = -number;
+  if (isPercent) number = Number((number / 100).toPrecision(15));
+  return number;
+}
+
+/**
+ * coerceCheckbox: Convierte un valor de la fuente en checkbox.
+ * @param {any} value - Valor a convertir.
+ * @param {string[]} [truthy] - Valores que significan "marcado" (por defecto sí, si, x, 1, VERDADERO...).
+ * @returns {boolean} - false si el valor está vacío o es uno de los valores falsos (no, 0, FALSO...).
+ * @throws {Error} - Si el valor no es verdadero ni falso.
+ */
+function coerceCheckbox(value, truthy = DEFAULT_TRUTHY) {
+  if (typeof value === "boolean") {
+    return value;
+  }
+  const text = String(value ?? "").trim().toLowerCase();
+  if (truthy.includes(text)) {
+    return true;
+  }
+  if (text === "" || DEFAULT_FALSY.includes(text)) {
+    return false;
+  }
+  throw new Error(`"${value}" no es un valor de checkbox reconocido (verdaderos: ${truthy.join(", ")}).`);
+}
+
+/**
+ * defaultValueIssuesPath: Ruta por defecto del reporte de valores no convertidos, en la carpeta actual.
+ * @param {string} source - Origen de los datos ("excel" o "mongo").
+ * @returns {string} - Ruta al .csv.
+ */
+function defaultValueIssuesPath(source) {
+  return timestampedPath(`valores_no_convertidos_${source}`, ".csv");
+}
+
+/**
+ * writeValueIssues: Guarda los valores que no se pudieron convertir en un CSV (una línea por valor).
+ * @param {string} filePath - Ruta del .csv.
+ * @param {Array<Object>} issues - { rowNumber, header, property, value, message }.
+ * @returns {string} - Ruta del archivo guardado.
+ */
+function writeValueIssues(filePath, issues) {
+  return writeCsv(
+    filePath,
+    ["fila", "columna", "propiedad", "valor", "motivo"],
+    issues.map((issue) => [issue.rowNumber, issue.header, issue.property, issue.value, issue.message])
+  );
+}
+
+module.exports = {
+  DEFAULT_TRUTHY,
+  DEFAULT_FALSY,
+  parseCoercionFlags,
+  applyCoercionOptions,
+  coerceNumber,
+  coerceCheckbox,
+  defaultValueIssuesPath,
+  writeValueIssues,
+};
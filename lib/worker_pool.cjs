@@ -0,0 +1,53 @@
+/************************************************************
+ * POOL DE WORKERS CON CONCURRENCIA ACOTADA (compartido por ambos scripts)
+ ************************************************************/
+
+// Cantidad de requests simultáneas por defecto. La velocidad promedio la limita
+// la capa de requests (lib/notion_request.cjs), no el pool.
+const DEFAULT_CONCURRENCY = 3;
+
+/**
+ * runPool: Procesa una lista de elementos con un máximo de `concurrency` tareas en paralelo.
+ * Los resultados conservan el orden y la referencia al elemento original, de modo que
+ * cada fallo puede rastrearse hasta su fila de origen.
+ * Si `shouldStop()` devuelve true, los workers terminan lo que tienen en curso y no toman
+ * más elementos; en ese caso solo se devuelven los resultados de los procesados.
+ * @param {Array} items - Elementos a procesar.
+ * @param {Function} worker - async (item, index) => valor.
+ * @param {Object} [options] - { concurrency, onSettled(result, completedCount), shouldStop() }.
+ * @returns {Promise<Array<{item: any, ok: boolean, value?: any, error?: Error}>>}
+ */
+async function runPool(items, worker, options = {}) {
+  const concurrency = Math.max(1, options.concurrency || DEFAULT_CONCURRENCY);
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  let completed = 0;
+
+  async function runWorker() {
+    while (nextIndex < items.length && !(options.shouldStop && options.shouldStop())) {
+      const index = nextIndex++;
+      const item = items[index];
+      try {
+        results[index] = { item, ok: true, value: await worker(item, index) };
+      } catch (error) {
+        results[index] = { item, ok: false, error };
+      }
+      completed++;
+      if (options.onSettled) {
+        options.onSettled(results[index], completed);
+      }
+    }
+  }
+
+  const workers = [];
+  for (let i = 0; i < Math.min(concurrency, items.length); i++) {
+    workers.push(runWorker());
+  }
+  await Promise.all(workers);
+  return results.filter(Boolean);
+}
+
+module.exports = {
+  DEFAULT_CONCURRENCY,
+  runPool,
+};
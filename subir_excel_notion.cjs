@@ -3,8 +3,77 @@
  ************************************************************/
 const { Client } = require("@notionhq/client");
 const xlsx = require("xlsx");
+const fs = require("fs");
 const path = require("path");
 const readline = require("readline");
+const {
+  parseCliArgs,
+  parseMapFlags,
+  parseListFlag,
+  parseIntFlag,
+  validateChoice,
+  isInteractive,
+  ensureInteractive,
+  DUPLICATE_OPTION_FLAGS,
+} = require("./lib/cli_args.cjs");
+const { loadProfile, findMatchingProfile, saveProfile } = require("./lib/profiles.cjs");
+const { wrapNotionClient, parseRequestFlags } = require("./lib/notion_request.cjs");
+const { runPool, DEFAULT_CONCURRENCY } = require("./lib/worker_pool.cjs");
+const {
+  defaultDeadLetterPath,
+  payloadOrError,
+  writeDeadLetters,
+  readDeadLetters,
+} = require("./lib/dead_letter.cjs");
+const { defaultJournalPath, readJournal, createJournal, watchInterrupts } = require("./lib/checkpoint.cjs");
+const {
+  defaultPlanPath,
+  createDryRunClient,
+  summarizePropertyChanges,
+  buildDryRunPlan,
+  printDryRunPlan,
+  writeDryRunPlan,
+} = require("./lib/dry_run.cjs");
+const { createDatabase, selectOptionNames, MAX_SELECT_OPTIONS } = require("./lib/notion_schema.cjs");
+const { inferColumnTypes, formatConfidence } = require("./lib/type_inference.cjs");
+const { parseDateFlags, buildDatePayload, applyDateOptions } = require("./lib/date_values.cjs");
+const {
+  parseCoercionFlags,
+  applyCoercionOptions,
+  coerceNumber,
+  coerceCheckbox,
+  defaultValueIssuesPath,
+  writeValueIssues,
+} = require("./lib/value_coercion.cjs");
+const { isDelimitedFile, parseDelimitedFlags, readDelimitedFile } = require("./lib/delimited_text.cjs");
+const {
+  isJsonFile,
+  isNdjsonFile,
+  parseNdjsonFlags,
+  jsonHeaders,
+  readJsonData,
+  readJsonSample,
+  readJsonChunks,
+} = require("./lib/json_source.cjs");
+const { parseTextOverflowFlag, applyTextOptions, buildTextProperty } = require("./lib/rich_text.cjs");
+const { diffProperties, describeChange, defaultChangeLogPath, writeChangeLog } = require("./lib/upsert.cjs");
+const { readPropertyValue } = require("./lib/property_values.cjs");
+const { queryAllPages } = require("./lib/notion_pages.cjs");
+const {
+  DEFAULT_DEDUPE_MODE,
+  parseDedupeFlags,
+  resolveNormalizers,
+  describeNormalizers,
+  buildDuplicateIndex,
+  findDuplicate,
+  findNearDuplicate,
+  candidateFields,
+  candidateFilters,
+  describeConflict,
+  defaultReviewPath,
+  writeReviewList,
+  appendReviewList,
+} = require("./lib/duplicate_keys.cjs");
 
 /************************************************************
  * VARIABLES Y CONFIGURACIÓN DE COLORES ANSI
@@ -15,7 +84,133 @@ const rl = readline.createInterface({
   output: process.stdout
 });
 
-const PAGE_SIZE = 100; // Cantidad de páginas que se consultan por request a Notion
+
+// Valores que no se pudieron convertir al tipo de su propiedad en esta ejecución
+const valueIssues = [];
+
+// Cambios aplicados a páginas existentes en esta ejecución (--on-duplicate upsert)
+const changeLog = [];
+
+// Tipos de propiedad de Notion que se ofrecen al personalizar el mapeo
+const PROPERTY_TYPES = [
+  "rich_text",
+  "title",
+  "number",
+  "select",
+  "multi_select",
+  "date",
+  "people",
+  "files",
+  "checkbox",
+  "url",
+  "email",
+  "phone_number",
+  "formula",
+  "relation",
+  "rollup",
+  "created_time",
+  "created_by",
+  "last_edited_time",
+  "last_edited_by",
+  "status",
+];
+
+// Flags aceptados para ejecutar el script sin preguntas (cron, scripts de shell)
+const CLI_SPEC = {
+  db: { type: "string" },
+  file: { type: "string" },
+  sheet: { type: "string" },
+  title: { type: "string" },
+  "dedupe-fields": { type: "string" },
+  "dedupe-mode": { type: "string" },
+  "dedupe-normalize": { type: "string", multiple: true },
+  "dedupe-fuzzy": { type: "string" },
+  "review-file": { type: "string" },
+  "on-duplicate": { type: "string" },
+  map: { type: "string", multiple: true },
+  "date-range": { type: "string", multiple: true },
+  "time-zone": { type: "string" },
+  decimal: { type: "string" },
+  thousands: { type: "string" },
+  locale: { type: "string" },
+  truthy: { type: "string" },
+  "value-report": { type: "string" },
+  "change-log": { type: "string" },
+  "text-overflow": { type: "string" },
+  profile: { type: "string" },
+  "no-profile": { type: "boolean" },
+  "save-profile": { type: "string" },
+  "max-retries": { type: "string" },
+  "retry-budget": { type: "string" },
+  rate: { type: "string" },
+  concurrency: { type: "string" },
+  "dead-letter": { type: "string" },
+  "retry-failed": { type: "string" },
+  journal: { type: "string" },
+  resume: { type: "string" },
+  "parent-page": { type: "string" },
+  "db-title": { type: "string" },
+  "dry-run": { type: "boolean" },
+  plan: { type: "string" },
+  sample: { type: "string" },
+  delimiter: { type: "string" },
+  quote: { type: "string" },
+  encoding: { type: "string" },
+  "header-sample": { type: "string" },
+  "buffer-size": { type: "string" },
+  help: { type: "boolean" },
+};
+
+const USAGE = `Uso: node subir_excel_notion.cjs [opciones]
+
+  --db <id>                   ID de la base de datos de Notion.
+  --parent-page <id>          Crea una base de datos nueva dentro de esta página (en lugar de --db).
+  --db-title <título>         Título de la base de datos nueva (por defecto, el nombre de la hoja).
+  --file <archivo>            Archivo XLSX, CSV, TSV, TXT, JSON o NDJSON (sin extensión se busca .xlsx).
+  --sheet <nombre>            Hoja a importar (los CSV/TSV/JSON tienen una sola).
+  --delimiter <c>             Delimitador de CSV/TSV/TXT (p.ej. ";" o tab). Por defecto se detecta.
+  --quote <c>                 Carácter de comillas de CSV/TSV/TXT. Por defecto se detecta.
+  --encoding <nombre>         Codificación de CSV/TSV/TXT: auto, utf8 o latin1 (por defecto auto).
+  --header-sample <n>         Objetos de un NDJSON que se leen para detectar campos y tipos (por defecto 1000).
+  --buffer-size <n>           Objetos de un NDJSON por tanda al exportar (por defecto 500).
+  --title <columna>           Columna que será la propiedad "title" en Notion.
+  --on-duplicate <modo>       skip | update (solo columnas nuevas) | upsert (valores que cambiaron) | none.
+  --dedupe-fields <a,b>       Columnas para detectar duplicados (con skip o update).
+  --dedupe-mode <modo>        all (todas las columnas deben coincidir, por defecto) | any (basta con una).
+  --dedupe-normalize <C=n+n>  Normaliza una columna de duplicados antes de comparar (repetible; sin "C=" aplica
+                              a todas): exact, text, accents, phone, url, email.
+  --dedupe-fuzzy <0-1>        Parecido mínimo para mandar una fila nueva a revisión (p.ej. 0.85).
+  --review-file <archivo>     CSV de posibles duplicados a revisar (por defecto revisar_duplicados_excel_<fecha>.csv).
+  --map <Header=Nombre:tipo>  Renombra y/o cambia el tipo de una columna (repetible).
+  --date-range <inicio,fin>   Une dos columnas en una propiedad date con inicio y fin (repetible).
+  --time-zone <zona>          Zona horaria IANA para las fechas con hora (p.ej. America/Bogota).
+  --decimal <c>               Separador decimal de los números: "," o "." (por defecto se detecta).
+  --thousands <c>             Separador de miles (por defecto el contrario al decimal).
+  --locale <código>           Configuración regional de los números ambiguos como "1.234" (p.ej. es-AR; por defecto la del sistema).
+  --truthy <a,b>              Valores que marcan un checkbox (por defecto sí, si, x, 1, true, verdadero...).
+  --value-report <archivo>    CSV con los valores que no se pudieron convertir (por defecto valores_no_convertidos_excel_<fecha>.csv).
+  --change-log <archivo>      CSV con los cambios aplicados con upsert (por defecto cambios_excel_<fecha>.csv).
+  --text-overflow <modo>      Textos de más de 200.000 caracteres: truncate (por defecto) | body | fail.
+  --profile <nombre|ruta>     Usa un perfil de mapeo guardado.
+  --no-profile                No busca perfiles guardados que coincidan con la hoja.
+  --save-profile <nombre>     Guarda la configuración de esta ejecución como perfil.
+  --max-retries <n>           Reintentos por request ante 429/5xx/errores de red (por defecto 5).
+  --retry-budget <n>          Máximo de reintentos en toda la ejecución (por defecto sin límite).
+  --rate <req/s>              Promedio máximo de requests por segundo a Notion (por defecto 3).
+  --concurrency <n>           Páginas creadas/actualizadas en paralelo (por defecto 3).
+  --dead-letter <archivo>     Archivo .jsonl para las filas que fallen (por defecto fallidos_excel_<fecha>.jsonl).
+  --retry-failed <archivo>    Reintenta solo las filas de un archivo de fallidos, con el mismo mapeo.
+  --journal <archivo>         Journal de checkpoints (por defecto checkpoints/excel_<fecha>.jsonl).
+  --resume <archivo>          Continúa una importación interrumpida desde su journal.
+  --dry-run                   Muestra el plan de importación sin escribir nada en Notion.
+  --plan <archivo>            Archivo .json del plan con --dry-run (por defecto plan_excel_<fecha>.json).
+  --sample <n>                Filas de ejemplo cuyo payload se muestra con --dry-run (por defecto 3).
+  --help                      Muestra esta ayuda.
+
+Los flags tienen prioridad sobre el perfil. Cualquier valor que no venga por flag ni
+por perfil se pregunta por consola. Sin TTY, si falta un valor requerido, el script
+termina con error en lugar de esperar respuesta.
+La API Key se toma de la variable de entorno NOTION_API_KEY.`;
 
 // Códigos ANSI para colorear la terminal
 const ANSI_COLORS = {
@@ -68,120 +263,191 @@ function askQuestion(query) {
   });
 }
 
+/**
+ * askRequired: Devuelve el valor pasado por flag o, si no existe, lo pregunta por consola.
+ * Sin TTY falla con un error claro en lugar de quedar esperando una respuesta.
+ * @param {string|undefined} flagValue - Valor recibido por línea de comandos.
+ * @param {string} flagLabel - Nombre del flag, para el mensaje de error.
+ * @param {string} query - Pregunta a mostrar en modo interactivo.
+ * @returns {Promise<string>} - Valor final.
+ */
+async function askRequired(flagValue, flagLabel, query) {
+  if (flagValue !== undefined) {
+    return flagValue;
+  }
+  ensureInteractive(flagLabel);
+  return askQuestion(query);
+}
+
+/**
+ * resolveSourcePath: Obtiene la ruta completa del archivo a importar.
+ * Las rutas relativas se resuelven contra la carpeta del script. Si falta la extensión se usa
+ * el primer archivo existente entre .xlsx, .csv, .tsv, .txt, .json, .ndjson y .jsonl
+ * (o .xlsx si no existe ninguno).
+ * @param {string} fileName - Nombre o ruta ingresada.
+ * @returns {string} - Ruta completa al archivo.
+ */
+function resolveSourcePath(fileName) {
+  const basePath = path.isAbsolute(fileName) ? fileName : path.join(__dirname, fileName);
+  if (path.extname(basePath)) {
+    return basePath;
+  }
+  const candidates = [".xlsx", ".csv", ".tsv", ".txt", ".json", ".ndjson", ".jsonl"].map((extension) => basePath + extension);
+  return candidates.find((candidate) => fs.existsSync(candidate)) || candidates[0];
+}
+
 /************************************************************
- * FUNCIONES PARA LEER EXCEL
+ * FUNCIONES PARA LEER EXCEL (Y CSV/TSV)
  ************************************************************/
 
+/**
+ * isSingleSheetFile: Indica si el archivo es de texto (CSV/TSV/TXT o JSON/NDJSON),
+ * que se trata como un libro con una sola hoja.
+ */
+function isSingleSheetFile(filePath) {
+  return isDelimitedFile(filePath) || isJsonFile(filePath);
+}
+
 /**
  * listSheets: Lista las hojas (sheet names) de un archivo XLSX.
- * @param {string} filePath - Ruta completa al archivo XLSX.
+ * Un CSV/TSV/TXT o JSON/NDJSON tiene una sola hoja, con el nombre del archivo.
+ * @param {string} filePath - Ruta completa al archivo.
  * @returns {string[]} - Nombres de las hojas en el workbook.
  */
 function listSheets(filePath) {
-  const workbook = xlsx.readFile(filePath);
+  if (isSingleSheetFile(filePath)) {
+    return [path.basename(filePath, path.extname(filePath))];
+  }
+  // bookSheets: solo los nombres de las hojas, sin leer sus celdas
+  const workbook = xlsx.readFile(filePath, { bookSheets: true });
   return workbook.SheetNames;
 }
 
 /**
  * readSheetData: Lee los datos de una hoja de Excel y los retorna como objetos JSON.
- * @param {string} filePath - Ruta completa al archivo XLSX.
- * @param {string} sheetName - Nombre de la hoja a leer.
+ * @param {Object} sheet - Hoja del workbook.
  * @returns {Object[]} - Arreglo de objetos con los datos.
  */
-function readSheetData(filePath, sheetName) {
-  const workbook = xlsx.readFile(filePath);
-  const sheet = workbook.Sheets[sheetName];
+function readSheetData(sheet) {
   return xlsx.utils.sheet_to_json(sheet);
 }
 
 /**
  * readSheetHeaders: Lee la primera fila como encabezados.
- * @param {string} filePath - Ruta al archivo XLSX.
- * @param {string} sheetName - Hoja a leer.
+ * @param {Object} sheet - Hoja del workbook.
  * @returns {string[]} - Lista de encabezados.
  */
-function readSheetHeaders(filePath, sheetName) {
-  const workbook = xlsx.readFile(filePath);
-  const sheet = workbook.Sheets[sheetName];
+function readSheetHeaders(sheet) {
   // Con header:1 obtenemos un array de arrays. El primero es la fila de encabezados
   const rows = xlsx.utils.sheet_to_json(sheet, { header: 1 });
   return rows && rows.length > 0 ? rows[0] : [];
 }
 
+/**
+ * readSheetDateColumns: Columnas de una hoja de Excel cuyas celdas numéricas tienen formato de
+ * fecha. sheet_to_json devuelve esas celdas como seriales (números), así que sin el formato de
+ * la celda no se distinguen de un número. Una columna cuenta como fecha si lo son la mayoría de
+ * sus celdas numéricas.
+ * @param {Object} sheet - Hoja de un workbook leído con cellNF (guarda el formato de cada celda).
+ * @returns {string[]} - Encabezados de las columnas con formato de fecha.
+ */
+function readSheetDateColumns(sheet) {
+  if (!sheet || !sheet["!ref"]) {
+    return [];
+  }
+  const range = xlsx.utils.decode_range(sheet["!ref"]);
+  const dateColumns = [];
+  for (let column = range.s.c; column <= range.e.c; column++) {
+    const headerCell = sheet[xlsx.utils.encode_cell({ r: range.s.r, c: column })];
+    if (!headerCell) continue;
+    let numbers = 0;
+    let dates = 0;
+    for (let row = range.s.r + 1; row <= range.e.r; row++) {
+      const cell = sheet[xlsx.utils.encode_cell({ r: row, c: column })];
+      if (!cell || cell.t !== "n") continue;
+      numbers++;
+      if (cell.z && xlsx.SSF.is_date(cell.z)) dates++;
+    }
+    if (dates > 0 && dates * 2 > numbers) {
+      dateColumns.push(String(headerCell.w ?? headerCell.v));
+    }
+  }
+  return dateColumns;
+}
+
+/**
+ * readSheet: Lee los encabezados y los datos de una hoja, leyendo el archivo una sola vez.
+ * En JSON los encabezados son todos los campos encontrados en los objetos (unión de las keys).
+ * Un NDJSON no se lee con readSheet sino en tandas (readJsonSample y readJsonChunks).
+ * @param {string} filePath - Ruta al archivo.
+ * @param {string} sheetName - Hoja a leer.
+ * @param {Object} [readOptions] - { delimiter, quote, encoding } para CSV/TSV/TXT.
+ * @returns {Promise<{headers: string[], data: Object[], dateColumns: string[], format?: Object}>}
+ *   dateColumns: columnas con formato de fecha (los CSV/TSV/JSON no tienen formatos);
+ *   format: delimitador, comillas y codificación detectados en un CSV/TSV/TXT.
+ */
+async function readSheet(filePath, sheetName, readOptions = {}) {
+  if (isJsonFile(filePath)) {
+    const data = await readJsonData(filePath);
+    return { headers: jsonHeaders(data), data, dateColumns: [] };
+  }
+  if (isDelimitedFile(filePath)) {
+    const { headers, rows, format } = readDelimitedFile(filePath, readOptions);
+    return { headers, data: rows, dateColumns: [], format };
+  }
+  const workbook = xlsx.readFile(filePath, { cellNF: true });
+  const sheet = workbook.Sheets[sheetName];
+  return { headers: readSheetHeaders(sheet), data: readSheetData(sheet), dateColumns: readSheetDateColumns(sheet) };
+}
+
 /************************************************************
  * FUNCIONES AUXILIARES PARA NOTION
  ************************************************************/
 
 /**
- * initializeNotionClient: Inicializa el cliente de Notion.
+ * initializeNotionClient: Inicializa el cliente de Notion, envuelto en la capa de requests
+ * (límite de velocidad, Retry-After y backoff exponencial ante 429, 5xx y errores de red).
+ * @param {Object} [requestOptions] - Reintentos y velocidad (ver lib/notion_request.cjs).
  * @returns {Promise<Client>} - Instancia autenticada.
  */
-async function initializeNotionClient() {
+async function initializeNotionClient(requestOptions = {}) {
   if (!notionAuth) {
-    notionAuth = await askQuestion("Ingrese su Notion API Key (secret_xxx): ");
+    notionAuth = await askRequired(
+      undefined,
+      "NOTION_API_KEY (variable de entorno)",
+      "Ingrese su Notion API Key (secret_xxx): "
+    );
   }
   logInfo("Cliente de Notion inicializado.\n");
-  return new Client({ auth: notionAuth });
-}
-
-/**
- * fetchAllRecords: Trae todas las páginas de la base de datos Notion, paginando.
- * @param {string} databaseId - ID de la base de datos en Notion.
- * @param {Client} notion - Cliente de Notion.
- * @returns {Promise<Object[]>} - Arreglo con todos los registros.
- */
-async function fetchAllRecords(databaseId, notion) {
-  let allRecords = [];
-  let hasMore = true;
-  let startCursor = null;
-
-  while (hasMore) {
-    const response = await notion.databases.query({
-      database_id: databaseId,
-      page_size: PAGE_SIZE,
-      start_cursor: startCursor,
-    });
-    allRecords = allRecords.concat(response.results);
-    hasMore = response.has_more;
-    startCursor = response.next_cursor;
-  }
-  return allRecords;
+  return wrapNotionClient(new Client({ auth: notionAuth }), {
+    ...requestOptions,
+    onRetry: ({ error, attempt, delayMs, maxRetries }) => {
+      logWarn(
+        `Notion respondió ${error.status || error.code}. Reintento ${attempt}/${maxRetries} en ${(delayMs / 1000).toFixed(1)}s...`
+      );
+    },
+  });
 }
 
 /**
- * getPropertyValue: Extrae el valor en texto según el tipo de propiedad Notion.
+ * duplicateKeyEntry: Valores de los campos de duplicados de una fila, en el mismo texto canónico
+ * con el que se leen las páginas de Notion (readPropertyValue): cada valor se convierte primero
+ * como se enviaría a su propiedad, así una fecha, un número o un select coinciden aunque la
+ * celda tenga otro formato. Los valores que no se pueden convertir se comparan tal cual.
  */
-function getPropertyValue(property, type) {
-  if (!property || !type) return "";
-
-  switch (type) {
-    case "url":
-      return property.url || "";
-    case "phone_number":
-      return property.phone_number || "";
-    case "rich_text":
-      return (property.rich_text || []).map((rt) => rt.plain_text).join("");
-    case "title":
-      return (property.title || []).map((tt) => tt.plain_text).join("");
-    case "email":
-      return property.email || "";
-    case "number":
-      return property.number !== null && property.number !== undefined
-        ? String(property.number)
-        : "";
-    case "select":
-      return property.select ? property.select.name : "";
-    case "status":
-      return property.status ? property.status.name : "";
-    case "multi_select":
-      return property.multi_select
-        .map((item) => item.name)
-        .join(",");
-    case "checkbox":
-      return property.checkbox ? "true" : "false";
-    default:
-      return "";
+function duplicateKeyEntry(entry, fields, selectedProperties) {
+  const keys = {};
+  for (const field of fields) {
+    const value = entry[field];
+    keys[field] = value;
+    if (!selectedProperties[field] || value === undefined || value === null || value === "") continue;
+    try {
+      keys[field] = readPropertyValue(buildEntryProperty(selectedProperties[field], value, entry)).text;
+    } catch (error) {
+      // Se compara el valor original
+    }
   }
+  return keys;
 }
 
 /************************************************************
@@ -194,51 +460,87 @@ function getPropertyValue(property, type) {
  */
 function buildPropertyPayload(propertyType, stringValue) {
   switch (propertyType) {
-    case "title":
-      return { title: [{ text: { content: stringValue } }] };
     case "files":
       return { files: [{ name: "Archivo", external: { url: stringValue } }] };
-    case "date":
-      return { date: { start: stringValue } };
-    case "checkbox":
-      return { checkbox: stringValue.toLowerCase() === "true" };
     case "url":
       return { url: stringValue };
     case "email":
       return { email: stringValue };
     case "phone_number":
       return { phone_number: stringValue };
-    case "number":
-      return { number: parseFloat(stringValue) };
-    case "select":
-      return { select: { name: stringValue } };
+    case "select": {
+      const [name] = selectOptionNames(stringValue, "select");
+      return { select: name ? { name } : null };
+    }
     case "status":
       return { status: { name: stringValue } };
     case "multi_select":
       return {
-        multi_select: stringValue
-          .split(",")
-          .map((val) => ({ name: val.trim() })),
+        multi_select: selectOptionNames(stringValue, "multi_select").map((name) => ({ name })),
       };
     default:
-      return { rich_text: [{ text: { content: stringValue } }] };
+      return buildTextProperty("rich_text", stringValue).property;
+  }
+}
+
+/**
+ * buildEntryProperty: Construye el valor de una propiedad a partir de la columna mapeada.
+ * Las fechas se convierten con buildDatePayload (seriales de Excel, dd/mm/aaaa, rangos y zona horaria);
+ * números y checkbox, con las reglas regionales del mapeo. Lanza un error si el valor no se puede convertir.
+ * Los textos largos de title/rich_text se reparten en varios objetos de texto; lo que no entra
+ * se trata según el textOverflow del mapeo (con "body" se agrega a `children` como párrafos).
+ */
+function buildEntryProperty(mapping, value, entry, children = []) {
+  switch (mapping.type) {
+    case "title":
+    case "rich_text": {
+      const text = value !== undefined && value !== null ? String(value) : "";
+      const { property, children: overflow } = buildTextProperty(mapping.type, text, {
+        textOverflow: mapping.textOverflow,
+        label: mapping.name,
+      });
+      children.push(...overflow);
+      return property;
+    }
+    case "date":
+      return buildDatePayload(value, mapping.endField && entry[mapping.endField], {
+        timeZone: mapping.timeZone,
+        label: mapping.name,
+      });
+    case "number":
+      return { number: coerceNumber(value, mapping.numberFormat, mapping.columnDecimal) };
+    case "checkbox":
+      return { checkbox: coerceCheckbox(value, mapping.truthy) };
   }
+  const stringValue =
+    value !== undefined && value !== null ? String(value) : "";
+  return buildPropertyPayload(mapping.type, stringValue);
 }
 
 /**
  * buildPagePayload: Construye el objeto con "properties" y "children" (bloques),
  * para crear/actualizar páginas en Notion.
+ * Las columnas sin mapeo propio (fin de un rango de fechas) se envían junto con su inicio.
+ * Los valores que no se pueden convertir no se envían y se agregan a `issues`, salvo los textos
+ * demasiado largos con --text-overflow fail, que hacen fallar la fila.
  */
-function buildPagePayload(entry, selectedProperties) {
+function buildPagePayload(entry, selectedProperties, issues = []) {
   const properties = {};
   const children = [];
 
   for (const [header, value] of Object.entries(entry)) {
+    if (!selectedProperties[header]) continue;
     const { name: propName, type: propType } = selectedProperties[header];
     const stringValue =
       value !== undefined && value !== null ? String(value) : "";
 
-    properties[propName] = buildPropertyPayload(propType, stringValue);
+    try {
+      properties[propName] = buildEntryProperty(selectedProperties[header], value, entry, children);
+    } catch (error) {
+      if (error.failsRow) throw error;
+      issues.push({ header, property: propName, value, message: error.message });
+      continue;
+    }
 
     // Si es tipo files, añadimos un bloque de imagen.
     if (propType === "files" && stringValue) {
@@ -281,21 +583,51 @@ async function promptTitleField(headers) {
   }
 }
 
+/**
+ * logInferredTypes: Muestra el tipo propuesto (y su confianza) para cada columna que todavía no
+ * existe en Notion y no trae un tipo por flag, perfil o rango de fechas.
+ */
+function logInferredTypes(headers, inferredTypes, currentProperties, titleField, mapOverrides, dateRanges = {}) {
+  const savedEnds = Object.values(mapOverrides).map((override) => override.endField);
+  const inRange = new Set([...Object.keys(dateRanges), ...Object.values(dateRanges), ...savedEnds]);
+  const proposed = headers.filter(
+    (header) =>
+      header !== titleField && !currentProperties[header] && !mapOverrides[header]?.type && !inRange.has(header)
+  );
+  if (proposed.length === 0) {
+    return;
+  }
+  logBright("\nTipos propuestos según el contenido de cada columna:");
+  for (const header of proposed) {
+    const { type, confidence } = inferredTypes[header];
+    logInfo(`- ${header}: ${type} (confianza ${formatConfidence(confidence)})`);
+  }
+}
+
 /**
  * mapProperties: Mapea cada encabezado (columna) a { name, type } en Notion.
  * Si el header es el que seleccionamos para "title", forzamos "type = title".
+ * Las columnas que no existen en Notion toman el tipo propuesto en inferredTypes.
  * Ofrece la posibilidad de renombrar y cambiar tipo (opción "2").
+ * Los headers presentes en mapOverrides (flags --map) no se preguntan.
  */
-async function mapProperties(headers, currentProperties, mapOption, titleField) {
+async function mapProperties(headers, currentProperties, mapOption, titleField, mapOverrides = {}, inferredTypes = {}) {
   const mappedProperties = {};
 
   for (const header of headers) {
+    const inferred = header !== titleField && !currentProperties[header] ? inferredTypes[header] : undefined;
     let propName = header;
     let propType =
       header === titleField ? "title" : // Forzamos a title si es el campo seleccionado
-      currentProperties[header]?.type || "rich_text"; // Si existe en Notion, usamos su tipo, sino "rich_text" x default
+      currentProperties[header]?.type || inferred?.type || "rich_text"; // Tipo en Notion, el propuesto o "rich_text"
 
-    if (mapOption === "2") {
+    const override = mapOverrides[header];
+    if (override) {
+      propName = override.name || propName;
+      if (override.type && override.type !== "title" && header !== titleField) {
+        propType = override.type;
+      }
+    } else if (mapOption === "2") {
       // Permitir cambiar el nombre
       const newName = await askQuestion(
         `Propiedad "${header}": ¿Cambiar nombre? (Enter para mantener): `
@@ -304,34 +636,15 @@ async function mapProperties(headers, currentProperties, mapOption, titleField)
         propName = newName.trim();
       }
 
-      logInfo(`Tipo actual para "${propName}": "${propType}"`);
+      if (inferred) {
+        logInfo(`Tipo propuesto para "${propName}": "${propType}" (confianza ${formatConfidence(inferred.confidence)})`);
+      } else {
+        logInfo(`Tipo actual para "${propName}": "${propType}"`);
+      }
       const changeType = await askQuestion("¿Cambiar tipo? (s para sí, Enter para no): ");
       if (changeType.trim().toLowerCase() === "s") {
-        const propertyTypes = [
-          "rich_text",
-          "title",
-          "number",
-          "select",
-          "multi_select",
-          "date",
-          "people",
-          "files",
-          "checkbox",
-          "url",
-          "email",
-          "phone_number",
-          "formula",
-          "relation",
-          "rollup",
-          "created_time",
-          "created_by",
-          "last_edited_time",
-          "last_edited_by",
-          "status",
-        ];
-
         logBright("Tipos disponibles:");
-        propertyTypes.forEach((type, index) => {
+        PROPERTY_TYPES.forEach((type, index) => {
           logInfo(`${index + 1}. ${type}`);
         });
 
@@ -343,9 +656,9 @@ async function mapProperties(headers, currentProperties, mapOption, titleField)
           if (
             !isNaN(selectedIndex) &&
             selectedIndex >= 1 &&
-            selectedIndex <= propertyTypes.length
+            selectedIndex <= PROPERTY_TYPES.length
           ) {
-            propType = propertyTypes[selectedIndex - 1];
+            propType = PROPERTY_TYPES[selectedIndex - 1];
             break;
           } else {
             logWarn("Selección inválida. Intenta nuevamente.");
@@ -359,6 +672,38 @@ async function mapProperties(headers, currentProperties, mapOption, titleField)
   return mappedProperties;
 }
 
+/**
+ * promptDateRanges: En la personalización (opción 2), pregunta si alguna propiedad date toma su
+ * fecha de fin de otra columna.
+ * @param {Object} selectedProperties - Mapeo { header: { name, type } }.
+ * @param {string} titleField - Columna "title" (no puede ser fin de un rango).
+ * @returns {Promise<Object>} - { columnaInicio: columnaFin }.
+ */
+async function promptDateRanges(selectedProperties, titleField) {
+  const ranges = {};
+  const isUsed = (header) => ranges[header] !== undefined || Object.values(ranges).includes(header);
+  const dateHeaders = Object.keys(selectedProperties).filter((header) => selectedProperties[header].type === "date");
+
+  for (const header of dateHeaders) {
+    if (isUsed(header)) continue;
+    const candidates = Object.keys(selectedProperties).filter(
+      (other) => other !== header && other !== titleField && !isUsed(other)
+    );
+    while (true) {
+      const answer = (
+        await askQuestion(`¿Columna con la fecha de fin de "${selectedProperties[header].name}"? (Enter para ninguna): `)
+      ).trim();
+      if (!answer) break;
+      if (candidates.includes(answer)) {
+        ranges[header] = answer;
+        break;
+      }
+      logWarn(`"${answer}" no es una columna disponible. Intenta nuevamente.`);
+    }
+  }
+  return ranges;
+}
+
 /**
  * ensurePropertiesExist: Verifica en Notion si existen las propiedades mapeadas;
  * si no, las crea; si difiere el tipo, las actualiza.
@@ -391,7 +736,11 @@ async function ensurePropertiesExist(databaseId, headers, selectedProperties, no
         database_id: databaseId,
         properties: { ...propsToAdd, ...propsToUpdate },
       });
-      logSuccess("Propiedades creadas/actualizadas en la Base de Datos de Notion.\n");
+      if (notion.dryRunWrites) {
+        logInfo("Simulación: habría que crear/actualizar propiedades en Notion (ver el plan).\n");
+      } else {
+        logSuccess("Propiedades creadas/actualizadas en la Base de Datos de Notion.\n");
+      }
     } else {
       logInfo("No fue necesario crear/actualizar propiedades en Notion.\n");
     }
@@ -408,171 +757,469 @@ async function ensurePropertiesExist(databaseId, headers, selectedProperties, no
  ************************************************************/
 
 /**
- * updateDuplicateRecords: Actualiza registros duplicados (únicamente las propiedades nuevas).
+ * describeRow: Texto corto para identificar una fila en los logs (fila de Excel + primer valor).
  */
-async function updateDuplicateRecords(duplicates, selectedProperties, newProps, notion) {
-  for (let i = 0; i < duplicates.length; i++) {
-    const { recordId, entry } = duplicates[i];
-    const updateOnlyNew = duplicates[i].updateOnlyNewProperties || false;
+function describeRow({ entry, rowNumber }) {
+  return `fila ${rowNumber}: ${entry[Object.keys(entry)[0]] || "Sin título"}`;
+}
 
-    const propertiesToUpdate = {};
-    for (const [header, value] of Object.entries(entry)) {
-      if (updateOnlyNew && !newProps.includes(header)) {
-        // Si solo queremos actualizar propiedades nuevas y esta no es nueva, se omite
-        continue;
-      }
-      const { name: propName, type: propType } = selectedProperties[header];
-      const stringValue =
-        value !== undefined && value !== null ? String(value) : "";
-      propertiesToUpdate[propName] = buildPropertyPayload(propType, stringValue);
+/**
+ * buildUpdateProperties: Construye las propiedades a enviar al actualizar un duplicado.
+ * Con updateOnlyNew, solo se incluyen las propiedades recién creadas en Notion; con onlyHeaders
+ * (upsert), solo las de esas columnas.
+ * Los valores que no se pueden convertir no se envían y se agregan a `issues`; la continuación
+ * de los textos largos (--text-overflow body) se agrega a `children`.
+ */
+function buildUpdateProperties(
+  entry,
+  selectedProperties,
+  newProps,
+  updateOnlyNew,
+  issues = [],
+  children = [],
+  onlyHeaders = null
+) {
+  const propertiesToUpdate = {};
+  for (const [header, value] of Object.entries(entry)) {
+    if (updateOnlyNew && !newProps.includes(header)) {
+      // Si solo queremos actualizar propiedades nuevas y esta no es nueva, se omite
+      continue;
     }
-
+    if (onlyHeaders && !onlyHeaders.includes(header)) continue;
+    if (!selectedProperties[header]) continue;
+    const propName = selectedProperties[header].name;
     try {
-      await notion.pages.update({
-        page_id: recordId,
-        properties: propertiesToUpdate,
-      });
-      logInfo(`Registro duplicado actualizado: ${entry[Object.keys(entry)[0]] || "Sin título"}`);
+      propertiesToUpdate[propName] = buildEntryProperty(selectedProperties[header], value, entry, children);
     } catch (error) {
-      logError(`Error al actualizar duplicado: ${error}`);
+      if (error.failsRow) throw error;
+      issues.push({ header, property: propName, value, message: error.message });
     }
+  }
+  return propertiesToUpdate;
+}
 
-    if ((i + 1) % 50 === 0) {
-      logBright(`Actualizados ${i + 1} duplicados...`);
-    }
+/**
+ * reportValueIssues: Registra los valores de una fila que no se pudieron convertir
+ * (la fila se envía igual, sin esas propiedades).
+ */
+function reportValueIssues(row, issues) {
+  for (const issue of issues) {
+    logWarn(`Valor omitido (${describeRow(row)}), columna "${issue.header}": ${issue.message}`);
+    valueIssues.push({ rowNumber: row.rowNumber, ...issue });
+  }
+}
+
+/**
+ * saveValueIssues: Guarda en un CSV los valores que no se pudieron convertir en esta ejecución.
+ */
+function saveValueIssues(reportFlag) {
+  if (valueIssues.length === 0) {
+    return;
   }
+  const filePath = reportFlag ? path.resolve(reportFlag) : defaultValueIssuesPath("excel");
+  writeValueIssues(filePath, valueIssues);
+  logWarn(`\n${valueIssues.length} valores no se pudieron convertir y no se enviaron; detalle en ${filePath}.`);
 }
 
 /**
- * addNonDuplicateRecords: Crea nuevos registros en Notion. Soporta reintento.
+ * saveChangeLog: Guarda en un CSV los cambios aplicados a páginas existentes en esta ejecución.
  */
-async function addNonDuplicateRecords(nonDuplicates, selectedProperties, dbId, notion) {
-  const failedRecords = [];
+function saveChangeLog(changeLogFlag) {
+  if (changeLog.length === 0) {
+    return;
+  }
+  const filePath = changeLogFlag ? path.resolve(changeLogFlag) : defaultChangeLogPath("excel");
+  writeChangeLog(filePath, changeLog);
+  logInfo(`\n${changeLog.length} valores actualizados en páginas existentes; detalle en ${filePath}.`);
+}
 
-  for (let i = 0; i < nonDuplicates.length; i++) {
-    const entry = nonDuplicates[i];
-    const { properties, children } = buildPagePayload(entry, selectedProperties);
+/**
+ * changedHeaders: Columnas que cambiaron en una fila de upsert (null si se actualizan todas).
+ */
+function changedHeaders(row) {
+  return row.changes ? row.changes.map((change) => change.header) : null;
+}
 
-    try {
-      await notion.pages.create({
+/**
+ * updateDuplicateRecords: Actualiza registros duplicados (las propiedades nuevas o, con upsert,
+ * las que cambiaron), con hasta `concurrency` requests en paralelo.
+ * @returns {Promise<Object[]>} - Resultado por fila ({ item, ok, error }).
+ */
+async function updateDuplicateRecords(duplicates, selectedProperties, newProps, notion, concurrency, checkpoint = {}) {
+  return runPool(
+    duplicates,
+    async (row) => {
+      const issues = [];
+      const children = [];
+      const properties = buildUpdateProperties(
+        row.entry,
+        selectedProperties,
+        newProps,
+        row.updateOnlyNewProperties,
+        issues,
+        children,
+        changedHeaders(row)
+      );
+      reportValueIssues(row, issues);
+      const response = await notion.pages.update({ page_id: row.recordId, properties });
+      // La continuación de los textos largos se agrega al final del cuerpo de la página
+      if (children.length > 0) {
+        await notion.blocks.children.append({ block_id: row.recordId, children });
+      }
+      return response;
+    },
+    {
+      concurrency,
+      shouldStop: checkpoint.shouldStop,
+      onSettled: (result, completed) => {
+        if (checkpoint.journal) {
+          checkpoint.journal.record(result.item.key, result.ok ? "updated" : "failed", result.item.recordId);
+        }
+        if (result.ok) {
+          logInfo(`Registro duplicado actualizado (${describeRow(result.item)})`);
+          for (const change of result.item.changes || []) {
+            logInfo(`  ${describeChange(change)}`);
+            changeLog.push({ rowNumber: result.item.rowNumber, recordId: result.item.recordId, ...change });
+          }
+        } else {
+          logError(`Error al actualizar duplicado (${describeRow(result.item)}): ${result.error}`);
+        }
+        if (completed % 50 === 0) {
+          logBright(`Actualizados ${completed} duplicados...`);
+        }
+      },
+    }
+  );
+}
+
+/**
+ * addNonDuplicateRecords: Crea nuevos registros en Notion con hasta `concurrency` requests
+ * en paralelo. Los errores transitorios (429, 5xx, red) ya se reintentan en la capa de
+ * requests; lo que llega acá es definitivo.
+ * Con `checkpoint` ({ journal, shouldStop }) cada fila procesada queda registrada en el journal.
+ * @returns {Promise<Object[]>} - Resultado por fila ({ item, ok, value, error }).
+ */
+async function addNonDuplicateRecords(rows, selectedProperties, dbId, notion, concurrency, checkpoint = {}) {
+  const results = await runPool(
+    rows,
+    async (row) => {
+      const issues = [];
+      const { properties, children } = buildPagePayload(row.entry, selectedProperties, issues);
+      reportValueIssues(row, issues);
+      return notion.pages.create({
         parent: { database_id: dbId },
         properties,
         children,
       });
-      logSuccess(`Registro agregado: ${entry[Object.keys(entry)[0]] || "Sin título"}`);
-    } catch (error) {
-      logError(`Error al agregar registro: ${error}`);
-      failedRecords.push(entry);
+    },
+    {
+      concurrency,
+      shouldStop: checkpoint.shouldStop,
+      onSettled: (result, completed) => {
+        if (checkpoint.journal) {
+          checkpoint.journal.record(result.item.key, result.ok ? "created" : "failed", result.ok ? result.value.id : null);
+        }
+        if (result.ok) {
+          logSuccess(`Registro agregado (${describeRow(result.item)})`);
+        } else {
+          logError(`Error al agregar registro (${describeRow(result.item)}): ${result.error}`);
+        }
+        if (completed % 50 === 0) {
+          logBright(`Agregados ${completed} registros...`);
+        }
+      },
     }
+  );
 
-    if ((i + 1) % 50 === 0) {
-      logBright(`Agregados ${i + 1} registros...`);
-    }
+  const failedRows = results.filter((result) => !result.ok).map((result) => result.item.rowNumber);
+  if (failedRows.length > 0) {
+    logWarn(
+      `${failedRows.length} registros no pudieron ser exportados incluso tras reintentos (filas: ${failedRows.join(", ")}).`
+    );
   }
+  return results;
+}
 
-  // Reintentar fallidos
-  if (failedRecords.length > 0) {
-    logWarn("\nReintentando registros fallidos...");
-    const stillFailed = [];
+/**
+ * toDeadLetters: Convierte los resultados fallidos del pool en entradas del archivo de fallidos,
+ * con la fila original, el payload enviado a Notion y el error.
+ */
+function toDeadLetters(results, operation, selectedProperties, newProps) {
+  return results
+    .filter((result) => !result.ok)
+    .map(({ item, error }) => ({
+      ...item,
+      operation,
+      payload: payloadOrError(() =>
+        operation === "create"
+          ? buildPagePayload(item.entry, selectedProperties)
+          : {
+              properties: buildUpdateProperties(
+                item.entry,
+                selectedProperties,
+                newProps,
+                item.updateOnlyNewProperties,
+                [],
+                [],
+                changedHeaders(item)
+              ),
+            }
+      ),
+      error,
+    }));
+}
 
-    for (const entry of failedRecords) {
-      const { properties, children } = buildPagePayload(entry, selectedProperties);
-      try {
-        await notion.pages.create({
-          parent: { database_id: dbId },
-          properties,
-          children,
-        });
-        logSuccess(`Registro agregado tras reintento: ${entry[Object.keys(entry)[0]] || "Sin título"}`);
-      } catch (error) {
-        logError(`Error en reintento: ${error}`);
-        stillFailed.push(entry);
-      }
-    }
+/**
+ * saveDeadLetters: Guarda las filas fallidas en un .jsonl (y un .xlsx para revisarlas)
+ * que luego puede reimportarse con --retry-failed.
+ */
+function saveDeadLetters(failures, meta, deadLetterFlag) {
+  if (failures.length === 0) {
+    return;
+  }
+  const filePath = deadLetterFlag ? path.resolve(deadLetterFlag) : defaultDeadLetterPath("excel");
+  const { jsonlPath, xlsxPath } = writeDeadLetters(filePath, meta, failures, { xlsx: true });
+  logWarn(`\n${failures.length} filas fallidas guardadas en ${jsonlPath} (y ${xlsxPath}).`);
+  logWarn(`Para reintentarlas: node subir_excel_notion.cjs --retry-failed "${jsonlPath}"`);
+}
 
-    if (stillFailed.length > 0) {
-      logWarn("Algunos registros no pudieron ser exportados incluso tras reintentos.");
-      // Aquí se podría guardar en un log, CSV, etc.
-    }
+/**
+ * retryDeadLetters: Reintenta únicamente las filas de un archivo de fallidos, con el mismo
+ * mapeo y base de datos con que se intentaron. Devuelve las que vuelven a fallar.
+ */
+async function retryDeadLetters(filePath, notion, concurrency) {
+  const { meta, failures } = readDeadLetters(path.resolve(filePath));
+  const { databaseId, selectedProperties, newProperties = [] } = meta;
+  logBright(`\nReintentando ${failures.length} filas de "${filePath}"...\n`);
+
+  const updates = failures.filter((failure) => failure.operation === "update");
+  const creates = failures.filter((failure) => failure.operation === "create");
+  const stillFailed = [];
+
+  if (updates.length > 0) {
+    const results = await updateDuplicateRecords(updates, selectedProperties, newProperties, notion, concurrency);
+    stillFailed.push(...toDeadLetters(results, "update", selectedProperties, newProperties));
   }
+  if (creates.length > 0) {
+    const results = await addNonDuplicateRecords(creates, selectedProperties, databaseId, notion, concurrency);
+    stillFailed.push(...toDeadLetters(results, "create", selectedProperties, newProperties));
+  }
+
+  return { meta, stillFailed };
 }
 
 /**
- * exportToNotion: Aplica la lógica de duplicados (opción 1-omitir, 2-actualizar, 3-sin duplicados).
+ * buildRows: Asocia cada fila de la hoja con su número de fila, que también es la clave
+ * con que se registra en el journal de checkpoints.
  */
-async function exportToNotion({
-  data,
+function buildRows(data) {
+  return data.map((entry, index) => {
+    // __rowNum__ lo agrega xlsx (base 0); si no está, se asume la fila 1 como encabezados
+    const rowNumber = entry.__rowNum__ !== undefined ? entry.__rowNum__ + 1 : index + 2;
+    return { entry, rowNumber, key: String(rowNumber) };
+  });
+}
+
+/**
+ * writeJournalPlan: Registra en el journal qué se hará con cada fila, para que --resume
+ * no tenga que volver a consultar Notion ni a clasificar duplicados.
+ */
+function writeJournalPlan(journal, duplicatesToUpdate, nonDuplicatesToAdd, skippedRows) {
+  if (!journal) {
+    return;
+  }
+  journal.writePlan([
+    ...duplicatesToUpdate.map((row) => ({
+      key: row.key,
+      action: "update",
+      recordId: row.recordId,
+      updateOnlyNewProperties: row.updateOnlyNewProperties,
+      changes: row.changes,
+    })),
+    ...nonDuplicatesToAdd.map((row) => ({ key: row.key, action: "create" })),
+    ...skippedRows.map((row) => ({ key: row.key, action: "skip" })),
+  ]);
+}
+
+/**
+ * classifyRows: Separa las filas en duplicados a actualizar, filas nuevas, filas omitidas,
+ * conflictos y filas a revisar según la opción de duplicados. Solo lee de Notion, no escribe nada.
+ * dedupeRules.mode "all" une los campos de duplicados en una clave compuesta; con "any" basta
+ * con que coincida uno. Los valores se comparan normalizados (dedupeRules.normalizers o, si no,
+ * según el tipo de la propiedad). Las filas que apuntan a más de una página existente son
+ * conflictos y, con dedupeRules.fuzzyThreshold, las filas nuevas parecidas a una página quedan
+ * para revisar: ni unas ni otras se crean ni se actualizan.
+ * Con la opción 4 (upsert) cada duplicado se compara con su página y solo se actualiza si algún
+ * valor cambió (la fila lleva `changes` con lo que cambia).
+ * @returns {Promise<{duplicatesToUpdate: Object[], nonDuplicatesToAdd: Object[], skippedRows: Object[],
+ *   conflictRows: Object[], reviewRows: Object[]}>} - conflictRows: filas con `conflict` (páginas que
+ *   encontró cada campo); reviewRows: filas con `review` (página más parecida y su parecido).
+ */
+async function classifyRows({
+  rows,
   dbId,
-  selectedProperties,
   notion,
+  selectedProperties,
   duplicateCheckFields,
   duplicateOption,
+  dedupeRules,
   newProperties,
 }) {
   // Opción 3 => ignorar duplicados y agregar todos
   if (duplicateOption === "3") {
-    logBright("\nNo se chequearán duplicados. Agregando todos los registros...\n");
-    await addNonDuplicateRecords(data, selectedProperties, dbId, notion);
-    return;
+    return { duplicatesToUpdate: [], nonDuplicatesToAdd: rows, skippedRows: [], conflictRows: [], reviewRows: [] };
   }
 
-  // Si es 1 o 2 => chequear duplicados
-  logBright("\nObteniendo registros existentes en Notion para chequear duplicados...\n");
-  const allRecords = await fetchAllRecords(dbId, notion);
+  // Si es 1, 2 o 4 => chequear duplicados
+  const lookup = await loadDuplicateLookup({ dbId, notion, selectedProperties, duplicateCheckFields, duplicateOption, dedupeRules });
+  return classifyWithLookup(rows, lookup, {
+    selectedProperties,
+    duplicateCheckFields,
+    duplicateOption,
+    dedupeRules,
+    newProperties,
+  });
+}
 
-  // Crear un Map por cada campo a chequear
-  const existingMaps = {};
-  for (const field of duplicateCheckFields) {
-    existingMaps[field] = new Map();
-  }
+/**
+ * loadDuplicateLookup: Lee las páginas existentes en Notion y las indexa por los campos de duplicados.
+ * @param {Object} params - { dbId, notion, selectedProperties, duplicateCheckFields, duplicateOption, dedupeRules }.
+ * @returns {Promise<{index: Object, recordsById: Map<string, Object>}>}
+ */
+async function loadDuplicateLookup({ dbId, notion, selectedProperties, duplicateCheckFields, duplicateOption, dedupeRules }) {
+  logBright("\nObteniendo registros existentes en Notion para chequear duplicados...\n");
+  // Con upsert, los valores se comparan con los de la fila: hacen falta completos
+  const allRecords = await queryAllPages(notion, dbId, { completeValues: duplicateOption === "4" });
+  const keyFields = await readDuplicateFields({ dbId, notion, selectedProperties, duplicateCheckFields, dedupeRules });
+  return indexDuplicatePages(allRecords, keyFields);
+}
 
+/**
+ * readDuplicateFields: Propiedad de Notion, tipo y normalizadores de cada columna de duplicados.
+ * @returns {Promise<{fields: Array<{field: string, property: string, type: string|null}>, normalizers: Object}>}
+ */
+async function readDuplicateFields({ dbId, notion, selectedProperties, duplicateCheckFields, dedupeRules }) {
   // Obtener propiedades actuales y su tipo
   const dbInfo = await notion.databases.retrieve({ database_id: dbId });
   const currProps = dbInfo.properties;
+  const fields = duplicateCheckFields.map((field) => {
+    const property = selectedProperties[field]?.name ?? field;
+    return { field, property, type: currProps[property]?.type || null };
+  });
+
+  const propTypeMap = Object.fromEntries(fields.map(({ field, type }) => [field, type]));
+  const normalizers = resolveNormalizers(duplicateCheckFields, dedupeRules.normalizers, propTypeMap);
+  const normalizersText = describeNormalizers(normalizers);
+  if (normalizersText) logInfo(`Normalización de claves de duplicados: ${normalizersText}`);
+  return { fields, normalizers };
+}
 
-  const propTypeMap = {};
-  for (const field of duplicateCheckFields) {
-    propTypeMap[field] = currProps[field]?.type || null;
+/**
+ * indexDuplicatePages: Indexa páginas de Notion por cada columna de duplicados y por la clave
+ * compuesta, con los valores normalizados.
+ * @param {Object[]} records - Páginas de Notion.
+ * @param {Object} keyFields - Resultado de readDuplicateFields.
+ * @returns {{index: Object, recordsById: Map<string, Object>}}
+ */
+function indexDuplicatePages(records, { fields, normalizers }) {
+  const propNameMap = Object.fromEntries(fields.map(({ field, property }) => [field, property]));
+  const index = buildDuplicateIndex(
+    records,
+    fields.map(({ field }) => field),
+    (record, field) => readPropertyValue(record.properties[propNameMap[field]]).text,
+    normalizers
+  );
+  return { index, recordsById: new Map(records.map((record) => [record.id, record])) };
+}
+
+/**
+ * openBatchLookup: Prepara la búsqueda de duplicados de un NDJSON, que no trae la base de datos
+ * completa: por cada tanda se piden a Notion solo las páginas que pueden coincidir con sus filas
+ * (candidateFilters), de cada una solo las propiedades que se comparan. Si los filtros de Notion
+ * no alcanzan (--dedupe-fuzzy, teléfonos, acentos...), se indexan todas las páginas una vez, con
+ * esas propiedades.
+ * @param {Object} params - { dbId, notion, selectedProperties, duplicateCheckFields, duplicateOption, dedupeRules }.
+ * @returns {Promise<Function>} - (rows) => Promise<{index, recordsById}> con las páginas de la tanda.
+ */
+async function openBatchLookup({ dbId, notion, selectedProperties, duplicateCheckFields, duplicateOption, dedupeRules }) {
+  const keyFields = await readDuplicateFields({ dbId, notion, selectedProperties, duplicateCheckFields, dedupeRules });
+  // Con upsert también las propiedades mapeadas, que se comparan con la fila
+  const keepProperties = [
+    ...new Set([
+      ...keyFields.fields.map(({ property }) => property),
+      ...(duplicateOption === "4" ? Object.values(selectedProperties).map((mapping) => mapping.name) : []),
+    ]),
+  ];
+  const query = { keepProperties, completeValues: duplicateOption === "4" };
+
+  const filterFields = dedupeRules.fuzzyThreshold
+    ? null
+    : candidateFields(keyFields.fields, keyFields.normalizers, dedupeRules.mode);
+  if (!filterFields) {
+    logWarn(
+      "\nLos duplicados no se pueden buscar por tanda con filtros de Notion (--dedupe-fuzzy, o columnas que los filtros " +
+        "no comparan como los normalizadores): se indexan todas las páginas existentes y la memoria crece con la base de datos."
+    );
+    logBright("\nObteniendo registros existentes en Notion para chequear duplicados...\n");
+    const lookup = indexDuplicatePages(await queryAllPages(notion, dbId, query), keyFields);
+    return async () => lookup;
   }
 
-  // Llenamos existingMaps[field] con los valores reales en Notion
-  for (const record of allRecords) {
-    const props = record.properties;
-    for (const field of duplicateCheckFields) {
-      if (props[field] && propTypeMap[field]) {
-        const val = getPropertyValue(props[field], propTypeMap[field]);
-        if (val) {
-          existingMaps[field].set(val, record.id);
-        }
+  logInfo(`Los duplicados se buscan en Notion en cada tanda, filtrando por ${filterFields.map(({ field }) => field).join(", ")}.`);
+  return async (rows) => {
+    const entries = rows.map((row) => duplicateKeyEntry(row.entry, duplicateCheckFields, selectedProperties));
+    const records = new Map();
+    for (const filter of candidateFilters(entries, filterFields, keyFields.normalizers)) {
+      for (const page of await queryAllPages(notion, dbId, { ...query, filter })) {
+        records.set(page.id, page);
       }
     }
-  }
+    return indexDuplicatePages([...records.values()], keyFields);
+  };
+}
 
+/**
+ * classifyWithLookup: Clasifica las filas contra las páginas indexadas con loadDuplicateLookup
+ * (ver classifyRows).
+ * @returns {{duplicatesToUpdate: Object[], nonDuplicatesToAdd: Object[], skippedRows: Object[],
+ *   conflictRows: Object[], reviewRows: Object[]}}
+ */
+function classifyWithLookup(
+  rows,
+  { index, recordsById },
+  { selectedProperties, duplicateCheckFields, duplicateOption, dedupeRules, newProperties }
+) {
   const duplicatesToUpdate = [];
   const nonDuplicatesToAdd = [];
+  const skippedRows = [];
+  const conflictRows = [];
+  const reviewRows = [];
 
   // Chequeamos cada fila
-  for (const entry of data) {
-    let isDuplicate = false;
-    let duplicateRecordId = null;
-
-    // Revisar cada campo configurado para duplicates
-    for (const field of duplicateCheckFields) {
-      const val = entry[field];
-      if (val !== undefined && val !== null) {
-        const valStr = String(val);
-        if (existingMaps[field].has(valStr)) {
-          isDuplicate = true;
-          duplicateRecordId = existingMaps[field].get(valStr);
-          break;
-        }
-      }
-    }
-
-    if (isDuplicate) {
+  for (const row of rows) {
+    const { entry } = row;
+    const keys = duplicateKeyEntry(entry, duplicateCheckFields, selectedProperties);
+    const match = findDuplicate(keys, index, dedupeRules.mode);
+    const nearMatch =
+      match.status === "new" && dedupeRules.fuzzyThreshold
+        ? findNearDuplicate(keys, index, dedupeRules.mode, dedupeRules.fuzzyThreshold)
+        : null;
+
+    if (nearMatch) {
+      logWarn(
+        `Posible duplicado, queda para revisar (${describeRow(row)}): "${nearMatch.value}" se parece a ` +
+          `"${nearMatch.candidateValue}" (${nearMatch.recordId}, ${Math.round(nearMatch.similarity * 100)}%)`
+      );
+      reviewRows.push({ ...row, review: nearMatch });
+    } else if (match.status === "conflict") {
+      logWarn(`Conflicto de duplicados, no se importa (${describeRow(row)}): ${describeConflict(match.matches)}`);
+      conflictRows.push({ ...row, conflict: match.matches });
+    } else if (match.status === "duplicate") {
+      const duplicateRecordId = match.recordId;
       if (duplicateOption === "1") {
         // Omitir duplicados
-        logInfo(`Registro duplicado omitido. (${Object.keys(entry)[0]}: ${entry[Object.keys(entry)[0]]})`);
+        logInfo(`Registro duplicado omitido. (${describeRow(row)})`);
+        skippedRows.push(row);
       } else if (duplicateOption === "2") {
         // Actualizar solo las propiedades nuevas
         let hasNewProps = false;
@@ -584,35 +1231,638 @@ async function exportToNotion({
         }
         if (hasNewProps) {
           duplicatesToUpdate.push({
+            ...row,
             recordId: duplicateRecordId,
-            entry,
             updateOnlyNewProperties: true,
           });
+        } else {
+          skippedRows.push(row);
+        }
+      } else if (duplicateOption === "4") {
+        // Upsert: actualizar solo las propiedades cuyo valor cambió
+        let changes;
+        try {
+          const properties = buildUpdateProperties(entry, selectedProperties, newProperties, false);
+          changes = diffProperties(properties, recordsById.get(duplicateRecordId), selectedProperties);
+        } catch (error) {
+          // La fila fallará al enviarla (p.ej. un texto demasiado largo con --text-overflow fail);
+          // se envía completa para que quede en el archivo de fallidos
+          changes = null;
+        }
+        if (changes && changes.length === 0) {
+          logInfo(`Registro duplicado sin cambios. (${describeRow(row)})`);
+          skippedRows.push(row);
+        } else {
+          duplicatesToUpdate.push({ ...row, recordId: duplicateRecordId, changes });
         }
       }
     } else {
       // No es duplicado
-      nonDuplicatesToAdd.push(entry);
+      nonDuplicatesToAdd.push(row);
     }
   }
 
+  return { duplicatesToUpdate, nonDuplicatesToAdd, skippedRows, conflictRows, reviewRows };
+}
+
+/**
+ * exportToNotion: Aplica la lógica de duplicados (opción 1-omitir, 2-actualizar, 3-sin duplicados).
+ * Cada fila conserva su número de fila en la hoja para poder rastrear errores.
+ * @returns {Promise<Object[]>} - Filas que fallaron definitivamente (para el archivo de fallidos).
+ */
+async function exportToNotion({
+  data,
+  dbId,
+  selectedProperties,
+  notion,
+  duplicateCheckFields,
+  duplicateOption,
+  dedupeRules,
+  reviewFile,
+  newProperties,
+  concurrency,
+  checkpoint = {},
+}) {
+  const rows = buildRows(data);
+
+  // Opción 3 => ignorar duplicados y agregar todos
+  if (duplicateOption === "3") {
+    logBright("\nNo se chequearán duplicados. Agregando todos los registros...\n");
+    writeJournalPlan(checkpoint.journal, [], rows, []);
+    const results = await addNonDuplicateRecords(rows, selectedProperties, dbId, notion, concurrency, checkpoint);
+    return toDeadLetters(results, "create", selectedProperties, newProperties);
+  }
+
+  const { duplicatesToUpdate, nonDuplicatesToAdd, skippedRows, conflictRows, reviewRows } = await classifyRows({
+    rows,
+    dbId,
+    notion,
+    selectedProperties,
+    duplicateCheckFields,
+    duplicateOption,
+    dedupeRules,
+    newProperties,
+  });
+  if (conflictRows.length > 0) {
+    logWarn(
+      `\n${conflictRows.length} filas apuntan a más de una página existente y no se importarán ` +
+        `(filas: ${conflictRows.map((row) => row.rowNumber).join(", ")}).`
+    );
+  }
+  if (reviewRows.length > 0) {
+    const reviewPath = writeReviewList(reviewFile ? path.resolve(reviewFile) : defaultReviewPath("excel"), reviewRows);
+    logWarn(
+      `\n${reviewRows.length} filas se parecen a una página existente y no se importarán hasta revisarlas. ` +
+        `Lista guardada en ${reviewPath}`
+    );
+  }
+
+  // Los conflictos y las filas a revisar quedan en el journal como omitidos
+  writeJournalPlan(checkpoint.journal, duplicatesToUpdate, nonDuplicatesToAdd, [
+    ...skippedRows,
+    ...conflictRows,
+    ...reviewRows,
+  ]);
+  return processClassifiedRows({
+    duplicatesToUpdate,
+    nonDuplicatesToAdd,
+    duplicateOption,
+    selectedProperties,
+    newProperties,
+    dbId,
+    notion,
+    concurrency,
+    checkpoint,
+  });
+}
+
+/**
+ * processClassifiedRows: Actualiza los duplicados y crea las filas nuevas ya clasificadas.
+ * @returns {Promise<Object[]>} - Filas que fallaron definitivamente.
+ */
+async function processClassifiedRows({
+  duplicatesToUpdate,
+  nonDuplicatesToAdd,
+  duplicateOption,
+  selectedProperties,
+  newProperties,
+  dbId,
+  notion,
+  concurrency,
+  checkpoint,
+}) {
+  const failures = [];
+
   // Procesar duplicados
-  if (duplicateOption === "2" && duplicatesToUpdate.length > 0) {
+  const updatesDuplicates = duplicateOption === "2" || duplicateOption === "4";
+  if (updatesDuplicates && duplicatesToUpdate.length > 0) {
     logInfo(
-      `Se encontraron ${duplicatesToUpdate.length} registros duplicados que serán actualizados (solo campos nuevos).`
+      `Se encontraron ${duplicatesToUpdate.length} registros duplicados que serán actualizados ` +
+        (duplicateOption === "4" ? "(solo valores que cambiaron)." : "(solo campos nuevos).")
     );
-    await updateDuplicateRecords(duplicatesToUpdate, selectedProperties, newProperties, notion);
-  } else if (duplicateOption === "2") {
+    const results = await updateDuplicateRecords(
+      duplicatesToUpdate,
+      selectedProperties,
+      newProperties,
+      notion,
+      concurrency,
+      checkpoint
+    );
+    failures.push(...toDeadLetters(results, "update", selectedProperties, newProperties));
+  } else if (updatesDuplicates) {
     logInfo("No se encontraron registros duplicados para actualizar.");
   }
 
   // Procesar no duplicados
   if (nonDuplicatesToAdd.length > 0) {
     logBright(`\nAgregando ${nonDuplicatesToAdd.length} registros no duplicados...\n`);
-    await addNonDuplicateRecords(nonDuplicatesToAdd, selectedProperties, dbId, notion);
+    const results = await addNonDuplicateRecords(
+      nonDuplicatesToAdd,
+      selectedProperties,
+      dbId,
+      notion,
+      concurrency,
+      checkpoint
+    );
+    failures.push(...toDeadLetters(results, "create", selectedProperties, newProperties));
   } else {
     logInfo("No se encontraron registros no duplicados para agregar.");
   }
+
+  return failures;
+}
+
+/************************************************************
+ * CHECKPOINTS Y REANUDACIÓN
+ ************************************************************/
+
+/**
+ * runWithCheckpoint: Ejecuta la exportación atendiendo Ctrl+C: ante la primera señal se
+ * terminan las requests en curso, no se toman filas nuevas y el journal queda al día.
+ * @param {Object} journal - Journal creado con createJournal.
+ * @param {Function} run - async (checkpoint) => filas fallidas.
+ * @returns {Promise<{failures: Object[], interrupted: boolean}>}
+ */
+async function runWithCheckpoint(journal, run) {
+  const interrupts = watchInterrupts(rl, () => {
+    logWarn("\nInterrupción recibida: terminando las requests en curso y guardando el checkpoint...");
+    logWarn("(Presiona Ctrl+C de nuevo para salir inmediatamente.)");
+  });
+  try {
+    const failures = await run({ journal, shouldStop: interrupts.isInterrupted });
+    return { failures, interrupted: interrupts.isInterrupted() };
+  } finally {
+    interrupts.dispose();
+    journal.flush();
+  }
+}
+
+/**
+ * finishJournal: Cierra el journal, lo marca como completo si no quedan filas pendientes
+ * e imprime el resumen (parcial si la importación se interrumpió).
+ */
+function finishJournal(journal, interrupted) {
+  const { created, updated, skipped, failed, pending } = journal.summary();
+  if (!interrupted && pending === 0) {
+    journal.markDone();
+  }
+  journal.close();
+
+  logBright(
+    `\n${interrupted ? "Resumen parcial" : "Resumen"}: ${created} creados, ${updated} actualizados, ` +
+      `${skipped} omitidos, ${failed} fallidos, ${pending} pendientes.`
+  );
+  if (pending > 0) {
+    logWarn(`Para continuar donde quedó: node subir_excel_notion.cjs --resume "${journal.path}"`);
+  }
+}
+
+/**
+ * resumeFromJournal: Continúa una importación interrumpida. Vuelve a leer la hoja registrada
+ * en el journal y procesa solo las filas del plan que todavía no tienen resultado,
+ * sin volver a clasificar duplicados.
+ * @returns {Promise<Object[]>} - Filas que fallaron definitivamente.
+ */
+async function resumeFromJournal(journalState, notion, concurrency, checkpoint) {
+  const { meta, plan, results } = journalState;
+  const { data } = await readSheet(meta.filePath, meta.sheetName, meta.readOptions);
+  const rowsByKey = new Map(buildRows(data).map((row) => [row.key, row]));
+
+  const duplicatesToUpdate = [];
+  const nonDuplicatesToAdd = [];
+  for (const planned of plan) {
+    if (planned.action === "skip" || results.has(planned.key)) continue;
+
+    const row = rowsByKey.get(planned.key);
+    if (!row) {
+      logWarn(`La fila ${planned.key} ya no existe en la hoja "${meta.sheetName}". Se omite.`);
+      continue;
+    }
+    if (planned.action === "update") {
+      duplicatesToUpdate.push({
+        ...row,
+        recordId: planned.recordId,
+        updateOnlyNewProperties: planned.updateOnlyNewProperties,
+        changes: planned.changes,
+      });
+    } else {
+      nonDuplicatesToAdd.push(row);
+    }
+  }
+
+  logBright(
+    `\nReanudando la importación de "${meta.filePath}" (hoja "${meta.sheetName}"): ` +
+      `${duplicatesToUpdate.length + nonDuplicatesToAdd.length} filas pendientes.`
+  );
+  return processClassifiedRows({
+    duplicatesToUpdate,
+    nonDuplicatesToAdd,
+    duplicateOption: meta.duplicateOption,
+    selectedProperties: meta.selectedProperties,
+    newProperties: meta.newProperties || [],
+    dbId: meta.databaseId,
+    notion,
+    concurrency,
+    checkpoint,
+  });
+}
+
+/************************************************************
+ * IMPORTACIÓN DE NDJSON EN TANDAS
+ ************************************************************/
+
+/**
+ * exportNdjsonStream: Exporta un NDJSON leyéndolo en tandas de bufferSize filas: cada tanda se
+ * clasifica contra las páginas de Notion que pueden ser sus duplicados (openBatchLookup), se
+ * registra en el journal y se envía a Notion antes de leer la siguiente. Al terminar cada tanda,
+ * el journal guarda hasta qué línea se leyó; las filas a revisar se agregan a la lista a medida
+ * que aparecen. En memoria queda una tanda, nunca el archivo ni la base de datos completa.
+ * @param {Object} params - { filePath, bufferSize, headers, dbId, selectedProperties, notion, duplicateCheckFields,
+ *   duplicateOption, dedupeRules, reviewFile, newProperties, concurrency, start, skipKeys, checkpoint }.
+ *   headers: columnas conocidas (las demás se avisan y no se importan); start: { read, line } al reanudar
+ *   (filas ya leídas y línea desde la que sigue); skipKeys: filas de la tanda cortada ya procesadas.
+ * @returns {Promise<Object[]>} - Filas que fallaron definitivamente.
+ */
+async function exportNdjsonStream({
+  filePath,
+  bufferSize,
+  headers,
+  dbId,
+  selectedProperties,
+  notion,
+  duplicateCheckFields,
+  duplicateOption,
+  dedupeRules,
+  reviewFile,
+  newProperties,
+  concurrency,
+  start = { read: 0, line: 0 },
+  skipKeys,
+  checkpoint = {},
+}) {
+  const lookupBatch =
+    duplicateOption === "3"
+      ? null
+      : await openBatchLookup({ dbId, notion, selectedProperties, duplicateCheckFields, duplicateOption, dedupeRules });
+  const knownFields = new Set(headers);
+  const reviewPath = reviewFile ? path.resolve(reviewFile) : defaultReviewPath("excel");
+  const failures = [];
+  let conflicts = 0;
+  let reviews = 0;
+  let read = start.read;
+
+  logBright(`\nExportando el archivo en tandas de ${bufferSize} filas...\n`);
+  for await (const chunk of readJsonChunks(filePath, bufferSize, { startLine: start.line })) {
+    for (const entry of chunk.rows) {
+      for (const field of Object.keys(entry)) {
+        if (!knownFields.has(field)) {
+          knownFields.add(field);
+          logWarn(`La columna "${field}" no estaba en la muestra ni en el perfil: no se importa.`);
+        }
+      }
+    }
+    const rows = buildRows(chunk.rows).filter((row) => !skipKeys || !skipKeys.has(row.key));
+    read += chunk.rows.length;
+
+    const classified =
+      lookupBatch && rows.length > 0
+        ? classifyWithLookup(rows, await lookupBatch(rows), {
+            selectedProperties,
+            duplicateCheckFields,
+            duplicateOption,
+            dedupeRules,
+            newProperties,
+          })
+        : { duplicatesToUpdate: [], nonDuplicatesToAdd: rows, skippedRows: [], conflictRows: [], reviewRows: [] };
+    conflicts += classified.conflictRows.length;
+    if (classified.reviewRows.length > 0) {
+      appendReviewList(reviewPath, classified.reviewRows);
+      reviews += classified.reviewRows.length;
+    }
+    writeJournalPlan(checkpoint.journal, classified.duplicatesToUpdate, classified.nonDuplicatesToAdd, [
+      ...classified.skippedRows,
+      ...classified.conflictRows,
+      ...classified.reviewRows,
+    ]);
+
+    if (classified.duplicatesToUpdate.length > 0) {
+      const results = await updateDuplicateRecords(
+        classified.duplicatesToUpdate,
+        selectedProperties,
+        newProperties,
+        notion,
+        concurrency,
+        checkpoint
+      );
+      failures.push(...toDeadLetters(results, "update", selectedProperties, newProperties));
+    }
+    if (classified.nonDuplicatesToAdd.length > 0) {
+      const results = await addNonDuplicateRecords(
+        classified.nonDuplicatesToAdd,
+        selectedProperties,
+        dbId,
+        notion,
+        concurrency,
+        checkpoint
+      );
+      failures.push(...toDeadLetters(results, "create", selectedProperties, newProperties));
+    }
+    if (checkpoint.shouldStop && checkpoint.shouldStop()) break;
+    if (checkpoint.journal) {
+      // La tanda terminó: al reanudar se sigue desde la línea siguiente
+      checkpoint.journal.writeProgress({ read, line: chunk.nextLine });
+      const summary = checkpoint.journal.summary();
+      logBright(
+        `Leídas ${read} filas: ${summary.created} creadas, ${summary.updated} actualizadas, ` +
+          `${summary.skipped} omitidas, ${summary.failed} fallidas hasta ahora.`
+      );
+    }
+  }
+
+  if (conflicts > 0) {
+    logWarn(`\n${conflicts} filas apuntan a más de una página existente y no se importaron.`);
+  }
+  if (reviews > 0) {
+    logWarn(
+      `\n${reviews} filas se parecen a una página existente y no se importaron hasta revisarlas. ` +
+        `Lista guardada en ${reviewPath}`
+    );
+  }
+  return failures;
+}
+
+/**
+ * resumeNdjsonStream: Continúa la importación de un NDJSON desde la última tanda completa que
+ * registró el journal y, de la tanda que quedó cortada, omite las filas ya procesadas.
+ * @param {Object} journalState - Resultado de readJournal.
+ * @returns {Promise<Object[]>} - Filas que fallaron definitivamente.
+ */
+async function resumeNdjsonStream(journalState, notion, concurrency, checkpoint) {
+  const { meta, plan, results, progress } = journalState;
+  const skipKeys = new Set(results.keys());
+  for (const planned of plan || []) {
+    if (planned.action === "skip") skipKeys.add(planned.key);
+  }
+  const start = progress ? { read: progress.read, line: progress.line } : { read: 0, line: 0 };
+  logBright(
+    `\nReanudando la importación de "${meta.filePath}" después de ${start.read} filas leídas` +
+      (skipKeys.size > 0 ? `: de la tanda siguiente se omiten ${skipKeys.size} filas ya procesadas.` : ".")
+  );
+  return exportNdjsonStream({
+    filePath: meta.filePath,
+    bufferSize: meta.stream.bufferSize,
+    headers: meta.stream.headers,
+    dbId: meta.databaseId,
+    selectedProperties: meta.selectedProperties,
+    notion,
+    duplicateCheckFields: meta.duplicateCheckFields,
+    duplicateOption: meta.duplicateOption,
+    dedupeRules: meta.dedupeRules,
+    newProperties: meta.newProperties || [],
+    concurrency,
+    start,
+    skipKeys,
+    checkpoint,
+  });
+}
+
+/************************************************************
+ * CREACIÓN DE LA BASE DE DATOS DESTINO
+ ************************************************************/
+
+/**
+ * resolveNewDatabase: Obtiene la página padre y el título de la base de datos a crear.
+ * @param {Object} options - Flags de línea de comandos.
+ * @param {string} defaultTitle - Título por defecto (nombre de la hoja).
+ * @returns {Promise<{parentPageId: string, title: string}>}
+ */
+async function resolveNewDatabase(options, defaultTitle) {
+  const parentPageId = await askRequired(
+    options.parentPage,
+    "--parent-page",
+    "\nID de la página de Notion donde se creará la base de datos: "
+  );
+  let title = options.dbTitle;
+  if (title === undefined && isInteractive()) {
+    title = (await askQuestion(`Título de la nueva base de datos (Enter para "${defaultTitle}"): `)).trim();
+  }
+  return { parentPageId: parentPageId.trim(), title: title || defaultTitle };
+}
+
+/**
+ * createTargetDatabase: Crea la base de datos destino con el esquema completo del mapeo
+ * (incluidas las opciones de select/multi_select) e informa su ID.
+ * @returns {Promise<string>} - ID de la base de datos creada.
+ */
+async function createTargetDatabase(newDatabase, selectedProperties, data, notion) {
+  const { response, truncated } = await createDatabase(notion, { ...newDatabase, selectedProperties, data });
+  if (notion.dryRunWrites) {
+    logInfo(`\nSimulación: se crearía la base de datos "${newDatabase.title}".`);
+    return response.id;
+  }
+
+  logSuccess(`\nBase de datos "${newDatabase.title}" creada con ID ${response.id}`);
+  if (response.url) {
+    logInfo(`URL: ${response.url}`);
+  }
+  logInfo(`Para volver a importar en ella: --db ${response.id}`);
+  for (const name of truncated) {
+    logWarn(`"${name}" tiene más de ${MAX_SELECT_OPTIONS} valores distintos; solo se precargaron los primeros.`);
+  }
+  return response.id;
+}
+
+/************************************************************
+ * SIMULACIÓN (DRY-RUN)
+ ************************************************************/
+
+/**
+ * runDryRun: Clasifica las filas sin escribir en Notion, muestra el plan de importación y lo
+ * guarda en JSON. El cliente ya es de solo lectura (createDryRunClient), por lo que
+ * ensurePropertiesExist y la detección de duplicados se ejecutan igual que en una importación real.
+ */
+async function runDryRun({
+  data,
+  dbId,
+  notion,
+  currentProperties,
+  selectedProperties,
+  duplicateCheckFields,
+  duplicateOption,
+  dedupeRules,
+  newProperties,
+  sampleSize,
+  planFlag,
+}) {
+  const rows = buildRows(data);
+  const { duplicatesToUpdate, nonDuplicatesToAdd, skippedRows, conflictRows, reviewRows } = await classifyRows({
+    rows,
+    dbId,
+    notion,
+    selectedProperties,
+    duplicateCheckFields,
+    duplicateOption,
+    dedupeRules,
+    newProperties,
+  });
+
+  const samples = [
+    ...nonDuplicatesToAdd.slice(0, sampleSize).map((row) => ({
+      operation: "create",
+      rowNumber: row.rowNumber,
+      description: describeRow(row),
+      payload: payloadOrError(() => buildPagePayload(row.entry, selectedProperties)),
+    })),
+    ...duplicatesToUpdate.slice(0, sampleSize).map((row) => ({
+      operation: "update",
+      rowNumber: row.rowNumber,
+      description: describeRow(row),
+      recordId: row.recordId,
+      payload: payloadOrError(() => ({
+        properties: buildUpdateProperties(
+          row.entry,
+          selectedProperties,
+          newProperties,
+          row.updateOnlyNewProperties,
+          [],
+          [],
+          changedHeaders(row)
+        ),
+      })),
+    })),
+  ];
+
+  // Valores que no se podrían convertir (y filas que fallarían), en todas las filas a crear o actualizar
+  const valueIssuesInPlan = [];
+  const collectIssues = (row, build) => {
+    const issues = [];
+    try {
+      build(issues);
+    } catch (error) {
+      issues.push({ header: "", value: "", message: `La fila fallaría: ${error.message}` });
+    }
+    for (const issue of issues) {
+      valueIssuesInPlan.push({ rowNumber: row.rowNumber, description: describeRow(row), ...issue });
+    }
+  };
+  for (const row of nonDuplicatesToAdd) {
+    collectIssues(row, (issues) => buildPagePayload(row.entry, selectedProperties, issues));
+  }
+  for (const row of duplicatesToUpdate) {
+    collectIssues(row, (issues) =>
+      buildUpdateProperties(
+        row.entry,
+        selectedProperties,
+        newProperties,
+        row.updateOnlyNewProperties,
+        issues,
+        [],
+        changedHeaders(row)
+      )
+    );
+  }
+
+  const plan = buildDryRunPlan({
+    source: "excel",
+    databaseId: dbId,
+    selectedProperties,
+    propertyChanges: summarizePropertyChanges(notion.dryRunWrites, currentProperties, selectedProperties),
+    classification: {
+      toCreate: nonDuplicatesToAdd,
+      toUpdate: duplicatesToUpdate,
+      skipped: skippedRows,
+      conflicts: conflictRows,
+      review: reviewRows,
+    },
+    describeRow,
+    samples,
+    valueIssues: valueIssuesInPlan,
+  });
+  printDryRunPlan(plan);
+
+  const planPath = writeDryRunPlan(planFlag ? path.resolve(planFlag) : defaultPlanPath("excel"), plan);
+  logSuccess(`\nPlan de importación guardado en ${planPath}. No se escribió nada en Notion.`);
+}
+
+/************************************************************
+ * PERFILES DE MAPEO
+ ************************************************************/
+
+/**
+ * resolveProfile: Carga el perfil indicado con --profile o busca uno cuyos encabezados
+ * coincidan con los de la hoja. Informa las columnas nuevas y las que faltan.
+ * Con fromSample (NDJSON), las columnas salen de una muestra: las del perfil que no aparecen
+ * no faltan en el archivo, solo en la muestra.
+ * @returns {{profile: Object, path: string, drift: Object}|null} - Perfil encontrado o null.
+ */
+function resolveProfile(options, headers, fromSample = false) {
+  if (options.noProfile) {
+    return null;
+  }
+  const match =
+    options.profile !== undefined
+      ? loadProfile(options.profile, headers)
+      : findMatchingProfile(headers, "excel");
+  if (!match) {
+    return null;
+  }
+
+  logSuccess(`\nUsando el perfil "${match.profile.name}" (${match.path}).`);
+  if (match.drift.added.length > 0) {
+    logWarn(`Columnas nuevas que no están en el perfil: ${match.drift.added.join(", ")}`);
+  }
+  if (match.drift.missing.length > 0 && fromSample) {
+    logInfo(`Columnas del perfil que no aparecen en la muestra (se importan igual): ${match.drift.missing.join(", ")}`);
+  } else if (match.drift.missing.length > 0) {
+    logWarn(`Columnas del perfil que no están en la hoja: ${match.drift.missing.join(", ")}`);
+  }
+  return match;
+}
+
+/**
+ * offerSaveProfile: Guarda la sesión como perfil si se pasó --save-profile o, en modo
+ * interactivo, si no se usó perfil o el perfil usado tenía diferencias de columnas.
+ */
+async function offerSaveProfile(options, profileMatch, session) {
+  let profileName = options.saveProfile;
+  const hasDrift =
+    profileMatch && (profileMatch.drift.added.length > 0 || profileMatch.drift.missing.length > 0);
+
+  if (profileName === undefined && isInteractive() && (!profileMatch || hasDrift)) {
+    const suggestion = profileMatch ? ` [${profileMatch.profile.name}]` : "";
+    profileName = await askQuestion(
+      `\n¿Guardar esta configuración como perfil? Nombre${suggestion} (Enter para omitir): `
+    );
+    if (!profileName.trim() && profileMatch) {
+      const confirm = await askQuestion(`¿Actualizar el perfil "${profileMatch.profile.name}"? (s/n): `);
+      profileName = confirm.trim().toLowerCase() === "s" ? profileMatch.profile.name : "";
+    }
+  }
+
+  if (profileName && profileName.trim()) {
+    const savedPath = saveProfile(profileName, session);
+    logSuccess(`Perfil guardado en ${savedPath}`);
+  }
 }
 
 /************************************************************
@@ -620,87 +1870,240 @@ async function exportToNotion({
  ************************************************************/
 async function main() {
   try {
-    // 1. Inicializar cliente Notion
-    const notion = await initializeNotionClient();
+    // 0. Leer flags de línea de comandos
+    const options = parseCliArgs(process.argv.slice(2), CLI_SPEC);
+    if (options.help) {
+      console.log(USAGE);
+      rl.close();
+      return;
+    }
+    if (options.onDuplicate !== undefined && !DUPLICATE_OPTION_FLAGS[options.onDuplicate]) {
+      throw new Error(`Valor inválido para --on-duplicate: "${options.onDuplicate}". Usa skip, update, upsert o none.`);
+    }
+    const flagOverrides = parseMapFlags(options.map, PROPERTY_TYPES);
+    const requestOptions = parseRequestFlags(options);
+    const concurrency =
+      options.concurrency !== undefined
+        ? parseIntFlag(options.concurrency, "--concurrency", 1)
+        : DEFAULT_CONCURRENCY;
+    const readOptions = parseDelimitedFlags(options);
+    const dateOptions = parseDateFlags(options);
+    const coercionRules = parseCoercionFlags(options);
+    const textOverflow = parseTextOverflowFlag(options);
+    const dedupeFlags = parseDedupeFlags(options);
+    const sampleSize = options.sample !== undefined ? parseIntFlag(options.sample, "--sample") : 3;
+    const ndjsonFlags = parseNdjsonFlags(options);
+    if (options.dryRun && (options.retryFailed !== undefined || options.resume !== undefined)) {
+      throw new Error("--dry-run no se puede combinar con --retry-failed ni con --resume.");
+    }
+    if (options.db !== undefined && options.parentPage !== undefined) {
+      throw new Error("Usa --db (base de datos existente) o --parent-page (crear una nueva), no ambos.");
+    }
 
-    // 2. Solicitar ID de la base de datos
-    const databaseIdToInsert = await askQuestion("\nID de la base de datos de Notion: ");
+    // 1. Inicializar cliente Notion (en simulación, las escrituras se registran pero no se envían)
+    let notion = await initializeNotionClient(requestOptions);
+    if (options.dryRun) {
+      notion = createDryRunClient(notion);
+      logBright("\nSimulación (--dry-run): se leerá de Notion, pero no se escribirá nada.");
+    }
 
-    // 3. Preguntar ruta/nombre del archivo XLSX
-    const xlsxFileName = await askQuestion(
-      "\nNombre del archivo XLSX (sin extensión): "
-    );
-    const xlsxFilePath = path.join(__dirname, `${xlsxFileName}.xlsx`);
+    // Modo reintento: solo se reprocesan las filas de un archivo de fallidos
+    if (options.retryFailed !== undefined) {
+      const { meta, stillFailed } = await retryDeadLetters(options.retryFailed, notion, concurrency);
+      saveDeadLetters(stillFailed, meta, options.deadLetter);
+      saveValueIssues(options.valueReport);
+      saveChangeLog(options.changeLog);
+      logSuccess("\nReintento finalizado.");
+      rl.close();
+      return;
+    }
 
-    // 4. Listar hojas en el XLSX y permitir elegir una
-    const sheetNames = listSheets(xlsxFilePath);
+    // Modo reanudación: se continúa una importación interrumpida desde su journal
+    if (options.resume !== undefined) {
+      const journalPath = path.resolve(options.resume);
+      const journalState = readJournal(journalPath);
+      if (journalState.finished) {
+        logSuccess(`\nLa importación de "${journalPath}" ya se había completado. No hay nada que reanudar.`);
+        rl.close();
+        return;
+      }
+      if (!journalState.plan && !journalState.meta.stream) {
+        throw new Error(
+          "El journal no llegó a registrar el plan de filas (la ejecución se cortó antes de escribir en Notion). " +
+            "Vuelve a ejecutar la importación desde el principio."
+        );
+      }
+      const { meta } = journalState;
+      // De un NDJSON, el journal solo cuenta los resultados (no guarda cada fila en memoria)
+      const journal = createJournal(journalPath, undefined, { retainKeys: !meta.stream });
+      const { failures, interrupted } = await runWithCheckpoint(journal, (checkpoint) =>
+        meta.stream
+          ? resumeNdjsonStream(journalState, notion, concurrency, checkpoint)
+          : resumeFromJournal(journalState, notion, concurrency, checkpoint)
+      );
+      saveDeadLetters(
+        failures,
+        {
+          source: "excel",
+          databaseId: meta.databaseId,
+          selectedProperties: meta.selectedProperties,
+          newProperties: meta.newProperties,
+        },
+        options.deadLetter
+      );
+      saveValueIssues(options.valueReport);
+      saveChangeLog(options.changeLog);
+      finishJournal(journal, interrupted);
+      if (interrupted) {
+        process.exitCode = 130;
+      } else {
+        logSuccess("\nImportación reanudada y completada.");
+      }
+      rl.close();
+      return;
+    }
+
+    const journalPath = options.journal ? path.resolve(options.journal) : defaultJournalPath("excel");
+    if (fs.existsSync(journalPath)) {
+      throw new Error(`El journal "${journalPath}" ya existe. Usa --resume para continuar esa importación.`);
+    }
+
+    // 2. Preguntar ruta/nombre del archivo (XLSX, CSV, TSV, TXT, JSON o NDJSON)
+    const sourceFileName = await askRequired(
+      options.file,
+      "--file",
+      "\nNombre del archivo XLSX/CSV/TSV/JSON (sin extensión se busca primero .xlsx): "
+    );
+    const sourceFilePath = resolveSourcePath(sourceFileName);
+    // Un NDJSON se importa en tandas: de entrada solo se lee una muestra
+    const streamed = isNdjsonFile(sourceFilePath);
+    if ((options.headerSample !== undefined || options.bufferSize !== undefined) && !streamed) {
+      throw new Error("--header-sample y --buffer-size solo se usan con archivos NDJSON.");
+    }
+    // 3. Listar hojas en el archivo y permitir elegir una (un CSV/TSV/JSON tiene una sola)
+    const sheetNames = listSheets(sourceFilePath);
     if (sheetNames.length === 0) {
       logError("No se encontraron hojas en el archivo XLSX.");
       rl.close();
       return;
     }
 
-    logBright("\nHojas disponibles en el archivo Excel:");
-    sheetNames.forEach((sn, idx) => {
-      logInfo(`${idx + 1}. ${sn}`);
-    });
+    let chosenSheetName;
+    if (options.sheet !== undefined) {
+      chosenSheetName = validateChoice(options.sheet, sheetNames, "--sheet");
+    } else if (isSingleSheetFile(sourceFilePath)) {
+      chosenSheetName = sheetNames[0];
+    } else {
+      ensureInteractive("--sheet");
+      logBright("\nHojas disponibles en el archivo Excel:");
+      sheetNames.forEach((sn, idx) => {
+        logInfo(`${idx + 1}. ${sn}`);
+      });
 
-    let chosenSheetIndex;
-    while (true) {
-      const ans = await askQuestion("\nSeleccione el número de la hoja: ");
-      const idx = parseInt(ans) - 1;
-      if (!isNaN(idx) && idx >= 0 && idx < sheetNames.length) {
-        chosenSheetIndex = idx;
-        break;
+      while (true) {
+        const ans = await askQuestion("\nSeleccione el número de la hoja: ");
+        const idx = parseInt(ans) - 1;
+        if (!isNaN(idx) && idx >= 0 && idx < sheetNames.length) {
+          chosenSheetName = sheetNames[idx];
+          break;
+        }
+        logWarn("Selección inválida. Intente nuevamente.");
       }
-      logWarn("Selección inválida. Intente nuevamente.");
     }
-    const chosenSheetName = sheetNames[chosenSheetIndex];
 
-    // 5. Leer headers y datos de la hoja elegida
-    const headers = readSheetHeaders(xlsxFilePath, chosenSheetName);
+    // 4. Leer headers y datos de la hoja elegida (de un NDJSON, los de la muestra)
+    const { headers, data, dateColumns = [], format } = streamed
+      ? await readJsonSample(sourceFilePath, ndjsonFlags.headerSample)
+      : await readSheet(sourceFilePath, chosenSheetName, readOptions);
+    if (format) {
+      const delimiterLabel = format.delimiter === "\t" ? "tab" : `"${format.delimiter}"`;
+      logInfo(
+        `Archivo de texto: delimitador ${delimiterLabel}, comillas ${format.quote}, codificación ${format.encoding}.`
+      );
+    }
     if (!headers || headers.length === 0) {
       logError("No se encontraron encabezados en la hoja seleccionada.");
       rl.close();
       return;
     }
-    const data = readSheetData(xlsxFilePath, chosenSheetName);
     if (data.length === 0) {
       logError("No se encontraron datos en la hoja seleccionada.");
       rl.close();
       return;
     }
-    logSuccess(`\nSe encontraron ${data.length} filas en la hoja "${chosenSheetName}".`);
+    if (streamed) {
+      logSuccess(
+        `\nSe leyó una muestra de ${data.length} filas de "${chosenSheetName}" para detectar las columnas y sus tipos; ` +
+          `al exportar se lee el archivo completo en tandas de ${ndjsonFlags.bufferSize}.`
+      );
+    } else {
+      logSuccess(`\nSe encontraron ${data.length} filas en la hoja "${chosenSheetName}".`);
+    }
 
-    // 6. Escoger cuál header se usará como "title"
-    const titleField = await promptTitleField(headers);
+    // 5. Buscar un perfil guardado (por --profile o por coincidencia de encabezados)
+    const profileMatch = resolveProfile(options, headers, streamed);
+    const profile = profileMatch ? profileMatch.profile : null;
+    if (streamed && profile?.headers) {
+      // Las columnas del perfil que no aparecieron en la muestra también se importan
+      for (const header of profile.headers) {
+        if (!headers.includes(header)) headers.push(header);
+      }
+    }
 
-    // 7. Opciones para duplicados
-    logBright("\n¿Hay algún campo (o campos) que quieras usar para detectar y/o actualizar duplicados?");
-    logInfo("1. Sí, chequear duplicados y omitirlos.");
-    logInfo("2. Sí, chequear duplicados y actualizar/agregar los campos faltantes.");
-    logInfo("3. No, simplemente agregar todos los registros.");
+    // 6. Solicitar ID de la base de datos (vacío o --parent-page => se crea una nueva)
+    let databaseIdToInsert =
+      options.parentPage !== undefined
+        ? ""
+        : await askRequired(
+            options.db ?? profile?.databaseId,
+            "--db",
+            "\nID de la base de datos de Notion (Enter para crear una nueva): "
+          );
+    const newDatabase =
+      databaseIdToInsert.trim() === "" ? await resolveNewDatabase(options, chosenSheetName) : null;
+
+    // 7. Escoger cuál header se usará como "title"
+    const titleFromProfile = headers.includes(profile?.titleField) ? profile.titleField : undefined;
+    let titleField;
+    if ((options.title ?? titleFromProfile) !== undefined) {
+      titleField = validateChoice(options.title ?? titleFromProfile, headers, "--title");
+    } else {
+      ensureInteractive("--title");
+      titleField = await promptTitleField(headers);
+    }
 
+    // 8. Opciones para duplicados
     let duplicateOption;
-    while (true) {
-      const ans = await askQuestion("Selecciona una opción (1, 2 o 3): ");
-      if (["1", "2", "3"].includes(ans.trim())) {
-        duplicateOption = ans.trim();
-        break;
+    const onDuplicate = options.onDuplicate ?? profile?.onDuplicate;
+    if (onDuplicate !== undefined) {
+      duplicateOption = DUPLICATE_OPTION_FLAGS[onDuplicate];
+    } else {
+      ensureInteractive("--on-duplicate");
+      logBright("\n¿Hay algún campo (o campos) que quieras usar para detectar y/o actualizar duplicados?");
+      logInfo("1. Sí, chequear duplicados y omitirlos.");
+      logInfo("2. Sí, chequear duplicados y actualizar/agregar los campos faltantes.");
+      logInfo("3. No, simplemente agregar todos los registros.");
+      logInfo("4. Sí, chequear duplicados y actualizar los valores que cambiaron (upsert).");
+
+      while (true) {
+        const ans = await askQuestion("Selecciona una opción (1, 2, 3 o 4): ");
+        if (["1", "2", "3", "4"].includes(ans.trim())) {
+          duplicateOption = ans.trim();
+          break;
+        }
+        logWarn("Opción inválida. Intente nuevamente.");
       }
-      logWarn("Opción inválida. Intente nuevamente.");
     }
 
-    // 8. Si duplicados => pedir campo(s) de Excel a chequear
+    // 9. Si duplicados => pedir campo(s) de Excel a chequear
     let duplicateCheckFields = [];
-    if (duplicateOption === "1" || duplicateOption === "2") {
-      const fields = await askQuestion(
+    if (duplicateOption !== "3") {
+      const fields = await askRequired(
+        options.dedupeFields ?? profile?.duplicateCheckFields?.join(","),
+        "--dedupe-fields",
         "\nIngresa el/los campos de Excel que se usarán para chequear duplicados (separados por coma): "
       );
-      duplicateCheckFields = fields
-        .split(",")
-        .map((f) => f.trim())
-        .filter((f) => f && headers.includes(f));
+      duplicateCheckFields = parseListFlag(fields).filter((f) => headers.includes(f));
 
       if (duplicateCheckFields.length === 0) {
         logWarn("\nNo se especificaron campos válidos para duplicados. Se ignorará la detección.");
@@ -708,56 +2111,203 @@ async function main() {
       }
     }
 
-    // 9. Obtener propiedades actuales de Notion
-    const dbResp = await notion.databases.retrieve({ database_id: databaseIdToInsert });
-    const currentProperties = dbResp.properties;
-
-    // 10. Opciones para personalizar tipos (igual que en el script de Mongo)
-    logBright("\nOpciones para mapeo de propiedades en Notion:");
-    logInfo("1. Mantener nombres y tipos detectados");
-    logInfo("2. Personalizar nombres y/o tipos en Notion");
-    let mapOption;
-    while (true) {
-      const ans = await askQuestion("Selecciona una opción (1 o 2): ");
-      if (["1", "2"].includes(ans.trim())) {
-        mapOption = ans.trim();
-        break;
+    // Con varios campos: clave compuesta (todos deben coincidir) o cualquiera de ellos
+    let dedupeMode = dedupeFlags.mode ?? profile?.dedupeMode;
+    if (dedupeMode === undefined && duplicateCheckFields.length > 1 && isInteractive()) {
+      logBright("\n¿Cómo se combinan los campos para detectar duplicados?");
+      logInfo("1. Todos deben coincidir con la misma página (clave compuesta).");
+      logInfo("2. Basta con que coincida uno de ellos.");
+      while (true) {
+        const ans = await askQuestion("Selecciona una opción (1 o 2): ");
+        if (["1", "2"].includes(ans.trim())) {
+          dedupeMode = ans.trim() === "1" ? "all" : "any";
+          break;
+        }
+        logWarn("Opción inválida. Intente nuevamente.");
+      }
+    }
+    const dedupeRules = {
+      mode: dedupeMode ?? DEFAULT_DEDUPE_MODE,
+      normalizers: dedupeFlags.normalizers ?? profile?.dedupeNormalizers,
+      fuzzyThreshold: dedupeFlags.fuzzyThreshold ?? profile?.dedupeFuzzyThreshold,
+    };
+
+    // 10. Obtener propiedades actuales de Notion (una base de datos nueva todavía no tiene)
+    const currentProperties = newDatabase
+      ? {}
+      : (await notion.databases.retrieve({ database_id: databaseIdToInsert })).properties;
+
+    // 11. Opciones para personalizar tipos (igual que en el script de Mongo).
+    // Con perfil, flags --map o sin TTY se mantienen los tipos detectados para el resto de columnas.
+    const mapOverrides = { ...(profile?.properties || {}), ...flagOverrides };
+    let mapOption = "1";
+    if (!profile && options.map === undefined && isInteractive()) {
+      logBright("\nOpciones para mapeo de propiedades en Notion:");
+      logInfo("1. Mantener nombres y tipos detectados");
+      logInfo("2. Personalizar nombres y/o tipos en Notion");
+      while (true) {
+        const ans = await askQuestion("Selecciona una opción (1 o 2): ");
+        if (["1", "2"].includes(ans.trim())) {
+          mapOption = ans.trim();
+          break;
+        }
+        logWarn("Opción inválida. Intente nuevamente.");
+      }
+    }
+    for (const header of Object.keys(flagOverrides)) {
+      if (!headers.includes(header)) {
+        logWarn(`El flag --map hace referencia a "${header}", que no es una columna de la hoja.`);
       }
-      logWarn("Opción inválida. Intente nuevamente.");
     }
 
-    // 11. Mapear propiedades (usando la que se eligió como "title")
+    // 12. Mapear propiedades (usando la que se eligió como "title"), proponiendo el tipo de las
+    // columnas nuevas según su contenido, y completar rangos y zona horaria de las fechas
+    const inferredTypes = inferColumnTypes(headers, data, dateColumns);
+    logInferredTypes(headers, inferredTypes, currentProperties, titleField, mapOverrides, dateOptions.dateRanges);
     const selectedProperties = await mapProperties(
       headers,
       currentProperties,
       mapOption,
-      titleField
+      titleField,
+      mapOverrides,
+      inferredTypes
     );
+    const dateRanges =
+      mapOption === "2"
+        ? { ...(await promptDateRanges(selectedProperties, titleField)), ...dateOptions.dateRanges }
+        : dateOptions.dateRanges;
+    const skippedRanges = applyDateOptions(selectedProperties, {
+      dateRanges,
+      timeZone: dateOptions.timeZone,
+      titleField,
+      savedProperties: profile?.properties,
+    });
+    for (const { startField, endField, missing } of skippedRanges) {
+      logWarn(`Rango de fechas del perfil "${startField},${endField}" descartado: "${missing}" no es una columna importable de la hoja.`);
+    }
+    applyCoercionOptions(selectedProperties, coercionRules, profile?.properties, data);
+    applyTextOptions(selectedProperties, textOverflow, profile?.properties);
 
-    // 12. Crear/actualizar las propiedades en Notion
+    // 13. Crear la base de datos nueva (si corresponde) y crear/actualizar las propiedades en Notion
+    if (newDatabase) {
+      databaseIdToInsert = await createTargetDatabase(newDatabase, selectedProperties, data, notion);
+    }
     const newProps = await ensurePropertiesExist(
       databaseIdToInsert,
-      headers,
+      Object.keys(selectedProperties),
       selectedProperties,
       notion
     );
 
-    // 13. Exportar a Notion (manejar duplicados según la opción)
-    await exportToNotion({
-      data,
-      dbId: databaseIdToInsert,
-      selectedProperties,
-      notion,
+    // Simulación: se muestra y guarda el plan en lugar de exportar
+    if (options.dryRun) {
+      if (streamed) {
+        logWarn(`\nLa simulación de un NDJSON cubre solo la muestra (las primeras ${data.length} filas).`);
+      }
+      await runDryRun({
+        data,
+        dbId: databaseIdToInsert,
+        notion,
+        currentProperties,
+        selectedProperties,
+        duplicateCheckFields,
+        duplicateOption,
+        dedupeRules,
+        newProperties: newProps,
+        sampleSize,
+        planFlag: options.plan,
+      });
+      rl.close();
+      return;
+    }
+
+    // 14. Exportar a Notion (manejar duplicados según la opción), registrando cada fila en el
+    // journal de checkpoints, y guardar las filas fallidas
+    // De un NDJSON, el journal guarda además lo necesario para volver a clasificar al reanudar
+    const journal = createJournal(
+      journalPath,
+      {
+        source: "excel",
+        filePath: sourceFilePath,
+        sheetName: chosenSheetName,
+        readOptions,
+        databaseId: databaseIdToInsert,
+        selectedProperties,
+        newProperties: newProps,
+        duplicateOption,
+        ...(streamed
+          ? { stream: { bufferSize: ndjsonFlags.bufferSize, headers }, duplicateCheckFields, dedupeRules }
+          : {}),
+      },
+      { retainKeys: !streamed }
+    );
+    logInfo(`Journal de checkpoints: ${journal.path}`);
+    const { failures, interrupted } = await runWithCheckpoint(journal, (checkpoint) => {
+      if (streamed) {
+        return exportNdjsonStream({
+          filePath: sourceFilePath,
+          bufferSize: ndjsonFlags.bufferSize,
+          headers,
+          dbId: databaseIdToInsert,
+          selectedProperties,
+          notion,
+          duplicateCheckFields,
+          duplicateOption,
+          dedupeRules,
+          reviewFile: options.reviewFile,
+          newProperties: newProps,
+          concurrency,
+          checkpoint,
+        });
+      }
+      return exportToNotion({
+        data,
+        dbId: databaseIdToInsert,
+        selectedProperties,
+        notion,
+        duplicateCheckFields,
+        duplicateOption,
+        dedupeRules,
+        reviewFile: options.reviewFile,
+        newProperties: newProps,
+        concurrency,
+        checkpoint,
+      });
+    });
+    saveDeadLetters(
+      failures,
+      { source: "excel", databaseId: databaseIdToInsert, selectedProperties, newProperties: newProps },
+      options.deadLetter
+    );
+    saveValueIssues(options.valueReport);
+    saveChangeLog(options.changeLog);
+    finishJournal(journal, interrupted);
+    if (interrupted) {
+      process.exitCode = 130;
+      rl.close();
+      return;
+    }
+
+    // 15. Ofrecer guardar la sesión como perfil para las próximas importaciones
+    await offerSaveProfile(options, profileMatch, {
+      source: "excel",
+      headers,
+      databaseId: databaseIdToInsert,
+      titleField,
+      properties: selectedProperties,
       duplicateCheckFields,
       duplicateOption,
-      newProperties: newProps,
+      dedupeMode: dedupeRules.mode,
+      dedupeNormalizers: dedupeRules.normalizers,
+      dedupeFuzzyThreshold: dedupeRules.fuzzyThreshold,
     });
 
-    // 14. Finalizar
+    // 16. Finalizar
     logSuccess("\nProceso completado con éxito.");
     rl.close();
   } catch (error) {
     logError("\nError general en la ejecución: " + error);
+    process.exitCode = 1;
     rl.close();
   }
 }
@@ -2,9 +2,101 @@
  * IMPORTS
  ************************************************************/
 const { Client } = require("@notionhq/client");
-const { MongoClient } = require("mongodb");
+const { MongoClient, ObjectId, BSON } = require("mongodb");
+const fs = require("fs");
 const path = require("path");
 const readline = require("readline");
+const {
+  parseCliArgs,
+  parseMapFlags,
+  parseListFlag,
+  parseIntFlag,
+  validateChoice,
+  isInteractive,
+  ensureInteractive,
+  DUPLICATE_OPTION_FLAGS,
+} = require("./lib/cli_args.cjs");
+const { loadProfile, findMatchingProfile, saveProfile } = require("./lib/profiles.cjs");
+const { wrapNotionClient, parseRequestFlags, isRetryableError, sleep } = require("./lib/notion_request.cjs");
+const { runPool, DEFAULT_CONCURRENCY } = require("./lib/worker_pool.cjs");
+const {
+  defaultDeadLetterPath,
+  payloadOrError,
+  writeDeadLetters,
+  readDeadLetters
+} = require("./lib/dead_letter.cjs");
+const { defaultJournalPath, readJournal, createJournal, watchInterrupts } = require("./lib/checkpoint.cjs");
+const {
+  defaultPlanPath,
+  createDryRunClient,
+  summarizePropertyChanges,
+  buildDryRunPlan,
+  printDryRunPlan,
+  writeDryRunPlan,
+} = require("./lib/dry_run.cjs");
+const { createDatabase, selectOptionNames, MAX_SELECT_OPTIONS } = require("./lib/notion_schema.cjs");
+const { inferColumnTypes, formatConfidence } = require("./lib/type_inference.cjs");
+const { parseDateFlags, parseNotionDate, buildDatePayload, applyDateOptions } = require("./lib/date_values.cjs");
+const {
+  parseCoercionFlags,
+  applyCoercionOptions,
+  coerceNumber,
+  coerceCheckbox,
+  defaultValueIssuesPath,
+  writeValueIssues
+} = require("./lib/value_coercion.cjs");
+const { parseTextOverflowFlag, applyTextOptions, buildTextProperty } = require("./lib/rich_text.cjs");
+const { diffProperties, describeChange, defaultChangeLogPath, writeChangeLog } = require("./lib/upsert.cjs");
+const { readPropertyValue } = require("./lib/property_values.cjs");
+const { queryAllPages } = require("./lib/notion_pages.cjs");
+const {
+  SYNC_TYPES,
+  parseSyncFlags,
+  defaultSyncStatePath,
+  readSyncState,
+  writeSyncState,
+  fieldHashes,
+  decideSync,
+  defaultConflictReportPath,
+  writeConflictReport
+} = require("./lib/sync_state.cjs");
+const {
+  parseMongoQueryFlags,
+  parseStreamFlags,
+  openMongoCursor,
+  sampleQuery,
+  stableStreamQuery,
+  streamPosition,
+  resumeQuery,
+  readInChunks,
+  hasMongoQuery,
+  projectionKeeps,
+  describeMongoQuery,
+  serializeMongoQuery,
+  deserializeMongoQuery
+} = require("./lib/mongo_query.cjs");
+const {
+  parseWatchFlags,
+  readBatch,
+  coalesceEvents,
+  backoffDelayMs,
+  isReplicaSetError
+} = require("./lib/change_stream.cjs");
+const {
+  DEFAULT_DEDUPE_MODE,
+  parseDedupeFlags,
+  resolveNormalizers,
+  describeNormalizers,
+  buildDuplicateIndex,
+  findDuplicate,
+  findNearDuplicate,
+  candidateFields,
+  candidateFilters,
+  describeConflict,
+  defaultReviewPath,
+  writeReviewList,
+  appendReviewList
+} = require("./lib/duplicate_keys.cjs");
 
 /************************************************************
  * VARIABLES PRINCIPALES (y Helper de Colores)
@@ -15,7 +107,151 @@ const rl = readline.createInterface({
   input: process.stdin,
   output: process.stdout
 });
-const PAGE_SIZE = 100; // Tamaño de página al leer datos desde Notion.
+const DEFAULT_MONGO_URI = "mongodb://localhost:27017";
+
+// Valores que no se pudieron convertir al tipo de su propiedad en esta ejecución.
+const valueIssues = [];
+
+// Cambios aplicados a páginas existentes en esta ejecución (--on-duplicate upsert).
+const changeLog = [];
+
+// Tipos de propiedad de Notion que se ofrecen al personalizar el mapeo.
+const PROPERTY_TYPES = [
+  "rich_text", "title", "number", "select", "multi_select",
+  "date", "people", "files", "checkbox", "url", "email",
+  "phone_number", "formula", "relation", "rollup", "created_time",
+  "created_by", "last_edited_time", "last_edited_by", "status"
+];
+
+// Flags aceptados para ejecutar el script sin preguntas (cron, scripts de shell).
+const CLI_SPEC = {
+  db: { type: "string" },
+  "mongo-uri": { type: "string" },
+  "mongo-db": { type: "string" },
+  collection: { type: "string" },
+  "id-field": { type: "string" },
+  title: { type: "string" },
+  "dedupe-fields": { type: "string" },
+  "dedupe-mode": { type: "string" },
+  "dedupe-normalize": { type: "string", multiple: true },
+  "dedupe-fuzzy": { type: "string" },
+  "review-file": { type: "string" },
+  "on-duplicate": { type: "string" },
+  map: { type: "string", multiple: true },
+  "date-range": { type: "string", multiple: true },
+  "time-zone": { type: "string" },
+  decimal: { type: "string" },
+  thousands: { type: "string" },
+  locale: { type: "string" },
+  truthy: { type: "string" },
+  "value-report": { type: "string" },
+  "change-log": { type: "string" },
+  "text-overflow": { type: "string" },
+  profile: { type: "string" },
+  "no-profile": { type: "boolean" },
+  "save-profile": { type: "string" },
+  "max-retries": { type: "string" },
+  "retry-budget": { type: "string" },
+  rate: { type: "string" },
+  concurrency: { type: "string" },
+  "dead-letter": { type: "string" },
+  "retry-failed": { type: "string" },
+  journal: { type: "string" },
+  resume: { type: "string" },
+  sync: { type: "boolean" },
+  "sync-state": { type: "string" },
+  "updated-at-field": { type: "string" },
+  "on-conflict": { type: "string" },
+  "conflict-report": { type: "string" },
+  incremental: { type: "boolean" },
+  "since-field": { type: "string" },
+  lookback: { type: "string" },
+  query: { type: "string" },
+  projection: { type: "string" },
+  sort: { type: "string" },
+  limit: { type: "string" },
+  pipeline: { type: "string" },
+  stream: { type: "boolean" },
+  "header-sample": { type: "string" },
+  "buffer-size": { type: "string" },
+  watch: { type: "boolean" },
+  "batch-size": { type: "string" },
+  "batch-wait": { type: "string" },
+  "parent-page": { type: "string" },
+  "db-title": { type: "string" },
+  "dry-run": { type: "boolean" },
+  plan: { type: "string" },
+  sample: { type: "string" },
+  help: { type: "boolean" },
+};
+
+const USAGE = `Uso: node subir_mongo_notion.cjs [opciones]
+
+  --db <id>                  ID de la base de datos de Notion.
+  --parent-page <id>         Crea una base de datos nueva dentro de esta página (en lugar de --db).
+  --db-title <título>        Título de la base de datos nueva (por defecto, el nombre de la colección).
+  --mongo-uri <uri>          URI de MongoDB (por defecto ${DEFAULT_MONGO_URI}).
+  --mongo-db <nombre>        Base de datos de Mongo a leer.
+  --collection <nombre>      Colección de Mongo a exportar.
+  --query <json|archivo>     Filtro de los documentos a importar (p.ej. {"activo": true}).
+  --projection <json|archivo> Campos a importar (p.ej. {"nombre": 1, "email": 1}).
+  --sort <json|archivo>      Orden de los documentos (p.ej. {"creado": -1}).
+  --limit <n>                Máximo de documentos a importar.
+  --pipeline <json|archivo>  Pipeline de agregación cuyo resultado se importa (en lugar de --query y el resto).
+  --stream                   Lee la colección en tandas con un cursor, sin cargarla completa en memoria.
+  --header-sample <n>        Documentos que se leen con --stream para detectar campos y tipos (por defecto 1000).
+  --buffer-size <n>          Documentos por tanda con --stream (por defecto 500).
+  --id-field <nombre>        Nombre con el que se exporta el campo "_id".
+  --title <campo>            Campo que será la propiedad "title" en Notion.
+  --on-duplicate <modo>      skip | update (solo campos nuevos) | upsert (valores que cambiaron) | none.
+  --dedupe-fields <a,b>      Campos para detectar duplicados (con skip o update).
+  --dedupe-mode <modo>       all (todos los campos deben coincidir, por defecto) | any (basta con uno).
+  --dedupe-normalize <C=n+n> Normaliza un campo de duplicados antes de comparar (repetible; sin "C=" aplica
+                             a todos): exact, text, accents, phone, url, email.
+  --dedupe-fuzzy <0-1>       Parecido mínimo para mandar un documento nuevo a revisión (p.ej. 0.85).
+  --review-file <archivo>    CSV de posibles duplicados a revisar (por defecto revisar_duplicados_mongo_<fecha>.csv).
+  --map <Campo=Nombre:tipo>  Renombra y/o cambia el tipo de un campo (repetible).
+  --date-range <inicio,fin>  Une dos campos en una propiedad date con inicio y fin (repetible).
+  --time-zone <zona>         Zona horaria IANA para las fechas con hora (p.ej. America/Bogota).
+  --decimal <c>              Separador decimal de los números: "," o "." (por defecto se detecta).
+  --thousands <c>            Separador de miles (por defecto el contrario al decimal).
+  --locale <código>          Configuración regional de los números ambiguos como "1.234" (p.ej. es-AR; por defecto la del sistema).
+  --truthy <a,b>             Valores que marcan un checkbox (por defecto sí, si, x, 1, true, verdadero...).
+  --value-report <archivo>   CSV con los valores que no se pudieron convertir (por defecto valores_no_convertidos_mongo_<fecha>.csv).
+  --change-log <archivo>     CSV con los cambios aplicados con upsert (por defecto cambios_mongo_<fecha>.csv).
+  --text-overflow <modo>     Textos de más de 200.000 caracteres: truncate (por defecto) | body | fail.
+  --profile <nombre|ruta>    Usa un perfil de mapeo guardado.
+  --no-profile               No busca perfiles guardados que coincidan con la colección.
+  --save-profile <nombre>    Guarda la configuración de esta ejecución como perfil.
+  --max-retries <n>          Reintentos por request ante 429/5xx/errores de red (por defecto 5).
+  --retry-budget <n>         Máximo de reintentos en toda la ejecución (por defecto sin límite).
+  --rate <req/s>             Promedio máximo de requests por segundo a Notion (por defecto 3).
+  --concurrency <n>          Documentos creados/actualizados en paralelo (por defecto 3).
+  --dead-letter <archivo>    Archivo .jsonl para los documentos que fallen (por defecto fallidos_mongo_<fecha>.jsonl).
+  --retry-failed <archivo>   Reintenta solo los documentos de un archivo de fallidos, con el mismo mapeo.
+  --journal <archivo>        Journal de checkpoints (por defecto checkpoints/mongo_<fecha>.jsonl).
+  --resume <archivo>         Continúa una importación interrumpida desde su journal (con la misma --mongo-uri).
+  --sync                     Sincroniza en ambos sentidos la colección con la base de datos del --profile.
+  --sync-state <archivo>     Estado de --sync, --incremental y --watch (por defecto sincronizacion/mongo_<db>_<colección>.json).
+  --updated-at-field <campo> Campo de Mongo con la fecha de actualización (se actualiza al escribir desde Notion).
+  --on-conflict <política>   Si un campo cambió en ambos lados: mongo | notion | newest | manual (por defecto).
+  --conflict-report <archivo> CSV de conflictos con manual (por defecto conflictos_mongo_<fecha>.csv).
+  --incremental              Importa solo los documentos desde la marca de la última importación incremental.
+  --since-field <campo>      Campo que marca hasta dónde se importó: "_id" (por defecto) o p.ej. updatedAt.
+  --lookback <segundos>      Con --incremental, vuelve a leer también los documentos de esos segundos antes de
+                             la marca (los que se confirman tarde); solo con marcas de fecha u ObjectId.
+  --watch                    Queda escuchando la colección (change streams) y envía cada cambio a la base de datos del --profile.
+  --batch-size <n>           Eventos como máximo por tanda con --watch (por defecto 50).
+  --batch-wait <ms>          Espera para juntar eventos en una tanda con --watch (por defecto 1000).
+  --dry-run                  Muestra el plan de importación sin escribir nada en Notion.
+  --plan <archivo>           Archivo .json del plan con --dry-run (por defecto plan_mongo_<fecha>.json).
+  --sample <n>               Documentos de ejemplo cuyo payload se muestra con --dry-run (por defecto 3).
+  --help                     Muestra esta ayuda.
+
+Los flags tienen prioridad sobre el perfil. Cualquier valor que no venga por flag ni
+por perfil se pregunta por consola. Sin TTY, si falta un valor requerido, el script
+termina con error en lugar de esperar respuesta.
+La API Key se toma de la variable de entorno NOTION_API_KEY.`;
 
 const ANSI_COLORS = {
   reset: "\x1b[0m",
@@ -76,24 +312,52 @@ function askQuestion(query) {
   return new Promise((resolve) => rl.question(colorText(query, ANSI_COLORS.fgMagenta), resolve));
 }
 
+/**
+ * askRequired: Devuelve el valor recibido por flag o, si falta, lo pregunta por consola.
+ * Sin TTY lanza un error claro en vez de quedar esperando en readline.
+ * @param {string|undefined} flagValue - Valor recibido por línea de comandos.
+ * @param {string} flagLabel - Nombre del flag, usado en el mensaje de error.
+ * @param {string} query - Pregunta para el modo interactivo.
+ * @returns {Promise<string>} - Valor final.
+ */
+async function askRequired(flagValue, flagLabel, query) {
+  if (flagValue !== undefined) {
+    return flagValue;
+  }
+  ensureInteractive(flagLabel);
+  return askQuestion(query);
+}
+
 /**
  * initializeNotionClient: Inicializa el cliente de Notion con la clave de autenticación.
+ * Las requests pasan por la capa de requests (límite de velocidad, Retry-After, backoff con jitter).
+ * @param {Object} [requestOptions] - Reintentos y velocidad (ver lib/notion_request.cjs).
  * @returns {Promise<Client>} - Instancia de Notion ya autenticada.
  */
-async function initializeNotionClient() {
+async function initializeNotionClient(requestOptions = {}) {
   if (!notionAuth) {
-    notionAuth = await askQuestion("Ingrese su Notion API Key (secret_xxx): ");
+    notionAuth = await askRequired(
+      undefined,
+      "NOTION_API_KEY (variable de entorno)",
+      "Ingrese su Notion API Key (secret_xxx): "
+    );
   }
   logInfo("Cliente de Notion inicializado correctamente.\n");
-  return new Client({ auth: notionAuth });
+  return wrapNotionClient(new Client({ auth: notionAuth }), {
+    ...requestOptions,
+    onRetry: ({ error, attempt, delayMs, maxRetries }) => {
+      logWarn(`Notion respondió ${error.status || error.code}. Reintento ${attempt}/${maxRetries} en ${(delayMs / 1000).toFixed(1)}s...`);
+    }
+  });
 }
 
 /**
- * connectToMongoDB: Conecta al servidor local de MongoDB.
+ * connectToMongoDB: Conecta al servidor de MongoDB (local por defecto).
+ * @param {string} [uri] - URI de conexión.
  * @returns {Promise<MongoClient>} - Conexión abierta de MongoClient.
  */
-async function connectToMongoDB() {
-  const client = new MongoClient("mongodb://localhost:27017");
+async function connectToMongoDB(uri = DEFAULT_MONGO_URI) {
+  const client = new MongoClient(uri);
   await client.connect();
   logSuccess("Conectado a MongoDB exitosamente.\n");
   return client;
@@ -161,17 +425,20 @@ async function promptCollectionIndex(collections) {
 }
 
 /**
- * readMongoDBData: Lee todos los documentos de una colección de MongoDB.
+ * readMongoDBData: Lee los documentos de una colección de MongoDB: todos, los que devuelve una
+ * consulta de find o el resultado de un pipeline de agregación.
  * @param {Collection} collection - Colección de Mongo.
+ * @param {Object} [query] - { filter, projection, sort, limit } de find o { pipeline } (ver lib/mongo_query.cjs).
  * @returns {Promise<Array<Object>>} - Documentos en un arreglo.
+ * @throws {Error} - Si la consulta falla (p.ej. un filtro o pipeline inválido).
  */
-async function readMongoDBData(collection) {
+async function readMongoDBData(collection, query = {}) {
   try {
-    const data = await collection.find().toArray();
+    const data = await openMongoCursor(collection, query).toArray();
     return data;
   } catch (error) {
-    logError("Error al leer los datos de MongoDB: " + error);
-    return [];
+    // Una consulta inválida no debe confundirse con una colección vacía
+    throw new Error(`No se pudieron leer los datos de MongoDB: ${error.message}`);
   }
 }
 
@@ -215,30 +482,61 @@ async function promptTitleField(headers) {
 }
 
 /**
- * mapProperties: Para cada header, determina su nombre y tipo Notion (por defecto 'rich_text').
+ * logInferredTypes: Muestra el tipo propuesto (y su confianza) para cada campo que todavía no
+ * existe en Notion y no trae un tipo por flag, perfil o rango de fechas.
+ */
+function logInferredTypes(headers, inferredTypes, currentProperties, titleField, mapOverrides, dateRanges = {}) {
+  const savedEnds = Object.values(mapOverrides).map((override) => override.endField);
+  const inRange = new Set([...Object.keys(dateRanges), ...Object.values(dateRanges), ...savedEnds]);
+  const proposed = headers.filter(
+    (header) =>
+      header !== titleField && !currentProperties[header] && !mapOverrides[header]?.type && !inRange.has(header)
+  );
+  if (proposed.length === 0) {
+    return;
+  }
+  logBright("\nTipos propuestos según el contenido de cada campo:");
+  for (const header of proposed) {
+    const { type, confidence } = inferredTypes[header];
+    logInfo(`- ${header}: ${type} (confianza ${formatConfidence(confidence)})`);
+  }
+}
+
+/**
+ * mapProperties: Para cada header, determina su nombre y tipo Notion: el tipo actual si ya existe
+ * en Notion o, si no, el propuesto por inferColumnTypes (rich_text sin propuesta).
  * Sin embargo, uno de los headers será el 'titleField' elegido.
  * Permite personalizar nombre/tipo si la opción de mapeo es '2'.
  * @param {Array<string>} headers - Lista de encabezados de Mongo.
  * @param {Object} currentProperties - Propiedades actuales de la base de datos Notion.
  * @param {string} customizationOption - '2' indica que se pregunta por cambios de nombre y tipo.
  * @param {string} titleField - Campo escogido para ser "title" en Notion.
+ * @param {Object} [mapOverrides] - Nombres/tipos recibidos por --map; esos headers no se preguntan.
+ * @param {Object} [inferredTypes] - Tipos propuestos { header: { type, confidence } }.
  * @returns {Promise<Object>} - Mapeo { header: { name, type } }
  */
-async function mapProperties(headers, currentProperties, customizationOption, titleField) {
+async function mapProperties(headers, currentProperties, customizationOption, titleField, mapOverrides = {}, inferredTypes = {}) {
   const mappedProperties = {};
 
   for (const header of headers) {
-    // Por defecto, todo es "rich_text", excepto el que se definió como title.
+    // Por defecto, el tipo propuesto según el contenido, excepto el que se definió como title.
+    const inferred = header !== titleField && !currentProperties[header] ? inferredTypes[header] : undefined;
     let propertyName = header;
-    let propertyType = (header === titleField) ? "title" : "rich_text";
+    let propertyType = (header === titleField) ? "title" : inferred?.type || "rich_text";
 
     // Si la propiedad ya existe en Notion, usamos su tipo actual (salvo que sea el que forzamos a "title").
     if (currentProperties[header] && header !== titleField) {
       propertyType = currentProperties[header].type;
     }
 
-    // Si la opción es 2, se ofrece personalizar nombre y/o tipo
-    if (customizationOption === "2") {
+    // Si vino por --map se aplica tal cual; si la opción es 2, se ofrece personalizar nombre y/o tipo
+    const override = mapOverrides[header];
+    if (override) {
+      propertyName = override.name || propertyName;
+      if (override.type && override.type !== "title" && header !== titleField) {
+        propertyType = override.type;
+      }
+    } else if (customizationOption === "2") {
       const newName = await askQuestion(
         `Propiedad "${header}": ¿Cambiar nombre? (Enter para mantener): `
       );
@@ -246,19 +544,16 @@ async function mapProperties(headers, currentProperties, customizationOption, ti
         propertyName = newName.trim();
       }
 
-      logInfo(`Tipo actual para "${propertyName}": "${propertyType}".`);
+      if (inferred) {
+        logInfo(`Tipo propuesto para "${propertyName}": "${propertyType}" (confianza ${formatConfidence(inferred.confidence)}).`);
+      } else {
+        logInfo(`Tipo actual para "${propertyName}": "${propertyType}".`);
+      }
       const changeType = await askQuestion("¿Cambiar tipo? (s para sí, Enter para no): ");
 
       if (changeType.trim().toLowerCase() === "s") {
-        const propertyTypes = [
-          "rich_text", "title", "number", "select", "multi_select",
-          "date", "people", "files", "checkbox", "url", "email",
-          "phone_number", "formula", "relation", "rollup", "created_time",
-          "created_by", "last_edited_time", "last_edited_by", "status"
-        ];
-
         logBright("Tipos disponibles:");
-        propertyTypes.forEach((type, index) => {
+        PROPERTY_TYPES.forEach((type, index) => {
           logInfo(`${index + 1}. ${type}`);
         });
 
@@ -270,9 +565,9 @@ async function mapProperties(headers, currentProperties, customizationOption, ti
           if (
             !isNaN(selectedIndex) &&
             selectedIndex >= 1 &&
-            selectedIndex <= propertyTypes.length
+            selectedIndex <= PROPERTY_TYPES.length
           ) {
-            propertyType = propertyTypes[selectedIndex - 1];
+            propertyType = PROPERTY_TYPES[selectedIndex - 1];
             break;
           } else {
             logWarn("Selección inválida. Intenta nuevamente.");
@@ -287,6 +582,38 @@ async function mapProperties(headers, currentProperties, customizationOption, ti
   return mappedProperties;
 }
 
+/**
+ * promptDateRanges: En la personalización (opción 2), pregunta si alguna propiedad date toma su
+ * fecha de fin de otro campo.
+ * @param {Object} selectedProperties - Mapeo { header: { name, type } }.
+ * @param {string} titleField - Campo "title" (no puede ser fin de un rango).
+ * @returns {Promise<Object>} - { campoInicio: campoFin }.
+ */
+async function promptDateRanges(selectedProperties, titleField) {
+  const ranges = {};
+  const isUsed = (header) => ranges[header] !== undefined || Object.values(ranges).includes(header);
+  const dateHeaders = Object.keys(selectedProperties).filter((header) => selectedProperties[header].type === "date");
+
+  for (const header of dateHeaders) {
+    if (isUsed(header)) continue;
+    const candidates = Object.keys(selectedProperties).filter(
+      (other) => other !== header && other !== titleField && !isUsed(other)
+    );
+    while (true) {
+      const answer = (
+        await askQuestion(`¿Campo con la fecha de fin de "${selectedProperties[header].name}"? (Enter para ninguna): `)
+      ).trim();
+      if (!answer) break;
+      if (candidates.includes(answer)) {
+        ranges[header] = answer;
+        break;
+      }
+      logWarn(`"${answer}" no es un campo disponible. Intenta nuevamente.`);
+    }
+  }
+  return ranges;
+}
+
 /**
  * ensurePropertiesExist: Verifica y crea/actualiza propiedades en la base de datos de Notion
  * para que coincidan con los campos a exportar.
@@ -324,7 +651,11 @@ async function ensurePropertiesExist(databaseIdToInsert, headers, selectedProper
         database_id: databaseIdToInsert,
         properties: { ...propertiesToAdd, ...propertiesToUpdate }
       });
-      logSuccess("Propiedades creadas/actualizadas en la Base de Datos de Notion.\n");
+      if (notion.dryRunWrites) {
+        logInfo("Simulación: habría que crear/actualizar propiedades en Notion (ver el plan).\n");
+      } else {
+        logSuccess("Propiedades creadas/actualizadas en la Base de Datos de Notion.\n");
+      }
     } else {
       logInfo("No fue necesario crear/actualizar propiedades en Notion.\n");
     }
@@ -337,51 +668,27 @@ async function ensurePropertiesExist(databaseIdToInsert, headers, selectedProper
 }
 
 /**
- * fetchAllRecords: Trae todos los registros (páginas) de una base de datos Notion
- * paginando hasta que no haya más.
- * @param {string} databaseId - ID de la base de datos de Notion.
- * @param {Client} notion - Cliente de Notion.
- * @returns {Promise<Array<Object>>} - Lista de registros (páginas).
- */
-async function fetchAllRecords(databaseId, notion) {
-  let allRecords = [];
-  let hasMore = true;
-  let startCursor;
-
-  while (hasMore) {
-    const response = await notion.databases.query({
-      database_id: databaseId,
-      page_size: PAGE_SIZE,
-      start_cursor: startCursor
-    });
-    allRecords = allRecords.concat(response.results);
-    hasMore = response.has_more;
-    startCursor = response.next_cursor;
-  }
-  return allRecords;
-}
-
-/**
- * getPropertyValue: Obtiene el valor en texto plano de una propiedad Notion según su tipo.
- * @param {Object} property - Objeto de propiedad de Notion (p.ej. { url: "..."}).
- * @param {string} type - Tipo de propiedad (url, phone_number, rich_text, title, etc).
- * @returns {string} - Valor en texto.
+ * duplicateKeyEntry: Valores de los campos de duplicados de un documento, en el mismo texto canónico
+ * con el que se leen las páginas de Notion (readPropertyValue). Cada valor se convierte primero como
+ * se enviaría a su propiedad, así un Date, un número o un booleano coinciden con lo que hay en Notion.
+ * @param {Object} entry - Documento aplanado.
+ * @param {string[]} fields - Campos de duplicados.
+ * @param {Object} selectedProperties - Mapeo { campo: { name, type, ... } }.
+ * @returns {Object} - { campo: texto canónico } (los valores que no se pueden convertir quedan tal cual).
  */
-function getPropertyValue(property, type) {
-  if (!property || !type) return "";
-
-  switch (type) {
-    case "url":
-      return property.url || "";
-    case "phone_number":
-      return property.phone_number || "";
-    case "rich_text":
-      return (property.rich_text || []).map((rt) => rt.plain_text).join("");
-    case "title":
-      return (property.title || []).map((tt) => tt.plain_text).join("");
-    default:
-      return ""; // Para otros tipos no contemplados, se retorna vacío.
+function duplicateKeyEntry(entry, fields, selectedProperties) {
+  const keys = {};
+  for (const field of fields) {
+    const value = entry[field];
+    keys[field] = value;
+    if (!selectedProperties[field] || value === undefined || value === null || value === "") continue;
+    try {
+      keys[field] = readPropertyValue(buildEntryProperty(selectedProperties[field], value, entry)).text;
+    } catch (error) {
+      // Se compara el valor original
+    }
   }
+  return keys;
 }
 
 /**
@@ -389,47 +696,89 @@ function getPropertyValue(property, type) {
  */
 function buildPropertyPayload(propertyType, stringValue) {
   switch (propertyType) {
-    case "title":
-      return { title: [{ text: { content: stringValue } }] };
     case "files":
       return { files: [{ name: "Archivo", external: { url: stringValue } }] };
-    case "date":
-      return { date: { start: stringValue } };
-    case "checkbox":
-      return { checkbox: stringValue.toLowerCase() === "true" };
     case "url":
       return { url: stringValue };
     case "email":
       return { email: stringValue };
     case "phone_number":
       return { phone_number: stringValue };
-    case "number":
-      return { number: parseFloat(stringValue) };
-    case "select":
-      return { select: { name: stringValue } };
+    case "select": {
+      const [name] = selectOptionNames(stringValue, "select");
+      return { select: name ? { name } : null };
+    }
     case "status":
       return { status: { name: stringValue } };
     case "multi_select":
       return {
-        multi_select: stringValue.split(",").map((val) => ({ name: val.trim() }))
+        multi_select: selectOptionNames(stringValue, "multi_select").map((name) => ({ name }))
       };
     default:
-      return { rich_text: [{ text: { content: stringValue } }] };
+      return buildTextProperty("rich_text", stringValue).property;
+  }
+}
+
+/**
+ * buildEntryProperty: Construye el valor de una propiedad a partir del campo mapeado.
+ * Las fechas se convierten con buildDatePayload (Date, seriales, dd/mm/aaaa, rangos y zona horaria);
+ * números y checkbox, con las reglas regionales del mapeo; los textos largos de title/rich_text
+ * se reparten en varios objetos de texto y lo que no entra se trata según su textOverflow.
+ * @param {Object} mapping - { name, type, endField?, timeZone?, numberFormat?, columnDecimal?, truthy?, textOverflow? } del campo.
+ * @param {any} value - Valor del campo en el documento.
+ * @param {Object} entry - Documento completo (para el fin de un rango de fechas).
+ * @param {Array<Object>} [children] - Recibe los párrafos con la continuación de un texto largo ("body").
+ * @returns {Object} - Propiedad para Notion.
+ * @throws {Error} - Si el valor no se puede convertir al tipo de la propiedad.
+ */
+function buildEntryProperty(mapping, value, entry, children = []) {
+  switch (mapping.type) {
+    case "title":
+    case "rich_text": {
+      const text = value !== undefined && value !== null ? String(value) : "";
+      const { property, children: overflow } = buildTextProperty(mapping.type, text, {
+        textOverflow: mapping.textOverflow,
+        label: mapping.name
+      });
+      children.push(...overflow);
+      return property;
+    }
+    case "date":
+      return buildDatePayload(value, mapping.endField && entry[mapping.endField], {
+        timeZone: mapping.timeZone,
+        label: mapping.name
+      });
+    case "number":
+      return { number: coerceNumber(value, mapping.numberFormat, mapping.columnDecimal) };
+    case "checkbox":
+      return { checkbox: coerceCheckbox(value, mapping.truthy) };
   }
+  const stringValue = value !== undefined && value !== null ? String(value) : "";
+  return buildPropertyPayload(mapping.type, stringValue);
 }
 
 /**
  * buildPagePayload: Construye el objeto completo de creación de página (properties + children).
+ * Los campos sin mapeo propio (fin de un rango de fechas) se envían junto con su inicio.
+ * Los valores que no se pueden convertir no se envían y se agregan a `issues`, salvo los textos
+ * demasiado largos con --text-overflow fail, que hacen fallar el documento.
  */
-function buildPagePayload(entry, selectedProperties) {
+function buildPagePayload(entry, selectedProperties, issues = []) {
   const properties = {};
   const children = [];
 
   for (const [header, value] of Object.entries(entry)) {
+    if (!selectedProperties[header]) continue;
     const { name: propName, type: propType } = selectedProperties[header];
     const stringValue = value !== undefined && value !== null ? String(value) : "";
 
-    properties[propName] = buildPropertyPayload(propType, stringValue);
+    try {
+      properties[propName] = buildEntryProperty(selectedProperties[header], value, entry, children);
+    } catch (error) {
+      if (error.failsRow) throw error;
+      issues.push({ header, property: propName, value, message: error.message });
+      continue;
+    }
 
     // Si es tipo "files", añadimos un bloque de imagen
     if (propType === "files" && stringValue) {
@@ -447,173 +796,455 @@ function buildPagePayload(entry, selectedProperties) {
 }
 
 /**
- * updateDuplicateRecords: Actualiza registros duplicados en Notion (únicamente campos nuevos, según requerimiento).
+ * describeRow: Identifica un documento en los logs (posición en la colección + primer valor).
+ * @param {{entry: Object, rowNumber: number}} row - Documento con su número de orden.
+ * @returns {string}
  */
-async function updateDuplicateRecords(duplicatesToUpdate, selectedProperties, databaseIdToInsert, newProperties, notion) {
-  for (let i = 0; i < duplicatesToUpdate.length; i++) {
-    const { recordId, entry, updateOnlyNewProperties = false } = duplicatesToUpdate[i];
-    const propertiesToUpdate = {};
+function describeRow({ entry, rowNumber }) {
+  return `documento ${rowNumber}: ${entry[Object.keys(entry)[0]] || "Sin título"}`;
+}
 
-    for (const [header, value] of Object.entries(entry)) {
-      if (updateOnlyNewProperties && !newProperties.includes(header)) {
-        continue;
-      }
-      const { name: propertyName, type: propertyType } = selectedProperties[header];
-      const stringValue = value !== undefined && value !== null ? String(value) : "";
-      propertiesToUpdate[propertyName] = buildPropertyPayload(propertyType, stringValue);
-    }
+/**
+ * buildUpdateProperties: Construye las propiedades que se envían al actualizar un duplicado.
+ * @param {Object} entry - Documento de Mongo.
+ * @param {Object} selectedProperties - Mapeo { header: { name, type } }.
+ * @param {Array<string>} newProperties - Propiedades recién creadas en Notion.
+ * @param {boolean} updateOnlyNewProperties - Si es true, solo se envían las propiedades nuevas.
+ * @param {Array<Object>} [issues] - Recibe los valores que no se pudieron convertir (no se envían).
+ * @param {Array<Object>} [children] - Recibe los párrafos con la continuación de un texto largo ("body").
+ * @param {Array<string>} [onlyHeaders] - Si se indica (upsert), solo se envían los campos que cambiaron.
+ * @returns {Object} - Propiedades para pages.update.
+ */
+function buildUpdateProperties(entry, selectedProperties, newProperties, updateOnlyNewProperties, issues = [], children = [], onlyHeaders = null) {
+  const propertiesToUpdate = {};
 
+  for (const [header, value] of Object.entries(entry)) {
+    if (updateOnlyNewProperties && !newProperties.includes(header)) {
+      continue;
+    }
+    if (onlyHeaders && !onlyHeaders.includes(header)) continue;
+    if (!selectedProperties[header]) continue;
+    const propName = selectedProperties[header].name;
     try {
-      await notion.pages.update({
-        page_id: recordId,
-        properties: propertiesToUpdate,
-      });
-      logInfo(`Registro duplicado actualizado: ${entry[Object.keys(entry)[0]] || "Sin título"}`);
+      propertiesToUpdate[propName] = buildEntryProperty(selectedProperties[header], value, entry, children);
     } catch (error) {
-      logError(`Error al actualizar registro duplicado: ${error}`);
+      if (error.failsRow) throw error;
+      issues.push({ header, property: propName, value, message: error.message });
     }
+  }
+  return propertiesToUpdate;
+}
 
-    // Mostrar avance cada 100 registros
-    if ((i + 1) % 100 === 0) {
-      logBright(`Actualizados ${i + 1} registros duplicados.`);
-    }
+/**
+ * reportValueIssues: Registra los valores de un documento que no se pudieron convertir
+ * (el documento se envía igual, sin esas propiedades).
+ * @param {Object} row - Documento con su número de orden.
+ * @param {Array<Object>} issues - { header, property, value, message }.
+ */
+function reportValueIssues(row, issues) {
+  for (const issue of issues) {
+    logWarn(`Valor omitido (${describeRow(row)}), campo "${issue.header}": ${issue.message}`);
+    valueIssues.push({ rowNumber: row.rowNumber, ...issue });
+  }
+}
+
+/**
+ * saveValueIssues: Guarda en un CSV los valores que no se pudieron convertir en esta ejecución.
+ * @param {string} [reportFlag] - Ruta recibida por --value-report.
+ */
+function saveValueIssues(reportFlag) {
+  if (valueIssues.length === 0) {
+    return;
   }
+  const filePath = reportFlag ? path.resolve(reportFlag) : defaultValueIssuesPath("mongo");
+  writeValueIssues(filePath, valueIssues);
+  logWarn(`\n${valueIssues.length} valores no se pudieron convertir y no se enviaron; detalle en ${filePath}.`);
 }
 
 /**
- * addNonDuplicateRecords: Crea nuevos registros en la base de datos Notion.
- * Incluye reintentos en caso de error.
+ * saveChangeLog: Guarda en un CSV los cambios aplicados a páginas existentes en esta ejecución.
+ * @param {string} [changeLogFlag] - Ruta recibida por --change-log.
  */
-async function addNonDuplicateRecords(recordsToAdd, selectedProperties, databaseIdToInsert, notion) {
-  const failedRecords = [];
+function saveChangeLog(changeLogFlag) {
+  if (changeLog.length === 0) {
+    return;
+  }
+  const filePath = changeLogFlag ? path.resolve(changeLogFlag) : defaultChangeLogPath("mongo");
+  writeChangeLog(filePath, changeLog);
+  logInfo(`\n${changeLog.length} valores actualizados en páginas existentes; detalle en ${filePath}.`);
+}
 
-  for (let i = 0; i < recordsToAdd.length; i++) {
-    const entry = recordsToAdd[i];
-    const { properties, children } = buildPagePayload(entry, selectedProperties);
+/**
+ * changedHeaders: Campos que cambiaron en un documento de upsert (null si se actualizan todos).
+ */
+function changedHeaders(row) {
+  return row.changes ? row.changes.map((change) => change.header) : null;
+}
 
-    try {
-      await notion.pages.create({
+/**
+ * updateDuplicateRecords: Actualiza registros duplicados en Notion (campos nuevos o, con upsert, los que cambiaron).
+ * Usa el pool de workers con hasta `concurrency` requests simultáneas.
+ * @param {Object} [checkpoint] - { journal, shouldStop } para registrar cada documento procesado.
+ * @returns {Promise<Array<Object>>} - Resultado por documento ({ item, ok, error }).
+ */
+async function updateDuplicateRecords(duplicatesToUpdate, selectedProperties, databaseIdToInsert, newProperties, notion, concurrency, checkpoint = {}) {
+  return runPool(
+    duplicatesToUpdate,
+    async (row) => {
+      const issues = [];
+      const children = [];
+      const properties = buildUpdateProperties(
+        row.entry,
+        selectedProperties,
+        newProperties,
+        row.updateOnlyNewProperties,
+        issues,
+        children,
+        changedHeaders(row)
+      );
+      reportValueIssues(row, issues);
+      const response = await notion.pages.update({ page_id: row.recordId, properties });
+      // La continuación de los textos largos se agrega al final del cuerpo de la página
+      if (children.length > 0) {
+        await notion.blocks.children.append({ block_id: row.recordId, children });
+      }
+      return response;
+    },
+    {
+      concurrency,
+      shouldStop: checkpoint.shouldStop,
+      onSettled: (result, completed) => {
+        if (checkpoint.journal) {
+          checkpoint.journal.record(result.item.key, result.ok ? "updated" : "failed", result.item.recordId);
+        }
+        if (result.ok) {
+          logInfo(`Registro duplicado actualizado (${describeRow(result.item)})`);
+          for (const change of result.item.changes || []) {
+            logInfo(`  ${describeChange(change)}`);
+            changeLog.push({ rowNumber: result.item.rowNumber, recordId: result.item.recordId, ...change });
+          }
+        } else {
+          logError(`Error al actualizar registro duplicado (${describeRow(result.item)}): ${result.error}`);
+        }
+
+        // Mostrar avance cada 100 registros
+        if (completed % 100 === 0) {
+          logBright(`Actualizados ${completed} registros duplicados.`);
+        }
+      }
+    }
+  );
+}
+
+/**
+ * addNonDuplicateRecords: Crea nuevos registros en la base de datos Notion usando el pool
+ * de workers. Los reintentos ante 429/5xx/red los hace la capa de requests; acá solo llegan
+ * fallos definitivos.
+ * @param {Object} [checkpoint] - { journal, shouldStop } para registrar cada documento procesado.
+ * @returns {Promise<Array<Object>>} - Resultado por documento ({ item, ok, value, error }).
+ */
+async function addNonDuplicateRecords(rowsToAdd, selectedProperties, databaseIdToInsert, notion, concurrency, checkpoint = {}) {
+  const results = await runPool(
+    rowsToAdd,
+    async (row) => {
+      const issues = [];
+      const { properties, children } = buildPagePayload(row.entry, selectedProperties, issues);
+      reportValueIssues(row, issues);
+      return notion.pages.create({
         parent: { database_id: databaseIdToInsert },
         properties,
         children
       });
-      logSuccess(`Registro agregado: ${entry[Object.keys(entry)[0]] || "Sin título"}`);
-    } catch (error) {
-      logError(`Error al agregar registro: ${error}`);
-      failedRecords.push(entry);
-    }
+    },
+    {
+      concurrency,
+      shouldStop: checkpoint.shouldStop,
+      onSettled: (result, completed) => {
+        if (checkpoint.journal) {
+          checkpoint.journal.record(result.item.key, result.ok ? "created" : "failed", result.ok ? result.value.id : null);
+        }
+        if (result.ok) {
+          logSuccess(`Registro agregado (${describeRow(result.item)})`);
+        } else {
+          logError(`Error al agregar registro (${describeRow(result.item)}): ${result.error}`);
+        }
 
-    // Mostrar avance cada 100 registros
-    if ((i + 1) % 100 === 0) {
-      logBright(`Agregados ${i + 1} registros.`);
+        // Mostrar avance cada 100 registros
+        if (completed % 100 === 0) {
+          logBright(`Agregados ${completed} registros.`);
+        }
+      }
     }
+  );
+
+  const failedRows = results.filter((result) => !result.ok).map((result) => result.item.rowNumber);
+  if (failedRows.length > 0) {
+    logWarn(`${failedRows.length} registros no pudieron ser exportados incluso tras reintentos (documentos: ${failedRows.join(", ")}).`);
   }
+  return results;
+}
 
-  // Reintento de los que fallaron
-  if (failedRecords.length > 0) {
-    logWarn("\nReintentando registros fallidos...");
-    const stillFailedRecords = [];
+/**
+ * toDeadLetters: Convierte los resultados fallidos del pool en entradas del archivo de fallidos
+ * (documento original, payload de Notion y error).
+ * @param {Array<Object>} results - Resultados devueltos por runPool.
+ * @param {string} operation - "create" o "update".
+ * @returns {Array<Object>} - Entradas para writeDeadLetters.
+ */
+function toDeadLetters(results, operation, selectedProperties, newProperties) {
+  return results
+    .filter((result) => !result.ok)
+    .map(({ item, error }) => ({
+      ...item,
+      operation,
+      payload: payloadOrError(() => operation === "create"
+        ? buildPagePayload(item.entry, selectedProperties)
+        : { properties: buildUpdateProperties(item.entry, selectedProperties, newProperties, item.updateOnlyNewProperties, [], [], changedHeaders(item)) }),
+      error
+    }));
+}
 
-    for (const entry of failedRecords) {
-      const { properties, children } = buildPagePayload(entry, selectedProperties);
+/**
+ * saveDeadLetters: Guarda los documentos fallidos en un archivo .jsonl que luego puede
+ * reimportarse con --retry-failed.
+ * @param {Array<Object>} failures - Entradas generadas por toDeadLetters.
+ * @param {Object} meta - Mapeo y base de datos usados.
+ * @param {string} [deadLetterFlag] - Ruta recibida por --dead-letter.
+ */
+function saveDeadLetters(failures, meta, deadLetterFlag) {
+  if (failures.length === 0) {
+    return;
+  }
+  const filePath = deadLetterFlag ? path.resolve(deadLetterFlag) : defaultDeadLetterPath("mongo");
+  const { jsonlPath } = writeDeadLetters(filePath, meta, failures);
+  logWarn(`\n${failures.length} documentos fallidos guardados en ${jsonlPath}.`);
+  logWarn(`Para reintentarlos: node subir_mongo_notion.cjs --retry-failed "${jsonlPath}"`);
+}
 
-      try {
-        await notion.pages.create({
-          parent: { database_id: databaseIdToInsert },
-          properties,
-          children
-        });
-        logSuccess(`Registro agregado tras reintento: ${entry[Object.keys(entry)[0]] || "Sin título"}`);
-      } catch (error) {
-        logError(`Error en reintento: ${error}`);
-        stillFailedRecords.push(entry);
-      }
-    }
+/**
+ * retryDeadLetters: Reintenta solo los documentos de un archivo de fallidos, con el mismo
+ * mapeo y base de datos de Notion. No necesita conectarse a Mongo.
+ * @returns {Promise<{meta: Object, stillFailed: Array<Object>}>}
+ */
+async function retryDeadLetters(filePath, notion, concurrency) {
+  const { meta, failures } = readDeadLetters(path.resolve(filePath));
+  const { databaseId, selectedProperties, newProperties = [] } = meta;
+  logBright(`\nReintentando ${failures.length} documentos de "${filePath}"...\n`);
+
+  const updates = failures.filter((failure) => failure.operation === "update");
+  const creates = failures.filter((failure) => failure.operation === "create");
+  const stillFailed = [];
+
+  if (updates.length > 0) {
+    const results = await updateDuplicateRecords(updates, selectedProperties, databaseId, newProperties, notion, concurrency);
+    stillFailed.push(...toDeadLetters(results, "update", selectedProperties, newProperties));
+  }
+  if (creates.length > 0) {
+    const results = await addNonDuplicateRecords(creates, selectedProperties, databaseId, notion, concurrency);
+    stillFailed.push(...toDeadLetters(results, "create", selectedProperties, newProperties));
+  }
 
-    if (stillFailedRecords.length > 0) {
-      logWarn("Algunos registros no pudieron ser exportados incluso tras reintentos.");
-      // Aquí se podría implementar lógica extra (guardar en un log, etc.).
-    }
+  return { meta, stillFailed };
+}
+
+/**
+ * buildRows: Numera cada documento según su orden en la colección y le asigna la clave con
+ * que se registra en el journal: su _id (ya renombrado a idField) o, si no tiene, su posición.
+ * @param {Array<Object>} data - Documentos de Mongo.
+ * @param {string} [idField] - Nombre con el que se exporta "_id".
+ * @param {number} [offset] - Documentos anteriores a `data` (al leer en tandas con --stream).
+ * @returns {Array<Object>} - { entry, rowNumber, key }.
+ */
+function buildRows(data, idField, offset = 0) {
+  return data.map((entry, index) => ({
+    entry,
+    rowNumber: offset + index + 1,
+    key: idField && entry[idField] !== undefined ? String(entry[idField]) : String(offset + index + 1)
+  }));
+}
+
+/**
+ * writeJournalPlan: Registra en el journal qué se hará con cada documento, para que
+ * --resume no tenga que volver a consultar Notion ni a clasificar duplicados.
+ */
+function writeJournalPlan(journal, duplicatesForUpdate, nonDuplicatesToAdd, skippedRows) {
+  if (!journal) {
+    return;
   }
+  journal.writePlan([
+    ...duplicatesForUpdate.map((row) => ({
+      key: row.key,
+      action: "update",
+      recordId: row.recordId,
+      updateOnlyNewProperties: row.updateOnlyNewProperties,
+      changes: row.changes
+    })),
+    ...nonDuplicatesToAdd.map((row) => ({ key: row.key, action: "create" })),
+    ...skippedRows.map((row) => ({ key: row.key, action: "skip" }))
+  ]);
 }
 
 /**
- * exportToNotion: Lógica principal de exportación, filtrando duplicados según
- * la estrategia elegida por el usuario (omitir, actualizar o ignorar duplicados).
+ * classifyRows: Separa los documentos en duplicados a actualizar, nuevos, omitidos, conflictos y
+ * documentos a revisar según la estrategia de duplicados elegida. Solo lee de Notion, no escribe nada.
+ * dedupeRules.mode "all" une los campos de duplicados en una clave compuesta; con "any" basta
+ * con que coincida uno. Los valores se comparan normalizados (dedupeRules.normalizers o, si no,
+ * según el tipo de la propiedad). Los documentos que apuntan a más de una página existente son
+ * conflictos y, con dedupeRules.fuzzyThreshold, los documentos nuevos parecidos a una página quedan
+ * para revisar: ni unos ni otros se crean ni se actualizan.
+ * Con la opción 4 (upsert) cada duplicado se compara con su página y solo se actualiza si algún
+ * valor cambió (el documento lleva `changes` con lo que cambia).
+ * @returns {Promise<{duplicatesForUpdate: Array<Object>, nonDuplicatesToAdd: Array<Object>, skippedRows: Array<Object>,
+ *   conflictRows: Array<Object>, reviewRows: Array<Object>}>} - conflictRows: documentos con `conflict`
+ *   (páginas que encontró cada campo); reviewRows: documentos con `review` (página más parecida y su parecido).
  */
-async function exportToNotion({
-  data,
-  databaseIdToInsert,
-  selectedProperties,
-  notion,
-  duplicateCheckFields,
-  duplicateOption,
-  newProperties
-}) {
-  // Si no se deben chequear duplicados (opción 3), simplemente agregamos todos
+async function classifyRows({ rows, databaseIdToInsert, notion, selectedProperties, duplicateCheckFields, duplicateOption, dedupeRules, newProperties }) {
+  // Opción 3: todos los documentos se agregan
   if (duplicateOption === "3") {
-    logBright("\nNo se chequearán duplicados. Agregando todos los registros...\n");
-    await addNonDuplicateRecords(data, selectedProperties, databaseIdToInsert, notion);
-    return;
+    return { duplicatesForUpdate: [], nonDuplicatesToAdd: rows, skippedRows: [], conflictRows: [], reviewRows: [] };
   }
 
-  // En caso contrario (1 u 2), necesitamos mapear todos los registros de Notion para detectar duplicados
-  logBright("\nObteniendo registros existentes en Notion para chequear duplicados...\n");
-  const allRecords = await fetchAllRecords(databaseIdToInsert, notion);
+  // En caso contrario (1, 2 o 4), necesitamos mapear todos los registros de Notion para detectar duplicados
+  const lookup = await loadDuplicateLookup({ databaseIdToInsert, notion, selectedProperties, duplicateCheckFields, duplicateOption, dedupeRules });
+  return classifyWithLookup(rows, lookup, { selectedProperties, duplicateCheckFields, duplicateOption, dedupeRules, newProperties });
+}
 
-  // Construir un Map por cada campo a chequear
-  const existingValuesMap = {};
-  for (const field of duplicateCheckFields) {
-    existingValuesMap[field] = new Map();
-  }
+/**
+ * loadDuplicateLookup: Lee las páginas existentes en Notion y las indexa por los campos de duplicados.
+ * @param {Object} params - { databaseIdToInsert, notion, selectedProperties, duplicateCheckFields, duplicateOption,
+ *   dedupeRules }.
+ * @returns {Promise<{index: Object, recordsById: Map<string, Object>}>}
+ */
+async function loadDuplicateLookup({ databaseIdToInsert, notion, selectedProperties, duplicateCheckFields, duplicateOption, dedupeRules }) {
+  logBright("\nObteniendo registros existentes en Notion para chequear duplicados...\n");
+  const allRecords = await queryAllPages(notion, databaseIdToInsert, { completeValues: duplicateOption === "4" });
+  const keyFields = await readDuplicateFields({ databaseIdToInsert, notion, selectedProperties, duplicateCheckFields, dedupeRules });
+  return indexDuplicatePages(allRecords, keyFields);
+}
 
+/**
+ * readDuplicateFields: Propiedad de Notion, tipo y normalizadores de cada campo de duplicados.
+ * @returns {Promise<{fields: Array<{field: string, property: string, type: string|null}>, normalizers: Object}>}
+ */
+async function readDuplicateFields({ databaseIdToInsert, notion, selectedProperties, duplicateCheckFields, dedupeRules }) {
   // Obtener propiedades actuales para conocer los tipos
   const dbInfo = await notion.databases.retrieve({ database_id: databaseIdToInsert });
   const currentProperties = dbInfo.properties;
-  const propertyTypeMap = {};
-  for (const field of duplicateCheckFields) {
-    propertyTypeMap[field] = currentProperties[field]?.type || null;
-  }
-
-  // Llenamos existingValuesMap[field] con los valores actuales en Notion
-  for (const record of allRecords) {
-    const props = record.properties;
-    for (const field of duplicateCheckFields) {
-      if (props[field] && propertyTypeMap[field]) {
-        const value = getPropertyValue(props[field], propertyTypeMap[field]);
-        if (value) {
-          existingValuesMap[field].set(value, record.id);
-        }
-      }
-    }
-  }
+  const fields = duplicateCheckFields.map((field) => {
+    const property = selectedProperties[field]?.name ?? field;
+    return { field, property, type: currentProperties[property]?.type || null };
+  });
 
-  // Separar data entre duplicados y no duplicados
-  const duplicatesForUpdate = [];
-  const nonDuplicatesToAdd = [];
+  const propertyTypeMap = Object.fromEntries(fields.map(({ field, type }) => [field, type]));
+  const normalizers = resolveNormalizers(duplicateCheckFields, dedupeRules.normalizers, propertyTypeMap);
+  const normalizersText = describeNormalizers(normalizers);
+  if (normalizersText) logInfo(`Normalización de claves de duplicados: ${normalizersText}`);
+  return { fields, normalizers };
+}
 
-  for (const doc of data) {
-    let isDuplicate = false;
-    let duplicateRecordId = null;
-
-    // Revisar cada campo configurado para duplicados
-    for (const field of duplicateCheckFields) {
-      const docValue = doc[field];
-      if (docValue !== undefined && docValue !== null) {
-        const docValueStr = String(docValue);
-        if (existingValuesMap[field].has(docValueStr)) {
-          isDuplicate = true;
-          duplicateRecordId = existingValuesMap[field].get(docValueStr);
-          break;
-        }
+/**
+ * indexDuplicatePages: Indexa páginas de Notion por cada campo de duplicados y por la clave
+ * compuesta, con los valores normalizados.
+ * @param {Array<Object>} records - Páginas de Notion.
+ * @param {Object} keyFields - Resultado de readDuplicateFields.
+ * @returns {{index: Object, recordsById: Map<string, Object>}}
+ */
+function indexDuplicatePages(records, { fields, normalizers }) {
+  const propertyByField = Object.fromEntries(fields.map(({ field, property }) => [field, property]));
+  const index = buildDuplicateIndex(
+    records,
+    fields.map(({ field }) => field),
+    (record, field) => readPropertyValue(record.properties[propertyByField[field]]).text,
+    normalizers
+  );
+  return { index, recordsById: new Map(records.map((record) => [record.id, record])) };
+}
+
+/**
+ * openBatchLookup: Prepara la búsqueda de duplicados de --stream, que no trae la base de datos
+ * completa: por cada tanda se piden a Notion solo las páginas que pueden coincidir con sus
+ * documentos (candidateFilters), de cada una solo las propiedades que se comparan. Si los filtros
+ * de Notion no alcanzan (--dedupe-fuzzy, teléfonos, acentos...), se indexan todas las páginas una
+ * vez, con esas propiedades.
+ * @param {Object} params - { databaseIdToInsert, notion, selectedProperties, duplicateCheckFields,
+ *   duplicateOption, dedupeRules }.
+ * @returns {Promise<Function>} - (rows) => Promise<{index, recordsById}> con las páginas de la tanda.
+ */
+async function openBatchLookup({ databaseIdToInsert, notion, selectedProperties, duplicateCheckFields, duplicateOption, dedupeRules }) {
+  const keyFields = await readDuplicateFields({ databaseIdToInsert, notion, selectedProperties, duplicateCheckFields, dedupeRules });
+  // Con upsert (opción 4) también las propiedades mapeadas, que se comparan con el documento
+  const keepProperties = [
+    ...new Set([
+      ...keyFields.fields.map(({ property }) => property),
+      ...(duplicateOption === "4" ? Object.values(selectedProperties).map((mapping) => mapping.name) : [])
+    ])
+  ];
+  const query = { keepProperties, completeValues: duplicateOption === "4" };
+
+  const filterFields = dedupeRules.fuzzyThreshold ? null : candidateFields(keyFields.fields, keyFields.normalizers, dedupeRules.mode);
+  if (!filterFields) {
+    logWarn(
+      "\nLos duplicados no se pueden buscar por tanda con filtros de Notion (--dedupe-fuzzy, o campos que los filtros " +
+      "no comparan como los normalizadores): se indexan todas las páginas existentes y la memoria crece con la base de datos."
+    );
+    logBright("\nObteniendo registros existentes en Notion para chequear duplicados...\n");
+    const lookup = indexDuplicatePages(await queryAllPages(notion, databaseIdToInsert, query), keyFields);
+    return async () => lookup;
+  }
+
+  logInfo(`Los duplicados se buscan en Notion en cada tanda, filtrando por ${filterFields.map(({ field }) => field).join(", ")}.`);
+  return async (rows) => {
+    const entries = rows.map((row) => duplicateKeyEntry(row.entry, duplicateCheckFields, selectedProperties));
+    const records = new Map();
+    for (const filter of candidateFilters(entries, filterFields, keyFields.normalizers)) {
+      for (const page of await queryAllPages(notion, databaseIdToInsert, { ...query, filter })) {
+        records.set(page.id, page);
       }
     }
+    return indexDuplicatePages([...records.values()], keyFields);
+  };
+}
 
-    if (isDuplicate) {
+/**
+ * classifyWithLookup: Clasifica los documentos contra las páginas indexadas con loadDuplicateLookup
+ * (ver classifyRows).
+ * @returns {{duplicatesForUpdate: Array<Object>, nonDuplicatesToAdd: Array<Object>, skippedRows: Array<Object>,
+ *   conflictRows: Array<Object>, reviewRows: Array<Object>}}
+ */
+function classifyWithLookup(rows, { index, recordsById }, { selectedProperties, duplicateCheckFields, duplicateOption, dedupeRules, newProperties }) {
+  // Separar data entre duplicados, no duplicados, conflictos y documentos a revisar
+  const duplicatesForUpdate = [];
+  const nonDuplicatesToAdd = [];
+  const skippedRows = [];
+  const conflictRows = [];
+  const reviewRows = [];
+
+  for (const row of rows) {
+    const doc = row.entry;
+    const keys = duplicateKeyEntry(doc, duplicateCheckFields, selectedProperties);
+    const match = findDuplicate(keys, index, dedupeRules.mode);
+    const nearMatch =
+      match.status === "new" && dedupeRules.fuzzyThreshold
+        ? findNearDuplicate(keys, index, dedupeRules.mode, dedupeRules.fuzzyThreshold)
+        : null;
+
+    if (nearMatch) {
+      logWarn(
+        `Posible duplicado, queda para revisar (${describeRow(row)}): "${nearMatch.value}" se parece a ` +
+        `"${nearMatch.candidateValue}" (${nearMatch.recordId}, ${Math.round(nearMatch.similarity * 100)}%)`
+      );
+      reviewRows.push({ ...row, review: nearMatch });
+    } else if (match.status === "conflict") {
+      logWarn(`Conflicto de duplicados, no se importa (${describeRow(row)}): ${describeConflict(match.matches)}`);
+      conflictRows.push({ ...row, conflict: match.matches });
+    } else if (match.status === "duplicate") {
+      const duplicateRecordId = match.recordId;
       // Opción 1: Omitir duplicados
       // Opción 2: Actualizar duplicados (solo las propiedades nuevas)
+      // Opción 4: Upsert (solo las propiedades cuyo valor cambió)
       if (duplicateOption === "1") {
-        // Omitir => no se hace nada
+        // Omitir => no se envía nada a Notion
+        skippedRows.push(row);
       } else if (duplicateOption === "2") {
         // Solo actualizar propiedades nuevas
         let hasNewPropertyValues = false;
@@ -625,122 +1256,1973 @@ async function exportToNotion({
         }
         if (hasNewPropertyValues) {
           duplicatesForUpdate.push({
+            ...row,
             recordId: duplicateRecordId,
-            entry: doc,
             updateOnlyNewProperties: true
           });
+        } else {
+          skippedRows.push(row);
+        }
+      } else if (duplicateOption === "4") {
+        let changes;
+        try {
+          const properties = buildUpdateProperties(doc, selectedProperties, newProperties, false);
+          changes = diffProperties(properties, recordsById.get(duplicateRecordId), selectedProperties);
+        } catch (error) {
+          // El documento fallará al enviarlo (p.ej. un texto demasiado largo con --text-overflow fail);
+          // se envía completo para que quede en el archivo de fallidos
+          changes = null;
+        }
+        if (changes && changes.length === 0) {
+          skippedRows.push(row);
+        } else {
+          duplicatesForUpdate.push({ ...row, recordId: duplicateRecordId, changes });
         }
       }
     } else {
-      nonDuplicatesToAdd.push(doc);
+      nonDuplicatesToAdd.push(row);
     }
   }
 
-  // Actualizar duplicados (opción 2)
-  if (duplicateOption === "2" && duplicatesForUpdate.length > 0) {
-    logInfo(`\nSe encontraron ${duplicatesForUpdate.length} registros duplicados para actualizar (solo campos nuevos).`);
-    await updateDuplicateRecords(
+  return { duplicatesForUpdate, nonDuplicatesToAdd, skippedRows, conflictRows, reviewRows };
+}
+
+/**
+ * exportToNotion: Lógica principal de exportación, filtrando duplicados según
+ * la estrategia elegida por el usuario (omitir, actualizar o ignorar duplicados).
+ * Cada documento se numera según su orden en la colección para poder rastrear errores.
+ * @returns {Promise<Array<Object>>} - Documentos que fallaron definitivamente.
+ */
+async function exportToNotion({
+  data,
+  idField,
+  databaseIdToInsert,
+  selectedProperties,
+  notion,
+  duplicateCheckFields,
+  duplicateOption,
+  dedupeRules,
+  reviewFile,
+  newProperties,
+  concurrency,
+  checkpoint = {}
+}) {
+  const rows = buildRows(data, idField);
+
+  // Si no se deben chequear duplicados (opción 3), simplemente agregamos todos
+  if (duplicateOption === "3") {
+    logBright("\nNo se chequearán duplicados. Agregando todos los registros...\n");
+    writeJournalPlan(checkpoint.journal, [], rows, []);
+    const results = await addNonDuplicateRecords(rows, selectedProperties, databaseIdToInsert, notion, concurrency, checkpoint);
+    return toDeadLetters(results, "create", selectedProperties, newProperties);
+  }
+
+  const { duplicatesForUpdate, nonDuplicatesToAdd, skippedRows, conflictRows, reviewRows } = await classifyRows({
+    rows,
+    databaseIdToInsert,
+    notion,
+    selectedProperties,
+    duplicateCheckFields,
+    duplicateOption,
+    dedupeRules,
+    newProperties
+  });
+  if (conflictRows.length > 0) {
+    logWarn(
+      `\n${conflictRows.length} documentos apuntan a más de una página existente y no se importarán ` +
+      `(documentos: ${conflictRows.map((row) => row.rowNumber).join(", ")}).`
+    );
+  }
+  if (reviewRows.length > 0) {
+    const reviewPath = writeReviewList(reviewFile ? path.resolve(reviewFile) : defaultReviewPath("mongo"), reviewRows);
+    logWarn(
+      `\n${reviewRows.length} documentos se parecen a una página existente y no se importarán hasta revisarlos. ` +
+      `Lista guardada en ${reviewPath}`
+    );
+  }
+
+  // Los conflictos y los documentos a revisar quedan en el journal como omitidos
+  writeJournalPlan(checkpoint.journal, duplicatesForUpdate, nonDuplicatesToAdd, [
+    ...skippedRows,
+    ...conflictRows,
+    ...reviewRows
+  ]);
+  return processClassifiedRows({
+    duplicatesForUpdate,
+    nonDuplicatesToAdd,
+    duplicateOption,
+    databaseIdToInsert,
+    selectedProperties,
+    newProperties,
+    notion,
+    concurrency,
+    checkpoint
+  });
+}
+
+/**
+ * processClassifiedRows: Actualiza los duplicados y crea los documentos nuevos ya clasificados.
+ * @returns {Promise<Array<Object>>} - Documentos que fallaron definitivamente.
+ */
+async function processClassifiedRows({
+  duplicatesForUpdate,
+  nonDuplicatesToAdd,
+  duplicateOption,
+  databaseIdToInsert,
+  selectedProperties,
+  newProperties,
+  notion,
+  concurrency,
+  checkpoint
+}) {
+  const failures = [];
+
+  // Actualizar duplicados (opciones 2 y 4)
+  const updatesDuplicates = duplicateOption === "2" || duplicateOption === "4";
+  if (updatesDuplicates && duplicatesForUpdate.length > 0) {
+    logInfo(
+      `\nSe encontraron ${duplicatesForUpdate.length} registros duplicados para actualizar ` +
+      (duplicateOption === "4" ? "(solo valores que cambiaron)." : "(solo campos nuevos).")
+    );
+    const results = await updateDuplicateRecords(
       duplicatesForUpdate,
       selectedProperties,
       databaseIdToInsert,
       newProperties,
-      notion
+      notion,
+      concurrency,
+      checkpoint
     );
-  } else if (duplicateOption === "2") {
+    failures.push(...toDeadLetters(results, "update", selectedProperties, newProperties));
+  } else if (updatesDuplicates) {
     logInfo("\nNo se encontraron registros duplicados para actualizar.");
   }
 
   // Agregar registros no duplicados (aplica para opción 1 y 2)
   if (nonDuplicatesToAdd.length > 0) {
     logBright(`\nAgregando ${nonDuplicatesToAdd.length} registros no duplicados...\n`);
-    await addNonDuplicateRecords(nonDuplicatesToAdd, selectedProperties, databaseIdToInsert, notion);
+    const results = await addNonDuplicateRecords(nonDuplicatesToAdd, selectedProperties, databaseIdToInsert, notion, concurrency, checkpoint);
+    failures.push(...toDeadLetters(results, "create", selectedProperties, newProperties));
   } else {
     logInfo("No se encontraron registros no duplicados para agregar.");
   }
+
+  return failures;
 }
 
 /************************************************************
- * FUNCIÓN PRINCIPAL
+ * CHECKPOINTS Y REANUDACIÓN
  ************************************************************/
-async function main() {
+
+/**
+ * runWithCheckpoint: Ejecuta la exportación atendiendo Ctrl+C: ante la primera señal se
+ * terminan las requests en curso, no se toman documentos nuevos y el journal queda al día.
+ * @param {Object} journal - Journal creado con createJournal.
+ * @param {Function} run - async (checkpoint) => documentos fallidos.
+ * @returns {Promise<{failures: Array<Object>, interrupted: boolean}>}
+ */
+async function runWithCheckpoint(journal, run) {
+  const interrupts = watchInterrupts(rl, () => {
+    logWarn("\nInterrupción recibida: terminando las requests en curso y guardando el checkpoint...");
+    logWarn("(Presiona Ctrl+C de nuevo para salir inmediatamente.)");
+  });
   try {
-    // 1. Inicializar cliente de Notion (pide la API key si no está definida)
-    const notion = await initializeNotionClient();
+    const failures = await run({ journal, shouldStop: interrupts.isInterrupted });
+    return { failures, interrupted: interrupts.isInterrupted() };
+  } finally {
+    interrupts.dispose();
+    journal.flush();
+  }
+}
 
-    // 2. Solicitar ID de la base de datos de Notion
-    const databaseIdToInsert = await askQuestion("\nID de la base de datos de Notion: ");
+/**
+ * finishJournal: Cierra el journal, lo marca como completo si no quedan documentos
+ * pendientes e imprime el resumen (parcial si la importación se interrumpió).
+ * @param {Object} journal - Journal de la ejecución.
+ * @param {boolean} interrupted - Si la exportación se detuvo con Ctrl+C.
+ */
+function finishJournal(journal, interrupted) {
+  const { created, updated, skipped, failed, pending } = journal.summary();
+  if (!interrupted && pending === 0) {
+    journal.markDone();
+  }
+  journal.close();
+
+  logBright(
+    `\n${interrupted ? "Resumen parcial" : "Resumen"}: ${created} creados, ${updated} actualizados, ` +
+    `${skipped} omitidos, ${failed} fallidos, ${pending} pendientes.`
+  );
+  // Con --stream, los documentos que no se llegaron a leer no figuran como pendientes
+  if (pending > 0 || interrupted) {
+    logWarn(`Para continuar donde quedó: node subir_mongo_notion.cjs --resume "${journal.path}"`);
+  }
+}
 
-    // 3. Conectar a MongoDB
-    const mongoClient = await connectToMongoDB();
+/**
+ * resumeFromJournal: Continúa una importación interrumpida. Vuelve a leer la colección
+ * registrada en el journal (con la misma consulta o pipeline) y procesa solo los documentos
+ * del plan que todavía no tienen resultado, sin volver a clasificar duplicados.
+ * @param {Object} journalState - Resultado de readJournal.
+ * @param {MongoClient} mongoClient - Cliente de Mongo ya conectado.
+ * @returns {Promise<Array<Object>>} - Documentos que fallaron definitivamente.
+ */
+async function resumeFromJournal(journalState, mongoClient, notion, concurrency, checkpoint) {
+  const { meta, plan, results } = journalState;
+  const data = await readMongoDBData(
+    mongoClient.db(meta.mongoDb).collection(meta.collection),
+    deserializeMongoQuery(meta.mongoQuery)
+  );
+  if (meta.idField) {
+    data.forEach((doc) => {
+      doc[meta.idField] = doc["_id"];
+      delete doc["_id"];
+    });
+  }
+  const rowsByKey = new Map(buildRows(data, meta.idField).map((row) => [row.key, row]));
 
-    // 4. Listar bases de datos y seleccionar una
-    const databases = await listMongoDatabases(mongoClient);
-    let dbName = await promptDatabaseSelection(databases);
-    const db = mongoClient.db(dbName);
+  const duplicatesForUpdate = [];
+  const nonDuplicatesToAdd = [];
+  for (const planned of plan) {
+    if (planned.action === "skip" || results.has(planned.key)) continue;
 
-    // 5. Listar colecciones y seleccionar una
-    const collections = await listCollections(db);
-    const collectionName = await promptCollectionIndex(collections);
-    const collection = db.collection(collectionName);
+    const row = rowsByKey.get(planned.key);
+    if (!row) {
+      logWarn(`El documento ${planned.key} ya no existe en la colección "${meta.collection}". Se omite.`);
+      continue;
+    }
+    if (planned.action === "update") {
+      duplicatesForUpdate.push({
+        ...row,
+        recordId: planned.recordId,
+        updateOnlyNewProperties: planned.updateOnlyNewProperties,
+        changes: planned.changes
+      });
+    } else {
+      nonDuplicatesToAdd.push(row);
+    }
+  }
+
+  logBright(
+    `\nReanudando la importación de "${meta.mongoDb}.${meta.collection}": ` +
+    `${duplicatesForUpdate.length + nonDuplicatesToAdd.length} documentos pendientes.`
+  );
+  return processClassifiedRows({
+    duplicatesForUpdate,
+    nonDuplicatesToAdd,
+    duplicateOption: meta.duplicateOption,
+    databaseIdToInsert: meta.databaseId,
+    selectedProperties: meta.selectedProperties,
+    newProperties: meta.newProperties || [],
+    notion,
+    concurrency,
+    checkpoint
+  });
+}
+
+/************************************************************
+ * SINCRONIZACIÓN EN DOS SENTIDOS (--sync)
+ ************************************************************/
+
+/**
+ * syncedFields: Campos del perfil que se sincronizan en ambos sentidos: los de tipos que se
+ * editan a mano en Notion, sin el campo del "_id" ni el de la fecha de actualización.
+ * @param {Object} selectedProperties - Mapeo { campo: { name, type, ... } } del perfil.
+ * @param {Array<string>} excluded - Campos que no se sincronizan.
+ * @returns {Array<string>}
+ */
+function syncedFields(selectedProperties, excluded) {
+  return Object.keys(selectedProperties).filter(
+    (field) => SYNC_TYPES.includes(selectedProperties[field].type) && !excluded.includes(field)
+  );
+}
+
+/**
+ * mongoSnapshot: Texto canónico de cada campo sincronizado de un documento, tal como quedaría
+ * en su propiedad de Notion (los valores que no se pueden convertir se comparan como texto).
+ * @param {Object} entry - Documento (con el "_id" ya renombrado).
+ * @param {Array<string>} fields - Campos sincronizados.
+ * @param {Object} selectedProperties - Mapeo del perfil.
+ * @returns {Object} - { campo: texto canónico }.
+ */
+function mongoSnapshot(entry, fields, selectedProperties) {
+  const snapshot = {};
+  for (const field of fields) {
+    try {
+      snapshot[field] = readPropertyValue(buildEntryProperty(selectedProperties[field], entry[field], entry)).text;
+    } catch (error) {
+      snapshot[field] = String(entry[field] ?? "");
+    }
+  }
+  return snapshot;
+}
+
+/**
+ * notionSnapshot: Texto canónico de cada campo sincronizado en una página de Notion.
+ * @param {Object} page - Página leída de Notion.
+ * @param {Array<string>} fields - Campos sincronizados.
+ * @param {Object} selectedProperties - Mapeo del perfil.
+ * @returns {Object} - { campo: texto canónico }.
+ */
+function notionSnapshot(page, fields, selectedProperties) {
+  const snapshot = {};
+  for (const field of fields) {
+    snapshot[field] = readPropertyValue(page.properties[selectedProperties[field].name]).text;
+  }
+  return snapshot;
+}
+
+/**
+ * differingFields: Campos sincronizados cuyo valor difiere entre Mongo y Notion.
+ * @returns {Array<Object>} - { header, property, mongoValue, notionValue }.
+ */
+function differingFields(mongoValues, notionValues, fields, selectedProperties) {
+  return fields
+    .filter((field) => mongoValues[field] !== notionValues[field])
+    .map((field) => ({
+      header: field,
+      property: selectedProperties[field].name,
+      mongoValue: mongoValues[field],
+      notionValue: notionValues[field]
+    }));
+}
+
+/**
+ * notionToMongoValue: Valor que se guarda en Mongo a partir de una propiedad de Notion. Se respeta
+ * la forma del valor actual del documento: las fechas guardadas como texto siguen siendo texto
+ * (si no, Date) y las listas guardadas como arreglo siguen siendo arreglo (si no, "a, b").
+ * @param {Object} mapping - Mapeo del campo.
+ * @param {Object} [property] - Propiedad de la página.
+ * @param {any} currentValue - Valor actual del campo en el documento.
+ * @param {"start"|"end"} [part] - Parte de la fecha que se lee (el fin, para un rango).
+ * @returns {any} - null si la propiedad está vacía (false en un checkbox).
+ */
+function notionToMongoValue(mapping, property, currentValue, part = "start") {
+  const { value } = readPropertyValue(property);
+  switch (mapping.type) {
+    case "checkbox":
+      return value ?? false;
+    case "multi_select":
+      if (Array.isArray(currentValue)) return value ?? [];
+      return value ? value.join(", ") : null;
+    case "date": {
+      const text = property?.date?.[part];
+      if (!text) return null;
+      return typeof currentValue === "string" ? text : parseNotionDate(text, property.date.time_zone);
+    }
+    default:
+      return value;
+  }
+}
+
+/**
+ * buildMongoUpdate: Arma el $set de Mongo con los valores de Notion de los campos indicados.
+ * El fin de un rango de fechas se guarda en su propio campo.
+ * @param {Object} page - Página leída de Notion.
+ * @param {Array<string>} headers - Campos a copiar.
+ * @param {Object} selectedProperties - Mapeo del perfil.
+ * @param {Object} entry - Documento actual ({} si es nuevo).
+ * @returns {Object}
+ */
+function buildMongoUpdate(page, headers, selectedProperties, entry) {
+  const update = {};
+  for (const header of headers) {
+    const mapping = selectedProperties[header];
+    const property = page.properties[mapping.name];
+    update[header] = notionToMongoValue(mapping, property, entry[header]);
+    if (mapping.type === "date" && mapping.endField) {
+      update[mapping.endField] = notionToMongoValue(mapping, property, entry[mapping.endField], "end");
+    }
+  }
+  return update;
+}
+
+/**
+ * toUpdatedAt: Fecha de actualización de un documento (campo --updated-at-field), o null.
+ */
+function toUpdatedAt(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * runSync: Sincroniza una colección con su base de datos de Notion en ambos sentidos.
+ * Cada documento se vincula con su página (por el estado guardado o, la primera vez, por el
+ * campo del "_id") y cada campo se compara con su valor en la última sincronización: lo que
+ * cambió de un solo lado se copia al otro y lo que cambió en ambos se resuelve con la política
+ * de conflictos. Los documentos sin página se crean en Notion y las páginas creadas a mano en
+ * Notion (sin "_id") se insertan en Mongo. Si se borra un documento o una página, el vínculo se
+ * da de baja y no se vuelve a crear del otro lado.
+ * @param {Object} params - { collection, notion, profile, state, conflictPolicy, updatedAtField, concurrency, shouldStop }.
+ *   `state` es el estado de sincronización; sus vínculos se actualizan a medida que se avanza.
+ * @returns {Promise<{summary: Object, conflicts: Array<Object>}>}
+ */
+async function runSync({ collection, notion, profile, state, conflictPolicy, updatedAtField, concurrency, shouldStop }) {
+  const { databaseId, idField, properties: selectedProperties } = profile;
+  const fields = syncedFields(selectedProperties, [idField, updatedAtField]);
+  const idProperty = selectedProperties[idField].name;
+  if (state.fields && state.fields.join("\n") !== fields.join("\n")) {
+    logWarn(
+      "Los campos sincronizados cambiaron desde la última sincronización (perfil o --updated-at-field): " +
+      "los campos nuevos que difieran de su página se tratan como cambiados en ambos lados."
+    );
+  }
+  state.fields = fields;
+  const summary = {
+    notionCreated: 0,
+    notionUpdated: 0,
+    mongoCreated: 0,
+    mongoUpdated: 0,
+    linked: 0,
+    unchanged: 0,
+    conflicts: 0,
+    removed: 0,
+    failed: 0
+  };
+  const conflicts = [];
+
+  const documents = await readMongoDBData(collection);
+  const pages = await queryAllPages(notion, databaseId, { completeValues: true });
+  logInfo(`${documents.length} documentos en Mongo y ${pages.length} páginas en Notion.`);
+
+  const pagesById = new Map(pages.map((page) => [page.id, page]));
+  const pagesByMongoId = new Map();
+  for (const page of pages) {
+    const mongoId = readPropertyValue(page.properties[idProperty]).text;
+    if (mongoId) pagesByMongoId.set(mongoId, page);
+  }
+  const linkedPageIds = new Set(Object.values(state.links).map((link) => link.pageId));
+
+  const removeLink = (mongoId, link, removedFrom) => {
+    state.links[mongoId] = { pageId: link.pageId, removedAt: new Date().toISOString(), removedFrom };
+    summary.removed++;
+    const where = removedFrom === "mongo" ? "El documento se borró de Mongo" : "La página se borró o archivó en Notion";
+    logWarn(`${where} (documento ${mongoId}, página ${link.pageId}): se deja de sincronizar.`);
+  };
+  const saveLink = (mongoId, pageId, hashes, entry, notionEditedTime) => {
+    state.links[mongoId] = {
+      pageId,
+      hashes,
+      mongoUpdatedAt: updatedAtField ? toUpdatedAt(entry[updatedAtField])?.toISOString() ?? null : null,
+      notionEditedTime: notionEditedTime ?? null,
+      syncedAt: new Date().toISOString()
+    };
+  };
+
+  // Qué hay que revisar: documentos (con o sin página) y páginas nuevas en Notion
+  const tasks = [];
+  const documentIds = new Set();
+  for (const doc of documents) {
+    const mongoId = String(doc._id);
+    documentIds.add(mongoId);
+    const link = state.links[mongoId];
+    if (link?.removedAt) continue;
+
+    const page = link ? pagesById.get(link.pageId) : pagesByMongoId.get(mongoId);
+    if (link?.pendingInsert && page) {
+      // El documento de una página nueva se llegó a insertar: se termina de vincular como un primer vínculo
+      delete link.pendingInsert;
+    }
+    if (link && !page) {
+      removeLink(mongoId, link, "notion");
+      continue;
+    }
+    const entry = { ...doc, [idField]: doc._id };
+    delete entry._id;
+    tasks.push({ mongoId, _id: doc._id, entry, link, page });
+  }
+  for (const [mongoId, link] of Object.entries(state.links)) {
+    if (link.removedAt || documentIds.has(mongoId)) continue;
+    if (link.pendingInsert && pagesById.has(link.pageId)) {
+      // Página nueva de Notion cuyo documento no se llegó a insertar: se reintenta con el mismo _id
+      tasks.push({ page: pagesById.get(link.pageId), pendingId: new ObjectId(mongoId) });
+    } else {
+      removeLink(mongoId, link, link.pendingInsert ? "notion" : "mongo");
+    }
+  }
+  for (const page of pages) {
+    if (!linkedPageIds.has(page.id) && !readPropertyValue(page.properties[idProperty]).text) {
+      tasks.push({ page });
+    }
+  }
+
+  const syncTask = async (task) => {
+    const { mongoId, entry, link, page } = task;
+
+    // Página creada en Notion: se inserta en Mongo y se le anota el _id. El vínculo (pendiente) se
+    // guarda antes de escribir en cualquiera de los dos lados: si algo falla, la próxima sincronización
+    // reintenta con el mismo _id en vez de insertar otro documento.
+    if (!entry) {
+      const _id = task.pendingId ?? new ObjectId();
+      state.links[String(_id)] = { pageId: page.id, pendingInsert: true };
+      const document = buildMongoUpdate(page, fields, selectedProperties, {});
+      for (const [field, value] of Object.entries(document)) {
+        if (value === null) delete document[field];
+      }
+      if (updatedAtField) document[updatedAtField] = new Date();
+      const response = await notion.pages.update({
+        page_id: page.id,
+        properties: { [idProperty]: buildEntryProperty(selectedProperties[idField], _id, {}) }
+      });
+      await collection.updateOne({ _id }, { $setOnInsert: document }, { upsert: true });
+      const hashes = fieldHashes(notionSnapshot(page, fields, selectedProperties), fields);
+      saveLink(String(_id), page.id, hashes, document, response.last_edited_time);
+      return { label: `página ${page.id} -> documento ${_id}`, outcomes: [{ action: "mongoCreated" }] };
+    }
+
+    const mongoValues = mongoSnapshot(entry, fields, selectedProperties);
+
+    // Documento sin página: se crea en Notion
+    if (!page) {
+      const issues = [];
+      const { properties, children } = buildPagePayload(entry, selectedProperties, issues);
+      reportValueIssues({ entry, rowNumber: mongoId }, issues);
+      const response = await notion.pages.create({ parent: { database_id: databaseId }, properties, children });
+      saveLink(mongoId, response.id, fieldHashes(mongoValues, fields), entry, response.last_edited_time);
+      return { label: `documento ${mongoId} -> página ${response.id}`, outcomes: [{ action: "notionCreated" }] };
+    }
+
+    // Documento vinculado: cada campo va en el sentido del lado que cambió (ver decideSync)
+    const notionValues = notionSnapshot(page, fields, selectedProperties);
+    const decision = decideSync({
+      base: link?.hashes ?? null,
+      mongoValues,
+      notionValues,
+      fields,
+      conflictPolicy,
+      mongoUpdatedAt: updatedAtField ? toUpdatedAt(entry[updatedAtField]) : null,
+      notionEditedTime: new Date(page.last_edited_time)
+    });
+    const differences = differingFields(mongoValues, notionValues, fields, selectedProperties);
+    const differencesIn = (headers) => differences.filter((difference) => headers.includes(difference.header));
+    const label = `documento ${mongoId} <-> página ${page.id}`;
+    const outcomes = [];
+    let updatedEntry = entry;
+    let notionEditedTime = page.last_edited_time;
+
+    if (decision.toNotion.length > 0) {
+      const issues = [];
+      const children = [];
+      const properties = buildUpdateProperties(entry, selectedProperties, [], false, issues, children, decision.toNotion);
+      reportValueIssues({ entry, rowNumber: mongoId }, issues);
+      const response = await notion.pages.update({ page_id: page.id, properties });
+      if (children.length > 0) {
+        await notion.blocks.children.append({ block_id: page.id, children });
+      }
+      notionEditedTime = response.last_edited_time;
+      for (const { header, property, mongoValue, notionValue } of differencesIn(decision.toNotion)) {
+        changeLog.push({ rowNumber: mongoId, recordId: page.id, header, property, before: notionValue, after: mongoValue });
+      }
+      outcomes.push({ action: "notionUpdated", differences: differencesIn(decision.toNotion) });
+    }
+    if (decision.toMongo.length > 0) {
+      const update = buildMongoUpdate(page, decision.toMongo, selectedProperties, entry);
+      if (updatedAtField) update[updatedAtField] = new Date();
+      await collection.updateOne({ _id: task._id }, { $set: update });
+      updatedEntry = { ...entry, ...update };
+      outcomes.push({ action: "mongoUpdated", differences: differencesIn(decision.toMongo) });
+    }
+    if (decision.conflicts.length > 0) {
+      for (const { header, property, mongoValue, notionValue } of differencesIn(decision.conflicts)) {
+        conflicts.push({ mongoId, pageId: page.id, field: header, property, mongoValue, notionValue });
+      }
+      outcomes.push({ action: "conflicts", differences: differencesIn(decision.conflicts) });
+    }
+
+    if (outcomes.length > 0 || decision.relink) {
+      saveLink(mongoId, page.id, decision.hashes, updatedEntry, notionEditedTime);
+    }
+    if (outcomes.length === 0) {
+      outcomes.push({ action: decision.relink ? "linked" : "unchanged" });
+    }
+    return { label, outcomes };
+  };
+
+  await runPool(tasks, syncTask, {
+    concurrency,
+    shouldStop,
+    onSettled: (result) => {
+      if (!result.ok) {
+        summary.failed++;
+        const label = result.item.mongoId ? `documento ${result.item.mongoId}` : `página ${result.item.page.id}`;
+        logError(`Error al sincronizar (${label}): ${result.error}`);
+        return;
+      }
+      const messages = {
+        notionCreated: "Página creada en Notion",
+        notionUpdated: "Página actualizada con los cambios de Mongo",
+        mongoCreated: "Documento creado en Mongo desde Notion",
+        mongoUpdated: "Documento actualizado con los cambios de Notion",
+        linked: "Vinculados (ya coincidían)",
+        conflicts: "Conflicto: cambió en Mongo y en Notion"
+      };
+      const { label, outcomes } = result.value;
+      for (const { action, differences = [] } of outcomes) {
+        summary[action]++;
+        if (action === "unchanged") continue;
+
+        const log = action === "conflicts" ? logWarn : logInfo;
+        log(`${messages[action]} (${label})`);
+        for (const difference of differences) {
+          const [before, after] = action === "mongoUpdated"
+            ? [difference.mongoValue, difference.notionValue]
+            : [difference.notionValue, difference.mongoValue];
+          logInfo(`  ${describeChange({ property: difference.property, before, after })}`);
+        }
+      }
+    }
+  });
+
+  return { summary, conflicts };
+}
+
+/**
+ * loadMongoProfile: Carga el perfil de --sync o --watch y verifica que sea de una importación desde
+ * Mongo con el "_id" mapeado (es lo que vincula cada documento con su página).
+ * @param {Object} options - Flags de línea de comandos.
+ * @param {string} modeFlag - "--sync" o "--watch", para los mensajes.
+ * @returns {Object} - Perfil guardado.
+ */
+function loadMongoProfile(options, modeFlag) {
+  if (options.profile === undefined) {
+    throw new Error(`${modeFlag} necesita --profile con el mapeo de una importación anterior (guardado con --save-profile).`);
+  }
+  const { profile } = loadProfile(options.profile, []);
+  if (profile.source !== "mongo" || !profile.databaseId || !profile.idField || !profile.properties?.[profile.idField]) {
+    throw new Error(
+      `El perfil "${profile.name}" no es de una importación desde Mongo con el campo "_id" mapeado. ` +
+      "Guarda uno con --save-profile al importar la colección."
+    );
+  }
+  return profile;
+}
+
+/**
+ * openCollectionState: Pide la base de datos y la colección de Mongo (si no vienen por flag) y lee
+ * su estado, que debe ser de la misma base de datos de Notion que el perfil.
+ * @param {Object} options - Flags de línea de comandos.
+ * @param {Object} profile - Perfil cargado con loadMongoProfile.
+ * @param {string} verb - Qué se hace con la colección, para las preguntas ("sincronizar", "escuchar").
+ * @returns {Promise<{dbName: string, collectionName: string, statePath: string, state: Object}>}
+ */
+async function openCollectionState(options, profile, verb) {
+  const dbName = await askRequired(options.mongoDb, "--mongo-db", `\nBase de datos de Mongo a ${verb}: `);
+  const collectionName = await askRequired(options.collection, "--collection", `\nColección a ${verb}: `);
+  const statePath = options.syncState
+    ? path.resolve(options.syncState)
+    : defaultSyncStatePath(dbName, collectionName);
+  const state = readSyncState(statePath);
+  if (state.databaseId && state.databaseId !== profile.databaseId) {
+    throw new Error(`El estado "${statePath}" es de otra base de datos de Notion (${state.databaseId}).`);
+  }
+  return { dbName, collectionName, statePath, state };
+}
+
+/**
+ * syncWithNotion: Ejecuta --sync: carga el perfil y el estado de la colección, sincroniza
+ * atendiendo Ctrl+C, guarda el estado (también si se interrumpe) y el reporte de conflictos.
+ * @param {Object} options - Flags de línea de comandos.
+ * @param {Object} syncFlags - Resultado de parseSyncFlags.
+ * @param {MongoClient} mongoClient - Cliente de Mongo ya conectado.
+ */
+async function syncWithNotion(options, syncFlags, mongoClient, notion, concurrency) {
+  const profile = loadMongoProfile(options, "--sync");
+  const { dbName, collectionName, statePath, state } = await openCollectionState(options, profile, "sincronizar");
+
+  logBright(
+    `\nSincronizando "${dbName}.${collectionName}" con la base de datos ${profile.databaseId} ` +
+    `(conflictos: ${syncFlags.conflictPolicy}).`
+  );
+  const interrupts = watchInterrupts(rl, () => {
+    logWarn("\nInterrupción recibida: terminando las requests en curso y guardando el estado...");
+    logWarn("(Presiona Ctrl+C de nuevo para salir inmediatamente.)");
+  });
+  let result;
+  try {
+    result = await runSync({
+      collection: mongoClient.db(dbName).collection(collectionName),
+      notion,
+      profile,
+      state,
+      conflictPolicy: syncFlags.conflictPolicy,
+      updatedAtField: syncFlags.updatedAtField,
+      concurrency,
+      shouldStop: interrupts.isInterrupted
+    });
+  } finally {
+    interrupts.dispose();
+    writeSyncState(statePath, {
+      ...state,
+      databaseId: profile.databaseId,
+      mongoDb: dbName,
+      collection: collectionName,
+      lastSyncAt: new Date().toISOString()
+    });
+  }
+  logInfo(`Estado de la sincronización: ${statePath}`);
+
+  const { summary, conflicts } = result;
+  if (conflicts.length > 0) {
+    const reportPath = options.conflictReport
+      ? path.resolve(options.conflictReport)
+      : defaultConflictReportPath();
+    writeConflictReport(reportPath, conflicts);
+    logWarn(
+      `\n${summary.conflicts} documentos tienen campos que cambiaron en Mongo y en Notion; esos campos no se tocaron (detalle en ${reportPath}). ` +
+      "Corrige uno de los lados (o usa --on-conflict) y vuelve a sincronizar."
+    );
+  }
+  saveValueIssues(options.valueReport);
+  saveChangeLog(options.changeLog);
+
+  const interrupted = interrupts.isInterrupted();
+  logBright(
+    `\n${interrupted ? "Resumen parcial" : "Resumen"}: Notion: ${summary.notionCreated} creados, ` +
+    `${summary.notionUpdated} actualizados. Mongo: ${summary.mongoCreated} creados, ${summary.mongoUpdated} actualizados. ` +
+    `${summary.linked} vinculados, ${summary.unchanged} sin cambios, ${summary.conflicts} conflictos, ` +
+    `${summary.removed} dados de baja, ${summary.failed} fallidos.`
+  );
+  if (summary.failed > 0) {
+    logWarn("Los documentos fallidos se vuelven a intentar en la próxima sincronización.");
+  }
+  if (interrupted) {
+    process.exitCode = 130;
+  } else {
+    logSuccess("\nSincronización completada.");
+  }
+}
+
+/************************************************************
+ * IMPORTACIÓN INCREMENTAL (--incremental)
+ ************************************************************/
+
+/**
+ * toWatermark: Guarda la marca incremental (último valor importado) como Extended JSON canónico,
+ * que conserva su tipo BSON (ObjectId, Date, Long, Decimal128, Int32...).
+ * @param {any} value - Valor del campo en el último documento importado.
+ * @returns {{ejson: any}}
+ */
+function toWatermark(value) {
+  return { ejson: BSON.EJSON.serialize({ value }, { relaxed: false }).value };
+}
+
+/**
+ * fromWatermark: Valor de Mongo de una marca guardada con toWatermark.
+ */
+function fromWatermark(mark) {
+  return BSON.EJSON.deserialize({ value: mark.ejson }, { relaxed: false }).value;
+}
+
+/**
+ * describeWatermark: Texto de una marca para los logs (un ObjectId muestra también su fecha de creación).
+ */
+function describeWatermark(mark) {
+  const value = fromWatermark(mark);
+  if (value instanceof ObjectId) {
+    return `${value.toHexString()} (${value.getTimestamp().toISOString()})`;
+  }
+  return value instanceof Date ? value.toISOString() : BSON.EJSON.stringify(value, { relaxed: true });
+}
+
+/**
+ * lookbackFrom: Resta la ventana de --lookback a una marca de fecha u ObjectId (de un ObjectId se
+ * toma su fecha de creación).
+ * @param {any} value - Valor de la marca.
+ * @param {number} seconds - Segundos de --lookback.
+ * @returns {any} - El límite inferior de la consulta, o null si la marca no es de fecha ni ObjectId.
+ */
+function lookbackFrom(value, seconds) {
+  if (value instanceof Date) {
+    return new Date(value.getTime() - seconds * 1000);
+  }
+  if (value instanceof ObjectId) {
+    return ObjectId.createFromTime(Math.floor(value.getTimestamp().getTime() / 1000) - seconds);
+  }
+  return null;
+}
+
+/**
+ * openIncrementalState: Lee el estado de la colección y arma el filtro de los documentos a importar:
+ * los que tienen el campo de la marca desde el último valor importado, inclusive, o, la primera vez,
+ * todos los que tienen ese campo. Se usa $gte y no $gt porque otros documentos pueden compartir el
+ * valor de la marca; con --lookback el límite retrocede además esa cantidad de segundos, para los
+ * documentos que se confirman tarde. Releer un documento no lo duplica: el mapa _id -> página hace
+ * que solo se actualice. Si se cambia de campo, se vuelven a leer todos.
+ * @param {Object} options - Flags de línea de comandos.
+ * @param {string} dbName - Base de datos de Mongo.
+ * @param {string} collectionName - Colección.
+ * @returns {Object} - { path, state, field, mongoDb, collection, seed, filter }. seed: es la primera
+ *   importación incremental y hay que completar el mapa _id -> página con las páginas existentes.
+ */
+function openIncrementalState(options, dbName, collectionName) {
+  const statePath = options.syncState
+    ? path.resolve(options.syncState)
+    : defaultSyncStatePath(dbName, collectionName);
+  const state = readSyncState(statePath);
+  const field = options.sinceField ?? state.incremental?.field ?? "_id";
+
+  let mark = state.incremental?.lastValue;
+  if (mark && state.incremental.field !== field) {
+    logWarn(
+      `La última importación incremental usó el campo "${state.incremental.field}": con "${field}" se ` +
+      "vuelven a leer todos los documentos (los que ya tienen página se actualizan)."
+    );
+    mark = undefined;
+  }
+  let since = mark ? fromWatermark(mark) : undefined;
+  if (mark) {
+    logInfo(`\nImportación incremental: documentos con "${field}" desde ${describeWatermark(mark)} (inclusive).`);
+  } else {
+    logInfo(`\nImportación incremental por "${field}": se leen todos los documentos que tienen ese campo.`);
+  }
+  const lookback = options.lookback !== undefined ? parseIntFlag(options.lookback, "--lookback", 0) : 0;
+  if (mark && lookback > 0) {
+    const lowerBound = lookbackFrom(since, lookback);
+    if (lowerBound === null) {
+      logWarn(`--lookback se ignora: la marca de "${field}" no es una fecha ni un ObjectId.`);
+    } else {
+      since = lowerBound;
+      logInfo(`Con --lookback se leen también los ${lookback} segundos anteriores a la marca.`);
+    }
+  }
+
+  return {
+    path: statePath,
+    state,
+    field,
+    mongoDb: dbName,
+    collection: collectionName,
+    seed: !state.incremental,
+    filter: { [field]: since !== undefined ? { $gte: since } : { $exists: true } }
+  };
+}
+
+/**
+ * seedLinks: Completa el mapa _id -> página con las páginas cuyo campo del "_id" tiene un documento
+ * que todavía no está vinculado (páginas de importaciones anteriores).
+ * @param {Object} state - Estado de la colección (se modifica state.links).
+ * @param {string} databaseId - Base de datos de Notion.
+ * @param {string} idProperty - Propiedad de Notion con el "_id" del documento.
+ * @param {Client} notion - Cliente de Notion.
+ */
+async function seedLinks(state, databaseId, idProperty, notion) {
+  const records = await queryAllPages(notion, databaseId, { keepProperties: [idProperty] });
+  for (const record of records) {
+    const mongoId = readPropertyValue(record.properties[idProperty]).text;
+    if (mongoId && !state.links[mongoId]) {
+      state.links[mongoId] = { pageId: record.id };
+    }
+  }
+}
+
+/**
+ * exportIncremental: Exporta los documentos leídos en modo incremental sin clasificar duplicados
+ * contra toda la base de datos: los que ya tienen página en el mapa _id -> página se actualizan y
+ * el resto se crea. La primera vez, el mapa se completa con las páginas cuyo campo del "_id"
+ * coincide, así no se duplican las páginas de importaciones anteriores. Los documentos cuya
+ * página se dio de baja en la sincronización (--sync) se omiten.
+ * @param {Object} params - { rows, incremental, databaseIdToInsert, selectedProperties, idField, notion,
+ *   newProperties, concurrency, checkpoint }.
+ * @returns {Promise<Array<Object>>} - Documentos que fallaron definitivamente.
+ */
+async function exportIncremental({
+  rows,
+  incremental,
+  databaseIdToInsert,
+  selectedProperties,
+  idField,
+  notion,
+  newProperties,
+  concurrency,
+  checkpoint
+}) {
+  const { state } = incremental;
+  if (state.databaseId && state.databaseId !== databaseIdToInsert) {
+    throw new Error(`El estado "${incremental.path}" es de otra base de datos de Notion (${state.databaseId}).`);
+  }
+
+  const idProperty = selectedProperties[idField]?.name;
+  if (incremental.seed && idProperty) {
+    logInfo("\nPrimera importación incremental: buscando las páginas de importaciones anteriores...");
+    await seedLinks(state, databaseIdToInsert, idProperty, notion);
+  }
+
+  const duplicatesForUpdate = [];
+  const nonDuplicatesToAdd = [];
+  const skippedRows = [];
+  for (const row of rows) {
+    const link = state.links[row.key];
+    if (!link) {
+      nonDuplicatesToAdd.push(row);
+    } else if (link.removedAt) {
+      skippedRows.push(row);
+    } else {
+      duplicatesForUpdate.push({ ...row, recordId: link.pageId, updateOnlyNewProperties: false, changes: null });
+    }
+  }
+  if (skippedRows.length > 0) {
+    logWarn(`\n${skippedRows.length} documentos tienen su página dada de baja por la sincronización y no se importan.`);
+  }
+  writeJournalPlan(checkpoint.journal, duplicatesForUpdate, nonDuplicatesToAdd, skippedRows);
+
+  const failures = [];
+  if (duplicatesForUpdate.length > 0) {
+    logInfo(`\n${duplicatesForUpdate.length} documentos ya tienen página en Notion y se actualizarán.`);
+    const results = await updateDuplicateRecords(
+      duplicatesForUpdate,
+      selectedProperties,
+      databaseIdToInsert,
+      newProperties,
+      notion,
+      concurrency,
+      checkpoint
+    );
+    failures.push(...toDeadLetters(results, "update", selectedProperties, newProperties));
+  }
+  if (nonDuplicatesToAdd.length > 0) {
+    logBright(`\nAgregando ${nonDuplicatesToAdd.length} documentos nuevos...\n`);
+    const results = await addNonDuplicateRecords(nonDuplicatesToAdd, selectedProperties, databaseIdToInsert, notion, concurrency, checkpoint);
+    failures.push(...toDeadLetters(results, "create", selectedProperties, newProperties));
+  }
+  return failures;
+}
+
+/**
+ * saveIncrementalProgress: Guarda en el estado las páginas creadas o actualizadas (mapa _id -> página)
+ * y avanza la marca hasta el último documento de la secuencia, en el orden del campo, que se
+ * procesó sin fallar: si un documento falla o queda pendiente, la próxima ejecución vuelve a leer
+ * desde él (los posteriores ya tienen página y solo se actualizan).
+ * @param {Object} incremental - Resultado de openIncrementalState.
+ * @param {Array<Object>} rows - Documentos leídos, en el orden del campo de la marca.
+ * @param {Object} journalState - Resultado de readJournal con el plan y los resultados de la ejecución.
+ * @param {string} databaseId - Base de datos de Notion.
+ * @param {string} idField - Nombre con el que se exportó el "_id".
+ */
+function saveIncrementalProgress(incremental, rows, journalState, databaseId, idField) {
+  const { state, field } = incremental;
+  const sourceField = field === "_id" ? idField : field;
+  const skippedKeys = new Set((journalState.plan || []).filter((row) => row.action === "skip").map((row) => row.key));
+
+  let lastValue;
+  let complete = true;
+  for (const row of rows) {
+    const result = journalState.results.get(row.key);
+    if (result && (result.status === "created" || result.status === "updated")) {
+      state.links[row.key] = { ...state.links[row.key], pageId: result.pageId };
+    } else if (!skippedKeys.has(row.key)) {
+      complete = false;
+    }
+    if (complete && row.entry[sourceField] !== undefined && row.entry[sourceField] !== null) {
+      lastValue = row.entry[sourceField];
+    }
+  }
+  if (lastValue !== undefined) {
+    state.incremental = { field, lastValue: toWatermark(lastValue), importedAt: new Date().toISOString() };
+  }
+
+  writeSyncState(incremental.path, {
+    ...state,
+    databaseId,
+    mongoDb: incremental.mongoDb,
+    collection: incremental.collection
+  });
+  if (state.incremental) {
+    logInfo(`\nMarca incremental: "${field}" = ${describeWatermark(state.incremental.lastValue)} (${incremental.path}).`);
+  }
+  if (!complete) {
+    logWarn("Algunos documentos fallaron o quedaron pendientes: la próxima importación incremental vuelve a leer desde el primero de ellos.");
+  }
+}
+
+/**
+ * saveResumedLinks: Al reanudar una importación incremental, agrega al mapa _id -> página las páginas
+ * creadas o actualizadas. La marca no se mueve: la próxima ejecución vuelve a leer esos documentos
+ * y, como ya tienen página, solo los actualiza.
+ * @param {string} statePath - Estado de la colección (registrado en el journal).
+ * @param {Map<string, Object>} results - Resultados del journal (key => { status, pageId }).
+ */
+function saveResumedLinks(statePath, results) {
+  const state = readSyncState(statePath);
+  for (const [key, result] of results) {
+    if (result.status === "created" || result.status === "updated") {
+      state.links[key] = { ...state.links[key], pageId: result.pageId };
+    }
+  }
+  writeSyncState(statePath, state);
+}
+
+/************************************************************
+ * IMPORTACIÓN EN STREAMING (--stream)
+ ************************************************************/
+
+/**
+ * exportStream: Exporta los documentos de la consulta leyéndolos del cursor en tandas de
+ * bufferSize: cada tanda se clasifica contra las páginas de Notion que pueden ser sus duplicados
+ * (openBatchLookup), se registra en el journal y se envía a Notion antes de leer la siguiente.
+ * Al terminar cada tanda, el journal guarda hasta dónde se leyó; los posibles duplicados se
+ * agregan a la lista de revisión a medida que aparecen. En memoria queda una tanda, nunca la
+ * colección ni la base de datos completa.
+ * @param {Object} params - { collection, query, bufferSize, headers, idField, databaseIdToInsert, selectedProperties,
+ *   notion, duplicateCheckFields, duplicateOption, dedupeRules, reviewFile, newProperties, concurrency, start,
+ *   skipKeys, checkpoint }. query: consulta con orden fijo (stableStreamQuery); headers: campos conocidos (los
+ *   demás se avisan y no se importan); start: documentos ya leídos antes de la consulta, al reanudar; skipKeys:
+ *   documentos de la tanda cortada que ya se procesaron.
+ * @returns {Promise<Array<Object>>} - Documentos que fallaron definitivamente.
+ */
+async function exportStream({
+  collection,
+  query,
+  bufferSize,
+  headers,
+  idField,
+  databaseIdToInsert,
+  selectedProperties,
+  notion,
+  duplicateCheckFields,
+  duplicateOption,
+  dedupeRules,
+  reviewFile,
+  newProperties,
+  concurrency,
+  start = 0,
+  skipKeys,
+  checkpoint = {}
+}) {
+  const lookupBatch = duplicateOption === "3"
+    ? null
+    : await openBatchLookup({ databaseIdToInsert, notion, selectedProperties, duplicateCheckFields, duplicateOption, dedupeRules });
+  const knownFields = new Set(headers);
+  const reviewPath = reviewFile ? path.resolve(reviewFile) : defaultReviewPath("mongo");
+  const failures = [];
+  let conflicts = 0;
+  let reviews = 0;
+  let read = start;
+
+  logBright(`\nExportando la colección en tandas de ${bufferSize} documentos...\n`);
+  const cursor = openMongoCursor(collection, query, bufferSize);
+  try {
+    for await (const docs of readInChunks(cursor, bufferSize)) {
+      const lastId = docs[docs.length - 1]._id;
+      for (const doc of docs) {
+        if (idField && doc._id !== undefined) {
+          doc[idField] = doc._id;
+          delete doc._id;
+        }
+        for (const field of Object.keys(doc)) {
+          if (!knownFields.has(field)) {
+            knownFields.add(field);
+            logWarn(`El campo "${field}" no estaba en la muestra ni en el perfil: no se importa.`);
+          }
+        }
+      }
+      const rows = buildRows(docs, idField, read).filter((row) => !skipKeys || !skipKeys.has(row.key));
+      read += docs.length;
+
+      const classified = lookupBatch && rows.length > 0
+        ? classifyWithLookup(rows, await lookupBatch(rows), { selectedProperties, duplicateCheckFields, duplicateOption, dedupeRules, newProperties })
+        : { duplicatesForUpdate: [], nonDuplicatesToAdd: rows, skippedRows: [], conflictRows: [], reviewRows: [] };
+      conflicts += classified.conflictRows.length;
+      if (classified.reviewRows.length > 0) {
+        appendReviewList(reviewPath, classified.reviewRows);
+        reviews += classified.reviewRows.length;
+      }
+      writeJournalPlan(checkpoint.journal, classified.duplicatesForUpdate, classified.nonDuplicatesToAdd, [
+        ...classified.skippedRows,
+        ...classified.conflictRows,
+        ...classified.reviewRows
+      ]);
+
+      if (classified.duplicatesForUpdate.length > 0) {
+        const results = await updateDuplicateRecords(
+          classified.duplicatesForUpdate,
+          selectedProperties,
+          databaseIdToInsert,
+          newProperties,
+          notion,
+          concurrency,
+          checkpoint
+        );
+        failures.push(...toDeadLetters(results, "update", selectedProperties, newProperties));
+      }
+      if (classified.nonDuplicatesToAdd.length > 0) {
+        const results = await addNonDuplicateRecords(classified.nonDuplicatesToAdd, selectedProperties, databaseIdToInsert, notion, concurrency, checkpoint);
+        failures.push(...toDeadLetters(results, "create", selectedProperties, newProperties));
+      }
+      if (checkpoint.shouldStop && checkpoint.shouldStop()) break;
+      if (checkpoint.journal) {
+        // La tanda terminó: al reanudar se sigue desde el documento siguiente
+        checkpoint.journal.writeProgress(streamPosition(read, lastId));
+        const summary = checkpoint.journal.summary();
+        logBright(
+          `Leídos ${read} documentos: ${summary.created} creados, ${summary.updated} actualizados, ` +
+          `${summary.skipped} omitidos, ${summary.failed} fallidos hasta ahora.`
+        );
+      }
+    }
+  } finally {
+    await cursor.close();
+  }
+
+  if (conflicts > 0) {
+    logWarn(`\n${conflicts} documentos apuntan a más de una página existente y no se importaron.`);
+  }
+  if (reviews > 0) {
+    logWarn(
+      `\n${reviews} documentos se parecen a una página existente y no se importaron hasta revisarlos. ` +
+      `Lista guardada en ${reviewPath}`
+    );
+  }
+  return failures;
+}
+
+/**
+ * resumeStream: Continúa una importación en streaming: retoma la misma consulta desde la última
+ * tanda completa que registró el journal (resumeQuery) y, de la tanda que quedó cortada, omite
+ * los documentos ya procesados.
+ * @param {Object} journalState - Resultado de readJournal.
+ * @param {MongoClient} mongoClient - Cliente de Mongo ya conectado.
+ * @returns {Promise<Array<Object>>} - Documentos que fallaron definitivamente.
+ */
+async function resumeStream(journalState, mongoClient, notion, concurrency, checkpoint) {
+  const { meta, plan, results, progress } = journalState;
+  const skipKeys = new Set(results.keys());
+  for (const planned of plan || []) {
+    if (planned.action === "skip") skipKeys.add(planned.key);
+  }
+  const start = progress ? progress.read : 0;
+  logBright(
+    `\nReanudando la importación de "${meta.mongoDb}.${meta.collection}" después de ${start} documentos leídos` +
+    (skipKeys.size > 0 ? `: de la tanda siguiente se omiten ${skipKeys.size} documentos ya procesados.` : ".")
+  );
+  const query = resumeQuery(deserializeMongoQuery(meta.mongoQuery), progress);
+  if (!query) {
+    logInfo("Ya se leyeron todos los documentos del límite de la consulta.");
+    return [];
+  }
+  return exportStream({
+    collection: mongoClient.db(meta.mongoDb).collection(meta.collection),
+    query,
+    bufferSize: meta.stream.bufferSize,
+    headers: meta.stream.headers,
+    idField: meta.idField,
+    databaseIdToInsert: meta.databaseId,
+    selectedProperties: meta.selectedProperties,
+    notion,
+    duplicateCheckFields: meta.duplicateCheckFields,
+    duplicateOption: meta.duplicateOption,
+    dedupeRules: meta.dedupeRules,
+    newProperties: meta.newProperties || [],
+    concurrency,
+    start,
+    skipKeys,
+    checkpoint
+  });
+}
+
+/************************************************************
+ * SINCRONIZACIÓN EN VIVO (--watch)
+ ************************************************************/
+
+/**
+ * touchesMapping: Indica si un evento de update modificó algún campo mapeado (o el fin de un rango
+ * de fechas). Los updates que solo tocan campos sin propiedad en Notion no generan requests (si el
+ * documento ya tiene página).
+ * @param {Object} event - Evento del change stream.
+ * @param {Object} selectedProperties - Mapeo { header: { name, type } } del perfil.
+ * @returns {boolean}
+ */
+function touchesMapping(event, selectedProperties) {
+  if (event.operationType !== "update" || !event.updateDescription) return true;
+  const mapped = new Set();
+  for (const [header, mapping] of Object.entries(selectedProperties)) {
+    mapped.add(header);
+    if (mapping.endField) mapped.add(mapping.endField);
+  }
+  const { updatedFields = {}, removedFields = [] } = event.updateDescription;
+  // "direccion.ciudad" modifica el campo "direccion"
+  return [...Object.keys(updatedFields), ...removedFields].some((field) => mapped.has(field.split(".")[0]));
+}
+
+/**
+ * planChange: Decide qué request de Notion corresponde a un evento del change stream:
+ * insert/update/replace crean la página del documento o actualizan la que tiene en el mapa
+ * _id -> página; delete archiva la página vinculada. Un documento sin página se crea aunque el
+ * update no toque campos mapeados.
+ * @param {Object} event - Evento del documento en la tanda (combinado con coalesceEvents).
+ * @param {Object} state - Estado de la colección (mapa _id -> página).
+ * @param {Object} profile - Perfil con idField y el mapeo.
+ * @returns {Object|null} - { operation, key, row, recordId } o null si no hay nada que enviar.
+ */
+function planChange(event, state, profile) {
+  const key = String(event.documentKey._id);
+  const link = state.links[key];
+
+  if (event.operationType === "delete") {
+    if (!link || link.removedAt) return null;
+    return { operation: "archive", key, row: { entry: { [profile.idField]: key }, rowNumber: key, key }, recordId: link.pageId };
+  }
+  if (!["insert", "update", "replace"].includes(event.operationType)) return null;
+  // Con updateLookup, fullDocument es null si el documento se borró antes de leerlo (llega su delete)
+  const doc = event.fullDocument;
+  if (!doc || (link && !touchesMapping(event, profile.properties))) return null;
+  if (link?.removedAt) {
+    logWarn(`El documento ${key} cambió, pero su página se dio de baja en la sincronización: no se envía.`);
+    return null;
+  }
+
+  const entry = { ...doc, [profile.idField]: doc._id };
+  delete entry._id;
+  const row = { entry, rowNumber: key, key };
+  if (link) {
+    return { operation: "update", key, row: { ...row, recordId: link.pageId, updateOnlyNewProperties: false, changes: null }, recordId: link.pageId };
+  }
+  return { operation: "create", key, row };
+}
+
+/**
+ * applyChange: Envía a Notion el cambio planificado con planChange y actualiza el mapa _id -> página.
+ * @returns {Promise<Object>} - Respuesta de Notion.
+ */
+async function applyChange(change, { state, profile, notion }) {
+  const { operation, key, row } = change;
+  const issues = [];
+
+  if (operation === "archive") {
+    const response = await notion.pages.update({ page_id: change.recordId, archived: true });
+    state.links[key] = { pageId: change.recordId, removedAt: new Date().toISOString(), removedFrom: "mongo" };
+    return response;
+  }
+  if (operation === "update") {
+    const children = [];
+    const properties = buildUpdateProperties(row.entry, profile.properties, [], false, issues, children);
+    reportValueIssues(row, issues);
+    const response = await notion.pages.update({ page_id: change.recordId, properties });
+    if (children.length > 0) {
+      await notion.blocks.children.append({ block_id: change.recordId, children });
+    }
+    return response;
+  }
+  const { properties, children } = buildPagePayload(row.entry, profile.properties, issues);
+  reportValueIssues(row, issues);
+  const response = await notion.pages.create({ parent: { database_id: profile.databaseId }, properties, children });
+  state.links[key] = { pageId: response.id };
+  return response;
+}
+
+/**
+ * processChanges: Envía a Notion los cambios de una tanda con el pool de workers. Los que fallan
+ * por límites de Notion o errores temporales (ya agotados los reintentos de cada request) se
+ * vuelven a intentar, solos, con una espera creciente; los que fallan por otro motivo van al
+ * archivo de fallidos.
+ * @param {Array<Object>} changes - Cambios planificados con planChange.
+ * @param {Object} context - { state, statePath, profile, notion, concurrency, shouldStop, summary, failures }.
+ * @returns {Promise<boolean>} - false si se interrumpió antes de terminar la tanda.
+ */
+async function processChanges(changes, context) {
+  const { state, statePath, profile, notion, concurrency, shouldStop, summary, failures } = context;
+  const labels = { create: "creada", update: "actualizada", archive: "archivada" };
+  const counters = { create: "created", update: "updated", archive: "archived" };
+  let pending = changes;
+
+  for (let attempt = 0; pending.length > 0; attempt++) {
+    const results = await runPool(pending, (change) => applyChange(change, context), {
+      concurrency,
+      shouldStop,
+      onSettled: (result) => {
+        const { operation, row } = result.item;
+        if (result.ok) {
+          summary[counters[operation]]++;
+          logSuccess(`Página ${labels[operation]} (documento ${row.key}).`);
+        } else if (!isRetryableError(result.error)) {
+          summary.failed++;
+          logError(
+            operation === "archive"
+              ? `Error al archivar la página ${result.item.recordId} del documento borrado ${row.key} (archívala a mano): ${result.error}`
+              : `Error al enviar el documento ${row.key} a Notion: ${result.error}`
+          );
+        }
+      }
+    });
+    // Los vínculos se guardan después de cada intento: si el proceso se corta, no se duplican páginas
+    writeSyncState(statePath, state);
+
+    for (const operation of ["create", "update"]) {
+      const failed = results.filter((result) => result.item.operation === operation && !result.ok && !isRetryableError(result.error));
+      failures.push(...toDeadLetters(failed.map((result) => ({ ...result, item: result.item.row })), operation, profile.properties, []));
+    }
+    if (shouldStop() || results.length < pending.length) return false;
+
+    pending = results.filter((result) => !result.ok && isRetryableError(result.error)).map((result) => result.item);
+    if (pending.length > 0) {
+      const delayMs = backoffDelayMs(attempt);
+      logWarn(`${pending.length} cambios siguen fallando por límites de Notion o errores temporales; nuevo intento en ${delayMs / 1000}s.`);
+      await sleep(delayMs);
+      if (shouldStop()) return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * watchCollection: Mantiene la base de datos del perfil al día con la colección: abre un change
+ * stream y envía a Notion cada tanda de inserts, updates, replaces y deletes. El resume token del
+ * último evento procesado se guarda en el estado de la colección, así al reiniciar se continúa
+ * desde ahí sin perder eventos (mientras sigan en el oplog de Mongo). Corre hasta Ctrl+C o SIGTERM.
+ * @param {Object} options - Flags de línea de comandos.
+ * @param {{batchSize: number, batchWaitMs: number}} watchFlags - Tamaño y espera de cada tanda.
+ * @param {MongoClient} mongoClient - Conexión abierta con connectToMongoDB.
+ * @param {Client} notion - Cliente de Notion.
+ * @param {number} concurrency - Requests simultáneas a Notion.
+ */
+async function watchCollection(options, watchFlags, mongoClient, notion, concurrency) {
+  const profile = loadMongoProfile(options, "--watch");
+  const { dbName, collectionName, statePath, state } = await openCollectionState(options, profile, "escuchar");
+  Object.assign(state, { databaseId: profile.databaseId, mongoDb: dbName, collection: collectionName });
+
+  // La primera vez se vinculan las páginas de importaciones anteriores, para actualizarlas en lugar de duplicarlas
+  if (!state.watch) {
+    logInfo("\nPrimera ejecución de --watch: buscando las páginas de importaciones anteriores...");
+    await seedLinks(state, profile.databaseId, profile.properties[profile.idField].name, notion);
+  }
+  const resumeToken = state.watch?.resumeToken;
+  const changeStream = mongoClient
+    .db(dbName)
+    .collection(collectionName)
+    .watch([], { fullDocument: "updateLookup", ...(resumeToken ? { resumeAfter: resumeToken } : {}) });
+
+  logBright(`\nEscuchando los cambios de "${dbName}.${collectionName}" (Ctrl+C para detener)...`);
+  if (resumeToken) {
+    logInfo(`Se continúa desde el último evento procesado (${state.watch.updatedAt}).`);
+  } else {
+    logWarn(
+      "Se envían solo los cambios que ocurran desde ahora: para los documentos que ya existen, " +
+      "impórtalos antes (p.ej. con --incremental)."
+    );
+  }
+
+  const interrupts = watchInterrupts(rl, () => {
+    logWarn("\nDeteniendo: se termina la tanda en curso y se guarda el estado...");
+    logWarn("(Presiona Ctrl+C de nuevo para salir inmediatamente.)");
+    changeStream.close();
+  });
+  // systemd, Docker, etc. detienen los procesos con SIGTERM: se trata igual que Ctrl+C
+  const onTerminate = () => process.emit("SIGINT");
+  process.on("SIGTERM", onTerminate);
+
+  const summary = { created: 0, updated: 0, archived: 0, failed: 0 };
+  const failures = [];
+  const context = {
+    state,
+    statePath,
+    profile,
+    notion,
+    concurrency,
+    shouldStop: interrupts.isInterrupted,
+    summary,
+    failures
+  };
+  try {
+    while (!interrupts.isInterrupted()) {
+      let events;
+      try {
+        events = await readBatch(changeStream, watchFlags);
+      } catch (error) {
+        if (interrupts.isInterrupted()) break;
+        if (isReplicaSetError(error)) {
+          throw new Error(
+            "Los change streams necesitan que MongoDB corra como replica set. Para probar en local alcanza con " +
+            "uno de un solo nodo: inicia mongod con --replSet rs0 y ejecuta rs.initiate() en mongosh."
+          );
+        }
+        throw error;
+      }
+      if (events.length === 0) break;
+
+      const { changes, terminal } = coalesceEvents(events);
+      const planned = changes.map((event) => planChange(event, state, profile)).filter(Boolean);
+      logInfo(`\n${events.length} eventos recibidos: ${planned.length} cambios para Notion.`);
+      const complete = await processChanges(planned, context);
+      if (!complete) break; // sin avanzar el token: al reiniciar se repite la tanda (los vínculos evitan duplicados)
+
+      if (terminal) {
+        // Un stream invalidado no se puede reanudar: la próxima ejecución empieza desde cero
+        state.watch = { resumeToken: null, updatedAt: new Date().toISOString() };
+        writeSyncState(statePath, state);
+        throw new Error(
+          `La colección recibió un "${terminal.operationType}" y el change stream terminó. ` +
+          "Revisa la colección y vuelve a iniciar --watch."
+        );
+      }
+      state.watch = { resumeToken: events[events.length - 1]._id, updatedAt: new Date().toISOString() };
+      writeSyncState(statePath, state);
+    }
+  } finally {
+    process.removeListener("SIGTERM", onTerminate);
+    interrupts.dispose();
+    await changeStream.close();
+    writeSyncState(statePath, state);
+    saveDeadLetters(
+      failures,
+      { source: "mongo", databaseId: profile.databaseId, selectedProperties: profile.properties, newProperties: [] },
+      options.deadLetter
+    );
+    saveValueIssues(options.valueReport);
+  }
+
+  logInfo(`\nEstado de la colección: ${statePath}`);
+  logBright(
+    `Resumen: ${summary.created} páginas creadas, ${summary.updated} actualizadas, ` +
+    `${summary.archived} archivadas, ${summary.failed} fallidas.`
+  );
+  logSuccess("\nEscucha detenida.");
+}
+
+/************************************************************
+ * CREACIÓN DE LA BASE DE DATOS DESTINO
+ ************************************************************/
+
+/**
+ * resolveNewDatabase: Obtiene la página padre y el título de la base de datos a crear.
+ * @param {Object} options - Flags de línea de comandos.
+ * @param {string} defaultTitle - Título por defecto (nombre de la colección).
+ * @returns {Promise<{parentPageId: string, title: string}>}
+ */
+async function resolveNewDatabase(options, defaultTitle) {
+  const parentPageId = await askRequired(
+    options.parentPage,
+    "--parent-page",
+    "\nID de la página de Notion donde se creará la base de datos: "
+  );
+  let title = options.dbTitle;
+  if (title === undefined && isInteractive()) {
+    title = (await askQuestion(`Título de la nueva base de datos (Enter para "${defaultTitle}"): `)).trim();
+  }
+  return { parentPageId: parentPageId.trim(), title: title || defaultTitle };
+}
+
+/**
+ * createTargetDatabase: Crea la base de datos destino con el esquema completo del mapeo
+ * (incluidas las opciones de select/multi_select) e informa su ID.
+ * @returns {Promise<string>} - ID de la base de datos creada.
+ */
+async function createTargetDatabase(newDatabase, selectedProperties, data, notion) {
+  const { response, truncated } = await createDatabase(notion, { ...newDatabase, selectedProperties, data });
+  if (notion.dryRunWrites) {
+    logInfo(`\nSimulación: se crearía la base de datos "${newDatabase.title}".`);
+    return response.id;
+  }
 
-    // 6. Leer datos de MongoDB
-    const data = await readMongoDBData(collection);
+  logSuccess(`\nBase de datos "${newDatabase.title}" creada con ID ${response.id}`);
+  if (response.url) {
+    logInfo(`URL: ${response.url}`);
+  }
+  logInfo(`Para volver a importar en ella: --db ${response.id}`);
+  for (const name of truncated) {
+    logWarn(`"${name}" tiene más de ${MAX_SELECT_OPTIONS} valores distintos; solo se precargaron los primeros.`);
+  }
+  return response.id;
+}
+
+/************************************************************
+ * SIMULACIÓN (DRY-RUN)
+ ************************************************************/
+
+/**
+ * runDryRun: Clasifica los documentos sin escribir en Notion, muestra el plan de importación
+ * y lo guarda en JSON. El cliente ya es de solo lectura (createDryRunClient), por lo que
+ * ensurePropertiesExist y la detección de duplicados se comportan como en una importación real.
+ * @param {Object} params - Datos, mapeo y opciones de la importación simulada.
+ */
+async function runDryRun({
+  data,
+  idField,
+  databaseIdToInsert,
+  notion,
+  currentProperties,
+  selectedProperties,
+  duplicateCheckFields,
+  duplicateOption,
+  dedupeRules,
+  newProperties,
+  sampleSize,
+  planFlag
+}) {
+  const rows = buildRows(data, idField);
+  const { duplicatesForUpdate, nonDuplicatesToAdd, skippedRows, conflictRows, reviewRows } = await classifyRows({
+    rows,
+    databaseIdToInsert,
+    notion,
+    selectedProperties,
+    duplicateCheckFields,
+    duplicateOption,
+    dedupeRules,
+    newProperties
+  });
+
+  const samples = [
+    ...nonDuplicatesToAdd.slice(0, sampleSize).map((row) => ({
+      operation: "create",
+      rowNumber: row.rowNumber,
+      description: describeRow(row),
+      payload: payloadOrError(() => buildPagePayload(row.entry, selectedProperties))
+    })),
+    ...duplicatesForUpdate.slice(0, sampleSize).map((row) => ({
+      operation: "update",
+      rowNumber: row.rowNumber,
+      description: describeRow(row),
+      recordId: row.recordId,
+      payload: payloadOrError(() => ({
+        properties: buildUpdateProperties(
+          row.entry,
+          selectedProperties,
+          newProperties,
+          row.updateOnlyNewProperties,
+          [],
+          [],
+          changedHeaders(row)
+        )
+      }))
+    }))
+  ];
+
+  // Valores que no se podrían convertir (y documentos que fallarían), en todos los documentos a crear o actualizar
+  const valueIssuesInPlan = [];
+  const collectIssues = (row, build) => {
+    const issues = [];
+    try {
+      build(issues);
+    } catch (error) {
+      issues.push({ header: "", value: "", message: `El documento fallaría: ${error.message}` });
+    }
+    for (const issue of issues) {
+      valueIssuesInPlan.push({ rowNumber: row.rowNumber, description: describeRow(row), ...issue });
+    }
+  };
+  for (const row of nonDuplicatesToAdd) {
+    collectIssues(row, (issues) => buildPagePayload(row.entry, selectedProperties, issues));
+  }
+  for (const row of duplicatesForUpdate) {
+    collectIssues(row, (issues) =>
+      buildUpdateProperties(row.entry, selectedProperties, newProperties, row.updateOnlyNewProperties, issues, [], changedHeaders(row))
+    );
+  }
+
+  const plan = buildDryRunPlan({
+    source: "mongo",
+    databaseId: databaseIdToInsert,
+    selectedProperties,
+    propertyChanges: summarizePropertyChanges(notion.dryRunWrites, currentProperties, selectedProperties),
+    classification: {
+      toCreate: nonDuplicatesToAdd,
+      toUpdate: duplicatesForUpdate,
+      skipped: skippedRows,
+      conflicts: conflictRows,
+      review: reviewRows
+    },
+    describeRow,
+    samples,
+    valueIssues: valueIssuesInPlan
+  });
+  printDryRunPlan(plan);
+
+  const planPath = writeDryRunPlan(planFlag ? path.resolve(planFlag) : defaultPlanPath("mongo"), plan);
+  logSuccess(`\nPlan de importación guardado en ${planPath}. No se escribió nada en Notion.`);
+}
+
+/************************************************************
+ * PERFILES DE MAPEO
+ ************************************************************/
+
+/**
+ * resolveProfile: Carga el perfil pasado con --profile o busca uno guardado cuyos campos
+ * coincidan con los de la colección, informando campos nuevos y faltantes.
+ * @param {Object} options - Flags de línea de comandos.
+ * @param {Array<string>} headers - Campos de la colección (incluyendo "_id").
+ * @param {boolean} [fromSample] - Los campos salen de una muestra (--stream): los del perfil que no
+ *   aparecen no faltan en la colección, solo en la muestra.
+ * @returns {Object|null} - { profile, path, drift } o null si no hay perfil.
+ */
+function resolveProfile(options, headers, fromSample = false) {
+  if (options.noProfile) {
+    return null;
+  }
+  const match = options.profile !== undefined
+    ? loadProfile(options.profile, headers)
+    : findMatchingProfile(headers, "mongo");
+  if (!match) {
+    return null;
+  }
+
+  logSuccess(`\nUsando el perfil "${match.profile.name}" (${match.path}).`);
+  if (match.drift.added.length > 0) {
+    logWarn(`Campos nuevos que no están en el perfil: ${match.drift.added.join(", ")}`);
+  }
+  if (match.drift.missing.length > 0 && fromSample) {
+    logInfo(`Campos del perfil que no aparecen en la muestra (se importan igual): ${match.drift.missing.join(", ")}`);
+  } else if (match.drift.missing.length > 0) {
+    logWarn(`Campos del perfil que no están en la colección: ${match.drift.missing.join(", ")}`);
+  }
+  return match;
+}
+
+/**
+ * offerSaveProfile: Guarda la sesión como perfil si se pasó --save-profile o, en modo
+ * interactivo, si no se usó perfil o el perfil usado tenía diferencias de campos.
+ * @param {Object} options - Flags de línea de comandos.
+ * @param {Object|null} profileMatch - Perfil usado en esta ejecución (si hubo).
+ * @param {Object} session - Configuración a guardar.
+ */
+async function offerSaveProfile(options, profileMatch, session) {
+  let profileName = options.saveProfile;
+  const hasDrift = profileMatch &&
+    (profileMatch.drift.added.length > 0 || profileMatch.drift.missing.length > 0);
+
+  if (profileName === undefined && isInteractive() && (!profileMatch || hasDrift)) {
+    const suggestion = profileMatch ? ` [${profileMatch.profile.name}]` : "";
+    profileName = await askQuestion(
+      `\n¿Guardar esta configuración como perfil? Nombre${suggestion} (Enter para omitir): `
+    );
+    if (!profileName.trim() && profileMatch) {
+      const confirm = await askQuestion(`¿Actualizar el perfil "${profileMatch.profile.name}"? (s/n): `);
+      profileName = confirm.trim().toLowerCase() === "s" ? profileMatch.profile.name : "";
+    }
+  }
+
+  if (profileName && profileName.trim()) {
+    const savedPath = saveProfile(profileName, session);
+    logSuccess(`Perfil guardado en ${savedPath}`);
+  }
+}
+
+/************************************************************
+ * FUNCIÓN PRINCIPAL
+ ************************************************************/
+async function main() {
+  let mongoClient;
+  try {
+    // 0. Leer flags de línea de comandos
+    const options = parseCliArgs(process.argv.slice(2), CLI_SPEC);
+    if (options.help) {
+      console.log(USAGE);
+      rl.close();
+      return;
+    }
+    if (options.onDuplicate !== undefined && !DUPLICATE_OPTION_FLAGS[options.onDuplicate]) {
+      throw new Error(`Valor inválido para --on-duplicate: "${options.onDuplicate}". Usa skip, update, upsert o none.`);
+    }
+    const flagOverrides = parseMapFlags(options.map, PROPERTY_TYPES);
+    const requestOptions = parseRequestFlags(options);
+    const concurrency = options.concurrency !== undefined
+      ? parseIntFlag(options.concurrency, "--concurrency", 1)
+      : DEFAULT_CONCURRENCY;
+    const dateOptions = parseDateFlags(options);
+    const coercionRules = parseCoercionFlags(options);
+    const textOverflow = parseTextOverflowFlag(options);
+    const dedupeFlags = parseDedupeFlags(options);
+    const sampleSize = options.sample !== undefined ? parseIntFlag(options.sample, "--sample") : 3;
+    const syncFlags = parseSyncFlags(options);
+    const watchFlags = parseWatchFlags(options);
+    const mongoQuery = parseMongoQueryFlags(options);
+    const streamFlags = parseStreamFlags(options);
+    // Con --stream la consulta se lee en un orden fijo, para poder reanudarla desde donde quedó
+    const streamQuery = options.stream ? stableStreamQuery(mongoQuery) : null;
+    if (options.dryRun && (options.retryFailed !== undefined || options.resume !== undefined)) {
+      throw new Error("--dry-run no se puede combinar con --retry-failed ni con --resume.");
+    }
+    if (options.sync && (options.dryRun || options.retryFailed !== undefined || options.resume !== undefined)) {
+      throw new Error("--sync no se puede combinar con --dry-run, --retry-failed ni --resume.");
+    }
+    if (options.incremental && (options.sync || options.dryRun || options.retryFailed !== undefined || options.resume !== undefined)) {
+      throw new Error("--incremental no se puede combinar con --sync, --dry-run, --retry-failed ni --resume.");
+    }
+    if ((options.sinceField !== undefined || options.lookback !== undefined) && !options.incremental) {
+      throw new Error("--since-field y --lookback solo se usan con --incremental.");
+    }
+    if (options.watch && (options.sync || options.incremental || options.dryRun || options.retryFailed !== undefined || options.resume !== undefined)) {
+      throw new Error("--watch no se puede combinar con --sync, --incremental, --dry-run, --retry-failed ni --resume.");
+    }
+    if ((options.batchSize !== undefined || options.batchWait !== undefined) && !options.watch) {
+      throw new Error("--batch-size y --batch-wait solo se usan con --watch.");
+    }
+    if (hasMongoQuery(mongoQuery) && (options.sync || options.watch || options.retryFailed !== undefined || options.resume !== undefined)) {
+      throw new Error(
+        "--query, --projection, --sort, --limit y --pipeline no se usan con --sync, --watch, --retry-failed ni --resume " +
+        "(--resume repite la consulta de la importación original)."
+      );
+    }
+    if (options.stream && (options.dryRun || options.incremental || options.sync || options.watch || options.retryFailed !== undefined || options.resume !== undefined)) {
+      throw new Error("--stream no se puede combinar con --dry-run, --incremental, --sync, --watch, --retry-failed ni --resume.");
+    }
+    if ((options.headerSample !== undefined || options.bufferSize !== undefined) && !options.stream) {
+      throw new Error("--header-sample y --buffer-size solo se usan con --stream.");
+    }
+    if (options.incremental && (mongoQuery.pipeline || mongoQuery.sort)) {
+      throw new Error("--incremental no se puede combinar con --pipeline ni con --sort (ordena por el campo de la marca).");
+    }
+    if (options.db !== undefined && options.parentPage !== undefined) {
+      throw new Error("Usa --db (base de datos existente) o --parent-page (crear una nueva), no ambos.");
+    }
+
+    // 1. Inicializar cliente de Notion (pide la API key si no está definida).
+    // En simulación, las escrituras se registran pero no se envían.
+    let notion = await initializeNotionClient(requestOptions);
+    if (options.dryRun) {
+      notion = createDryRunClient(notion);
+      logBright("\nSimulación (--dry-run): se leerá de Notion, pero no se escribirá nada.");
+    }
+
+    // Modo reintento: solo se reprocesan los documentos de un archivo de fallidos
+    if (options.retryFailed !== undefined) {
+      const { meta, stillFailed } = await retryDeadLetters(options.retryFailed, notion, concurrency);
+      saveDeadLetters(stillFailed, meta, options.deadLetter);
+      saveValueIssues(options.valueReport);
+      saveChangeLog(options.changeLog);
+      logSuccess("\nReintento finalizado.");
+      rl.close();
+      return;
+    }
+
+    // Modo reanudación: se continúa una importación interrumpida desde su journal
+    if (options.resume !== undefined) {
+      const journalPath = path.resolve(options.resume);
+      const journalState = readJournal(journalPath);
+      if (journalState.finished) {
+        logSuccess(`\nLa importación de "${journalPath}" ya se había completado. No hay nada que reanudar.`);
+        rl.close();
+        return;
+      }
+      if (!journalState.plan && !journalState.meta.stream) {
+        throw new Error(
+          "El journal no llegó a registrar el plan de documentos (la ejecución se cortó antes de escribir en Notion). " +
+          "Vuelve a ejecutar la importación desde el principio."
+        );
+      }
+      const { meta } = journalState;
+      mongoClient = await connectToMongoDB(options.mongoUri);
+      // En streaming, el journal solo cuenta los resultados (no guarda cada documento en memoria)
+      const journal = createJournal(journalPath, undefined, { retainKeys: !meta.stream });
+      const { failures, interrupted } = await runWithCheckpoint(journal, (checkpoint) =>
+        meta.stream
+          ? resumeStream(journalState, mongoClient, notion, concurrency, checkpoint)
+          : resumeFromJournal(journalState, mongoClient, notion, concurrency, checkpoint)
+      );
+      if (meta.incrementalState) {
+        saveResumedLinks(meta.incrementalState, readJournal(journalPath).results);
+      }
+      saveDeadLetters(
+        failures,
+        {
+          source: "mongo",
+          databaseId: meta.databaseId,
+          selectedProperties: meta.selectedProperties,
+          newProperties: meta.newProperties
+        },
+        options.deadLetter
+      );
+      saveValueIssues(options.valueReport);
+      saveChangeLog(options.changeLog);
+      finishJournal(journal, interrupted);
+      if (interrupted) {
+        process.exitCode = 130;
+      } else {
+        logSuccess("\nImportación reanudada y completada.");
+      }
+      rl.close();
+      mongoClient.close();
+      return;
+    }
+
+    // Modo sincronización: la colección y la base de datos del perfil se actualizan en ambos sentidos
+    if (options.sync) {
+      mongoClient = await connectToMongoDB(options.mongoUri);
+      await syncWithNotion(options, syncFlags, mongoClient, notion, concurrency);
+      rl.close();
+      mongoClient.close();
+      return;
+    }
+
+    // Modo en vivo: cada cambio de la colección se envía a la base de datos del perfil hasta Ctrl+C
+    if (options.watch) {
+      mongoClient = await connectToMongoDB(options.mongoUri);
+      await watchCollection(options, watchFlags, mongoClient, notion, concurrency);
+      rl.close();
+      mongoClient.close();
+      return;
+    }
+
+    const journalPath = options.journal ? path.resolve(options.journal) : defaultJournalPath("mongo");
+    if (fs.existsSync(journalPath)) {
+      throw new Error(`El journal "${journalPath}" ya existe. Usa --resume para continuar esa importación.`);
+    }
+
+    // 2. Conectar a MongoDB
+    mongoClient = await connectToMongoDB(options.mongoUri);
+
+    // 3. Listar bases de datos y seleccionar una
+    let dbName = options.mongoDb;
+    if (dbName === undefined) {
+      ensureInteractive("--mongo-db");
+      const databases = await listMongoDatabases(mongoClient);
+      dbName = await promptDatabaseSelection(databases);
+    }
+    const db = mongoClient.db(dbName);
+
+    // 4. Listar colecciones y seleccionar una
+    let collectionName = options.collection;
+    if (collectionName === undefined) {
+      ensureInteractive("--collection");
+      const collections = await listCollections(db);
+      collectionName = await promptCollectionIndex(collections);
+    }
+    const collection = db.collection(collectionName);
+
+    // 5. Leer datos de MongoDB: la colección completa o lo que devuelve la consulta o el pipeline
+    // (en modo incremental, solo los documentos posteriores a la marca guardada; con --stream, solo
+    // una muestra para detectar campos y tipos: el resto se lee en tandas al exportar)
+    let incremental = null;
+    let sourceQuery = mongoQuery;
+    if (options.incremental) {
+      incremental = openIncrementalState(options, dbName, collectionName);
+      for (const field of new Set(["_id", incremental.field])) {
+        if (!projectionKeeps(mongoQuery.projection, field)) {
+          throw new Error(`Con --incremental, --projection tiene que incluir "${field}" (vincula los documentos y marca hasta dónde se importó).`);
+        }
+      }
+      sourceQuery = {
+        ...mongoQuery,
+        filter: mongoQuery.filter ? { $and: [mongoQuery.filter, incremental.filter] } : incremental.filter,
+        sort: { [incremental.field]: 1 }
+      };
+    }
+    if (hasMongoQuery(mongoQuery)) {
+      logInfo(`\nConsulta de origen: ${describeMongoQuery(mongoQuery)}.`);
+    }
+    const data = await readMongoDBData(
+      collection,
+      options.stream ? sampleQuery(sourceQuery, streamFlags.headerSample) : sourceQuery
+    );
+    if (data.length === 0 && incremental) {
+      logSuccess(`\nNo hay documentos nuevos en "${collectionName}" desde la última importación incremental.`);
+      rl.close();
+      mongoClient.close();
+      return;
+    }
     if (data.length === 0) {
-      logError("No se encontraron datos en la colección de MongoDB.");
+      logError(
+        hasMongoQuery(mongoQuery)
+          ? "La consulta no devolvió documentos de la colección de MongoDB."
+          : "No se encontraron datos en la colección de MongoDB."
+      );
       rl.close();
+      mongoClient.close();
       return;
     }
-    logSuccess(`\nSe encontraron ${data.length} documentos en la colección "${collectionName}".`);
+    if (options.stream) {
+      logSuccess(
+        `\nSe leyó una muestra de ${data.length} documentos de "${collectionName}" para detectar los campos y sus tipos; ` +
+        `al exportar se leen todos en tandas de ${streamFlags.bufferSize}.`
+      );
+    } else {
+      logSuccess(`\nSe encontraron ${data.length} documentos en la colección "${collectionName}".`);
+    }
 
-    // 7. Obtener encabezados
+    // 6. Obtener encabezados (de los documentos leídos: con una proyección o un pipeline, los de su resultado)
     let headers = await readMongoDBHeaders(data);
     if (headers.length === 0) {
       logError("No se encontraron campos en los documentos de MongoDB.");
       rl.close();
+      mongoClient.close();
       return;
     }
+    const sourceHeaders = [...headers]; // Encabezados tal como vienen de Mongo (con "_id")
+
+    // 7. Buscar un perfil guardado (por --profile o por coincidencia de encabezados)
+    const profileMatch = resolveProfile(options, sourceHeaders, options.stream);
+    const profile = profileMatch ? profileMatch.profile : null;
+    if (options.stream && profile?.headers) {
+      // Los campos del perfil que no aparecieron en la muestra también se importan
+      for (const header of profile.headers) {
+        if (!headers.includes(header)) {
+          headers.push(header);
+          sourceHeaders.push(header);
+        }
+      }
+    }
+
+    // 8. Solicitar ID de la base de datos de Notion (vacío o --parent-page => se crea una nueva)
+    let databaseIdToInsert = options.parentPage !== undefined
+      ? ""
+      : await askRequired(
+        options.db ?? profile?.databaseId,
+        "--db",
+        "\nID de la base de datos de Notion (Enter para crear una nueva): "
+      );
+    const newDatabase = databaseIdToInsert.trim() === ""
+      ? await resolveNewDatabase(options, collectionName)
+      : null;
 
-    // 8. Manejar mapeo del campo _id (si existe)
+    // 9. Manejar mapeo del campo _id (si existe)
+    let idField;
     if (headers.includes("_id")) {
-      const newIdFieldName = await askQuestion('\nIngrese el nombre para exportar el campo "_id": ');
-      headers.push(newIdFieldName);
+      idField = await askRequired(
+        options.idField ?? profile?.idField,
+        "--id-field",
+        '\nIngrese el nombre para exportar el campo "_id": '
+      );
+      headers.push(idField);
       headers.splice(headers.indexOf("_id"), 1);
 
       data.forEach((doc) => {
-        doc[newIdFieldName] = doc["_id"];
+        doc[idField] = doc["_id"];
         delete doc["_id"];
       });
-      logInfo(`Se ha renombrado "_id" a "${newIdFieldName}".`);
+      logInfo(`Se ha renombrado "_id" a "${idField}".`);
     }
 
-    // 9. Preguntar cuál header será la propiedad "title" en Notion
-    const titleField = await promptTitleField(headers);
-
-    // 10. Opciones para duplicados
-    logBright("\n¿Hay algún campo que quieras tener en cuenta para no subir enlaces duplicados y/o actualizar los existentes?");
-    logInfo("1. Sí, chequear duplicados y omitirlos.");
-    logInfo("2. Sí, chequear duplicados y actualizar/agregar los campos faltantes.");
-    logInfo("3. No, simplemente agregar todos los registros.");
+    // 10. Preguntar cuál header será la propiedad "title" en Notion
+    const titleFromProfile = headers.includes(profile?.titleField) ? profile.titleField : undefined;
+    let titleField;
+    if ((options.title ?? titleFromProfile) !== undefined) {
+      titleField = validateChoice(options.title ?? titleFromProfile, headers, "--title");
+    } else {
+      ensureInteractive("--title");
+      titleField = await promptTitleField(headers);
+    }
 
+    // 11. Opciones para duplicados (en modo incremental no se pregunta: cada documento con página se actualiza)
     let duplicateOption;
-    while (true) {
-      duplicateOption = await askQuestion("Selecciona una opción (1, 2 o 3): ");
-      if (["1", "2", "3"].includes(duplicateOption.trim())) {
-        break;
+    const onDuplicate = options.onDuplicate ?? profile?.onDuplicate ?? (incremental ? "upsert" : undefined);
+    if (onDuplicate !== undefined) {
+      duplicateOption = DUPLICATE_OPTION_FLAGS[onDuplicate];
+    } else {
+      ensureInteractive("--on-duplicate");
+      logBright("\n¿Hay algún campo que quieras tener en cuenta para no subir enlaces duplicados y/o actualizar los existentes?");
+      logInfo("1. Sí, chequear duplicados y omitirlos.");
+      logInfo("2. Sí, chequear duplicados y actualizar/agregar los campos faltantes.");
+      logInfo("3. No, simplemente agregar todos los registros.");
+      logInfo("4. Sí, chequear duplicados y actualizar los valores que cambiaron (upsert).");
+
+      while (true) {
+        duplicateOption = (await askQuestion("Selecciona una opción (1, 2, 3 o 4): ")).trim();
+        if (["1", "2", "3", "4"].includes(duplicateOption)) {
+          break;
+        }
+        logWarn("Opción inválida. Intente nuevamente.");
       }
-      logWarn("Opción inválida. Intente nuevamente.");
     }
 
-    // 11. Si va a chequear duplicados (opciones 1 o 2), preguntar campos a verificar
+    // 12. Si va a chequear duplicados (opciones 1, 2 o 4), preguntar campos a verificar
     let duplicateCheckFields = [];
-    if (duplicateOption === "1" || duplicateOption === "2") {
-      const fields = await askQuestion(
+    if (incremental) {
+      // Los duplicados se resuelven con el mapa _id -> página; se conservan los campos del perfil
+      duplicateCheckFields = profile?.duplicateCheckFields || [];
+    } else if (duplicateOption !== "3") {
+      const fields = await askRequired(
+        options.dedupeFields ?? profile?.duplicateCheckFields?.join(","),
+        "--dedupe-fields",
         "\nIngresa los nombres de campos a chequear por duplicados (separados por coma): "
       );
-      duplicateCheckFields = fields
-        .split(",")
-        .map((f) => f.trim())
-        .filter((f) => f);
+      duplicateCheckFields = parseListFlag(fields);
 
       // Filtrar los que realmente estén en headers
       duplicateCheckFields = duplicateCheckFields.filter((f) => headers.includes(f));
@@ -750,52 +3232,228 @@ async function main() {
       }
     }
 
-    // 12. Obtener propiedades actuales de la base de datos Notion
-    const dbResponse = await notion.databases.retrieve({ database_id: databaseIdToInsert });
-    const currentProperties = dbResponse.properties;
-
-    // 13. Decidir si se personaliza el mapeo de propiedades (nombres y tipos)
-    logBright("\nOpciones para mapeo de propiedades en Notion:");
-    logInfo("1. Mantener nombres y tipos detectados");
-    logInfo("2. Personalizar nombres y/o tipos en Notion");
-    let mapOption;
-    while (true) {
-      mapOption = await askQuestion("Selecciona una opción (1 o 2): ");
-      if (["1", "2"].includes(mapOption.trim())) {
-        break;
+    // Con varios campos: clave compuesta (todos deben coincidir) o cualquiera de ellos
+    let dedupeMode = dedupeFlags.mode ?? profile?.dedupeMode;
+    if (dedupeMode === undefined && !incremental && duplicateCheckFields.length > 1 && isInteractive()) {
+      logBright("\n¿Cómo se combinan los campos para detectar duplicados?");
+      logInfo("1. Todos deben coincidir con la misma página (clave compuesta).");
+      logInfo("2. Basta con que coincida uno de ellos.");
+      while (true) {
+        const answer = (await askQuestion("Selecciona una opción (1 o 2): ")).trim();
+        if (["1", "2"].includes(answer)) {
+          dedupeMode = answer === "1" ? "all" : "any";
+          break;
+        }
+        logWarn("Opción inválida. Intente nuevamente.");
+      }
+    }
+    const dedupeRules = {
+      mode: dedupeMode ?? DEFAULT_DEDUPE_MODE,
+      normalizers: dedupeFlags.normalizers ?? profile?.dedupeNormalizers,
+      fuzzyThreshold: dedupeFlags.fuzzyThreshold ?? profile?.dedupeFuzzyThreshold
+    };
+
+    // 13. Obtener propiedades actuales de la base de datos Notion (una nueva todavía no tiene)
+    const currentProperties = newDatabase
+      ? {}
+      : (await notion.databases.retrieve({ database_id: databaseIdToInsert })).properties;
+
+    // 14. Decidir si se personaliza el mapeo de propiedades (nombres y tipos).
+    // Con perfil, flags --map o sin TTY se mantienen los tipos detectados para el resto de campos.
+    const mapOverrides = { ...(profile?.properties || {}), ...flagOverrides };
+    let mapOption = "1";
+    if (!profile && options.map === undefined && isInteractive()) {
+      logBright("\nOpciones para mapeo de propiedades en Notion:");
+      logInfo("1. Mantener nombres y tipos detectados");
+      logInfo("2. Personalizar nombres y/o tipos en Notion");
+      while (true) {
+        mapOption = (await askQuestion("Selecciona una opción (1 o 2): ")).trim();
+        if (["1", "2"].includes(mapOption)) {
+          break;
+        }
+        logWarn("Opción inválida. Intente nuevamente.");
+      }
+    }
+    for (const header of Object.keys(flagOverrides)) {
+      if (!headers.includes(header)) {
+        logWarn(`El flag --map hace referencia a "${header}", que no es un campo de la colección.`);
       }
-      logWarn("Opción inválida. Intente nuevamente.");
     }
 
-    // 14. Mapear propiedades (nombre y tipo) según la opción elegida
-    const selectedProperties = await mapProperties(headers, currentProperties, mapOption, titleField);
+    // 15. Mapear propiedades (nombre y tipo) según la opción elegida, proponiendo el tipo de
+    // los campos nuevos según su contenido, y completar rangos y zona horaria de las fechas
+    const inferredTypes = inferColumnTypes(headers, data);
+    logInferredTypes(headers, inferredTypes, currentProperties, titleField, mapOverrides, dateOptions.dateRanges);
+    const selectedProperties = await mapProperties(
+      headers,
+      currentProperties,
+      mapOption,
+      titleField,
+      mapOverrides,
+      inferredTypes
+    );
+    const dateRanges = mapOption === "2"
+      ? { ...(await promptDateRanges(selectedProperties, titleField)), ...dateOptions.dateRanges }
+      : dateOptions.dateRanges;
+    const skippedRanges = applyDateOptions(selectedProperties, {
+      dateRanges,
+      timeZone: dateOptions.timeZone,
+      titleField,
+      savedProperties: profile?.properties
+    });
+    for (const { startField, endField, missing } of skippedRanges) {
+      logWarn(`Rango de fechas del perfil "${startField},${endField}" descartado: "${missing}" no es un campo importable de la colección.`);
+    }
+    applyCoercionOptions(selectedProperties, coercionRules, profile?.properties, data);
+    applyTextOptions(selectedProperties, textOverflow, profile?.properties);
 
-    // 15. Asegurarnos de que esas propiedades existan en Notion (creándolas si no)
+    // 16. Crear la base de datos nueva (si corresponde) y asegurarnos de que esas
+    // propiedades existan en Notion (creándolas si no)
+    if (newDatabase) {
+      databaseIdToInsert = await createTargetDatabase(newDatabase, selectedProperties, data, notion);
+    }
     const newProperties = await ensurePropertiesExist(
       databaseIdToInsert,
-      headers,
+      Object.keys(selectedProperties),
       selectedProperties,
       notion
     );
 
-    // 16. Exportar a Notion siguiendo la lógica de duplicados
-    await exportToNotion({
-      data,
-      databaseIdToInsert,
-      selectedProperties,
-      notion,
+    // Simulación: se muestra y guarda el plan en lugar de exportar
+    if (options.dryRun) {
+      await runDryRun({
+        data,
+        idField,
+        databaseIdToInsert,
+        notion,
+        currentProperties,
+        selectedProperties,
+        duplicateCheckFields,
+        duplicateOption,
+        dedupeRules,
+        newProperties,
+        sampleSize,
+        planFlag: options.plan
+      });
+      rl.close();
+      mongoClient.close();
+      return;
+    }
+
+    // 17. Exportar a Notion siguiendo la lógica de duplicados, registrando cada documento en el
+    // journal de checkpoints, y guardar los documentos fallidos
+    // Con --stream, el journal guarda además lo necesario para volver a clasificar al reanudar
+    const journal = createJournal(
+      journalPath,
+      {
+        source: "mongo",
+        mongoDb: dbName,
+        collection: collectionName,
+        idField,
+        databaseId: databaseIdToInsert,
+        selectedProperties,
+        newProperties,
+        duplicateOption: incremental ? DUPLICATE_OPTION_FLAGS.upsert : duplicateOption,
+        incrementalState: incremental?.path,
+        mongoQuery: serializeMongoQuery(streamQuery || mongoQuery),
+        ...(options.stream
+          ? { stream: { bufferSize: streamFlags.bufferSize, headers }, duplicateCheckFields, dedupeRules }
+          : {})
+      },
+      { retainKeys: !options.stream }
+    );
+    logInfo(`Journal de checkpoints: ${journal.path}`);
+    const rows = buildRows(data, idField);
+    const { failures, interrupted } = await runWithCheckpoint(journal, (checkpoint) => {
+      if (options.stream) {
+        return exportStream({
+          collection,
+          query: streamQuery,
+          bufferSize: streamFlags.bufferSize,
+          headers,
+          idField,
+          databaseIdToInsert,
+          selectedProperties,
+          notion,
+          duplicateCheckFields,
+          duplicateOption,
+          dedupeRules,
+          reviewFile: options.reviewFile,
+          newProperties,
+          concurrency,
+          checkpoint
+        });
+      }
+      if (incremental) {
+        return exportIncremental({
+          rows,
+          incremental,
+          databaseIdToInsert,
+          selectedProperties,
+          idField,
+          notion,
+          newProperties,
+          concurrency,
+          checkpoint
+        });
+      }
+      return exportToNotion({
+        data,
+        idField,
+        databaseIdToInsert,
+        selectedProperties,
+        notion,
+        duplicateCheckFields,
+        duplicateOption,
+        dedupeRules,
+        reviewFile: options.reviewFile,
+        newProperties,
+        concurrency,
+        checkpoint
+      });
+    });
+    if (incremental) {
+      saveIncrementalProgress(incremental, rows, readJournal(journal.path), databaseIdToInsert, idField);
+    }
+    saveDeadLetters(
+      failures,
+      { source: "mongo", databaseId: databaseIdToInsert, selectedProperties, newProperties },
+      options.deadLetter
+    );
+    saveValueIssues(options.valueReport);
+    saveChangeLog(options.changeLog);
+    finishJournal(journal, interrupted);
+    if (interrupted) {
+      process.exitCode = 130;
+      rl.close();
+      mongoClient.close();
+      return;
+    }
+
+    // 18. Ofrecer guardar la sesión como perfil para las próximas importaciones
+    await offerSaveProfile(options, profileMatch, {
+      source: "mongo",
+      headers: sourceHeaders,
+      databaseId: databaseIdToInsert,
+      idField,
+      titleField,
+      properties: selectedProperties,
       duplicateCheckFields,
       duplicateOption,
-      newProperties
+      dedupeMode: dedupeRules.mode,
+      dedupeNormalizers: dedupeRules.normalizers,
+      dedupeFuzzyThreshold: dedupeRules.fuzzyThreshold
     });
 
-    // 17. Cerrar conexiones
+    // 19. Cerrar conexiones
     logSuccess("\nProceso completado con éxito.");
     rl.close();
     mongoClient.close();
   } catch (error) {
     logError("\nError general en la ejecución: " + error);
+    process.exitCode = 1;
     rl.close();
+    if (mongoClient) mongoClient.close();
   }
 }
 